@@ -0,0 +1,154 @@
+/**
+ * analysis.js - Sharkoder Source Analysis (crop / interlace)
+ *
+ * Module: Pre-encode Analysis
+ * Author: Sharkoder Team
+ * Description: Analyse de la source avant l'encodage: lit la sortie des filtres FFmpeg
+ *              cropdetect et idet sur plusieurs segments, décide d'un recadrage stable
+ *              (bandes noires) et d'un désentrelacement (yadif / bwdif).
+ * Dependencies: aucune (module pur)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Parsing des lignes cropdetect ("crop=W:H:X:Y") et idet ("Multi frame detection: ...")
+ * - Recadrage stable: union des zones actives de tous les segments (le moins agressif gagne)
+ * - Détection d'entrelacement: proportion de frames TFF/BFF sur les frames classées
+ * - Chaîne de filtres à appliquer avant la mise à l'échelle (désentrelacement puis recadrage)
+ *
+ * Format de la config (ffmpeg.source_analysis dans sharkoder.config.json):
+ * { auto_crop: true, auto_deinterlace: true, segments: 6, segment_duration: 10,
+ *   deinterlacer: "bwdif", min_crop: 8, interlace_threshold: 0.3 }
+ */
+
+// Deinterlacers exposed in the settings
+const DEINTERLACERS = ["bwdif", "yadif"];
+
+// Filter chain run on each analysis segment (limit as a fraction works for 8 and 10-bit sources)
+const DETECTION_FILTER = "idet,cropdetect=limit=0.094:round=2:reset=0";
+
+/**
+ * Parse a cropdetect log line
+ * @param {string} line - FFmpeg stderr line
+ * @returns {{width: number, height: number, x: number, y: number}|null}
+ */
+const parseCropdetectLine = (line) => {
+  const match = /crop=(-?\d+):(-?\d+):(-?\d+):(-?\d+)/.exec(line || "");
+  if (!match) return null;
+  return { width: parseInt(match[1]), height: parseInt(match[2]), x: parseInt(match[3]), y: parseInt(match[4]) };
+};
+
+/**
+ * Parse the idet multi frame summary line
+ * @param {string} line - FFmpeg stderr line
+ * @returns {{tff: number, bff: number, progressive: number, undetermined: number}|null}
+ */
+const parseIdetLine = (line) => {
+  const match = /Multi frame detection:\s*TFF:\s*(\d+)\s*BFF:\s*(\d+)\s*Progressive:\s*(\d+)\s*Undetermined:\s*(\d+)/.exec(line || "");
+  if (!match) return null;
+  return { tff: parseInt(match[1]), bff: parseInt(match[2]), progressive: parseInt(match[3]), undetermined: parseInt(match[4]) };
+};
+
+/**
+ * Decide a stable crop from the last cropdetect value of each segment.
+ * The active area of every segment is merged so a bright scene never gets cut by
+ * the crop detected on a darker one. Fully black segments (no valid crop) are ignored.
+ * @param {Array<object>} segmentCrops - parseCropdetectLine results (one per segment)
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {object} [options] - { min_crop: minimum pixels removed on one axis to bother cropping }
+ * @returns {{width: number, height: number, x: number, y: number, filter: string, segments: number}|null}
+ */
+const decideCrop = (segmentCrops, width, height, options = {}) => {
+  const minCrop = options.min_crop !== undefined ? parseInt(options.min_crop) : 8;
+  const valid = (segmentCrops || []).filter(
+    (crop) => crop && crop.width > 0 && crop.height > 0 && crop.x >= 0 && crop.y >= 0 && crop.x + crop.width <= width && crop.y + crop.height <= height
+  );
+  if (!width || !height || valid.length === 0) return null;
+
+  // Union of the active areas, aligned on even pixels (4:2:0 chroma)
+  const left = Math.floor(Math.min(...valid.map((crop) => crop.x)) / 2) * 2;
+  const top = Math.floor(Math.min(...valid.map((crop) => crop.y)) / 2) * 2;
+  const right = Math.min(width, Math.ceil(Math.max(...valid.map((crop) => crop.x + crop.width)) / 2) * 2);
+  const bottom = Math.min(height, Math.ceil(Math.max(...valid.map((crop) => crop.y + crop.height)) / 2) * 2);
+  const cropWidth = Math.floor((right - left) / 2) * 2;
+  const cropHeight = Math.floor((bottom - top) / 2) * 2;
+
+  if (width - cropWidth < minCrop && height - cropHeight < minCrop) return null;
+
+  // More than half the picture gone means dark footage rather than bars
+  if (cropWidth * cropHeight < (width * height) / 2) return null;
+
+  return {
+    width: cropWidth,
+    height: cropHeight,
+    x: left,
+    y: top,
+    filter: `crop=${cropWidth}:${cropHeight}:${left}:${top}`,
+    segments: valid.length,
+  };
+};
+
+/**
+ * Decide whether the source needs deinterlacing from the summed idet counters
+ * @param {object} counts - { tff, bff, progressive, undetermined }
+ * @param {object} [options] - { deinterlacer: "bwdif"|"yadif", interlace_threshold: 0.3 }
+ * @returns {{filter: string, deinterlacer: string, field_order: string, ratio: number}|null}
+ */
+const decideDeinterlace = (counts, options = {}) => {
+  if (!counts) return null;
+  const interlaced = (counts.tff || 0) + (counts.bff || 0);
+  const classified = interlaced + (counts.progressive || 0);
+  if (classified === 0) return null;
+
+  const ratio = interlaced / classified;
+  const threshold = options.interlace_threshold !== undefined ? parseFloat(options.interlace_threshold) : 0.3;
+  if (ratio < threshold) return null;
+
+  const deinterlacer = DEINTERLACERS.includes(options.deinterlacer) ? options.deinterlacer : "bwdif";
+  const fieldOrder = (counts.bff || 0) > (counts.tff || 0) ? "bff" : "tff";
+
+  return {
+    filter: `${deinterlacer}=mode=send_frame:parity=${fieldOrder}:deint=all`,
+    deinterlacer,
+    field_order: fieldOrder,
+    ratio: Math.round(ratio * 1000) / 1000,
+  };
+};
+
+/**
+ * Evenly spread analysis segments over the file, skipping intro and credits
+ * @param {number} duration - Source duration in seconds
+ * @param {number} count - Number of segments
+ * @param {number} segmentDuration - Length of each segment in seconds
+ * @returns {Array<number>} Start timestamps
+ */
+const pickSegmentStarts = (duration, count, segmentDuration) => {
+  if (!duration || duration <= segmentDuration) return [0];
+  const usable = duration * 0.8;
+  const offset = duration * 0.1;
+  const segments = Math.max(1, count);
+  return Array.from({ length: segments }, (_, i) => Math.floor(offset + (usable * (i + 0.5)) / segments - segmentDuration / 2)).map((start) =>
+    Math.max(0, Math.min(start, Math.floor(duration - segmentDuration)))
+  );
+};
+
+/**
+ * Filters to apply before scaling, in order (deinterlace first, then crop)
+ * @param {object} [analysis] - Result stored on the job ({ crop, deinterlace })
+ * @returns {Array<string>} FFmpeg video filters
+ */
+const buildSourceFilters = (analysis) => {
+  if (!analysis) return [];
+  return [analysis.deinterlace?.filter, analysis.crop?.filter].filter(Boolean);
+};
+
+module.exports = {
+  DEINTERLACERS,
+  DETECTION_FILTER,
+  parseCropdetectLine,
+  parseIdetLine,
+  decideCrop,
+  decideDeinterlace,
+  pickSegmentStarts,
+  buildSourceFilters,
+};
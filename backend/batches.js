@@ -0,0 +1,124 @@
+/**
+ * batches.js - Sharkoder Job Batches
+ *
+ * Module: Batch Aggregates and Batch Actions
+ * Author: Sharkoder Team
+ * Description: Un lot regroupe les jobs ajoutés ensemble depuis un dossier ou une série
+ *              (addToQueueSmart, ajout de dossier). Ce module calcule l'état d'un lot à partir
+ *              de ses jobs (progression, taille gagnée, statut) et choisit les jobs concernés
+ *              par une action sur tout le lot (pause, reprise, relance, validation, suppression).
+ * Dependencies: aucune (module pur, lots lus par QueueManager.getBatches)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Progression du lot: chaque job compte pour 1, réparti en trois tiers (téléchargement, encodage, upload)
+ * - Taille gagnée: somme des jobs terminés (taille source - taille encodée)
+ * - Statut du lot: le plus "urgent" de ses jobs (en cours, à valider, en attente, en pause, en échec, terminé)
+ * - Actions de lot: seuls les jobs dans un statut compatible avec l'action sont touchés
+ */
+
+// Jobs done for good (counted at 100 %)
+const FINISHED_STATUSES = ["completed", "skipped"];
+
+// Share of the pipeline behind a job at each status, and share covered by its progress
+const STAGE_PROGRESS = {
+  downloading: { done: 0, span: 1 / 3 },
+  ready_encode: { done: 1 / 3, span: 0 },
+  encoding: { done: 1 / 3, span: 1 / 3 },
+  awaiting_approval: { done: 2 / 3, span: 0 },
+  ready_upload: { done: 2 / 3, span: 0 },
+  uploading: { done: 2 / 3, span: 1 / 3 },
+};
+
+// Statuses each batch action applies to
+const BATCH_ACTION_STATUSES = {
+  pause: ["waiting", "downloading", "ready_encode", "encoding", "ready_upload"],
+  resume: ["paused"],
+  retry: ["failed"],
+  approve: ["awaiting_approval"],
+  remove: ["waiting", "downloading", "ready_encode", "encoding", "awaiting_approval", "ready_upload", "uploading", "paused", "failed", "skipped"],
+};
+
+/**
+ * Share of the pipeline a job went through
+ * @param {object} job - Row of the jobs table
+ * @returns {number} 0 to 1
+ */
+const jobPipelineProgress = (job) => {
+  if (FINISHED_STATUSES.includes(job.status)) return 1;
+  const stage = STAGE_PROGRESS[job.status];
+  if (!stage) return 0;
+  return stage.done + (stage.span * Math.min(Math.max(job.progress || 0, 0), 100)) / 100;
+};
+
+/**
+ * Status shown for a whole batch
+ * @param {object} counts - Jobs per status
+ * @returns {string} "active", "awaiting_approval", "waiting", "paused", "failed" or "completed"
+ */
+const batchStatus = (counts) => {
+  const has = (...statuses) => statuses.some((status) => counts[status] > 0);
+  if (has("downloading", "encoding", "uploading")) return "active";
+  if (has("awaiting_approval")) return "awaiting_approval";
+  if (has("waiting", "ready_encode", "ready_upload")) return "waiting";
+  if (has("paused")) return "paused";
+  if (has("failed")) return "failed";
+  return "completed";
+};
+
+/**
+ * Aggregate state of a batch
+ * @param {Array<object>} jobs - Jobs of the batch
+ * @returns {{total: number, finished: number, counts: object, progress: number, size: number, sizeAfter: number, saved: number, status: string}}
+ *          progress in %, sizes in bytes (sizeAfter and saved: completed jobs only)
+ */
+const summarizeBatch = (jobs) => {
+  const counts = {};
+  let size = 0;
+  let completedSize = 0;
+  let sizeAfter = 0;
+  let pipeline = 0;
+
+  jobs.forEach((job) => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+    size += job.size || 0;
+    pipeline += jobPipelineProgress(job);
+    if (job.status === "completed" && job.size_after) {
+      completedSize += job.size || 0;
+      sizeAfter += job.size_after;
+    }
+  });
+
+  return {
+    total: jobs.length,
+    finished: jobs.filter((job) => FINISHED_STATUSES.includes(job.status)).length,
+    counts,
+    progress: jobs.length > 0 ? Math.round((pipeline / jobs.length) * 1000) / 10 : 0,
+    size,
+    sizeAfter,
+    saved: completedSize - sizeAfter,
+    status: batchStatus(counts),
+  };
+};
+
+/**
+ * Jobs of a batch an action applies to
+ * @param {Array<object>} jobs - Jobs of the batch
+ * @param {string} action - "pause", "resume", "retry", "approve" or "remove"
+ * @returns {Array<object>}
+ */
+const batchActionTargets = (jobs, action) => {
+  const statuses = BATCH_ACTION_STATUSES[action];
+  if (!statuses) {
+    throw new Error(`Unknown batch action: ${action}`);
+  }
+  return jobs.filter((job) => statuses.includes(job.status));
+};
+
+module.exports = {
+  BATCH_ACTION_STATUSES,
+  jobPipelineProgress,
+  batchStatus,
+  summarizeBatch,
+  batchActionTargets,
+};
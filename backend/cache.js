@@ -31,6 +31,7 @@ const path = require("path");
 const fs = require("fs-extra");
 const { logger, formatBytes, isVideoFile } = require("./utils");
 const db = require("./db");
+const { detectHdrType } = require("./hdr");
 const ffmpeg = require("fluent-ffmpeg");
 const ffprobeStatic = require("ffprobe-static");
 
@@ -90,6 +91,13 @@ class CacheManager {
       )
     `);
 
+    // Migration: HDR type column (HDR10, HLG, DV...)
+    try {
+      db.dbRun("ALTER TABLE cache_files ADD COLUMN hdr TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+
     // Create indexes for cache_files
     db.dbRun(`CREATE INDEX IF NOT EXISTS idx_files_parent ON cache_files(parent_path)`);
     db.dbRun(`CREATE INDEX IF NOT EXISTS idx_files_name ON cache_files(name)`);
@@ -209,9 +217,22 @@ class CacheManager {
           const videoMeta = await this._extractVideoMetadata(item.path);
           db.dbRun(
             `INSERT OR REPLACE INTO cache_files 
-            (path, name, parent_path, size, mtime, is_video, codec, resolution, bitrate, duration, last_sync) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [item.path, item.name, item.parent, item.size, itemMtime, 1, videoMeta?.codec || null, videoMeta?.resolution || null, videoMeta?.bitrate || null, videoMeta?.duration || null, Date.now()]
+            (path, name, parent_path, size, mtime, is_video, codec, resolution, hdr, bitrate, duration, last_sync) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              item.path,
+              item.name,
+              item.parent,
+              item.size,
+              itemMtime,
+              1,
+              videoMeta?.codec || null,
+              videoMeta?.resolution || null,
+              videoMeta?.hdr || null,
+              videoMeta?.bitrate || null,
+              videoMeta?.duration || null,
+              Date.now(),
+            ]
           );
         } else {
           const itemMtime = item.modified ? new Date(item.modified).getTime() : Date.now();
@@ -341,6 +362,7 @@ class CacheManager {
           resolve({
             codec: videoStream.codec_name || "unknown",
             resolution: resolution,
+            hdr: detectHdrType(videoStream),
             bitrate: metadata.format?.bit_rate ? parseInt(metadata.format.bit_rate) : null,
             duration: metadata.format?.duration ? parseInt(metadata.format.duration) : null,
           });
@@ -454,8 +476,8 @@ class CacheManager {
           for (const { item, itemMtime, videoMeta } of results) {
             db.dbRun(
               `INSERT OR REPLACE INTO cache_files 
-              (path, name, parent_path, size, mtime, is_video, codec, resolution, bitrate, duration, last_sync) 
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              (path, name, parent_path, size, mtime, is_video, codec, resolution, hdr, bitrate, duration, last_sync) 
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
               [
                 item.path,
                 item.name,
@@ -465,6 +487,7 @@ class CacheManager {
                 1, // is_video
                 videoMeta?.codec || null,
                 videoMeta?.resolution || null,
+                videoMeta?.hdr || null,
                 videoMeta?.bitrate || null,
                 videoMeta?.duration || null,
                 now,
@@ -707,7 +730,7 @@ class CacheManager {
 
     // Get files from cache
     const files = db.dbAll(
-      `SELECT path, name, size, mtime, is_video, codec, resolution, bitrate, duration 
+      `SELECT path, name, size, mtime, is_video, codec, resolution, hdr, bitrate, duration 
       FROM cache_files WHERE parent_path = ?`,
       [dirPath]
     );
@@ -740,6 +763,7 @@ class CacheManager {
         isVideo: f.is_video === 1,
         codec: f.codec,
         resolution: f.resolution,
+        hdr: f.hdr,
         bitrate: f.bitrate,
         duration: f.duration,
         fromCache: true,
@@ -820,7 +844,7 @@ class CacheManager {
 
     // Search in files
     const files = db.dbAll(
-      `SELECT cf.path, cf.name, cf.parent_path, cf.size, cf.mtime, cf.is_video, cf.codec, cf.resolution, cf.bitrate, cf.duration
+      `SELECT cf.path, cf.name, cf.parent_path, cf.size, cf.mtime, cf.is_video, cf.codec, cf.resolution, cf.hdr, cf.bitrate, cf.duration
       FROM cache_search cs
       LEFT JOIN cache_files cf ON cs.path = cf.path
       ${whereClause} AND cs.type = 'file'
@@ -863,6 +887,7 @@ class CacheManager {
         isVideo: f.is_video === 1,
         codec: f.codec,
         resolution: f.resolution,
+        hdr: f.hdr,
         bitrate: f.bitrate,
         duration: f.duration,
       })),
@@ -898,6 +923,24 @@ class CacheManager {
     };
   }
 
+  /**
+   * Get probed metadata of several files from cache
+   * @param {Array<string>} filePaths - File paths
+   * @returns {Promise<object>} Map path → { codec, resolution, duration, bitrate, hdr } (unknown files are missing)
+   */
+  async getFilesMetadata(filePaths) {
+    const metadata = {};
+
+    for (const filePath of filePaths) {
+      const row = db.dbGet("SELECT codec, resolution, duration, bitrate, hdr FROM cache_files WHERE path = ?", [filePath]);
+      if (row) {
+        metadata[filePath] = row;
+      }
+    }
+
+    return metadata;
+  }
+
   /**
    * Invalidate cache for specific path
    * @param {string} itemPath - Path to invalidate
@@ -155,7 +155,7 @@ class ConfigManager {
       ffmpeg: {
         gpu_enabled: true,
         force_gpu: false,
-        gpu_limit: 100, // Limite d'utilisation GPU en % (0-100, 100 = utilisation maximale)
+        gpu_limit: 100, // Limite de charge en % (10-100, 100 = aucune limite): FFmpeg suspendu/repris en cycle, cadence inchangée
         encode_preset: "p7",
         cq: 24,
         rc_mode: "vbr_hq",
@@ -175,6 +175,66 @@ class ConfigManager {
         two_pass: true,
         tune: null,
         profile: "main10",
+        av1_cpu_preset: 6, // SVT-AV1 preset 0-13 (plus bas = plus lent/meilleur)
+        av1_crf: 30, // SVT-AV1 CRF 0-63
+        av1_film_grain: 0, // SVT-AV1 film grain synthesis 0-50 (0 = désactivé)
+        av1_nvenc_preset: "p5",
+        av1_cq: 32,
+        av1_nvenc_denoise: 0, // Débruitage (hqdn3d) avant NVENC AV1, pas de synthèse du grain 0-10 (0 = désactivé)
+        rate_control_mode: "fixed", // "fixed" (CQ/CRF de la config) ou "target_vmaf" (CQ/CRF choisi par échantillons)
+        target_vmaf: 93,
+        target_vmaf_samples: 3, // Nombre d'échantillons encodés par valeur testée
+        target_vmaf_sample_duration: 20, // Durée d'un échantillon en secondes
+        target_vmaf_min_quality: null, // Bornes de recherche CQ/CRF (null = selon le codec)
+        target_vmaf_max_quality: null,
+        track_selection: {
+          enabled: false, // false = toutes les pistes sont conservées (-map 0)
+          audio: {
+            keep_languages: ["fre", "eng"],
+            keep_original: true, // Garde la piste originale (flag "original" ou première piste)
+            drop_commentary: true,
+            drop_codecs: [],
+            drop_title_patterns: [],
+          },
+          subtitles: {
+            keep_languages: ["fre", "eng"],
+            keep_forced: true,
+            drop_hearing_impaired: false,
+            drop_codecs: [], // ex: "hdmv_pgs_subtitle" pour supprimer les sous-titres image PGS
+            drop_title_patterns: [],
+          },
+        },
+
+        // HDR (HDR10 / HDR10+ / HLG / Dolby Vision)
+        hdr: {
+          passthrough: true, // Conserve les métadonnées couleur (tags BT.2020/PQ/HLG, mastering display, MaxCLL)
+          dolby_vision: "base_layer", // base_layer = encode la couche HDR10/HLG (RPU perdu), refuse = refuse les sources DV
+          tonemap: false, // true = sources HDR converties en SDR BT.709 8-bit (tag "SDR" dans le nom de fichier)
+          tonemap_algorithm: "hable", // hable, mobius, reinhard, clip, gamma, linear
+          tonemap_desat: 0, // Désaturation des hautes lumières (0 = aucune)
+        },
+
+        // Plafond de résolution (réduction automatique)
+        resolution: {
+          enabled: false,
+          max_width: 1920,
+          max_height: 1080,
+          scaler: "lanczos", // lanczos, bicubic, spline, bilinear, area, neighbor
+          exceptions: [], // Dossiers conservés en résolution d'origine (ex: "/4K")
+        },
+        source_analysis: {
+          auto_crop: true, // Supprime les bandes noires (cropdetect)
+          auto_deinterlace: true, // Désentrelace les sources entrelacées (idet)
+          segments: 6, // Nombre de segments analysés
+          segment_duration: 10, // Durée de chaque segment (secondes)
+          deinterlacer: "bwdif", // bwdif ou yadif
+          min_crop: 8, // Recadrage ignoré en dessous de ce nombre de pixels
+          interlace_threshold: 0.3, // Part de frames entrelacées pour désentrelacer
+        },
+        segmented_encoding: {
+          enabled: false, // Encode par segments (reprise après crash / arrêt)
+          segment_duration: 300, // Durée cible d'un segment (secondes, alignée sur les keyframes)
+        },
       },
       remote: {
         transfer_method: "auto",
@@ -199,10 +259,24 @@ class ConfigManager {
       advanced: {
         connection: {
           max_concurrent_downloads: 1,
-          max_prefetch_files: 1,
+          max_prefetch_files: 1, // Fichiers téléchargés d'avance pour l'encodeur (au moins un par slot d'encodage)
+          prefetch_budget_gb: 0, // Espace max des fichiers du pipeline dans local_temp (0 = espace libre seulement)
           retry_attempts: 2,
           connection_timeout: 30000,
         },
+        parallel_encoding: {
+          slots: 1, // Encodages simultanés (un encodeur et un fichier d'état par slot), pris en compte au démarrage de la queue
+        },
+        retry_policy: {
+          enabled: true, // Relance automatique des étapes en échec passager (réseau, disque plein)
+          base_delay: 30, // Délai avant la première relance (secondes), doublé à chaque tentative
+          max_delay: 1800, // Délai max entre deux tentatives (secondes)
+          max_retries: { download: 3, encode: 1, upload: 5 }, // Relances par étape (0 = échec direct)
+        },
+        upload_policy: {
+          mode: "keep_both", // Après l'upload: keep_both (original gardé), replace, replace_keep_backup (original gardé en .bak)
+          backup_days: 7, // Durée de conservation du .bak sur le serveur (jours, 0 = sans limite)
+        },
         behavior: {
           log_level: "info",
           auto_start_queue: false,
@@ -210,10 +284,33 @@ class ConfigManager {
           create_backups: false,
           extract_video_duration: false,
           release_tag: "",
+          review_priority: 0, // Priorité des jobs "pause before upload" à l'ajout (-1 basse, 0 normale, 1 haute, 2 urgente)
           keep_encoded: true,
           keep_original: true,
           simulation_mode: false,
         },
+        quality_analysis: {
+          enabled: true, // Score VMAF (repli SSIM/PSNR) après chaque encodage
+          subsample: 5, // Compare 1 image sur N (1 = toutes, plus lent)
+        },
+        verification: {
+          enabled: true, // Vérifie le fichier encodé avant l'upload (échec = job failed)
+          duration_tolerance: 2, // Écart de durée accepté avec la source (secondes)
+          duration_tolerance_percent: 0.5, // ... ou en % de la durée source (le plus grand des deux)
+          full_decode: true, // Décodage complet avec détection d'erreurs (durée ~ lecture accélérée)
+        },
+        skip_rules: {
+          enabled: false, // Fichiers exclus à l'ajout (cache) et après le probe
+          min_size_mb: 0,
+          max_bits_per_pixel: 0,
+          codecs: [],
+          filename_tags: [],
+          path_globs: [],
+        },
+      },
+      preset_rules: {
+        enabled: false, // Preset local choisi à l'ajout selon le chemin / nom (premier qui correspond)
+        rules: [], // { pattern: "/Anime/**", preset: "Animation", resolution?: "2160p", hdr?: true }
       },
       ui: {
         show_notifications: true,
@@ -13,9 +13,10 @@
  * - Initialisation et création de tables SQLite
  * - Migrations automatiques de colonnes (ALTER TABLE try/catch pattern)
  * - CRUD complet sur les jobs d'encodage
- * - Statistiques et filtres par statut
+ * - Statistiques et filtres par statut (triés par priorité puis position manuelle)
+ * - Lots de jobs (table batches): dossier ou série d'origine de chaque job, lot supprimé avec son dernier job
  * - Sauvegarde automatique de la base en fichier
- * - Gestion des états de jobs (waiting, downloading, encoding, uploading, completed, failed)
+ * - Gestion des états de jobs (waiting, downloading, encoding, uploading, completed, failed, skipped)
  *
  * AMÉLIORATION RECOMMANDÉE:
  * - Refactoriser les migrations en système de versions pour éviter les try/catch répétitifs
@@ -169,6 +170,118 @@ const initDatabase = async () => {
     } catch (e) {
       /* Column already exists */
     }
+    // Objective quality scores (post-encode analysis)
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN quality_vmaf REAL");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN quality_ssim REAL");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN quality_psnr REAL");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN quality_method TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Source HDR type (HDR10, HDR10+, HLG, DV) - null for SDR
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN hdr TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Crop / interlace detection result (JSON) and per-job opt-out
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN source_analysis TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN source_analysis_disabled INTEGER DEFAULT 0");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Segmented encoding progress (JSON summary: total / completed segments)
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN encoding_segments TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Skip rules: reason of a skipped job and per-job opt-out (retry forces the encode)
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN skip_reason TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN skip_rules_disabled INTEGER DEFAULT 0");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Preset chosen by the preset rules and ffmpeg settings frozen at enqueue (JSON)
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN preset_name TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN ffmpeg_snapshot TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Per-job encoding overrides (JSON, merged over the snapshot by encodeVideo)
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN encoding_overrides TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Queue order: priority (higher first), then manual position (see queue-order.js)
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN priority INTEGER DEFAULT 0");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN position INTEGER");
+    } catch (e) {
+      /* Column already exists */
+    }
+    // Existing jobs keep their insertion order
+    db.run("UPDATE jobs SET position = id WHERE position IS NULL");
+    // Automatic retries: attempts of each stage (JSON, see retry-policy.js) and time of the next one
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN retry_history TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN next_retry_at TEXT");
+    } catch (e) {
+      /* Column already exists */
+    }
+
+    // Batches: folder or series the jobs were queued from (see batches.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        source_path TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'folder',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    try {
+      db.run("ALTER TABLE jobs ADD COLUMN batch_id INTEGER");
+    } catch (e) {
+      /* Column already exists */
+    }
 
     saveDatabase();
     logger.info("Jobs table ready");
@@ -211,14 +324,23 @@ const createJob = async (jobData) => {
       audioCodec = null,
       subtitles = 0,
       pause_before_upload = 0,
+      hdr = null,
+      skip_reason = null,
+      preset_name = null,
+      ffmpeg_snapshot = null,
+      priority = 0,
+      batch_id = null,
     } = jobData;
 
+    // New jobs go to the end of their priority level
+    const position = db.exec("SELECT COALESCE(MAX(position), 0) + 1 FROM jobs")[0].values[0][0];
+
     const query = `
-      INSERT INTO jobs (filepath, size, codec_before, codec_after, status, container, resolution, duration, bitrate, audio, audioCodec, subtitles, pause_before_upload)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO jobs (filepath, size, codec_before, codec_after, status, container, resolution, duration, bitrate, audio, audioCodec, subtitles, pause_before_upload, hdr, skip_reason, preset_name, ffmpeg_snapshot, priority, position, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-    db.run(query, [filepath, size, codec_before, codec_after, status, container, resolution, duration, bitrate, audio, audioCodec, subtitles, pause_before_upload]);
+    db.run(query, [filepath, size, codec_before, codec_after, status, container, resolution, duration, bitrate, audio, audioCodec, subtitles, pause_before_upload, hdr, skip_reason, preset_name, ffmpeg_snapshot, priority, position, batch_id]);
 
     const result = db.exec("SELECT last_insert_rowid() as id");
     const lastId = result[0].values[0][0];
@@ -282,7 +404,8 @@ const getAllJobs = async () => {
 
 const getJobsByStatus = async (status) => {
   try {
-    const query = "SELECT * FROM jobs WHERE status = ? ORDER BY created_at ASC";
+    // Processing order: priority, then manual position (see queue-order.js)
+    const query = "SELECT * FROM jobs WHERE status = ? ORDER BY priority DESC, position ASC, created_at ASC";
     const result = db.exec(query, [status]);
 
     if (result.length === 0) {
@@ -333,10 +456,73 @@ const updateJob = async (jobId, updates) => {
   }
 };
 
+// Write the positions of a reordered group of jobs (one save for the whole group)
+const setJobPositions = async (positions) => {
+  try {
+    positions.forEach(({ id, position }) => {
+      db.run("UPDATE jobs SET position = ? WHERE id = ?", [position, id]);
+    });
+    saveDatabase();
+    return positions.length;
+  } catch (error) {
+    logger.error("Failed to update job positions:", error);
+    throw error;
+  }
+};
+
+// Batch operations
+// Batch of a folder or series: reused when the same folder is queued again
+const findOrCreateBatch = async ({ name, source_path, kind = "folder" }) => {
+  try {
+    const existing = db.exec("SELECT id FROM batches WHERE source_path = ?", [source_path]);
+    if (existing.length > 0 && existing[0].values.length > 0) {
+      return existing[0].values[0][0];
+    }
+
+    db.run("INSERT INTO batches (name, source_path, kind) VALUES (?, ?, ?)", [name, source_path, kind]);
+    const batchId = db.exec("SELECT last_insert_rowid() as id")[0].values[0][0];
+    saveDatabase();
+
+    logger.info(`Created batch ${batchId}: ${name} (${kind})`);
+    return batchId;
+  } catch (error) {
+    logger.error("Failed to create batch:", error);
+    throw error;
+  }
+};
+
+const getAllBatches = async () => {
+  try {
+    const result = db.exec("SELECT * FROM batches ORDER BY created_at ASC, id ASC");
+
+    if (result.length === 0) {
+      return [];
+    }
+
+    const columns = result[0].columns;
+    return result[0].values.map((values) => {
+      const row = {};
+      columns.forEach((col, i) => {
+        row[col] = values[i];
+      });
+      return row;
+    });
+  } catch (error) {
+    logger.error("Failed to get batches:", error);
+    throw error;
+  }
+};
+
+// Batches left without jobs go with their last job (caller saves the database)
+const deleteEmptyBatches = () => {
+  db.run("DELETE FROM batches WHERE id NOT IN (SELECT batch_id FROM jobs WHERE batch_id IS NOT NULL)");
+};
+
 const deleteJob = async (jobId) => {
   try {
     const query = "DELETE FROM jobs WHERE id = ?";
     db.run(query, [jobId]);
+    deleteEmptyBatches();
     saveDatabase();
 
     logger.info(`Deleted job with ID: ${jobId}`);
@@ -366,6 +552,7 @@ const removeFromQueue = async (jobId) => {
     // If job is not completed, delete it
     const query = "DELETE FROM jobs WHERE id = ?";
     db.run(query, [jobId]);
+    deleteEmptyBatches();
     saveDatabase();
 
     logger.info(`Removed job ${jobId} from queue`);
@@ -396,6 +583,7 @@ const getJobStats = async () => {
       completed: 0,
       failed: 0,
       paused: 0,
+      skipped: 0,
     };
 
     if (result.length > 0) {
@@ -423,6 +611,7 @@ const cleanupOldJobs = async (daysOld = 30) => {
     `;
 
     db.run(query, [cutoffDate.toISOString()]);
+    deleteEmptyBatches();
     saveDatabase();
 
     logger.info(`Cleaned up old jobs`);
@@ -504,6 +693,7 @@ const markJobFailed = async (jobId, error) => {
       finished_at: new Date().toISOString(),
       error: error.toString(),
       retry_count: retryCount,
+      next_retry_at: null,
     };
 
     return updateJob(jobId, updates);
@@ -566,6 +756,9 @@ module.exports = {
   getAllJobs,
   getJobsByStatus,
   updateJob,
+  setJobPositions,
+  findOrCreateBatch,
+  getAllBatches,
   deleteJob,
   removeFromQueue,
   getJobStats,
@@ -3,28 +3,42 @@
  *
  * Module: Video Encoding Engine (FFmpeg Wrapper)
  * Author: Sharkoder Team
- * Description: Gestionnaire d'encodage vidéo avec support GPU NVIDIA (NVENC) et CPU (x265/VP9).
+ * Description: Gestionnaire d'encodage vidéo avec support GPU NVIDIA (NVENC) et CPU (x265/VP9/SVT-AV1).
  *              Détection automatique des capacités GPU, gestion des profils d'encodage,
  *              et extraction de métadonnées vidéo complètes.
  * Dependencies: fluent-ffmpeg, ffprobe-static, fs-extra, events, utils
  * Created: 2024
  * Updated: 2025-11-07 - Ajout support VP9 (vp9_nvenc GPU / libvpx-vp9 CPU)
+ *          Ajout support AV1 (av1_nvenc GPU / libsvtav1 CPU)
  *
  * Fonctionnalités principales:
- * - Encodage GPU avec NVIDIA NVENC (hevc_nvenc, vp9_nvenc) ou CPU (x265, libvpx-vp9)
- * - Support multi-codec: HEVC (H.265) et VP9
+ * - Encodage GPU avec NVIDIA NVENC (hevc_nvenc, vp9_nvenc, av1_nvenc) ou CPU (x265, libvpx-vp9, libsvtav1)
+ * - Support multi-codec: HEVC (H.265), VP9 et AV1
  * - Test automatique des capacités GPU avec fallback CPU
  * - Configuration avancée NVENC (RC modes, lookahead, B-frames, AQ, multipass)
- * - Support 2-pass encoding pour CPU (x265 et VP9)
+ * - Vrai encodage 2 passes pour CPU (x265 et VP9): passe d'analyse (stats dans le dossier temp du job) puis passe finale
  * - Extraction complète de métadonnées (codec, résolution, audio, sous-titres)
  * - Gestion du cycle de vie (start, stop, progress tracking)
- * - Récupération après crash (ghost file cleanup)
- * - Conservation des pistes audio et sous-titres
- * - Events pour tracking de progression
+ * - Récupération après crash (ghost file cleanup, un fichier d'état par slot d'encodage)
+ * - Conservation des pistes audio et sous-titres (toutes, ou filtrées par règles)
+ * - Events pour tracking de progression (flux -progress de FFmpeg: temps encodé, débit, taille estimée)
+ * - Analyse qualité objective après encodage (VMAF, repli SSIM/PSNR)
+ * - Mode "target VMAF": choix automatique du CQ/CRF par encodage d'échantillons
+ * - Sélection des pistes audio/sous-titres par règles (voir tracks.js)
+ * - Détection HDR10/HDR10+/HLG/Dolby Vision et conservation des métadonnées couleur (voir hdr.js)
+ * - Tone-mapping HDR → SDR BT.709 optionnel (zscale + tonemap)
+ * - Plafond de résolution avec réduction automatique (voir resolution.js)
+ * - Détection crop / entrelacement avant l'encodage (cropdetect + idet, voir analysis.js)
+ * - Encodage segmenté optionnel, reprise après crash ou arrêt (voir segments.js)
+ * - Limitation réelle de la charge (suspension cyclique de FFmpeg, modifiable à chaud, voir throttle.js)
+ * - Arguments FFmpeg construits par une fonction pure, aperçu de commande sans encoder (voir ffmpeg-args.js)
+ * - Réglages propres à un job fusionnés sur la config de base (voir job-overrides.js)
+ * - Décodage complet du fichier encodé avec détection d'erreurs avant l'upload (voir verify.js)
  *
  * Codecs supportés:
  * - HEVC (H.265): hevc_nvenc (GPU) / libx265 (CPU)
  * - VP9: vp9_nvenc (GPU) / libvpx-vp9 (CPU)
+ * - AV1: av1_nvenc (GPU, RTX 40+) / libsvtav1 (CPU) - preset, CRF/CQ et film grain dédiés
  *
  * AMÉLIORATIONS RECOMMANDÉES:
  * - Ajouter support d'autres GPU (AMD VCE, Intel QSV)
@@ -37,8 +51,19 @@ const ffmpeg = require("fluent-ffmpeg");
 const ffprobeStatic = require("ffprobe-static");
 const path = require("path");
 const fs = require("fs-extra");
+const os = require("os");
+const { execFile } = require("child_process");
 const { EventEmitter } = require("events");
 const { logger, formatDuration, calculateETA, safeFileDelete } = require("./utils");
+const { selectTracks, buildMuxMapArgs, logTrackDecisions } = require("./tracks");
+const { classifyHdr } = require("./hdr");
+const { buildEncodeArgs, PREVIEW_VIDEO_INFO } = require("./ffmpeg-args");
+const { DETECTION_FILTER, parseCropdetectLine, parseIdetLine, decideCrop, decideDeinterlace, pickSegmentStarts, buildSourceFilters } = require("./analysis");
+const { ProcessThrottle, clampLoadLimit } = require("./throttle");
+const { ProgressStreamParser, computeEncodeProgress } = require("./ffmpeg-progress");
+const { MANIFEST_VERSION, parseKeyframes, planSegments, computeSettingsKey, checkResumable, buildConcatList, summarizeSegments } = require("./segments");
+const { mergeEncodingOverrides } = require("./job-overrides");
+const { MAX_ERROR_SAMPLES, isDecodeErrorLine } = require("./verify");
 
 // Set local ffmpeg and ffprobe paths
 const ffmpegPath = path.join(__dirname, "..", "exe", "ffmpeg.exe");
@@ -60,8 +85,19 @@ if (fs.existsSync(ffprobePath)) {
   logger.warn("Local ffprobe not found, using ffprobe-static");
 }
 
+// Output of the two-pass analysis pass (only the stats file matters)
+const NULL_OUTPUT = process.platform === "win32" ? "NUL" : "/dev/null";
+
+// ffprobe binary used for direct calls (frame side data is not parsed by fluent-ffmpeg)
+const activeFfprobePath = fs.existsSync(ffprobePath) ? ffprobePath : ffprobeStatic.path;
+
 class VideoEncoder extends EventEmitter {
-  constructor(config, transferManager = null) {
+  /**
+   * @param {object} config - Application config
+   * @param {object} [transferManager] - Transfer manager (config reloads)
+   * @param {object} [options] - { slot: encode slot number, 1 keeps the historical state file }
+   */
+  constructor(config, transferManager = null, options = {}) {
     super();
     this.config = config;
     this.transferManager = transferManager;
@@ -71,9 +107,14 @@ class VideoEncoder extends EventEmitter {
     this.gpuAvailable = null; // null = not tested yet, true/false after test
     this.currentEncodingFile = null; // Track current file being encoded
     this.userConfig = null; // Cache user config
+    this.stopRequested = false; // Set by stopEncoding() to abort multi-step work (target quality search)
+    this.throttle = null; // Load limiter of the running encode (ffmpeg.gpu_limit)
+    this.slot = options.slot || 1; // Encode slot of the queue (one encoder per slot)
+    this.stateFilePath = path.join(__dirname, "..", this.slot > 1 ? `.encoding_state.slot${this.slot}.json` : ".encoding_state.json");
   }
 
-  async getVideoInfo(inputPath) {
+  // inputOptions go before the input (HTTP headers of a WebDAV stream source)
+  async getVideoInfo(inputPath, { inputOptions = [] } = {}) {
     return new Promise((resolve, reject) => {
       // Add timeout to prevent hanging
       const timeout = setTimeout(() => {
@@ -81,7 +122,7 @@ class VideoEncoder extends EventEmitter {
         reject(new Error(`FFprobe timeout for ${path.basename(inputPath)}`));
       }, 30000); // 30 second timeout
 
-      ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      ffmpeg.ffprobe(inputPath, inputOptions, (err, metadata) => {
         clearTimeout(timeout);
 
         if (err) {
@@ -128,6 +169,8 @@ class VideoEncoder extends EventEmitter {
               height: videoStream.height,
               fps: fps,
               bitrate: parseInt(videoStream.bit_rate) || 0,
+              pix_fmt: videoStream.pix_fmt || null,
+              hdr: classifyHdr(videoStream),
             },
             audio: audioStreams.map((stream, index) => ({
               index: index,
@@ -137,16 +180,44 @@ class VideoEncoder extends EventEmitter {
               channels: stream.channels,
               sample_rate: stream.sample_rate,
               bitrate: parseInt(stream.bit_rate) || 0,
+              default: stream.disposition?.default === 1,
+              original: stream.disposition?.original === 1,
+              commentary: stream.disposition?.comment === 1,
             })),
             subtitles: subtitleStreams.map((stream, index) => ({
               index: index,
               codec: stream.codec_name,
               language: stream.tags?.language || "und",
               title: stream.tags?.title || "",
+              default: stream.disposition?.default === 1,
+              forced: stream.disposition?.forced === 1,
+              hearing_impaired: stream.disposition?.hearing_impaired === 1,
             })),
           };
 
-          resolve(info);
+          if (!info.video.hdr.is_hdr) {
+            resolve(info);
+            return;
+          }
+
+          // HDR source: mastering display / content light level / HDR10+ live in the frame side data
+          this.probeHdrSideData(inputPath, inputOptions)
+            .then((frameSideData) => {
+              info.video.hdr = classifyHdr(videoStream, frameSideData);
+              const { hdr } = info.video;
+              logger.info(
+                `[VIDEO PROBE] HDR: ${hdr.type} (${hdr.color_primaries}/${hdr.color_transfer}, ${hdr.bit_depth}-bit)` +
+                  `${hdr.mastering_display ? `, mastering L(${hdr.mastering_display.luminance.join(",")})` : ""}` +
+                  `${hdr.content_light ? `, MaxCLL ${hdr.content_light.max_cll}/MaxFALL ${hdr.content_light.max_fall}` : ""}` +
+                  `${hdr.dolby_vision ? `, Dolby Vision profile ${hdr.dolby_vision.profile} (base layer: ${hdr.dolby_vision.base_layer || "none"})` : ""}`
+              );
+              resolve(info);
+            })
+            .catch((sideDataError) => {
+              // Keep the stream-level HDR classification rather than leaving the probe unsettled
+              logger.warn(`[VIDEO PROBE] Could not classify HDR side data for ${path.basename(inputPath)}: ${sideDataError.message}`);
+              resolve(info);
+            });
         } catch (parseError) {
           logger.error(`Failed to parse video metadata for ${inputPath}:`, parseError);
           reject(parseError);
@@ -155,6 +226,54 @@ class VideoEncoder extends EventEmitter {
     });
   }
 
+  /**
+   * Read the side data of the first video frame (mastering display, content light level, HDR10+)
+   * @param {string} inputPath - Video file
+   * @param {Array<string>} [inputOptions] - Options placed before the input (HTTP headers)
+   * @returns {Promise<Array<object>>} Side data entries (empty on failure)
+   */
+  probeHdrSideData(inputPath, inputOptions = []) {
+    const args = ["-v", "error", "-select_streams", "v:0", "-read_intervals", "%+#1", "-show_frames", "-show_entries", "frame=side_data_list", "-print_format", "json", ...inputOptions, inputPath];
+
+    return new Promise((resolve) => {
+      execFile(activeFfprobePath, args, { timeout: 15000, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          // error.message repeats the whole command line, input headers included: log ffprobe's own output instead
+          const reason = (stderr || "").trim() || (error.signal ? `killed (${error.signal})` : `exit code ${error.code}`);
+          logger.warn(`[VIDEO PROBE] Could not read HDR side data for ${path.basename(inputPath)}: ${reason}`);
+          resolve([]);
+          return;
+        }
+        try {
+          const frames = JSON.parse(stdout).frames || [];
+          resolve(frames[0]?.side_data_list || []);
+        } catch (parseError) {
+          logger.warn(`[VIDEO PROBE] Invalid HDR side data output for ${path.basename(inputPath)}: ${parseError.message}`);
+          resolve([]);
+        }
+      });
+    });
+  }
+
+  /**
+   * List the keyframe timestamps of the first video stream (packet flags, no decoding)
+   * @param {string} inputPath - Video file
+   * @returns {Promise<Array<number>>} Sorted timestamps in seconds
+   */
+  probeKeyframes(inputPath) {
+    const args = ["-v", "error", "-select_streams", "v:0", "-show_entries", "packet=pts_time,flags", "-of", "csv=p=0", inputPath];
+
+    return new Promise((resolve, reject) => {
+      execFile(activeFfprobePath, args, { timeout: 600000, maxBuffer: 256 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          reject(new Error(`Could not list keyframes of ${path.basename(inputPath)}: ${error.message}`));
+          return;
+        }
+        resolve(parseKeyframes(stdout));
+      });
+    });
+  }
+
   // Force reload user config (useful after config changes)
   async reloadConfig() {
     try {
@@ -167,107 +286,117 @@ class VideoEncoder extends EventEmitter {
     }
   }
 
-  async encodeVideo(inputPath, outputPath, onProgress = null) {
+  /**
+   * Build the FFmpeg command an encode would run, without running it.
+   *
+   * @param {object} [ffmpegConfig] - ffmpeg settings to preview (defaults to the saved user config)
+   * @param {string} [inputPath] - Local source file; a sample 1080p SDR source is used when missing
+   * @param {object} [options] - Same job options as encodeVideo() (sourcePath, sourceAnalysis, qualityOverride)
+   * @returns {Promise<object>} { commandLine, argv, encoder, warnings, notes, sampleSource }
+   */
+  async previewCommand(ffmpegConfig = null, inputPath = null, options = {}) {
+    if (!ffmpegConfig) {
+      await this.reloadConfig();
+      ffmpegConfig = this.userConfig?.ffmpeg || {};
+    }
+
+    const sampleSource = !inputPath || !(await fs.pathExists(inputPath));
+    const videoInfo = sampleSource ? PREVIEW_VIDEO_INFO : await this.getVideoInfo(inputPath);
+
+    if (this.gpuAvailable === null) {
+      this.gpuAvailable = await VideoEncoder.testGpuSupport(ffmpegConfig.force_gpu);
+    }
+    let av1NvencAvailable;
+    if ((ffmpegConfig.video_codec || "").includes("av1") && this.gpuAvailable && !ffmpegConfig.force_gpu) {
+      const nvidiaEncoders = await VideoEncoder.getAvailableEncoders().catch(() => []);
+      av1NvencAvailable = nvidiaEncoders.includes("av1_nvenc");
+    }
+
+    const previewOptions = { ...options, inputPath: sampleSource ? "input.mkv" : inputPath, outputPath: "output.mkv" };
+    const envInfo = { gpuAvailable: this.gpuAvailable, av1NvencAvailable };
+    const plan = buildEncodeArgs(ffmpegConfig, videoInfo, previewOptions, envInfo);
+
+    // Two-pass: show both commands, as run by encodeVideo()
+    const commandLines = plan.twoPass
+      ? [1, 2].map(
+          (pass) => buildEncodeArgs(ffmpegConfig, videoInfo, { ...previewOptions, outputPath: pass === 1 ? NULL_OUTPUT : "output.mkv", pass, passLogFile: "twopass" }, envInfo).commandLine
+        )
+      : [plan.commandLine];
+
+    return {
+      commandLine: commandLines.join("\n"),
+      argv: plan.argv,
+      encoder: plan.encoder,
+      warnings: plan.warnings,
+      notes: sampleSource ? ["Sample source: 1080p H.264 SDR, DTS eng + AC3 fre, SRT fre", ...plan.notes] : plan.notes,
+      sampleSource,
+    };
+  }
+
+  /**
+   * Encode a video file with the current user config.
+   *
+   * @param {string} inputPath - Source file
+   * @param {string} outputPath - Encoded file
+   * @param {Function} [onProgress] - Progress callback
+   * @param {object} [options] - Encoding options
+   * @param {number} [options.qualityOverride] - Force the CQ/CRF value (skips target quality search)
+   * @param {boolean} [options.sample] - Sample encode (no crash-recovery state, no progress events)
+   * @param {boolean} [options.preview] - Preview encode of a slice (like a sample, but two-pass runs as configured)
+   * @param {object} [options.ffmpegConfig] - ffmpeg settings to use instead of the saved user config (job snapshot, preview of a preset)
+   * @param {object} [options.overrides] - Job encoding overrides merged over options.ffmpegConfig / the saved user config
+   * @param {string} [options.passLogDir] - Folder for the two-pass stats files (defaults to the output folder)
+   * @param {string} [options.sourcePath] - Server path of the source (resolution policy exceptions)
+   * @param {object} [options.sourceAnalysis] - Crop / deinterlace decided by analyzeSource()
+   * @param {string} [options.segmentDir] - Job folder for segmented encoding (used when ffmpeg.segmented_encoding is enabled)
+   * @param {object} [options.segment] - Encode only this chunk ({ index, start, duration }), video stream only
+   * @returns {Promise<object>} { inputPath, outputPath, elapsedTime, inputInfo, outputInfo, encodingParams }
+   */
+  async encodeVideo(inputPath, outputPath, onProgress = null, options = {}) {
     if (this.isEncoding) {
       throw new Error("Encoder is already running");
     }
 
+    // Samples, previews and segments are not queue encodes: no state file, no progress events of their own
+    const fullEncode = !options.sample && !options.preview && !options.segment;
+
+    if (fullEncode) {
+      this.stopRequested = false;
+      await this.reloadConfig();
+
+      // Job overrides ("Edit encoding"): every later step reads the merged settings
+      if (options.overrides) {
+        options = { ...options, ffmpegConfig: mergeEncodingOverrides(options.ffmpegConfig || this.userConfig?.ffmpeg || {}, options.overrides) };
+      }
+
+      // Segmented mode: keyframe-aligned chunks that survive a crash or a stop
+      if (options.segmentDir && (options.ffmpegConfig || this.userConfig?.ffmpeg)?.segmented_encoding?.enabled) {
+        return this.encodeSegmented(inputPath, outputPath, onProgress, options);
+      }
+
+      // Target quality mode: pick CQ/CRF from sample encodes before the full encode
+      if (options.qualityOverride === undefined) {
+        options = await this.applyTargetQuality(inputPath, outputPath, onProgress, options);
+      }
+    }
+
     try {
       this.isEncoding = true;
       this.startTime = Date.now();
       this.currentEncodingFile = { inputPath, outputPath, startedAt: new Date().toISOString() };
 
       // Save current encoding file to disk for crash recovery
-      await this.saveEncodingState();
+      if (fullEncode) {
+        await this.saveEncodingState();
+      }
 
       // Force reload user config to get latest settings
       await this.reloadConfig();
 
-      // Get encoding settings from user config
-      const ffmpegConfig = this.userConfig?.ffmpeg || {};
-
-      // Helper function to format bitrate for FFmpeg
-      const formatBitrate = (value) => {
-        if (typeof value === "number") return `${value}M`;
-        if (typeof value === "string" && !value.includes("M") && !value.includes("k")) return `${value}M`;
-        return value;
-      };
-
-      // Basic encoding settings
-      const videoCodec = ffmpegConfig.video_codec || "hevc_nvenc"; // Default to HEVC if not specified
-      const encodePreset = ffmpegConfig.encode_preset;
-      const cq = ffmpegConfig.cq;
-      const cpuPreset = ffmpegConfig.cpu_preset;
-      const crf = ffmpegConfig.crf;
-      const audioCodec = ffmpegConfig.audio_codec;
-      const audioBitrate = ffmpegConfig.audio_bitrate;
-      const twoPass = ffmpegConfig.two_pass;
-      const profile = ffmpegConfig.profile;
+      // Get encoding settings from user config (or the settings being previewed)
+      const ffmpegConfig = options.ffmpegConfig || this.userConfig?.ffmpeg || {};
       const forceGPU = ffmpegConfig.force_gpu;
 
-      // Detect codec family (HEVC or VP9)
-      let isVP9 = videoCodec.includes("vp9");
-      let isHEVC = videoCodec.includes("hevc") || videoCodec.includes("265");
-
-      // Determine GPU/CPU codec names
-      let gpuCodec, cpuCodec;
-      if (isVP9) {
-        gpuCodec = "vp9_nvenc";
-        cpuCodec = "libvpx-vp9";
-
-        // VP9 NVENC is not widely supported - fallback to HEVC NVENC
-        if (this.gpuAvailable) {
-          logger.warn("⚠️ VP9 NVENC is not available on most GPUs. Falling back to HEVC NVENC.");
-          logger.warn("⚠️ To use VP9, disable GPU encoding in settings or use CPU encoder (libvpx-vp9).");
-          gpuCodec = "hevc_nvenc";
-          cpuCodec = "libx265";
-          isVP9 = false;
-          isHEVC = true;
-        }
-      } else {
-        // Default to HEVC
-        gpuCodec = "hevc_nvenc";
-        cpuCodec = "libx265";
-      }
-
-      // Advanced NVENC settings
-      const rcMode = ffmpegConfig.rc_mode;
-      const bitrate = formatBitrate(ffmpegConfig.bitrate);
-      const maxrate = formatBitrate(ffmpegConfig.maxrate);
-      const lookahead = ffmpegConfig.lookahead;
-      const bframes = ffmpegConfig.bframes;
-      const bRefMode = ffmpegConfig.b_ref_mode;
-      const spatialAQ = ffmpegConfig.spatial_aq;
-      const temporalAQ = ffmpegConfig.temporal_aq;
-      const aqStrength = ffmpegConfig.aq_strength;
-      const multipass = ffmpegConfig.multipass;
-      const gpuLimit = ffmpegConfig.gpu_limit || 100; // Limite GPU en % (contrôle la vitesse d'encodage, pas la qualité)
-
-      // Advanced codec settings
-      const pixFmt = ffmpegConfig.pix_fmt || "p010le"; // Pixel format: yuv420p (8-bit) / p010le (10-bit)
-      const gopSize = ffmpegConfig.gop_size || 96; // GOP size (keyframe interval)
-      const refs = ffmpegConfig.refs || 4; // Reference frames: 1-16
-
-      // Calculer le FPS maximal basé sur la limite GPU
-      // Au lieu de réduire la qualité, on limite la vitesse d'encodage
-      let maxEncodeFPS = null; // null = illimité (100%)
-
-      if (gpuLimit < 100) {
-        // Formule: FPS max proportionnel au % GPU
-        // Exemple: 50% GPU = 60 FPS max, 75% GPU = 120 FPS max
-        // On assume que la plupart des vidéos font 24-60 FPS
-        // Un encodage rapide peut faire 150-300+ FPS
-        const baseFPS = 200; // FPS d'encodage de référence à 100% GPU
-        maxEncodeFPS = Math.round((baseFPS * gpuLimit) / 100);
-
-        logger.info(`🎮 GPU limit ${gpuLimit}%: Max encoding speed limited to ${maxEncodeFPS} FPS`);
-        logger.info(`   → This reduces GPU load without affecting quality (same NVENC parameters)`);
-      } else {
-        logger.info(`🔥 GPU limit ${gpuLimit}%: No speed limit - maximum encoding speed`);
-      }
-
-      logger.info(`[CONFIG] Profile: ${profile}, CQ: ${cq}, Preset: ${encodePreset}`);
-
       // Test GPU availability if not tested yet
       if (this.gpuAvailable === null) {
         logger.info("Testing GPU availability...");
@@ -275,9 +404,16 @@ class VideoEncoder extends EventEmitter {
         logger.info(`GPU encoding available: ${this.gpuAvailable}`);
       }
 
+      // GPU test only covers HEVC NVENC - AV1 NVENC must be checked separately
+      let av1NvencAvailable;
+      if ((ffmpegConfig.video_codec || "").includes("av1") && this.gpuAvailable && !forceGPU) {
+        const nvidiaEncoders = await VideoEncoder.getAvailableEncoders().catch(() => []);
+        av1NvencAvailable = nvidiaEncoders.includes("av1_nvenc");
+      }
+
       // Get video info for progress calculation
       const videoInfo = await this.getVideoInfo(inputPath);
-      const totalDuration = videoInfo.duration;
+      const totalDuration = options.segment ? options.segment.duration : videoInfo.duration;
       const totalFrames = Math.round(totalDuration * videoInfo.video.fps);
 
       logger.info(`Starting encoding: ${inputPath} -> ${outputPath}`);
@@ -286,278 +422,935 @@ class VideoEncoder extends EventEmitter {
       logger.info(`Calculated total frames: ${totalFrames} (Duration: ${totalDuration.toFixed(2)}s × FPS: ${videoInfo.video.fps.toFixed(2)})`);
       logger.info(`Audio tracks: ${videoInfo.audio.length} (${videoInfo.audio.map((a) => `${a.language}:${a.codec}`).join(", ")})`);
       logger.info(`Subtitle tracks: ${videoInfo.subtitles.length} (${videoInfo.subtitles.map((s) => `${s.language}:${s.codec}`).join(", ")})`);
-      logger.info(`Codec: ${isVP9 ? "VP9" : "HEVC"} - Encoder mode: ${this.gpuAvailable ? `GPU (${gpuCodec})` : `CPU (${cpuCodec})`}`);
-      logger.info(`Settings - Preset: ${this.gpuAvailable ? encodePreset : cpuPreset}, Quality: ${this.gpuAvailable ? `CQ ${cq}` : `CRF ${crf}`}, Profile: ${profile || "auto"}`);
-      logger.info(`Audio - Codec: ${audioCodec}, Bitrate: ${audioCodec === "copy" ? "original" : audioBitrate + "k"}`);
+
+      // Every argument comes from the pure builder (same code as the command preview and the tests)
+      const envInfo = { gpuAvailable: this.gpuAvailable, av1NvencAvailable };
+      const plan = buildEncodeArgs(ffmpegConfig, videoInfo, { ...options, inputPath, outputPath }, envInfo);
+      const { encodingParams } = plan;
+
+      logTrackDecisions(plan.trackSelection);
+      plan.notes.forEach((note) => logger.info(note));
+      plan.warnings.forEach((warning) => logger.warn(`⚠️ ${warning}`));
+      logger.info(`Codec: ${plan.codecFamily} - Encoder mode: ${plan.useGpu ? `GPU (${plan.encoder})` : `CPU (${plan.encoder})`}`);
+      logger.info(`Settings - Preset: ${plan.effectivePreset}, Quality: ${encodingParams.quality_type} ${plan.effectiveQuality}, Profile: ${encodingParams.profile || "auto"}`);
+      logger.info(`Audio - Codec: ${encodingParams.audio_codec}, Bitrate: ${encodingParams.audio_bitrate ? encodingParams.audio_bitrate + "k" : "original"}`);
 
       // Ensure output directory exists
       await fs.ensureDir(path.dirname(outputPath));
 
-      return new Promise((resolve, reject) => {
-        const command = ffmpeg(inputPath);
+      // Two-pass (x265 / libvpx-vp9): analysis pass writing stats, then the final pass. Samples stay single pass.
+      let passPlans = [plan];
+      let passLogFile = null;
+      if (plan.twoPass && !options.sample) {
+        const passLogDir = options.passLogDir || path.dirname(outputPath);
+        await fs.ensureDir(passLogDir);
+        passLogFile = path.join(passLogDir, options.segment ? `segment_${String(options.segment.index).padStart(4, "0")}` : "twopass");
+        passPlans = [1, 2].map((pass) =>
+          buildEncodeArgs(ffmpegConfig, videoInfo, { ...options, inputPath, outputPath: pass === 1 ? NULL_OUTPUT : outputPath, pass, passLogFile }, envInfo)
+        );
+        logger.info(`Two-pass encoding: stats in ${passLogFile}`);
+      }
+
+      // Load limit is a runtime knob (setLoadLimit): read from the saved settings, not from a job snapshot taken before the change
+      const gpuLimit = this.userConfig?.ffmpeg?.gpu_limit ?? ffmpegConfig.gpu_limit;
+      const context = { inputPath, totalFrames, totalDuration, fullEncode, onProgress, gpuLimit };
+
+      try {
+        for (let index = 0; index < passPlans.length; index++) {
+          // Stopped between the two passes: do not start the final pass
+          if (index > 0 && this.stopRequested) {
+            throw new Error("Encoding stopped");
+          }
+          const passOutput = passPlans.length === 2 && index === 0 ? NULL_OUTPUT : outputPath;
+          await this.runEncodePass(passPlans[index], passOutput, { ...context, passIndex: index, passCount: passPlans.length });
+        }
+      } catch (err) {
+        this.isEncoding = false;
+        this.currentEncodingFile = null;
+
+        // Clear encoding state file
+        if (fullEncode) {
+          await this.clearEncodingState();
+        }
+
+        logger.error(`Encoding failed for ${inputPath}:`, err);
 
-        // Allow overwriting output files without confirmation
-        command.addOption("-y");
+        // Clean up partial output file
+        fs.unlink(outputPath).catch(() => {});
 
-        // Apply FPS limit if GPU limit < 100% (reduces GPU load without affecting quality)
-        if (maxEncodeFPS !== null) {
-          command.addOption("-r", maxEncodeFPS.toString());
-          logger.info(`🎬 Encoding speed capped at ${maxEncodeFPS} FPS (GPU limit: ${gpuLimit}%)`);
+        throw err;
+      } finally {
+        if (passLogFile) {
+          await this.removePassLogs(passLogFile);
         }
+      }
+
+      this.isEncoding = false;
+      this.currentEncodingFile = null;
+
+      // Clear encoding state file
+      if (fullEncode) {
+        await this.clearEncodingState();
+      }
 
-        // Configure encoding based on GPU availability
-        if (this.gpuAvailable) {
-          // Use already loaded bitrate/maxrate variables (formatted above)
-          logger.info(
-            `NVENC Advanced: codec=${gpuCodec}, rc=${rcMode}, bitrate=${bitrate}, maxrate=${maxrate}, lookahead=${lookahead}, bf=${bframes}, aq=${spatialAQ ? 1 : 0}/${
-              temporalAQ ? 1 : 0
-            }, multipass=${multipass}, gpu_limit=${gpuLimit}%`
-          );
-          logger.info(`NVENC Codec Settings: profile=${profile}, pix_fmt=${pixFmt}, gop=${gopSize}, refs=${refs}`);
-
-          // NVENC encoding with full quality parameters (no degradation based on gpu_limit)
-          command
-            .videoCodec(gpuCodec)
-            .addOption("-preset", encodePreset)
-            .addOption("-rc", rcMode) // vbr_hq, constqp, vbr, cbr
-            .addOption("-cq", cq) // Quality level for VBR modes
-            .addOption("-b:v", bitrate) // Average bitrate
-            .addOption("-maxrate", maxrate); // Max bitrate
-
-          // Add profile only for HEVC (VP9 doesn't use same profile system)
-          if (isHEVC && profile) {
-            command.addOption("-profile:v", profile);
+      const elapsedTime = (Date.now() - this.startTime) / 1000;
+      logger.info(`Encoding completed in ${formatDuration(elapsedTime)}: ${outputPath}`);
+      logger.info(`Expected frames: ${totalFrames}, Actual encoding time: ${formatDuration(elapsedTime)}`);
+
+      try {
+        // Verify output file exists and get final info
+        const outputInfo = await this.getVideoInfo(outputPath);
+
+        return {
+          inputPath,
+          outputPath,
+          elapsedTime,
+          inputInfo: videoInfo,
+          outputInfo: outputInfo,
+          encodingParams: encodingParams,
+        };
+      } catch (verifyError) {
+        logger.error("Failed to verify encoded file:", verifyError);
+        throw verifyError;
+      }
+    } catch (error) {
+      // Failures once FFmpeg ran are already logged above
+      if (this.isEncoding) {
+        logger.error(`Failed to start encoding ${inputPath}:`, error);
+      }
+      this.isEncoding = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Run one FFmpeg pass of an encode (single pass, or pass 1/2 of a two-pass encode).
+   * Progress of a two-pass encode is reported as 0-50% for the analysis pass and 50-100% for the final pass.
+   *
+   * @param {object} passPlan - buildEncodeArgs() result for this pass
+   * @param {string} passOutput - Output file (null device for the analysis pass)
+   * @param {object} context - { inputPath, totalFrames, totalDuration, fullEncode, onProgress, gpuLimit, passIndex, passCount }
+   * @returns {Promise<void>}
+   */
+  runEncodePass(passPlan, passOutput, context) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(context.inputPath);
+
+      // One argument per array item: values are never split on spaces
+      if (passPlan.inputArgs.length > 0) {
+        command.inputOptions(...passPlan.inputArgs);
+      }
+      command.outputOptions(...passPlan.outputArgs);
+      // Machine-readable progress instead of the stderr stats line
+      command.outputOptions("-progress", "pipe:1", "-nostats");
+
+      const passLabel = context.passCount > 1 ? ` (pass ${context.passIndex + 1}/${context.passCount})` : "";
+
+      command
+        .output(passOutput)
+        .on("start", (commandLine) => {
+          logger.info(`FFmpeg command${passLabel}: ${commandLine}`);
+          this.startThrottle(command.ffmpegProc?.pid, !passPlan.useGpu, context.gpuLimit);
+
+          // -progress pipe:1 writes key=value blocks on stdout (not read by fluent-ffmpeg)
+          const parser = new ProgressStreamParser((block) => this.reportPassProgress(block, passOutput, context));
+          command.ffmpegProc?.stdout?.on("data", (chunk) => parser.push(chunk));
+        })
+        .on("end", () => {
+          this.stopThrottle();
+          this.currentProcess = null;
+          if (passLabel) {
+            logger.info(`Encoding${passLabel} done`);
           }
+          resolve();
+        })
+        .on("error", (err) => {
+          this.stopThrottle();
+          this.currentProcess = null;
+          reject(err);
+        });
 
-          // Pixel format: use configured value (default: p010le for 10-bit)
-          command.addOption("-pix_fmt", pixFmt);
-
-          // GOP size (keyframe interval) and reference frames
-          command.addOption("-g", gopSize.toString()); // GOP size
-          command.addOption("-refs", refs.toString()); // Reference frames
-
-          // Common NVENC options - FULL QUALITY (no adjustments based on gpu_limit)
-          command
-            .addOption("-spatial-aq", spatialAQ ? "1" : "0") // Spatial AQ
-            .addOption("-temporal-aq", temporalAQ ? "1" : "0") // Temporal AQ
-            .addOption("-aq-strength", aqStrength.toString()) // AQ strength (1-15)
-            .addOption("-bf", bframes.toString()) // B-frames (FULL QUALITY)
-            .addOption("-b_ref_mode", bRefMode) // B-frame reference mode: disabled, each, middle
-            .addOption("-rc-lookahead", lookahead.toString()) // Lookahead frames (FULL QUALITY)
-            .addOption("-multipass", multipass) // Multipass (FULL QUALITY)
-            .addOption("-2pass", twoPass ? "1" : "0"); // Two-pass encoding
-
-          // Note: GPU limit is now applied via FPS cap (-r), not by reducing quality parameters
-          // This maintains 100% encoding quality while reducing GPU load proportionally
-        } else {
-          // CPU encoding fallback
-          if (isVP9) {
-            // VP9 CPU encoding with libvpx-vp9
-            logger.info(`VP9 CPU encoding: preset=${cpuPreset}, crf=${crf}, threads=auto`);
-            command
-              .videoCodec(cpuCodec)
-              .addOption("-crf", crf)
-              .addOption("-b:v", "0") // Use CRF mode (constant quality)
-              .addOption("-cpu-used", cpuPreset === "fast" ? "5" : cpuPreset === "medium" ? "2" : "1") // Speed preset (0=slowest/best, 5=fastest)
-              .addOption("-row-mt", "1") // Enable row-based multithreading
-              .addOption("-threads", "0"); // Auto threads
-
-            // VP9 two-pass encoding
-            if (twoPass) {
-              logger.info("VP9 two-pass encoding enabled");
-              command.addOption("-pass", "2");
-            }
-          } else {
-            // HEVC CPU encoding with x265
-            command.videoCodec(cpuCodec).addOption("-preset", cpuPreset).addOption("-crf", crf);
+      this.currentProcess = command;
+      command.run();
+    });
+  }
 
-            if (profile) {
-              command.addOption("-profile:v", profile);
-            }
+  /**
+   * Turn one -progress block into a progress event.
+   * Progress is the encoded presentation time against the probed duration, so VFR sources
+   * or a wrong probed FPS no longer make the bar jump.
+   *
+   * @param {object} block - parseProgressBlock() result
+   * @param {string} passOutput - Output of the pass (no size for the null output of an analysis pass)
+   * @param {object} context - runEncodePass() context
+   */
+  reportPassProgress(block, passOutput, context) {
+    try {
+      const { currentTime, percent, outputSize, estimatedSize } = computeEncodeProgress(block, context.totalDuration, { sizeKnown: passOutput !== NULL_OUTPUT });
+
+      // Two-pass: each pass is half of the job
+      const overallPercent = (context.passIndex * 100 + percent) / context.passCount;
+      const elapsedSeconds = (Date.now() - this.startTime) / 1000;
+
+      let eta = null;
+      if (overallPercent > 0.1 && elapsedSeconds > 5) {
+        const totalEstimatedSeconds = (elapsedSeconds * 100) / overallPercent;
+        const remainingSeconds = totalEstimatedSeconds - elapsedSeconds;
 
-            command.addOption("-x265-params", "log-level=error");
+        // Only validate that ETA is reasonable (not negative, not > 48h)
+        if (isFinite(remainingSeconds) && remainingSeconds >= 0 && remainingSeconds <= 172800) {
+          eta = Math.round(remainingSeconds);
+        }
+      }
+
+      const progressData = {
+        type: "encoding",
+        progress: overallPercent,
+        currentTime,
+        totalDuration: context.totalDuration,
+        fps: block.fps || 0,
+        encodeSpeed: block.speed, // x real time
+        bitrate: outputSize !== null ? block.bitrate : null, // kbit/s of the output so far
+        outputSize,
+        estimatedSize,
+        eta: eta,
+        elapsedTime: elapsedSeconds,
+        frames: block.frame,
+        totalFrames: context.totalFrames,
+        ...(context.passCount > 1 && { pass: { number: context.passIndex + 1, total: context.passCount } }),
+      };
+
+      if (context.fullEncode) {
+        this.emit("progress", progressData);
+      }
+
+      if (context.onProgress) {
+        context.onProgress(progressData);
+      }
+    } catch (progressError) {
+      logger.warn("Failed to parse encoding progress:", progressError);
+    }
+  }
+
+  // Remove the stats files of a two-pass encode (x265 .log / .log.cutree, libvpx -0.log)
+  async removePassLogs(passLogFile) {
+    const dir = path.dirname(passLogFile);
+    const prefix = path.basename(passLogFile);
+    const files = await fs.readdir(dir).catch(() => []);
+    await Promise.all(files.filter((file) => file.startsWith(prefix)).map((file) => fs.remove(path.join(dir, file)).catch(() => {})));
+  }
+
+  // Target quality mode: pick CQ/CRF from sample encodes (falls back to the configured quality on failure)
+  async applyTargetQuality(inputPath, outputPath, onProgress, options) {
+    if ((options.ffmpegConfig || this.userConfig?.ffmpeg)?.rate_control_mode !== "target_vmaf") {
+      return options;
+    }
+
+    try {
+      const search = await this.findTargetQuality(inputPath, outputPath, onProgress, {
+        sourcePath: options.sourcePath,
+        sourceAnalysis: options.sourceAnalysis,
+        ffmpegConfig: options.ffmpegConfig,
+      });
+      return { ...options, qualityOverride: search.chosen, targetQuality: search };
+    } catch (error) {
+      if (this.stopRequested) {
+        throw error;
+      }
+      logger.warn(`[TARGET VMAF] Search failed, using configured quality instead: ${error.message}`);
+      return options;
+    }
+  }
+
+  /**
+   * Segmented encoding: encode the video in keyframe-aligned chunks, then concatenate them
+   * and mux audio/subtitles from the source. Finished chunks are recorded in segments.json
+   * (job folder) so a restarted job skips them after a crash or a stop.
+   *
+   * @param {string} inputPath - Source file
+   * @param {string} outputPath - Encoded file
+   * @param {Function} [onProgress] - Progress callback (overall progress over all segments)
+   * @param {object} options - encodeVideo() options, with options.segmentDir
+   * @returns {Promise<object>} Same result as encodeVideo()
+   */
+  async encodeSegmented(inputPath, outputPath, onProgress, options) {
+    const ffmpegConfig = options.ffmpegConfig || this.userConfig?.ffmpeg || {};
+    const segmentDir = options.segmentDir;
+    const manifestPath = path.join(segmentDir, "segments.json");
+    await fs.ensureDir(segmentDir);
+
+    const videoInfo = await this.getVideoInfo(inputPath);
+    const source = { size: videoInfo.size, duration: videoInfo.duration };
+    const settingsKey = computeSettingsKey(ffmpegConfig, {
+      sourceFilters: buildSourceFilters(options.sourceAnalysis),
+      sourcePath: options.sourcePath || null,
+      qualityOverride: options.qualityOverride ?? null,
+    });
+
+    const saved = await fs.readJson(manifestPath).catch(() => null);
+    const resume = checkResumable(saved, source, settingsKey);
+    let manifest;
+
+    if (resume.resumable) {
+      manifest = saved;
+      logger.info(`[SEGMENTS] Resuming ${path.basename(inputPath)}: ${resume.reason}`);
+      // Keep the quality picked by the first run (a new target VMAF search could pick another value)
+      if (options.qualityOverride === undefined && manifest.quality_override !== null) {
+        options = { ...options, qualityOverride: manifest.quality_override, targetQuality: manifest.target_quality || undefined };
+      }
+    } else {
+      if (saved) {
+        logger.warn(`[SEGMENTS] Previous segments discarded: ${resume.reason}`);
+      }
+      await fs.emptyDir(segmentDir);
+
+      if (options.qualityOverride === undefined) {
+        options = await this.applyTargetQuality(inputPath, outputPath, onProgress, options);
+      }
+
+      const keyframes = await this.probeKeyframes(inputPath);
+      const segmentDuration = Math.max(10, parseInt(ffmpegConfig.segmented_encoding?.segment_duration) || 300);
+      manifest = {
+        version: MANIFEST_VERSION,
+        source,
+        settings_key: settingsKey,
+        quality_override: options.qualityOverride ?? null,
+        target_quality: options.targetQuality || null,
+        segment_duration: segmentDuration,
+        segments: planSegments(keyframes, videoInfo.duration, segmentDuration).map((segment) => ({
+          ...segment,
+          file: `segment_${String(segment.index).padStart(4, "0")}.mkv`,
+          done: false,
+        })),
+        created_at: new Date().toISOString(),
+      };
+      await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+      logger.info(`[SEGMENTS] ${manifest.segments.length} segments of ~${segmentDuration}s planned on ${keyframes.length} keyframes`);
+    }
+
+    const segmentedState = { inputPath, outputPath, segmentDir, startedAt: new Date().toISOString() };
+    this.currentEncodingFile = segmentedState;
+    await this.saveEncodingState();
+    this.emit("segment", summarizeSegments(manifest));
+
+    const startTime = Date.now();
+    const resumedDuration = summarizeSegments(manifest).encoded_duration;
+
+    for (const segment of manifest.segments) {
+      const segmentPath = path.join(segmentDir, segment.file);
+      if (segment.done && (await fs.pathExists(segmentPath))) {
+        continue;
+      }
+      if (this.stopRequested) {
+        throw new Error("Segmented encoding stopped");
+      }
+
+      const doneSegments = manifest.segments.filter((other) => other.done);
+      const doneDuration = doneSegments.reduce((sum, other) => sum + (other.end - other.start), 0);
+      const doneSizes = await Promise.all(doneSegments.map((other) => fs.stat(path.join(segmentDir, other.file)).then((stat) => stat.size, () => 0)));
+      const doneSize = doneSizes.reduce((sum, size) => sum + size, 0);
+      logger.info(`[SEGMENTS] Encoding segment ${segment.index + 1}/${manifest.segments.length} (${segment.start.toFixed(2)}s → ${segment.end.toFixed(2)}s)`);
+
+      const result = await this.encodeVideo(
+        inputPath,
+        segmentPath,
+        (progress) => {
+          // Segment percent already spans both passes of a two-pass encode
+          const encoded = doneDuration + ((segment.end - segment.start) * (progress.progress || 0)) / 100;
+          const elapsedSeconds = (Date.now() - startTime) / 1000;
+          const sessionEncoded = encoded - resumedDuration;
+          const progressData = {
+            ...progress,
+            type: "encoding",
+            progress: Math.min(100, (encoded / videoInfo.duration) * 100),
+            currentTime: encoded,
+            // Whole file: finished segments + current segment output, extrapolated to the full duration
+            outputSize: progress.outputSize !== null && progress.outputSize !== undefined ? doneSize + progress.outputSize : null,
+            estimatedSize: progress.estimatedSize ? Math.round(((doneSize + progress.outputSize) * videoInfo.duration) / encoded) : null,
+            totalDuration: videoInfo.duration,
+            eta: sessionEncoded > 1 ? Math.round((elapsedSeconds * (videoInfo.duration - encoded)) / sessionEncoded) : null,
+            elapsedTime: elapsedSeconds,
+            frames: null,
+            totalFrames: null,
+            segment: { index: segment.index + 1, total: manifest.segments.length },
+          };
+          this.emit("progress", progressData);
+          if (onProgress) {
+            onProgress(progressData);
           }
+        },
+        { ...options, segment: { index: segment.index, start: segment.start, duration: segment.end - segment.start } }
+      );
+
+      segment.done = true;
+      segment.encoded_at = new Date().toISOString();
+      manifest.encoding_params = result.encodingParams;
+      await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+
+      // encodeVideo() replaced the in-memory state with the segment paths
+      this.currentEncodingFile = { ...segmentedState, segments: summarizeSegments(manifest) };
+      await this.saveEncodingState();
+      this.emit("segment", summarizeSegments(manifest));
+    }
+
+    if (this.stopRequested) {
+      throw new Error("Segmented encoding stopped");
+    }
+
+    // Join the segments and take audio, subtitles, attachments, chapters and metadata from the source
+    const listPath = path.join(segmentDir, "concat.txt");
+    await fs.writeFile(listPath, buildConcatList(manifest.segments.map((segment) => path.join(segmentDir, segment.file))));
+    await this.muxSegments(listPath, inputPath, outputPath, videoInfo, ffmpegConfig);
+
+    const outputInfo = await this.getVideoInfo(outputPath);
+    if (Math.abs(outputInfo.duration - videoInfo.duration) > 2) {
+      throw new Error(`Segmented output duration ${outputInfo.duration.toFixed(1)}s does not match source ${videoInfo.duration.toFixed(1)}s`);
+    }
+
+    const elapsedTime = (Date.now() - startTime) / 1000;
+    logger.info(`[SEGMENTS] ${manifest.segments.length} segments joined in ${outputPath} (${formatDuration(elapsedTime)} this run)`);
+
+    this.currentEncodingFile = null;
+    await this.clearEncodingState();
+    await fs.remove(segmentDir).catch(() => {});
+
+    return {
+      inputPath,
+      outputPath,
+      elapsedTime,
+      inputInfo: videoInfo,
+      outputInfo,
+      encodingParams: {
+        ...manifest.encoding_params,
+        ...(manifest.target_quality && { rate_control: "target_vmaf", target_quality: manifest.target_quality }),
+        segmented: {
+          segments: manifest.segments.length,
+          segment_duration: manifest.segment_duration,
+          resumed_duration: resumedDuration,
+        },
+      },
+    };
+  }
+
+  // Concatenate encoded segments (stream copy) and mux the kept source tracks with them
+  muxSegments(listPath, inputPath, outputPath, videoInfo, ffmpegConfig = this.userConfig?.ffmpeg || {}) {
+    const trackSelection = selectTracks(videoInfo, ffmpegConfig.track_selection);
+    const audioArgs = ffmpegConfig.audio_codec && ffmpegConfig.audio_codec !== "copy" ? ["-c:a", ffmpegConfig.audio_codec, "-b:a", `${ffmpegConfig.audio_bitrate}k`] : ["-c:a", "copy"];
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg()
+        .input(listPath)
+        .inputOptions(["-f", "concat", "-safe", "0"])
+        .input(inputPath)
+        .outputOptions(["-map", "0:v:0", ...buildMuxMapArgs(trackSelection, 1), "-c:v", "copy", "-c:s", "copy", ...audioArgs, "-map_metadata", "1", "-map_chapters", "1", "-y"])
+        .output(outputPath)
+        .on("start", (commandLine) => {
+          logger.info(`[SEGMENTS] Mux command: ${commandLine}`);
+        })
+        .on("end", () => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          resolve(outputPath);
+        })
+        .on("error", (err) => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          fs.unlink(outputPath).catch(() => {});
+          reject(err);
+        });
+
+      // Register as current process so stopEncoding() can interrupt the mux
+      this.currentProcess = command;
+      this.isEncoding = true;
+      command.run();
+    });
+  }
+
+  /**
+   * Compare an encoded file against its source with objective quality metrics.
+   * Tries VMAF (libvmaf) first, then falls back to SSIM + PSNR when libvmaf is not
+   * compiled into the FFmpeg build.
+   *
+   * @param {string} referencePath - Original (source) file
+   * @param {string} encodedPath - Encoded file to score
+   * @param {object} [options] - Analysis options
+   * @param {number} [options.width] - Reference width (encoded video is scaled to it)
+   * @param {number} [options.height] - Reference height
+   * @param {number} [options.duration] - Duration in seconds (for progress)
+   * @param {number} [options.subsample=5] - Compare one frame out of N (1 = every frame)
+   * @param {string} [options.referenceFilter] - Filters applied to the reference first (crop / deinterlace used by the encode)
+   * @param {Function} [options.onProgress] - Progress callback ({ type: "analysis", progress, ... })
+   * @returns {Promise<{method: string, vmaf: number|null, ssim: number|null, psnr: number|null, subsample: number}>}
+   */
+  async analyzeQuality(referencePath, encodedPath, options = {}) {
+    const subsample = Math.max(1, parseInt(options.subsample) || 5);
+
+    try {
+      const scores = await this.runQualityPass(referencePath, encodedPath, "vmaf", subsample, options);
+      if (scores.vmaf !== null) {
+        return { method: "vmaf", vmaf: scores.vmaf, ssim: null, psnr: null, subsample };
+      }
+      logger.warn("[QUALITY] VMAF score not found in FFmpeg output, falling back to SSIM/PSNR");
+    } catch (error) {
+      logger.warn(`[QUALITY] VMAF analysis unavailable (${error.message.split("\n")[0]}), falling back to SSIM/PSNR`);
+    }
+
+    const scores = await this.runQualityPass(referencePath, encodedPath, "ssim_psnr", subsample, options);
+    if (scores.ssim === null && scores.psnr === null) {
+      throw new Error("Quality analysis produced no SSIM/PSNR scores");
+    }
+    return { method: "ssim_psnr", vmaf: null, ssim: scores.ssim, psnr: scores.psnr, subsample };
+  }
+
+  // Run one FFmpeg comparison pass and parse the scores from its log output
+  runQualityPass(referencePath, encodedPath, method, subsample, options) {
+    return new Promise((resolve, reject) => {
+      const scores = { vmaf: null, ssim: null, psnr: null };
+
+      // Both inputs are aligned on the same timestamps, frame step and pixel format;
+      // the encoded video is scaled back to the reference size if it differs
+      const prepare = `framestep=${subsample},setpts=PTS-STARTPTS,format=yuv420p`;
+      const scale = options.width && options.height ? `scale=${options.width}:${options.height}:flags=bicubic,` : "";
+      const reference = options.referenceFilter ? `${options.referenceFilter},` : "";
+      const filters = [`[0:v]${scale}${prepare}[dist]`, `[1:v]${reference}${prepare}[ref]`];
+
+      if (method === "vmaf") {
+        filters.push(`[dist][ref]libvmaf=n_threads=${os.cpus().length}`);
+      } else {
+        filters.push("[dist]split[dist1][dist2]", "[ref]split[ref1][ref2]", "[dist1][ref1]ssim", "[dist2][ref2]psnr");
+      }
+
+      const startTime = Date.now();
+      const command = ffmpeg()
+        .input(encodedPath) // Distorted first (libvmaf convention)
+        .input(referencePath)
+        .complexFilter(filters.join(";"))
+        .outputOptions(["-an", "-sn", "-f", "null"])
+        .output("-")
+        .on("start", (commandLine) => {
+          logger.info(`[QUALITY] FFmpeg command: ${commandLine}`);
+        })
+        .on("stderr", (line) => {
+          const vmafMatch = line.match(/VMAF score[:=]\s*([\d.]+)/i);
+          const ssimMatch = line.match(/SSIM .*All:([\d.]+)/);
+          const psnrMatch = line.match(/PSNR .*average:([\d.]+|inf)/);
+          if (vmafMatch) scores.vmaf = parseFloat(vmafMatch[1]);
+          if (ssimMatch) scores.ssim = parseFloat(ssimMatch[1]);
+          if (psnrMatch) scores.psnr = psnrMatch[1] === "inf" ? 100 : parseFloat(psnrMatch[1]);
+        })
+        .on("progress", (progress) => {
+          if (!options.onProgress || !options.duration || !progress.timemark) return;
+          const [hours, minutes, seconds] = progress.timemark.split(":").map((part) => parseFloat(part) || 0);
+          const currentTime = hours * 3600 + minutes * 60 + seconds;
+          const percent = Math.min(100, (currentTime / options.duration) * 100);
+          const elapsedSeconds = (Date.now() - startTime) / 1000;
+          options.onProgress({
+            type: "analysis",
+            progress: percent,
+            currentTime,
+            totalDuration: options.duration,
+            fps: progress.currentFps || 0,
+            eta: percent > 1 ? Math.round((elapsedSeconds * (100 - percent)) / percent) : null,
+            elapsedTime: elapsedSeconds,
+          });
+        })
+        .on("end", () => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          logger.info(`[QUALITY] ${method} pass done in ${formatDuration((Date.now() - startTime) / 1000)}: vmaf=${scores.vmaf}, ssim=${scores.ssim}, psnr=${scores.psnr}`);
+          resolve(scores);
+        })
+        .on("error", (err) => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          reject(err);
+        });
+
+      // Register as current process so stopEncoding() can interrupt the analysis
+      this.currentProcess = command;
+      this.isEncoding = true;
+      command.run();
+    });
+  }
+
+  /**
+   * Decode a whole file and collect the decoder errors (integrity check before upload).
+   * Audio is decoded too; subtitles are only checked by stream count (see verify.js).
+   *
+   * @param {string} filePath - Encoded file
+   * @param {object} [options] - { duration, onProgress }
+   * @returns {Promise<{errors: number, samples: Array<string>, elapsed: number}>} Error lines count and the first ones
+   */
+  verifyDecode(filePath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const samples = [];
+      let errors = 0;
+
+      const startTime = Date.now();
+      const command = ffmpeg(filePath)
+        .inputOptions(["-v", "error", "-stats"])
+        .outputOptions(["-map", "0:v", "-map", "0:a?", "-f", "null"])
+        .output("-")
+        .on("start", (commandLine) => {
+          logger.info(`[VERIFY] FFmpeg command: ${commandLine}`);
+        })
+        .on("stderr", (line) => {
+          if (!isDecodeErrorLine(line)) return;
+          errors++;
+          if (samples.length < MAX_ERROR_SAMPLES) samples.push(line.trim());
+        })
+        .on("progress", (progress) => {
+          if (!options.onProgress || !options.duration || !progress.timemark) return;
+          const [hours, minutes, seconds] = progress.timemark.split(":").map((part) => parseFloat(part) || 0);
+          const currentTime = hours * 3600 + minutes * 60 + seconds;
+          const percent = Math.min(100, (currentTime / options.duration) * 100);
+          const elapsedSeconds = (Date.now() - startTime) / 1000;
+          options.onProgress({
+            type: "verification",
+            progress: percent,
+            currentTime,
+            totalDuration: options.duration,
+            fps: progress.currentFps || 0,
+            eta: percent > 1 ? Math.round((elapsedSeconds * (100 - percent)) / percent) : null,
+            elapsedTime: elapsedSeconds,
+          });
+        })
+        .on("end", () => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          const elapsed = (Date.now() - startTime) / 1000;
+          logger.info(`[VERIFY] Full decode done in ${formatDuration(elapsed)}: ${errors} error line(s)`);
+          resolve({ errors, samples, elapsed });
+        })
+        .on("error", (err) => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          reject(err);
+        });
+
+      // Register as current process so stopEncoding() can interrupt the decode
+      this.currentProcess = command;
+      this.isEncoding = true;
+      command.run();
+    });
+  }
+
+  /**
+   * Target quality search: encode short samples of the source at several CQ/CRF values
+   * (binary search) and keep the highest value whose mean VMAF still meets the target.
+   *
+   * @param {string} inputPath - Source file
+   * @param {string} outputPath - Final output path (samples are written next to it)
+   * @param {Function} [onProgress] - Progress callback ({ type: "quality_search", progress, ... })
+   * @param {object} [encodeOptions] - Options forwarded to the sample encodes (e.g. sourcePath, sourceAnalysis, ffmpegConfig)
+   * @returns {Promise<object>} Search summary saved in encoding_params.target_quality
+   */
+  async findTargetQuality(inputPath, outputPath, onProgress = null, encodeOptions = {}) {
+    const ffmpegConfig = encodeOptions.ffmpegConfig || this.userConfig?.ffmpeg || {};
+    const videoCodec = ffmpegConfig.video_codec || "hevc_nvenc";
+    const target = parseFloat(ffmpegConfig.target_vmaf) || 93;
+    const sampleCount = Math.max(1, parseInt(ffmpegConfig.target_vmaf_samples) || 3);
+    const sampleDuration = Math.max(2, parseInt(ffmpegConfig.target_vmaf_sample_duration) || 20);
+
+    // AV1 and VP9 use a 0-63 quality scale, HEVC/H.264 use 0-51
+    const wideScale = videoCodec.includes("av1") || videoCodec.includes("vp9");
+    let minQuality = parseInt(ffmpegConfig.target_vmaf_min_quality) || (wideScale ? 20 : 18);
+    let maxQuality = parseInt(ffmpegConfig.target_vmaf_max_quality) || (wideScale ? 45 : 34);
+    if (minQuality > maxQuality) {
+      [minQuality, maxQuality] = [maxQuality, minQuality];
+    }
+
+    const videoInfo = await this.getVideoInfo(inputPath);
+    if (videoInfo.video.hdr.is_hdr && ffmpegConfig.hdr?.tonemap === true) {
+      // VMAF cannot compare an HDR reference with a tone-mapped SDR encode
+      throw new Error("Target VMAF is not available when tone-mapping HDR to SDR");
+    }
+    // Samples are compared against the source with the same crop / deinterlace as the encode
+    const referenceFilter = buildSourceFilters(encodeOptions.sourceAnalysis).join(",");
+    const crop = encodeOptions.sourceAnalysis?.crop;
+    const sampleDir = path.join(path.dirname(outputPath), `${path.parse(outputPath).name}_samples`);
+    await fs.ensureDir(sampleDir);
+
+    logger.info(`[TARGET VMAF] Target ${target}, ${sampleCount} samples × ${sampleDuration}s, search range ${minQuality}-${maxQuality}`);
+
+    const expectedSteps = Math.ceil(Math.log2(maxQuality - minQuality + 2));
+    const startTime = Date.now();
+    const reportProgress = (step, detail) => {
+      if (!onProgress) return;
+      const percent = Math.min(100, (step / expectedSteps) * 100);
+      const elapsedSeconds = (Date.now() - startTime) / 1000;
+      onProgress({
+        type: "quality_search",
+        progress: percent,
+        detail,
+        eta: percent > 0 ? Math.round((elapsedSeconds * (100 - percent)) / percent) : null,
+        elapsedTime: elapsedSeconds,
+      });
+    };
+
+    try {
+      // Cut samples spread over the file (the whole file when it is too short)
+      const samples = [];
+      if (videoInfo.duration <= sampleCount * sampleDuration * 2) {
+        samples.push(inputPath);
+      } else {
+        for (let i = 1; i <= sampleCount; i++) {
+          const start = Math.max(0, (videoInfo.duration * i) / (sampleCount + 1) - sampleDuration / 2);
+          const samplePath = path.join(sampleDir, `sample_${i}.mkv`);
+          await this.extractSample(inputPath, samplePath, start, sampleDuration);
+          samples.push(samplePath);
+        }
+      }
+
+      const trace = [];
+      let low = minQuality;
+      let high = maxQuality;
+      let chosen = null;
+      reportProgress(0, "samples ready");
+
+      while (low <= high) {
+        if (this.stopRequested) {
+          throw new Error("Target quality search stopped");
+        }
+
+        const quality = Math.floor((low + high) / 2);
+        const sampleScores = [];
+
+        for (const [index, samplePath] of samples.entries()) {
+          const encodedSample = path.join(sampleDir, `sample_${index + 1}_q${quality}.mkv`);
+          await this.encodeVideo(samplePath, encodedSample, null, { ...encodeOptions, qualityOverride: quality, sample: true });
+          const scores = await this.analyzeQuality(samplePath, encodedSample, {
+            width: crop ? crop.width : videoInfo.video.width,
+            height: crop ? crop.height : videoInfo.video.height,
+            referenceFilter,
+            subsample: 1,
+          });
+          if (scores.method !== "vmaf") {
+            throw new Error("libvmaf is not available in this FFmpeg build");
+          }
+          sampleScores.push(scores.vmaf);
+          await fs.remove(encodedSample).catch(() => {});
         }
 
-        // Map all streams to preserve audio tracks and subtitles
-        command
-          .addOption("-map", "0") // Map all streams from input
-          .addOption("-c:s", "copy"); // Copy all subtitle streams
+        const vmaf = sampleScores.reduce((sum, score) => sum + score, 0) / sampleScores.length;
+        const meetsTarget = vmaf >= target;
+        trace.push({ quality, vmaf: parseFloat(vmaf.toFixed(2)), sample_scores: sampleScores.map((score) => parseFloat(score.toFixed(2))), meets_target: meetsTarget });
+        logger.info(`[TARGET VMAF] Quality ${quality}: VMAF ${vmaf.toFixed(2)} ${meetsTarget ? "✅" : "❌"} (target ${target})`);
 
-        // Audio configuration
-        if (audioCodec === "copy") {
-          command.addOption("-c:a", "copy"); // Copy all audio streams
+        if (meetsTarget) {
+          chosen = quality;
+          low = quality + 1; // Meets the target: try a higher (smaller) value
         } else {
-          // Re-encode audio with specified codec and bitrate
-          command.addOption("-c:a", audioCodec).addOption("-b:a", `${audioBitrate}k`);
+          high = quality - 1;
         }
+        reportProgress(trace.length, `q${quality}: VMAF ${vmaf.toFixed(1)}`);
+      }
 
-        command
-          .output(outputPath)
-          .on("start", (commandLine) => {
-            logger.info(`FFmpeg command: ${commandLine}`);
-          })
-          .on("progress", (progress) => {
-            try {
-              // NVENC (GPU) progress calculation:
-              // FFmpeg progress.timemark is sometimes unreliable with NVENC
-              // Use frames processed instead for more accurate progress
-
-              let currentTime = 0;
-              let percent = 0;
-              let adjustedTotalFrames = totalFrames; // Track adjusted total if needed
-
-              if (progress.frames && totalFrames > 0) {
-                // Method 1: Use frames (most reliable for NVENC)
-                const framesProcessed = parseInt(progress.frames) || 0;
-
-                // If we exceed expected frames, adjust the total dynamically
-                // This happens with VFR videos, interlaced content, or incorrect FPS detection
-                if (framesProcessed > totalFrames) {
-                  adjustedTotalFrames = framesProcessed; // Use actual frame count as new total
-                  logger.debug(`[NVENC Progress] Adjusted total frames from ${totalFrames} to ${adjustedTotalFrames} (FPS mismatch)`);
-                }
-
-                percent = Math.min(100, (framesProcessed / adjustedTotalFrames) * 100);
-                currentTime = framesProcessed / videoInfo.video.fps;
-
-                logger.debug(`[NVENC Progress] Frames: ${framesProcessed}/${adjustedTotalFrames} (${percent.toFixed(2)}%)`);
-              } else if (progress.timemark) {
-                // Method 2: Fallback to timemark parsing (CPU encoding or when frames not available)
-                const timeParts = progress.timemark.split(":");
-                const hours = parseInt(timeParts[0]) || 0;
-                const minutes = parseInt(timeParts[1]) || 0;
-                const seconds = parseFloat(timeParts[2]) || 0;
-
-                currentTime = hours * 3600 + minutes * 60 + seconds;
-                percent = totalDuration > 0 ? Math.min(100, (currentTime / totalDuration) * 100) : 0;
-              }
-
-              const elapsedSeconds = (Date.now() - this.startTime) / 1000;
-
-              // FIXED: Always calculate ETA even for small progress
-              let eta = null;
-              if (percent > 0.1 && elapsedSeconds > 5) {
-                const totalEstimatedSeconds = (elapsedSeconds * 100) / percent;
-                const remainingSeconds = totalEstimatedSeconds - elapsedSeconds;
-
-                // Only validate that ETA is reasonable (not negative, not > 48h)
-                if (isFinite(remainingSeconds) && remainingSeconds >= 0 && remainingSeconds <= 172800) {
-                  eta = Math.round(remainingSeconds);
-                }
-              }
-
-              // Log ETA calculation occasionally for debugging
-              if (Math.random() < 0.05) {
-                // 5% of the time
-                logger.debug(`[GPU] ETA: ${percent.toFixed(2)}% | elapsed: ${elapsedSeconds.toFixed(0)}s | ETA: ${eta ? eta + "s" : "calculating..."} | FPS: ${progress.currentFps || 0}`);
-              }
-
-              const progressData = {
-                type: "encoding",
-                progress: Math.min(percent, 100),
-                currentTime,
-                totalDuration,
-                fps: progress.currentFps || 0,
-                speed: parseFloat(progress.currentKbps) || 0,
-                eta: eta,
-                elapsedTime: elapsedSeconds,
-                frames: progress.frames ? parseInt(progress.frames) : null,
-                totalFrames: totalFrames,
-              };
-
-              this.emit("progress", progressData);
-
-              if (onProgress) {
-                onProgress(progressData);
-              }
-            } catch (progressError) {
-              logger.warn("Failed to parse encoding progress:", progressError);
-            }
-          })
-          .on("end", async () => {
-            this.isEncoding = false;
-            this.currentProcess = null;
-            this.currentEncodingFile = null;
+      // Target unreachable within the range: use the best quality allowed
+      const metTarget = chosen !== null;
+      if (!metTarget) {
+        chosen = minQuality;
+        logger.warn(`[TARGET VMAF] Target ${target} not reached in range, using best allowed quality ${chosen}`);
+      }
 
-            // Clear encoding state file
-            await this.clearEncodingState();
+      logger.info(`[TARGET VMAF] Selected quality ${chosen} after ${trace.length} probes in ${formatDuration((Date.now() - startTime) / 1000)}`);
 
-            const elapsedTime = (Date.now() - this.startTime) / 1000;
-            logger.info(`Encoding completed in ${formatDuration(elapsedTime)}: ${outputPath}`);
-            logger.info(`Expected frames: ${totalFrames}, Actual encoding time: ${formatDuration(elapsedTime)}`);
+      return {
+        target,
+        chosen,
+        met_target: metTarget,
+        range: [minQuality, maxQuality],
+        samples: samples.length,
+        sample_duration: samples[0] === inputPath ? videoInfo.duration : sampleDuration,
+        trace,
+      };
+    } finally {
+      await fs.remove(sampleDir).catch(() => {});
+    }
+  }
 
-            try {
-              // Verify output file exists and get final info
-              const outputInfo = await this.getVideoInfo(outputPath);
-
-              // Create encoding params object to save
-              const encodingParams = {
-                gpu_used: this.gpuAvailable,
-                codec_family: isVP9 ? "VP9" : "HEVC",
-                encoder: this.gpuAvailable ? gpuCodec : cpuCodec,
-                preset: this.gpuAvailable ? encodePreset : cpuPreset,
-                quality: this.gpuAvailable ? cq : crf,
-                quality_type: this.gpuAvailable ? "CQ" : "CRF",
-                profile: profile,
-                audio_codec: audioCodec,
-                audio_bitrate: audioCodec === "copy" ? null : audioBitrate,
-                two_pass: twoPass,
-                // NVENC specific params (only if GPU was used)
-                ...(this.gpuAvailable && {
-                  rc_mode: rcMode,
-                  bitrate: bitrate,
-                  maxrate: maxrate,
-                  lookahead: lookahead,
-                  bframes: bframes,
-                  b_ref_mode: bRefMode,
-                  spatial_aq: spatialAQ,
-                  temporal_aq: temporalAQ,
-                  aq_strength: aqStrength,
-                  multipass: multipass,
-                }),
-              };
-
-              resolve({
-                inputPath,
-                outputPath,
-                elapsedTime,
-                inputInfo: videoInfo,
-                outputInfo: outputInfo,
-                encodingParams: encodingParams,
-              });
-            } catch (verifyError) {
-              logger.error("Failed to verify encoded file:", verifyError);
-              reject(verifyError);
-            }
-          })
-          .on("error", async (err) => {
-            this.isEncoding = false;
-            this.currentProcess = null;
-            this.currentEncodingFile = null;
+  // Cut a sample from the source without re-encoding (starts on the previous keyframe).
+  // Video only by default; allStreams keeps audio and subtitles (preview encodes).
+  // inputOptions go before the input (HTTP headers of a WebDAV stream source).
+  extractSample(inputPath, samplePath, start, duration, { allStreams = false, inputOptions = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      const streamArgs = allStreams ? ["-map", "0", "-dn"] : ["-map", "0:v:0", "-an", "-sn"];
+      const command = ffmpeg(inputPath)
+        .inputOptions(["-ss", start.toFixed(2), ...inputOptions])
+        .outputOptions(["-t", duration.toString(), ...streamArgs, "-c", "copy", "-y"])
+        .output(samplePath)
+        .on("end", () => {
+          this.currentProcess = null;
+          resolve(samplePath);
+        })
+        .on("error", (err) => {
+          this.currentProcess = null;
+          reject(err);
+        });
 
-            // Clear encoding state file
-            await this.clearEncodingState();
+      this.currentProcess = command;
+      command.run();
+    });
+  }
 
-            logger.error(`Encoding failed for ${inputPath}:`, err);
+  /**
+   * Crop and interlace detection: run cropdetect + idet over several segments of the
+   * source and decide a stable crop and a deinterlace filter.
+   *
+   * @param {string} inputPath - Source file (downloaded copy)
+   * @param {Function} [onProgress] - Progress callback ({ type: "source_analysis", progress, ... })
+   * @param {object} [ffmpegConfig] - Job ffmpeg settings (defaults to the saved user config)
+   * @returns {Promise<object>} { crop, deinterlace, segments, idet, source, analyzed_at } stored in jobs.source_analysis
+   */
+  async analyzeSource(inputPath, onProgress = null, ffmpegConfig = null) {
+    if (this.isEncoding) {
+      throw new Error("Encoder is already running");
+    }
+    this.stopRequested = false;
 
-            // Clean up partial output file
-            fs.unlink(outputPath).catch(() => {});
+    await this.reloadConfig();
+    const analysisConfig = (ffmpegConfig || this.userConfig?.ffmpeg)?.source_analysis || {};
+    const segmentCount = Math.max(1, parseInt(analysisConfig.segments) || 6);
+    const segmentDuration = Math.max(2, parseInt(analysisConfig.segment_duration) || 10);
 
-            reject(err);
-          });
+    const videoInfo = await this.getVideoInfo(inputPath);
+    const { width, height } = videoInfo.video;
+    const starts = pickSegmentStarts(videoInfo.duration, segmentCount, segmentDuration);
+    const startTime = Date.now();
 
-        this.currentProcess = command;
-        command.run();
-      });
-    } catch (error) {
-      this.isEncoding = false;
-      logger.error(`Failed to start encoding ${inputPath}:`, error);
-      throw error;
+    logger.info(`[ANALYSIS] Crop/interlace detection on ${starts.length} segments × ${segmentDuration}s (${width}x${height})`);
+
+    const segmentCrops = [];
+    const idet = { tff: 0, bff: 0, progressive: 0, undetermined: 0 };
+
+    for (const [index, start] of starts.entries()) {
+      if (this.stopRequested) {
+        throw new Error("Source analysis stopped");
+      }
+
+      const segment = await this.runDetectionSegment(inputPath, start, segmentDuration);
+      segmentCrops.push(segment.crop);
+      if (segment.idet) {
+        Object.keys(idet).forEach((key) => (idet[key] += segment.idet[key]));
+      }
+      logger.debug(`[ANALYSIS] Segment ${index + 1} @${start}s: crop=${segment.crop ? `${segment.crop.width}:${segment.crop.height}:${segment.crop.x}:${segment.crop.y}` : "none"}`);
+
+      if (onProgress) {
+        const percent = ((index + 1) / starts.length) * 100;
+        const elapsedSeconds = (Date.now() - startTime) / 1000;
+        onProgress({
+          type: "source_analysis",
+          progress: percent,
+          detail: `segment ${index + 1}/${starts.length}`,
+          eta: Math.round((elapsedSeconds * (100 - percent)) / percent),
+          elapsedTime: elapsedSeconds,
+        });
+      }
+    }
+
+    const crop = analysisConfig.auto_crop !== false ? decideCrop(segmentCrops, width, height, { min_crop: analysisConfig.min_crop }) : null;
+    const deinterlace =
+      analysisConfig.auto_deinterlace !== false
+        ? decideDeinterlace(idet, { deinterlacer: analysisConfig.deinterlacer, interlace_threshold: analysisConfig.interlace_threshold })
+        : null;
+
+    logger.info(
+      `[ANALYSIS] Done in ${formatDuration((Date.now() - startTime) / 1000)}: crop=${crop ? `${crop.width}x${crop.height}+${crop.x}+${crop.y}` : "none"}, ` +
+        `interlace=${deinterlace ? `${deinterlace.field_order} (${Math.round(deinterlace.ratio * 100)}%)` : "progressive"} [TFF ${idet.tff} / BFF ${idet.bff} / P ${idet.progressive} / U ${idet.undetermined}]`
+    );
+
+    return {
+      crop,
+      deinterlace,
+      segments: starts.length,
+      segment_duration: segmentDuration,
+      idet,
+      source: `${width}x${height}`,
+      analyzed_at: new Date().toISOString(),
+    };
+  }
+
+  // Decode one segment through idet + cropdetect and keep the last (cumulative) values
+  runDetectionSegment(inputPath, start, duration) {
+    return new Promise((resolve, reject) => {
+      const result = { crop: null, idet: null };
+
+      const command = ffmpeg(inputPath)
+        .inputOptions(["-ss", start.toString()])
+        .outputOptions(["-t", duration.toString(), "-map", "0:v:0", "-vf", DETECTION_FILTER, "-an", "-sn", "-f", "null"])
+        .output("-")
+        .on("stderr", (line) => {
+          result.crop = parseCropdetectLine(line) || result.crop;
+          result.idet = parseIdetLine(line) || result.idet;
+        })
+        .on("end", () => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          resolve(result);
+        })
+        .on("error", (err) => {
+          this.currentProcess = null;
+          this.isEncoding = false;
+          reject(err);
+        });
+
+      // Register as current process so stopEncoding() can interrupt the analysis
+      this.currentProcess = command;
+      this.isEncoding = true;
+      command.run();
+    });
+  }
+
+  /**
+   * Start limiting the load of the encode that just started (no-op at 100%)
+   * @param {number} pid - FFmpeg process ID
+   * @param {boolean} cpuEncode - Also lower the process priority (software encoders)
+   * @param {number} limit - ffmpeg.gpu_limit
+   */
+  startThrottle(pid, cpuEncode, limit) {
+    this.stopThrottle();
+    if (!pid) return;
+
+    this.throttle = new ProcessThrottle(pid, { cpu: cpuEncode });
+    this.throttle.setLimit(limit);
+    if (clampLoadLimit(limit) < 100) {
+      logger.info(`[THROTTLE] Encoding load limited to ${clampLoadLimit(limit)}% (PID ${pid}${cpuEncode ? ", lower priority" : ""})`);
+    }
+  }
+
+  stopThrottle() {
+    if (this.throttle) {
+      this.throttle.stop();
+      this.throttle = null;
     }
   }
 
+  /**
+   * Change the load limit, live on the running encode and saved for the next ones
+   * @param {number} limit - Percent (100 = unlimited)
+   * @returns {Promise<number>} Applied limit
+   */
+  async setLoadLimit(limit) {
+    const applied = clampLoadLimit(limit);
+    if (this.throttle) {
+      this.throttle.setLimit(applied);
+    }
+    logger.info(`[THROTTLE] Load limit set to ${applied}%${this.throttle ? " (running encode updated)" : ""}`);
+
+    const userConfig = await fs.readJSON("./sharkoder.config.json").catch(() => null);
+    if (userConfig) {
+      userConfig.ffmpeg = { ...(userConfig.ffmpeg || {}), gpu_limit: applied };
+      await fs.writeJSON("./sharkoder.config.json", userConfig, { spaces: 2 });
+      this.userConfig = userConfig;
+    }
+    return applied;
+  }
+
   async stopEncoding() {
+    this.stopRequested = true;
+    // A suspended FFmpeg cannot handle the stop signal
+    this.stopThrottle();
+
     if (this.currentProcess && this.isEncoding) {
       logger.info("Stopping current encoding process...");
 
@@ -613,8 +1406,7 @@ class VideoEncoder extends EventEmitter {
   // Save current encoding state to file for crash recovery
   async saveEncodingState() {
     try {
-      const stateFilePath = path.join(__dirname, "..", ".encoding_state.json");
-      await fs.writeJson(stateFilePath, this.currentEncodingFile, { spaces: 2 });
+      await fs.writeJson(this.stateFilePath, this.currentEncodingFile, { spaces: 2 });
       logger.info("Encoding state saved");
     } catch (error) {
       logger.error("Failed to save encoding state:", error);
@@ -624,9 +1416,8 @@ class VideoEncoder extends EventEmitter {
   // Clear encoding state file
   async clearEncodingState() {
     try {
-      const stateFilePath = path.join(__dirname, "..", ".encoding_state.json");
-      if (await fs.pathExists(stateFilePath)) {
-        await fs.remove(stateFilePath);
+      if (await fs.pathExists(this.stateFilePath)) {
+        await fs.remove(this.stateFilePath);
         logger.info("Encoding state cleared");
       }
     } catch (error) {
@@ -637,9 +1428,8 @@ class VideoEncoder extends EventEmitter {
   // Load encoding state from file (for crash recovery)
   async loadEncodingState() {
     try {
-      const stateFilePath = path.join(__dirname, "..", ".encoding_state.json");
-      if (await fs.pathExists(stateFilePath)) {
-        const state = await fs.readJson(stateFilePath);
+      if (await fs.pathExists(this.stateFilePath)) {
+        const state = await fs.readJson(this.stateFilePath);
         logger.info("Found interrupted encoding:", state);
         return state;
       }
@@ -649,7 +1439,7 @@ class VideoEncoder extends EventEmitter {
     return null;
   }
 
-  // Clean up ghost file from interrupted encoding
+  // Clean up ghost file from interrupted encoding (finished segments of a segmented encode are kept)
   async cleanupGhostFile() {
     const state = await this.loadEncodingState();
     if (state && state.outputPath) {
@@ -658,6 +1448,9 @@ class VideoEncoder extends EventEmitter {
           await safeFileDelete(state.outputPath);
           logger.info(`Cleaned up ghost file: ${state.outputPath}`);
         }
+        if (state.segmentDir) {
+          logger.info(`Segments of the interrupted encode kept for resume: ${state.segmentDir}`);
+        }
         await this.clearEncodingState();
         return state;
       } catch (error) {
@@ -0,0 +1,225 @@
+/**
+ * estimate.js - Sharkoder Queue Estimator
+ *
+ * Module: Output Size and Time Prediction
+ * Author: Sharkoder Team
+ * Description: Prédiction de la taille encodée et des temps d'encodage / transfert d'un
+ *              fichier à partir de l'historique des jobs terminés (tailles avant/après,
+ *              durée, résolution, codec source, encodeur, timing_data), et ETA de la file
+ *              entière en simulant le pipeline téléchargement → encodage → upload.
+ * Dependencies: aucune (module pur, aucune E/S)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Échantillons historiques: ratio de taille, vitesse d'encodage (secondes de vidéo par seconde),
+ *   débits de téléchargement et d'upload
+ * - Groupes du plus précis au plus large: codec + résolution + encodeur, résolution + encodeur,
+ *   encodeur, tout l'historique (au moins MIN_GROUP_SAMPLES jobs par groupe)
+ * - Médianes (un encodage raté ou un transfert très lent ne fausse pas l'estimation)
+ * - Durée totale d'une liste en tenant compte du recouvrement des 3 étapes du pipeline
+ */
+
+const MIN_GROUP_SAMPLES = 3;
+
+const median = (values) => {
+  const sorted = values.filter((value) => isFinite(value) && value > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const parseJson = (value) => {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Common resolution key ("4K" and "2160p" are the same class)
+ * @param {string} resolution - Resolution label from the job / cache
+ * @returns {string|null} "2160p", "1080p", ... or null when unknown
+ */
+const normalizeResolution = (resolution) => {
+  if (!resolution) return null;
+  const value = String(resolution).toLowerCase();
+  if (value === "4k" || value === "uhd") return "2160p";
+  const match = value.match(/(\d{3,4})p/) || value.match(/\d+x(\d+)/);
+  return match ? `${match[1]}p` : null;
+};
+
+const normalizeCodec = (codec) => {
+  if (!codec) return null;
+  const value = String(codec).toLowerCase();
+  if (value.includes("hevc") || value.includes("265")) return "hevc";
+  if (value.includes("avc") || value.includes("264")) return "h264";
+  return value.split(/[\s(]/)[0];
+};
+
+/**
+ * Turn a completed job into an estimator sample
+ * @param {object} job - Row of the jobs table
+ * @returns {object|null} Sample, or null when sizes are missing
+ */
+const toSample = (job) => {
+  if (!(job.size > 0) || !(job.size_after > 0)) return null;
+  const params = parseJson(job.encoding_params) || {};
+  const timing = parseJson(job.timing_data) || {};
+  const duration = job.duration || job.duration_after || null;
+
+  return {
+    codec: normalizeCodec(job.codec_before),
+    resolution: normalizeResolution(job.resolution),
+    encoder: params.encoder || null,
+    sizeRatio: job.size_after / job.size,
+    encodeSpeed: duration && timing.encode_duration > 0 ? duration / timing.encode_duration : null,
+    encodeByteRate: timing.encode_duration > 0 ? job.size / timing.encode_duration : null,
+    downloadRate: timing.download_duration > 0 ? job.size / timing.download_duration : null,
+    uploadRate: timing.upload_duration > 0 ? job.size_after / timing.upload_duration : null,
+  };
+};
+
+/**
+ * Build the estimator from the job history
+ * @param {Array<object>} jobs - Jobs (only completed ones with both sizes are used)
+ * @returns {{samples: Array<object>}} Model
+ */
+const buildEstimatorModel = (jobs) => ({
+  samples: (jobs || [])
+    .filter((job) => job.status === "completed")
+    .map(toSample)
+    .filter(Boolean),
+});
+
+/**
+ * Most specific group of samples with enough history for a file
+ * @returns {{samples: Array<object>, basis: string}}
+ */
+const pickSamples = (model, file, encoder) => {
+  const codec = normalizeCodec(file.codec || file.codec_before);
+  const resolution = normalizeResolution(file.resolution);
+  const levels = [
+    { basis: "codec+resolution+encoder", match: (sample) => sample.codec === codec && sample.resolution === resolution && sample.encoder === encoder, usable: codec && resolution && encoder },
+    { basis: "resolution+encoder", match: (sample) => sample.resolution === resolution && sample.encoder === encoder, usable: resolution && encoder },
+    { basis: "encoder", match: (sample) => sample.encoder === encoder, usable: encoder },
+    { basis: "all", match: () => true, usable: true },
+  ];
+
+  for (const level of levels) {
+    if (!level.usable) continue;
+    const samples = model.samples.filter(level.match);
+    if (samples.length >= MIN_GROUP_SAMPLES || (level.basis === "all" && samples.length > 0)) {
+      return { samples, basis: level.basis };
+    }
+  }
+  return { samples: [], basis: "none" };
+};
+
+/**
+ * Predict output size and times of one file
+ * @param {object} model - buildEstimatorModel() result
+ * @param {object} file - { size, duration, codec|codec_before, resolution }
+ * @param {string} [encoder] - Encoder that will be used (e.g. "hevc_nvenc")
+ * @returns {{sizeAfter: number|null, saved: number|null, encodeSeconds: number|null, downloadSeconds: number|null, uploadSeconds: number|null, basis: string, samples: number}}
+ */
+const estimateFile = (model, file, encoder = null) => {
+  const { samples, basis } = pickSamples(model, file, encoder);
+  const size = file.size || 0;
+  const ratio = median(samples.map((sample) => sample.sizeRatio));
+  const sizeAfter = ratio !== null && size > 0 ? Math.round(size * ratio) : null;
+
+  // Video seconds per second when the duration is known, bytes per second otherwise
+  const encodeSpeed = median(samples.map((sample) => sample.encodeSpeed));
+  const encodeByteRate = median(samples.map((sample) => sample.encodeByteRate));
+  let encodeSeconds = null;
+  if (file.duration > 0 && encodeSpeed) {
+    encodeSeconds = Math.round(file.duration / encodeSpeed);
+  } else if (size > 0 && encodeByteRate) {
+    encodeSeconds = Math.round(size / encodeByteRate);
+  }
+
+  // Transfer rates do not depend on the encoder: use the whole history
+  const downloadRate = median(model.samples.map((sample) => sample.downloadRate));
+  const uploadRate = median(model.samples.map((sample) => sample.uploadRate));
+
+  return {
+    sizeAfter,
+    saved: sizeAfter !== null ? size - sizeAfter : null,
+    encodeSeconds,
+    downloadSeconds: downloadRate && size > 0 ? Math.round(size / downloadRate) : null,
+    uploadSeconds: uploadRate && sizeAfter ? Math.round(sizeAfter / uploadRate) : null,
+    basis,
+    samples: samples.length,
+  };
+};
+
+/**
+ * Time at which each job of a list leaves the pipeline (one download, one encode and one
+ * upload at a time): a stage starts when the previous job left it and this job left the
+ * previous stage.
+ * @param {Array<{download: number, encode: number, upload: number}>} steps - Remaining seconds per stage, in queue order
+ * @returns {Array<number>} Seconds until the upload of each job ends
+ */
+const pipelineFinishTimes = (steps) => {
+  let downloadEnd = 0;
+  let encodeEnd = 0;
+  let uploadEnd = 0;
+  return steps.map((step) => {
+    downloadEnd += step.download || 0;
+    encodeEnd = Math.max(encodeEnd, downloadEnd) + (step.encode || 0);
+    uploadEnd = Math.max(uploadEnd, encodeEnd) + (step.upload || 0);
+    return Math.round(uploadEnd);
+  });
+};
+
+/**
+ * Wall-clock time of a list of jobs going through the pipeline
+ * @param {Array<{download: number, encode: number, upload: number}>} steps - Remaining seconds per stage, in queue order
+ * @returns {number} Seconds until the last upload ends
+ */
+const simulatePipeline = (steps) => {
+  const finishTimes = pipelineFinishTimes(steps);
+  return finishTimes.length > 0 ? finishTimes[finishTimes.length - 1] : 0;
+};
+
+/**
+ * Predict a list of files (confirmation before enqueueing)
+ * @param {object} model - buildEstimatorModel() result
+ * @param {Array<object>} files - Files in the order they will be queued
+ * @param {string} [encoder] - Encoder that will be used
+ * @returns {{files: Array<object>, totals: object}} Per-file estimates and totals
+ */
+const estimateBatch = (model, files, encoder = null) => {
+  const estimates = files.map((file) => ({ path: file.path, size: file.size || 0, ...estimateFile(model, file, encoder) }));
+  const sum = (key) => estimates.reduce((total, estimate) => total + (estimate[key] || 0), 0);
+  const known = estimates.filter((estimate) => estimate.sizeAfter !== null);
+
+  return {
+    files: estimates,
+    totals: {
+      count: estimates.length,
+      estimated: known.length,
+      history: model.samples.length,
+      sizeBefore: sum("size"),
+      sizeAfter: known.length > 0 ? sum("sizeAfter") : null,
+      saved: known.length > 0 ? sum("saved") : null,
+      encodeSeconds: sum("encodeSeconds"),
+      transferSeconds: sum("downloadSeconds") + sum("uploadSeconds"),
+      pipelineSeconds: simulatePipeline(estimates.map((estimate) => ({ download: estimate.downloadSeconds, encode: estimate.encodeSeconds, upload: estimate.uploadSeconds }))),
+    },
+  };
+};
+
+module.exports = {
+  MIN_GROUP_SAMPLES,
+  normalizeResolution,
+  normalizeCodec,
+  buildEstimatorModel,
+  estimateFile,
+  estimateBatch,
+  pipelineFinishTimes,
+  simulatePipeline,
+};
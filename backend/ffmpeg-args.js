@@ -0,0 +1,489 @@
+/**
+ * ffmpeg-args.js - Sharkoder FFmpeg Argument Builder
+ *
+ * Module: Encoding Command Construction
+ * Author: Sharkoder Team
+ * Description: Construction pure des arguments FFmpeg d'un encodage à partir de la config,
+ *              des infos de la source et des réglages propres au job. Aucune E/S: la même
+ *              fonction sert à l'encodage réel, à l'aperçu de la commande et aux tests.
+ * Dependencies: tracks, hdr, resolution, analysis (modules purs)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Choix de l'encodeur (NVENC / x265 / libvpx-vp9 / SVT-AV1) et des réglages effectifs
+ * - Chaîne de filtres: désentrelacement, crop, mise à l'échelle, tone-mapping, débruitage
+ * - Métadonnées HDR, tags couleur, sélection des pistes, audio
+ * - Vérification de cohérence (ex: -2pass ou -cq ignorés en CBR) avec avertissements
+ * - Paramètres d'encodage enregistrés sur le job (encoding_params)
+ * - Ligne de commande lisible pour l'aperçu ("Show FFmpeg command")
+ */
+
+const { selectTracks } = require("./tracks");
+const { checkDolbyVision, buildHdrEncoderArgs, buildTonemapFilter } = require("./hdr");
+const { computeTargetResolution } = require("./resolution");
+const { buildSourceFilters } = require("./analysis");
+
+// NVENC rate control modes where -cq / -maxrate apply
+const NVENC_VBR_MODES = ["vbr", "vbr_hq"];
+
+// Legacy NVENC modes av1_nvenc does not offer: base mode, the "hq" part kept through -multipass
+const AV1_NVENC_LEGACY_RC = { vbr_hq: "vbr", cbr_hq: "cbr", cbr_ld_hq: "cbr" };
+
+// Representative source used by the settings preview (no file selected)
+const PREVIEW_VIDEO_INFO = {
+  duration: 5400,
+  size: 8 * 1024 * 1024 * 1024,
+  video: {
+    codec: "h264",
+    width: 1920,
+    height: 1080,
+    fps: 23.976,
+    pix_fmt: "yuv420p",
+    hdr: { type: "SDR", is_hdr: false },
+  },
+  audio: [
+    { index: 0, codec: "dts", language: "eng", title: "", default: true, original: false, commentary: false },
+    { index: 1, codec: "ac3", language: "fre", title: "VFF", default: false, original: false, commentary: false },
+  ],
+  subtitles: [{ index: 0, codec: "subrip", language: "fre", title: "", default: false, forced: false, hearing_impaired: false }],
+};
+
+// Format a bitrate setting for FFmpeg (numbers are megabits)
+const formatBitrate = (value) => {
+  if (typeof value === "number") return `${value}M`;
+  if (typeof value === "string" && !value.includes("M") && !value.includes("k")) return `${value}M`;
+  return value;
+};
+
+/**
+ * Build the FFmpeg arguments of an encode.
+ *
+ * @param {object} ffmpegConfig - ffmpeg section of the user config
+ * @param {object} videoInfo - Result of VideoEncoder.getVideoInfo() for the source
+ * @param {object} [overrides] - Job level inputs
+ * @param {number} [overrides.qualityOverride] - Forced CQ/CRF (target VMAF result)
+ * @param {object} [overrides.targetQuality] - Target VMAF search summary (stored in encoding_params)
+ * @param {object} [overrides.sourceAnalysis] - Crop / deinterlace from the analysis pass
+ * @param {string} [overrides.sourcePath] - Server path (resolution policy exceptions)
+ * @param {object} [overrides.segment] - Encode only this chunk ({ start, duration }), video stream only
+ * @param {string} [overrides.inputPath="input.mkv"] - Source path used in argv
+ * @param {string} [overrides.outputPath="output.mkv"] - Output path used in argv (null device for pass 1)
+ * @param {number} [overrides.pass] - Two-pass encoding: 1 (analysis, no output file) or 2 (final)
+ * @param {string} [overrides.passLogFile] - Stats file prefix shared by both passes
+ * @param {object} [environment] - Detected hardware: { gpuAvailable, av1NvencAvailable }
+ * @returns {object} { argv, inputArgs, outputArgs, commandLine, warnings, notes, encodingParams, ... }
+ * @throws {Error} When the source is refused (Dolby Vision without usable base layer)
+ */
+const buildEncodeArgs = (ffmpegConfig = {}, videoInfo, overrides = {}, environment = {}) => {
+  const config = ffmpegConfig || {};
+  const warnings = [];
+  const notes = [];
+
+  // Basic encoding settings
+  const videoCodec = config.video_codec || "hevc_nvenc";
+  const encodePreset = config.encode_preset || "p7";
+  const cq = config.cq ?? 24;
+  const cpuPreset = config.cpu_preset || "medium";
+  const crf = config.crf ?? 23;
+  const audioCodec = config.audio_codec || "copy";
+  const audioBitrate = config.audio_bitrate || 192;
+  const twoPass = config.two_pass === true;
+  const profile = config.profile;
+  const forceGPU = config.force_gpu;
+
+  // AV1 settings (separate from HEVC/VP9: SVT-AV1 and NVENC AV1 use different scales)
+  const av1CpuPreset = config.av1_cpu_preset ?? 6; // SVT-AV1 preset: 0 (slowest) - 13 (fastest)
+  const av1Crf = config.av1_crf ?? 30; // SVT-AV1 CRF: 0-63
+  const av1FilmGrain = config.av1_film_grain ?? 0; // SVT-AV1 film grain synthesis: 0 (off) - 50
+  const av1NvencPreset = config.av1_nvenc_preset || "p5"; // NVENC AV1 preset: p1-p7
+  const av1Cq = config.av1_cq ?? 32; // NVENC AV1 CQ: 0-51
+  const av1NvencDenoise = config.av1_nvenc_denoise ?? config.av1_nvenc_film_grain ?? 0; // NVENC AV1 hqdn3d denoise: 0 (off) - 10 (old key: av1_nvenc_film_grain)
+
+  // Detect codec family (HEVC, VP9 or AV1)
+  let isVP9 = videoCodec.includes("vp9");
+  const isAV1 = videoCodec.includes("av1");
+  let isHEVC = !isAV1 && (videoCodec.includes("hevc") || videoCodec.includes("265"));
+  const codecFamily = isAV1 ? "AV1" : isVP9 ? "VP9" : "HEVC";
+
+  // Determine GPU/CPU codec names
+  let gpuCodec, cpuCodec;
+  if (isAV1) {
+    gpuCodec = "av1_nvenc";
+    cpuCodec = "libsvtav1";
+  } else if (isVP9) {
+    gpuCodec = "vp9_nvenc";
+    cpuCodec = "libvpx-vp9";
+
+    // VP9 NVENC is not widely supported - fallback to HEVC NVENC
+    if (environment.gpuAvailable) {
+      warnings.push("VP9 NVENC is not available on most GPUs. Falling back to HEVC NVENC.");
+      warnings.push("To use VP9, disable GPU encoding in settings or use CPU encoder (libvpx-vp9).");
+      gpuCodec = "hevc_nvenc";
+      cpuCodec = "libx265";
+      isVP9 = false;
+      isHEVC = true;
+    }
+  } else {
+    gpuCodec = "hevc_nvenc";
+    cpuCodec = "libx265";
+  }
+
+  // GPU test only covers HEVC NVENC - AV1 NVENC is checked separately
+  let useGpu = !!environment.gpuAvailable;
+  if (isAV1 && useGpu && !forceGPU && environment.av1NvencAvailable === false) {
+    warnings.push("AV1 NVENC (av1_nvenc) is not available. Falling back to SVT-AV1 (libsvtav1) on CPU.");
+    useGpu = false;
+  }
+  const encoder = useGpu ? gpuCodec : cpuCodec;
+
+  // Advanced NVENC settings
+  const requestedRcMode = config.rc_mode || "vbr_hq";
+  const av1LegacyRc = useGpu && isAV1 ? AV1_NVENC_LEGACY_RC[requestedRcMode] : undefined;
+  const rcMode = av1LegacyRc || requestedRcMode;
+  const bitrate = formatBitrate(config.bitrate ?? 5);
+  const maxrate = formatBitrate(config.maxrate ?? 8);
+  const lookahead = config.lookahead ?? 32;
+  const bframes = config.bframes ?? 3;
+  const bRefMode = config.b_ref_mode || "middle";
+  const spatialAQ = config.spatial_aq !== false;
+  const temporalAQ = config.temporal_aq !== false;
+  const aqStrength = config.aq_strength ?? 8;
+  const multipass = av1LegacyRc && config.multipass === "disabled" ? "fullres" : config.multipass || "fullres";
+  if (av1LegacyRc) {
+    notes.push(`AV1 NVENC: rc ${requestedRcMode} not supported, using -rc ${rcMode} -multipass ${multipass}`);
+  }
+
+  // Advanced codec settings
+  const pixFmt = config.pix_fmt || "p010le"; // Pixel format: yuv420p (8-bit) / p010le (10-bit)
+  const gopSize = config.gop_size || 96; // GOP size (keyframe interval)
+  const refs = config.refs || 4; // Reference frames: 1-16
+
+  // Audio/subtitle track selection rules (language, codec, title, forced/commentary flags)
+  const trackSelection = selectTracks(videoInfo, config.track_selection);
+
+  // HDR: refuse Dolby Vision sources without a usable base layer, carry colour metadata over
+  const hdrConfig = config.hdr || {};
+  const sourceHdr = videoInfo.video.hdr || { type: "SDR", is_hdr: false };
+  const dolbyVision = checkDolbyVision(sourceHdr, hdrConfig.dolby_vision);
+  if (!dolbyVision.allowed) {
+    throw new Error(dolbyVision.reason);
+  }
+  if (dolbyVision.dolby_vision_dropped) {
+    warnings.push(dolbyVision.reason);
+  }
+
+  // Tone-mapping (HDR → SDR BT.709 8-bit) only applies to HDR sources, otherwise passthrough
+  const tonemap = sourceHdr.is_hdr && hdrConfig.tonemap === true ? buildTonemapFilter(sourceHdr, { algorithm: hdrConfig.tonemap_algorithm, desat: hdrConfig.tonemap_desat }) : null;
+  const hdrPassthrough = sourceHdr.is_hdr && !tonemap && hdrConfig.passthrough !== false;
+  const hdrArgs = hdrPassthrough ? buildHdrEncoderArgs(sourceHdr, encoder) : buildHdrEncoderArgs(null);
+  if (tonemap) {
+    notes.push(`[HDR] Source ${sourceHdr.type}: tone-mapping to SDR BT.709 8-bit (${tonemap.algorithm})`);
+  } else if (sourceHdr.is_hdr) {
+    notes.push(`[HDR] Source ${sourceHdr.type}: ${hdrPassthrough ? `metadata passthrough (${hdrArgs.metadata})` : "passthrough disabled"}`);
+  }
+
+  // Deinterlace / crop detected before the encode (see analyzeSource)
+  const sourceFilters = buildSourceFilters(overrides.sourceAnalysis);
+  const crop = overrides.sourceAnalysis?.crop || null;
+  const deinterlace = overrides.sourceAnalysis?.deinterlace || null;
+  const frameWidth = crop ? crop.width : videoInfo.video.width;
+  const frameHeight = crop ? crop.height : videoInfo.video.height;
+  if (sourceFilters.length > 0) {
+    notes.push(`[ANALYSIS] Applying source filters: ${sourceFilters.join(",")}`);
+  }
+
+  // Resolution ceiling: downscale only when the (cropped) picture exceeds it (path exceptions keep the original size)
+  const scaling = computeTargetResolution(frameWidth, frameHeight, config.resolution, overrides.sourcePath);
+  if (scaling.scale) {
+    notes.push(`[SCALE] Downscaling ${frameWidth}x${frameHeight} → ${scaling.width}x${scaling.height} (${scaling.reason}): ${scaling.filter}`);
+  } else if (config.resolution?.enabled) {
+    notes.push(`[SCALE] Keeping source resolution: ${scaling.reason}`);
+  }
+
+  // HDR needs a 10-bit pipeline: never let an 8-bit pixel format truncate it.
+  // Tone-mapped output is 8-bit SDR: Main profile, yuv420p.
+  let effectivePixFmt = pixFmt;
+  let effectiveProfile = profile;
+  if (tonemap) {
+    effectivePixFmt = "yuv420p";
+    effectiveProfile = isHEVC && profile ? "main" : profile;
+  } else if (hdrPassthrough && pixFmt === "yuv420p") {
+    effectivePixFmt = "p010le";
+    effectiveProfile = isHEVC && profile === "main" ? "main10" : profile;
+  }
+  if (effectivePixFmt !== pixFmt) {
+    warnings.push(`[HDR] Pixel format ${pixFmt} overridden to ${effectivePixFmt} (profile ${effectiveProfile}) for ${tonemap ? "SDR tone-mapped" : "HDR"} output`);
+  }
+
+  // Effective preset/quality for the selected codec family and encoder
+  const effectivePreset = isAV1 ? (useGpu ? av1NvencPreset : av1CpuPreset) : useGpu ? encodePreset : cpuPreset;
+  const effectiveQuality = overrides.qualityOverride ?? (isAV1 ? (useGpu ? av1Cq : av1Crf) : useGpu ? cq : crf);
+  const effectiveFilmGrain = isAV1 && !useGpu ? av1FilmGrain : null;
+  const effectiveDenoise = isAV1 && useGpu && av1NvencDenoise > 0 ? Math.min(10, av1NvencDenoise) : null;
+  let effectiveTwoPass = twoPass;
+
+  // Real two-pass (stats file) for x265 and libvpx-vp9; NVENC uses -multipass, SVT-AV1 has no 2-pass here
+  const cpuTwoPass = twoPass && !useGpu && (isHEVC || isVP9);
+  const pass = cpuTwoPass && overrides.passLogFile ? overrides.pass : undefined;
+  if (twoPass && !useGpu && isAV1) {
+    effectiveTwoPass = false;
+    warnings.push("two_pass not supported with SVT-AV1: single pass");
+  }
+  if (pass === 1) {
+    notes.push(`Two-pass: analysis pass (stats: ${overrides.passLogFile})`);
+  }
+
+  const inputArgs = [];
+  const outputArgs = [];
+
+  // Segment: start on its keyframe, stop where the next segment starts
+  if (overrides.segment) {
+    inputArgs.push("-ss", overrides.segment.start.toString());
+    outputArgs.push("-t", overrides.segment.duration.toString());
+  }
+
+  // Filter chain: deinterlace and crop, then downscale (every following filter works on fewer pixels),
+  // then HDR → SDR tone-mapping, then the AV1 NVENC grain denoise
+  const videoFilters = [...sourceFilters];
+  if (scaling.scale) {
+    videoFilters.push(scaling.filter);
+  }
+  if (tonemap) {
+    videoFilters.push(tonemap.filter);
+  }
+  if (effectiveDenoise) {
+    // AV1 NVENC has no film grain synthesis in FFmpeg: light denoise so that grain does not eat the bitrate
+    const strength = effectiveDenoise;
+    videoFilters.push(`hqdn3d=${strength}:${strength * 0.75}:${strength * 1.5}:${strength * 1.125}`);
+    notes.push(`AV1 NVENC denoise (hqdn3d): level ${strength}`);
+  }
+  if (videoFilters.length > 0) {
+    outputArgs.push("-vf", videoFilters.join(","));
+  }
+
+  if (useGpu) {
+    // NVENC encoding with full quality parameters (no degradation based on gpu_limit)
+    outputArgs.push("-c:v", gpuCodec, "-preset", effectivePreset, "-rc", rcMode);
+
+    // -cq and -maxrate only mean something in VBR modes; constqp takes -qp, CBR only the bitrate
+    if (NVENC_VBR_MODES.includes(rcMode)) {
+      outputArgs.push("-cq", effectiveQuality.toString(), "-b:v", bitrate, "-maxrate", maxrate);
+    } else if (rcMode === "constqp") {
+      outputArgs.push("-qp", effectiveQuality.toString());
+      warnings.push(`rc=constqp: quality ${effectiveQuality} sent as -qp, bitrate settings ignored`);
+    } else {
+      outputArgs.push("-b:v", bitrate);
+      warnings.push(`rc=${rcMode}: -cq ${effectiveQuality} and -maxrate ignored (constant bitrate ${bitrate})`);
+    }
+
+    // Add profile only for HEVC (VP9 doesn't use same profile system)
+    if (isHEVC && effectiveProfile) {
+      outputArgs.push("-profile:v", effectiveProfile);
+    }
+
+    // Pixel format (forced to 10-bit for HDR), GOP size and reference frames
+    outputArgs.push("-pix_fmt", effectivePixFmt, "-g", gopSize.toString(), "-refs", refs.toString());
+
+    // Common NVENC options - FULL QUALITY (no adjustments based on gpu_limit)
+    outputArgs.push(
+      "-spatial-aq",
+      spatialAQ ? "1" : "0",
+      "-temporal-aq",
+      temporalAQ ? "1" : "0",
+      "-aq-strength",
+      aqStrength.toString(),
+      "-bf",
+      bframes.toString(),
+      "-b_ref_mode",
+      bRefMode,
+      "-rc-lookahead",
+      lookahead.toString(),
+      "-multipass",
+      multipass
+    );
+
+    // Legacy -2pass only for VBR without -multipass (multipass supersedes it, CBR/constQP ignore it)
+    if (twoPass && NVENC_VBR_MODES.includes(rcMode)) {
+      if (multipass === "disabled") {
+        outputArgs.push("-2pass", "1");
+      } else {
+        notes.push(`two_pass handled by -multipass ${multipass}`);
+      }
+    } else if (twoPass) {
+      effectiveTwoPass = false;
+      warnings.push(`two_pass ignored with rc=${rcMode}: -2pass not sent`);
+    }
+  } else if (isAV1) {
+    // AV1 CPU encoding with SVT-AV1 (does not accept p010le)
+    outputArgs.push("-c:v", cpuCodec, "-preset", av1CpuPreset.toString(), "-crf", effectiveQuality.toString());
+    outputArgs.push("-pix_fmt", effectivePixFmt === "p010le" ? "yuv420p10le" : "yuv420p", "-g", gopSize.toString());
+
+    // Film grain synthesis: grain is removed before encoding and re-synthesized at decode time
+    const svtParams = [`film-grain=${av1FilmGrain}`];
+    if (av1FilmGrain > 0) {
+      svtParams.push("film-grain-denoise=0");
+    }
+    svtParams.push(...hdrArgs.svtParams);
+    outputArgs.push("-svtav1-params", svtParams.join(":"));
+  } else if (isVP9) {
+    // VP9 CPU encoding with libvpx-vp9 (CRF mode, row multithreading, auto threads)
+    outputArgs.push(
+      "-c:v",
+      cpuCodec,
+      "-crf",
+      effectiveQuality.toString(),
+      "-b:v",
+      "0",
+      "-cpu-used",
+      cpuPreset === "fast" ? "5" : cpuPreset === "medium" ? "2" : "1",
+      "-row-mt",
+      "1",
+      "-threads",
+      "0"
+    );
+
+    // HDR needs VP9 profile 2 (10-bit)
+    if (hdrPassthrough) {
+      outputArgs.push("-profile:v", "2", "-pix_fmt", "yuv420p10le");
+    }
+
+    // VP9 two-pass encoding: both passes share the stats file
+    if (pass) {
+      outputArgs.push("-pass", pass.toString(), "-passlogfile", overrides.passLogFile);
+    }
+  } else {
+    // HEVC CPU encoding with x265
+    outputArgs.push("-c:v", cpuCodec, "-preset", cpuPreset, "-crf", effectiveQuality.toString());
+
+    if (effectiveProfile) {
+      outputArgs.push("-profile:v", effectiveProfile);
+    }
+
+    // HDR: 10-bit output with HDR10 SEI (master-display, max-cll) or HLG signalling
+    if (hdrPassthrough) {
+      outputArgs.push("-pix_fmt", "yuv420p10le");
+    } else if (tonemap) {
+      outputArgs.push("-pix_fmt", "yuv420p");
+    }
+    // x265 two-pass: quoted stats path (Windows drive letters contain ':')
+    const passParams = pass ? [`pass=${pass}`, `stats='${`${overrides.passLogFile}.log`.replace(/\\/g, "/")}'`] : [];
+    outputArgs.push("-x265-params", ["log-level=error", ...passParams, ...hdrArgs.x265Params].join(":"));
+  }
+
+  // Colour tags (primaries, transfer, matrix) for every encoder: HDR passthrough or BT.709 after tone-mapping
+  outputArgs.push(...(tonemap ? tonemap.colorArgs : hdrArgs.colorArgs));
+
+  if (pass === 1) {
+    // Analysis pass: video only, nothing written but the stats file
+    outputArgs.push("-map", "0:v:0", "-an", "-sn", "-dn", "-f", "null");
+  } else if (overrides.segment) {
+    // Segments only carry the video: audio, subtitles and attachments are muxed from the source at the end
+    outputArgs.push("-map", "0:v:0", "-an", "-sn", "-dn");
+  } else {
+    // Map streams: all of them ("-map 0") or only the tracks kept by the selection rules
+    outputArgs.push(...trackSelection.ffmpegArgs, "-c:s", "copy");
+
+    // Audio: copy all streams or re-encode with the configured codec and bitrate
+    outputArgs.push(...(audioCodec === "copy" ? ["-c:a", "copy"] : ["-c:a", audioCodec, "-b:a", `${audioBitrate}k`]));
+  }
+
+  const inputPath = overrides.inputPath || "input.mkv";
+  const outputPath = overrides.outputPath || "output.mkv";
+  const argv = [...inputArgs, "-i", inputPath, "-y", ...outputArgs, outputPath];
+
+  const encodingParams = {
+    gpu_used: useGpu,
+    codec_family: codecFamily,
+    encoder,
+    preset: effectivePreset,
+    quality: effectiveQuality,
+    quality_type: useGpu ? "CQ" : "CRF",
+    profile: isAV1 ? "main" : effectiveProfile,
+    ...(isAV1 && !useGpu && { film_grain: effectiveFilmGrain }),
+    ...(isAV1 && useGpu && { denoise: effectiveDenoise || 0 }),
+    ...(sourceHdr.is_hdr && {
+      hdr: {
+        type: sourceHdr.type,
+        passthrough: hdrPassthrough,
+        metadata: hdrArgs.metadata,
+        ...(tonemap && { tonemapped: true, tonemap_algorithm: tonemap.algorithm }),
+        color_transfer: sourceHdr.color_transfer,
+        mastering_display: sourceHdr.mastering_display,
+        content_light: sourceHdr.content_light,
+        ...(dolbyVision.dolby_vision_dropped && { dolby_vision_dropped: true, dolby_vision_note: dolbyVision.reason }),
+      },
+    }),
+    ...(overrides.targetQuality && { rate_control: "target_vmaf", target_quality: overrides.targetQuality }),
+    ...(scaling.scale && {
+      scaling: {
+        from: `${frameWidth}x${frameHeight}`,
+        to: `${scaling.width}x${scaling.height}`,
+        scaler: scaling.filter.split("flags=")[1],
+        label: scaling.label,
+      },
+    }),
+    ...(sourceFilters.length > 0 && {
+      source_filters: {
+        ...(crop && { crop: { from: `${videoInfo.video.width}x${videoInfo.video.height}`, to: `${crop.width}x${crop.height}`, filter: crop.filter } }),
+        ...(deinterlace && { deinterlace: { filter: deinterlace.filter, field_order: deinterlace.field_order } }),
+      },
+    }),
+    ...(trackSelection.enabled && { track_selection: { audio: trackSelection.audio, subtitles: trackSelection.subtitles } }),
+    audio_codec: audioCodec,
+    audio_bitrate: audioCodec === "copy" ? null : audioBitrate,
+    two_pass: effectiveTwoPass,
+    // NVENC specific params (only if GPU was used)
+    ...(useGpu && {
+      rc_mode: rcMode,
+      bitrate,
+      maxrate,
+      lookahead,
+      bframes,
+      b_ref_mode: bRefMode,
+      spatial_aq: spatialAQ,
+      temporal_aq: temporalAQ,
+      aq_strength: aqStrength,
+      multipass,
+    }),
+  };
+
+  return {
+    argv,
+    inputArgs,
+    outputArgs,
+    commandLine: formatCommandLine(argv),
+    warnings,
+    notes,
+    encodingParams,
+    // Decisions reused by the caller (logging, quality analysis, filenames)
+    codecFamily,
+    encoder,
+    useGpu,
+    trackSelection,
+    dolbyVision,
+    tonemap,
+    hdrPassthrough,
+    hdrArgs,
+    scaling,
+    sourceFilters,
+    effectivePixFmt,
+    effectiveProfile,
+    effectivePreset,
+    effectiveQuality,
+    twoPass: cpuTwoPass,
+  };
+};
+
+/**
+ * Readable shell command line for an argv (arguments with spaces or quotes are quoted)
+ * @param {Array<string>} argv - FFmpeg arguments (without the binary)
+ * @returns {string} "ffmpeg ..." command line
+ */
+const formatCommandLine = (argv) =>
+  ["ffmpeg", ...argv].map((arg) => (/^[\w@%+=:,./\\-]+$/.test(String(arg)) ? String(arg) : `"${String(arg).replace(/(["\\$`])/g, "\\$1")}"`)).join(" ");
+
+module.exports = {
+  PREVIEW_VIDEO_INFO,
+  buildEncodeArgs,
+  formatCommandLine,
+};
@@ -0,0 +1,131 @@
+/**
+ * ffmpeg-progress.js - Sharkoder Encoding Progress
+ *
+ * Module: FFmpeg Progress Stream
+ * Author: Sharkoder Team
+ * Description: Lecture de la sortie machine de FFmpeg (-progress pipe:1) et calcul de la
+ *              progression d'un encodage à partir du temps de présentation encodé, rapporté
+ *              à la durée sondée (plus de total de frames corrigé à la volée pour les sources VFR).
+ * Dependencies: aucune (module pur, aucune E/S)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Découpage du flux clé=valeur en blocs (un bloc par ligne progress=continue|end)
+ * - Normalisation des champs: out_time_us, total_size, bitrate, speed, frame, fps
+ * - Progression basée sur le temps de présentation / durée sondée
+ * - Estimation de la taille finale et débit courant pour l'affichage dans la file
+ *
+ * Exemple de bloc FFmpeg:
+ * frame=1200 fps=48.00 bitrate=2450.3kbits/s total_size=15314944 out_time_us=50050000
+ * out_time=00:00:50.050000 speed=2.01x progress=continue
+ */
+
+// Below this share of the source, the output size is dominated by headers and buffering
+const MIN_ESTIMATE_PERCENT = 1;
+
+// "N/A", "", negative values (first block before any packet) -> null
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isFinite(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Parse "HH:MM:SS.micro" (out_time) into seconds
+ * @param {string} value - out_time value
+ * @returns {number|null} Seconds
+ */
+const parseOutTime = (value) => {
+  const parts = String(value || "").split(":");
+  if (parts.length !== 3) return null;
+  const [hours, minutes, seconds] = parts.map((part) => parseFloat(part));
+  if ([hours, minutes, seconds].some((part) => isNaN(part)) || hours < 0) return null;
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Normalize one progress block
+ * @param {object} fields - Raw key/value pairs of the block
+ * @returns {{outTime: number|null, totalSize: number|null, bitrate: number|null, speed: number|null, frame: number|null, fps: number|null, ended: boolean}}
+ *          outTime in seconds, totalSize in bytes, bitrate in kbit/s, speed as a multiple of real time
+ */
+const parseProgressBlock = (fields) => {
+  // out_time_ms is also in microseconds (historical FFmpeg naming bug)
+  const outTimeUs = toNumber(fields.out_time_us ?? fields.out_time_ms);
+  return {
+    outTime: outTimeUs !== null ? outTimeUs / 1e6 : parseOutTime(fields.out_time),
+    totalSize: toNumber(fields.total_size),
+    bitrate: toNumber(String(fields.bitrate || "").replace("kbits/s", "")),
+    speed: toNumber(String(fields.speed || "").replace("x", "")),
+    frame: toNumber(fields.frame),
+    fps: toNumber(fields.fps),
+    ended: fields.progress === "end",
+  };
+};
+
+/**
+ * Progress of an encode from a parsed block
+ * @param {object} block - parseProgressBlock() result
+ * @param {number} totalDuration - Probed duration of the encoded range in seconds
+ * @param {object} [options] - { sizeKnown: false for outputs without a real file (null muxer) }
+ * @returns {{currentTime: number, percent: number, outputSize: number|null, estimatedSize: number|null}}
+ */
+const computeEncodeProgress = (block, totalDuration, options = {}) => {
+  const currentTime = block.outTime || 0;
+  let percent = totalDuration > 0 ? Math.min(100, (currentTime / totalDuration) * 100) : 0;
+  if (block.ended) percent = 100;
+
+  const sizeKnown = options.sizeKnown !== false && block.totalSize !== null;
+  const outputSize = sizeKnown ? block.totalSize : null;
+  let estimatedSize = null;
+  if (outputSize && percent >= MIN_ESTIMATE_PERCENT) {
+    estimatedSize = Math.round((outputSize * 100) / percent);
+  }
+
+  return { currentTime, percent, outputSize, estimatedSize };
+};
+
+/**
+ * Incremental reader for `-progress pipe:1`: feed stdout chunks, get one callback per block.
+ */
+class ProgressStreamParser {
+  /**
+   * @param {function(object): void} onBlock - Called with parseProgressBlock() results
+   */
+  constructor(onBlock) {
+    this.onBlock = onBlock;
+    this.buffer = "";
+    this.fields = {};
+  }
+
+  /**
+   * @param {Buffer|string} chunk - Raw stdout data (lines may be split across chunks)
+   */
+  push(chunk) {
+    this.buffer += chunk.toString();
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+
+    lines.forEach((line) => {
+      const separator = line.indexOf("=");
+      if (separator <= 0) return;
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      this.fields[key] = value;
+
+      // "progress" always closes a block
+      if (key === "progress") {
+        const block = parseProgressBlock(this.fields);
+        this.fields = {};
+        this.onBlock(block);
+      }
+    });
+  }
+}
+
+module.exports = {
+  MIN_ESTIMATE_PERCENT,
+  parseOutTime,
+  parseProgressBlock,
+  computeEncodeProgress,
+  ProgressStreamParser,
+};
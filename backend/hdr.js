@@ -0,0 +1,279 @@
+/**
+ * hdr.js - Sharkoder HDR Detection & Metadata Passthrough
+ *
+ * Module: HDR10 / HDR10+ / HLG / Dolby Vision handling
+ * Author: Sharkoder Team
+ * Description: Classification HDR à partir des données ffprobe (color_transfer, primaries,
+ *              side data mastering display / content light level / DOVI) et génération
+ *              des arguments FFmpeg pour conserver les métadonnées couleur à l'encodage.
+ * Dependencies: aucune (module pur)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Détection rapide du type HDR depuis un stream ffprobe (SDR, HDR10, HDR10+, HLG, DV)
+ * - Classification complète avec mastering display et MaxCLL/MaxFALL (side data de la 1re frame)
+ * - Dolby Vision: détection du profil et de la couche de base compatible (HDR10 / HLG / aucune)
+ * - Politique Dolby Vision: encodage de la couche de base (RPU perdu, signalé) ou refus
+ * - Arguments d'encodage: tags couleur (-color_primaries/-color_trc/-colorspace),
+ *   -x265-params (master-display, max-cll) et -svtav1-params (mastering-display, content-light)
+ * - Mode tone-mapping: conversion HDR → SDR BT.709 8-bit (zscale + tonemap, algorithme au choix)
+ *
+ * Limites connues:
+ * - NVENC et libvpx-vp9 ne reçoivent que les tags couleur (VUI). FFmpeg >= 7.1 transmet aussi
+ *   le mastering display des frames à NVENC; les versions antérieures l'ignorent.
+ * - Les métadonnées dynamiques (HDR10+, RPU Dolby Vision) ne sont pas conservées.
+ */
+
+const PQ_TRANSFER = "smpte2084";
+const HLG_TRANSFER = "arib-std-b67";
+
+// Algorithms supported by the FFmpeg tonemap filter
+const TONEMAP_ALGORITHMS = ["hable", "mobius", "reinhard", "clip", "gamma", "linear"];
+
+// Dolby Vision base layer signal compatibility IDs (dv_bl_signal_compatibility_id)
+const DV_BASE_LAYERS = {
+  0: null, // Profile 5: IPTPQc2, no compatible base layer
+  1: "HDR10",
+  2: "SDR",
+  4: "HLG",
+  6: "HDR10", // Profile 7 (UHD Blu-ray)
+};
+
+/**
+ * Parse an ffprobe rational ("34000/50000") or number
+ * @param {string|number} value - Raw ffprobe value
+ * @returns {number|null} Parsed value
+ */
+const parseRational = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value;
+  const [numerator, denominator] = String(value).split("/").map(Number);
+  if (Number.isNaN(numerator)) return null;
+  return denominator ? numerator / denominator : numerator;
+};
+
+/**
+ * Collect side data entries of a stream.
+ * JSON ffprobe output exposes a side_data_list array; fluent-ffmpeg flattens side data keys
+ * directly on the stream object, so the stream itself is used as a single entry in that case.
+ * @param {object} videoStream - ffprobe video stream
+ * @returns {Array<object>} Side data entries
+ */
+const collectSideData = (videoStream = {}) => {
+  if (Array.isArray(videoStream.side_data_list)) {
+    return videoStream.side_data_list;
+  }
+  return [videoStream];
+};
+
+/**
+ * Classify the HDR format of a video stream
+ * @param {object} videoStream - ffprobe video stream
+ * @param {Array<object>} [frameSideData] - Side data of the first frame (mastering display, CLL, HDR10+)
+ * @returns {object} { type, is_hdr, color_primaries, color_transfer, color_space, bit_depth,
+ *                     mastering_display, content_light, dolby_vision }
+ */
+const classifyHdr = (videoStream = {}, frameSideData = []) => {
+  const sideData = [...collectSideData(videoStream), ...frameSideData];
+  const transfer = videoStream.color_transfer || null;
+
+  const mastering = sideData.find((entry) => entry.red_x !== undefined);
+  const contentLight = sideData.find((entry) => entry.max_content !== undefined);
+  const dovi = sideData.find((entry) => entry.dv_profile !== undefined);
+  const hasHdr10Plus = sideData.some((entry) => /2094-40|HDR10\+/i.test(entry.side_data_type || ""));
+  const isDoviTag = ["dvh1", "dvhe", "dav1", "dva1"].includes((videoStream.codec_tag_string || "").toLowerCase());
+
+  let dolbyVision = null;
+  if (dovi || isDoviTag) {
+    const compatId = dovi ? parseInt(dovi.dv_bl_signal_compatibility_id) : NaN;
+    let baseLayer = Number.isNaN(compatId) ? undefined : DV_BASE_LAYERS[compatId];
+    if (baseLayer === undefined) {
+      // Unknown compatibility ID: trust the stream transfer characteristics
+      baseLayer = transfer === PQ_TRANSFER ? "HDR10" : transfer === HLG_TRANSFER ? "HLG" : null;
+    }
+    dolbyVision = {
+      profile: dovi ? parseInt(dovi.dv_profile) : null,
+      level: dovi ? parseInt(dovi.dv_level) || null : null,
+      bl_compat_id: Number.isNaN(compatId) ? null : compatId,
+      base_layer: baseLayer,
+    };
+  }
+
+  let type = "SDR";
+  if (dolbyVision) type = "DV";
+  else if (transfer === PQ_TRANSFER) type = hasHdr10Plus ? "HDR10+" : "HDR10";
+  else if (transfer === HLG_TRANSFER) type = "HLG";
+
+  const pixFmt = videoStream.pix_fmt || "";
+  const bitDepth = parseInt(videoStream.bits_per_raw_sample) || (/12(le|be)?$/.test(pixFmt) ? 12 : /10(le|be)?$|p010/.test(pixFmt) ? 10 : 8);
+
+  return {
+    type,
+    is_hdr: type !== "SDR",
+    color_primaries: videoStream.color_primaries || null,
+    color_transfer: transfer,
+    color_space: videoStream.color_space || null,
+    bit_depth: bitDepth,
+    mastering_display: mastering
+      ? {
+          red: [parseRational(mastering.red_x), parseRational(mastering.red_y)],
+          green: [parseRational(mastering.green_x), parseRational(mastering.green_y)],
+          blue: [parseRational(mastering.blue_x), parseRational(mastering.blue_y)],
+          white_point: [parseRational(mastering.white_point_x), parseRational(mastering.white_point_y)],
+          luminance: [parseRational(mastering.max_luminance), parseRational(mastering.min_luminance)],
+        }
+      : null,
+    content_light: contentLight ? { max_cll: parseInt(contentLight.max_content) || 0, max_fall: parseInt(contentLight.max_average) || 0 } : null,
+    dolby_vision: dolbyVision,
+  };
+};
+
+/**
+ * Quick HDR type detection from a stream (no frame side data: HDR10+ is reported as HDR10)
+ * @param {object} videoStream - ffprobe video stream
+ * @returns {string|null} "HDR10", "HLG", "DV"... or null for SDR / unknown
+ */
+const detectHdrType = (videoStream) => {
+  if (!videoStream) return null;
+  const { type } = classifyHdr(videoStream);
+  return type === "SDR" ? null : type;
+};
+
+/**
+ * Check whether a source can be encoded according to the Dolby Vision policy
+ * @param {object} hdr - Result of classifyHdr()
+ * @param {string} [policy] - "base_layer" (encode the HDR10/HLG base layer) or "refuse"
+ * @returns {{allowed: boolean, reason: string|null, dolby_vision_dropped: boolean}}
+ */
+const checkDolbyVision = (hdr, policy = "base_layer") => {
+  if (!hdr || hdr.type !== "DV") {
+    return { allowed: true, reason: null, dolby_vision_dropped: false };
+  }
+
+  const profile = hdr.dolby_vision.profile ?? "?";
+  if (policy === "refuse") {
+    return { allowed: false, reason: `Dolby Vision source (profile ${profile}) refused by configuration`, dolby_vision_dropped: false };
+  }
+  if (!hdr.dolby_vision.base_layer || hdr.dolby_vision.base_layer === "SDR") {
+    return {
+      allowed: false,
+      reason: `Dolby Vision profile ${profile} has no HDR10/HLG compatible base layer: encoding would produce wrong colours`,
+      dolby_vision_dropped: false,
+    };
+  }
+  return {
+    allowed: true,
+    reason: `Dolby Vision profile ${profile}: RPU dropped, encoding the ${hdr.dolby_vision.base_layer} base layer`,
+    dolby_vision_dropped: true,
+  };
+};
+
+/**
+ * Format a mastering display for x265 (chromaticity in 0.00002 units, luminance in 0.0001 cd/m²)
+ * @param {object} display - hdr.mastering_display
+ * @returns {string} G(x,y)B(x,y)R(x,y)WP(x,y)L(max,min)
+ */
+const formatX265MasterDisplay = (display) => {
+  const xy = ([x, y]) => `(${Math.round(x * 50000)},${Math.round(y * 50000)})`;
+  const [maxLuminance, minLuminance] = display.luminance;
+  return `G${xy(display.green)}B${xy(display.blue)}R${xy(display.red)}WP${xy(display.white_point)}L(${Math.round(maxLuminance * 10000)},${Math.round(minLuminance * 10000)})`;
+};
+
+/**
+ * Format a mastering display for SVT-AV1 (floating point values)
+ * @param {object} display - hdr.mastering_display
+ * @returns {string} G(x,y)B(x,y)R(x,y)WP(x,y)L(max,min)
+ */
+const formatSvtMasteringDisplay = (display) => {
+  const xy = ([x, y]) => `(${x.toFixed(4)},${y.toFixed(4)})`;
+  const [maxLuminance, minLuminance] = display.luminance;
+  return `G${xy(display.green)}B${xy(display.blue)}R${xy(display.red)}WP${xy(display.white_point)}L(${maxLuminance.toFixed(1)},${minLuminance.toFixed(4)})`;
+};
+
+/**
+ * Build the encoder arguments that carry HDR metadata over to the output
+ * @param {object} hdr - Result of classifyHdr()
+ * @param {string} encoder - FFmpeg encoder (libx265, hevc_nvenc, libsvtav1, av1_nvenc, libvpx-vp9)
+ * @returns {{colorArgs: Array<string>, x265Params: Array<string>, svtParams: Array<string>, metadata: string}}
+ *          metadata: "none" (SDR), "color_tags" (VUI only) or "full" (VUI + mastering display / CLL)
+ */
+const buildHdrEncoderArgs = (hdr, encoder) => {
+  const result = { colorArgs: [], x265Params: [], svtParams: [], metadata: "none" };
+  if (!hdr || !hdr.is_hdr) {
+    return result;
+  }
+
+  // Dolby Vision is encoded through its base layer
+  const isHlg = hdr.type === "HLG" || hdr.dolby_vision?.base_layer === "HLG";
+  const transfer = isHlg ? HLG_TRANSFER : PQ_TRANSFER;
+  const primaries = hdr.color_primaries && hdr.color_primaries !== "unknown" ? hdr.color_primaries : "bt2020";
+  const colorSpace = hdr.color_space && hdr.color_space !== "unknown" ? hdr.color_space : "bt2020nc";
+
+  result.colorArgs = ["-color_primaries", primaries, "-color_trc", transfer, "-colorspace", colorSpace];
+  result.metadata = "color_tags";
+
+  if (encoder === "libx265") {
+    result.x265Params = ["repeat-headers=1", `colorprim=${primaries}`, `transfer=${transfer}`, `colormatrix=${colorSpace}`];
+    if (!isHlg) {
+      result.x265Params.unshift("hdr10=1", "hdr10-opt=1");
+      if (hdr.mastering_display) {
+        result.x265Params.push(`master-display=${formatX265MasterDisplay(hdr.mastering_display)}`);
+      }
+      if (hdr.content_light) {
+        result.x265Params.push(`max-cll=${hdr.content_light.max_cll},${hdr.content_light.max_fall}`);
+      }
+      result.metadata = hdr.mastering_display ? "full" : "color_tags";
+    }
+  } else if (encoder === "libsvtav1") {
+    result.svtParams = ["enable-hdr=1"];
+    if (!isHlg) {
+      if (hdr.mastering_display) {
+        result.svtParams.push(`mastering-display=${formatSvtMasteringDisplay(hdr.mastering_display)}`);
+      }
+      if (hdr.content_light) {
+        result.svtParams.push(`content-light=${hdr.content_light.max_cll},${hdr.content_light.max_fall}`);
+      }
+      result.metadata = hdr.mastering_display ? "full" : "color_tags";
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Build the HDR → SDR BT.709 8-bit tone-mapping filter chain (requires FFmpeg with libzimg)
+ * @param {object} hdr - Result of classifyHdr()
+ * @param {object} [settings] - { algorithm, desat }
+ * @returns {{filter: string, algorithm: string, colorArgs: Array<string>}}
+ */
+const buildTonemapFilter = (hdr, settings = {}) => {
+  const algorithm = TONEMAP_ALGORITHMS.includes(settings.algorithm) ? settings.algorithm : "hable";
+  const desat = parseFloat(settings.desat) || 0;
+  const isHlg = hdr.type === "HLG" || hdr.dolby_vision?.base_layer === "HLG";
+
+  // Linearize (explicit input tags: many remuxes leave them unset), convert primaries,
+  // tone-map in float RGB, then back to BT.709 limited range 8-bit
+  const filter = [
+    `zscale=tin=${isHlg ? HLG_TRANSFER : PQ_TRANSFER}:pin=bt2020:min=bt2020nc:rin=tv:t=linear:npl=100`,
+    "format=gbrpf32le",
+    "zscale=p=bt709",
+    `tonemap=tonemap=${algorithm}:desat=${desat}`,
+    "zscale=t=bt709:m=bt709:r=tv",
+    "format=yuv420p",
+  ].join(",");
+
+  return {
+    filter,
+    algorithm,
+    colorArgs: ["-color_primaries", "bt709", "-color_trc", "bt709", "-colorspace", "bt709"],
+  };
+};
+
+module.exports = {
+  TONEMAP_ALGORITHMS,
+  classifyHdr,
+  detectHdrType,
+  checkDolbyVision,
+  buildHdrEncoderArgs,
+  buildTonemapFilter,
+};
@@ -0,0 +1,132 @@
+/**
+ * job-overrides.js - Sharkoder Per-Job Encoding Overrides
+ *
+ * Module: Job Encoding Overrides
+ * Author: Sharkoder Team
+ * Description: Réglages d'encodage propres à un job ("Edit encoding" dans la file, ou choisis
+ *              au rejet d'un encodage). Stockés sur le job (encoding_overrides) et fusionnés
+ *              par encodeVideo() sur la config de base du job (snapshot du preset ou réglages
+ *              globaux). Les réglages globaux et les autres jobs ne changent pas.
+ * Dependencies: aucune (module pur)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Codec vidéo, qualité fixe (CQ/CRF, désactive le mode target VMAF pour le job)
+ * - Preset de vitesse (p1-p7 NVENC, ultrafast-veryslow x265, 0-13 SVT-AV1)
+ * - Audio (codec, débit)
+ * - Filtres: hauteur maximale (0 = résolution source), tone-mapping HDR → SDR
+ * - Valeurs vides ignorées: un override absent garde la valeur de la config de base
+ *
+ * Format (colonne jobs.encoding_overrides, JSON):
+ * { video_codec: "libx265", quality: 20, speed_preset: "slow", audio_codec: "aac",
+ *   audio_bitrate: 192, max_height: 1080, tonemap: false }
+ */
+
+const OVERRIDE_KEYS = ["video_codec", "quality", "speed_preset", "audio_codec", "audio_bitrate", "max_height", "tonemap"];
+const NUMERIC_KEYS = ["quality", "audio_bitrate", "max_height"];
+
+/**
+ * Keep the known, non-empty overrides
+ * @param {object} overrides - Overrides from the editor
+ * @returns {object|null} Clean overrides, null when nothing is overridden
+ */
+const sanitizeOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== "object") return null;
+  const clean = {};
+
+  OVERRIDE_KEYS.forEach((key) => {
+    let value = overrides[key];
+    if (value === undefined || value === null || value === "") return;
+    if (NUMERIC_KEYS.includes(key)) {
+      value = Number(value);
+      if (!isFinite(value) || value < 0) return;
+    } else if (key === "tonemap") {
+      value = value === true || value === "true";
+    } else {
+      value = String(value);
+    }
+    clean[key] = value;
+  });
+
+  return Object.keys(clean).length > 0 ? clean : null;
+};
+
+/**
+ * Speed preset key of an encoder family ("p5" → NVENC, "slow" → x265, 6 → SVT-AV1)
+ */
+const speedPresetKey = (videoCodec, speedPreset) => {
+  const isAV1 = videoCodec.includes("av1");
+  if (/^p[1-7]$/.test(speedPreset)) return isAV1 ? "av1_nvenc_preset" : "encode_preset";
+  if (/^\d+$/.test(speedPreset)) return isAV1 ? "av1_cpu_preset" : null;
+  return isAV1 ? null : "cpu_preset";
+};
+
+/**
+ * Apply job overrides to an ffmpeg config
+ * @param {object} baseConfig - Job snapshot or saved ffmpeg settings
+ * @param {object} overrides - Job overrides (see sanitizeOverrides)
+ * @returns {object} New ffmpeg config (baseConfig is not modified)
+ */
+const mergeEncodingOverrides = (baseConfig, overrides) => {
+  const base = baseConfig || {};
+  const clean = sanitizeOverrides(overrides);
+  if (!clean) return base;
+
+  const merged = { ...base };
+  if (clean.video_codec) merged.video_codec = clean.video_codec;
+  const videoCodec = merged.video_codec || "hevc_nvenc";
+
+  // One value for the job: GPU CQ and CPU CRF (AV1 has its own scale), no target VMAF search
+  if (clean.quality !== undefined) {
+    if (videoCodec.includes("av1")) {
+      merged.av1_cq = clean.quality;
+      merged.av1_crf = clean.quality;
+    } else {
+      merged.cq = clean.quality;
+      merged.crf = clean.quality;
+    }
+    merged.rate_control_mode = "fixed";
+  }
+
+  if (clean.speed_preset !== undefined) {
+    const key = speedPresetKey(videoCodec, clean.speed_preset);
+    if (key) merged[key] = key === "av1_cpu_preset" ? parseInt(clean.speed_preset) : clean.speed_preset;
+  }
+
+  if (clean.audio_codec) merged.audio_codec = clean.audio_codec;
+  if (clean.audio_bitrate) merged.audio_bitrate = clean.audio_bitrate;
+
+  // Height ceiling chosen for this file: path exceptions no longer apply
+  if (clean.max_height !== undefined) {
+    merged.resolution =
+      clean.max_height > 0
+        ? { ...(base.resolution || {}), enabled: true, max_height: clean.max_height, max_width: Math.round((clean.max_height * 16) / 9 / 2) * 2, exceptions: [] }
+        : { ...(base.resolution || {}), enabled: false };
+  }
+  if (clean.tonemap !== undefined) {
+    merged.hdr = { ...(base.hdr || {}), tonemap: clean.tonemap };
+  }
+
+  return merged;
+};
+
+/**
+ * Parse the overrides stored on a job
+ * @param {object} job - Row of the jobs table
+ * @returns {object|null} Overrides, null when none or unreadable
+ */
+const parseJobOverrides = (job) => {
+  if (!job?.encoding_overrides) return null;
+  try {
+    return sanitizeOverrides(JSON.parse(job.encoding_overrides));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  OVERRIDE_KEYS,
+  sanitizeOverrides,
+  mergeEncodingOverrides,
+  parseJobOverrides,
+};
@@ -0,0 +1,92 @@
+/**
+ * prefetch.js - Sharkoder Download Prefetching
+ *
+ * Module: Disk-Budgeted Prefetch Scheduler
+ * Author: Sharkoder Team
+ * Description: Décide si le prochain job en attente peut commencer son téléchargement: N fichiers
+ *              téléchargés d'avance pour l'encodeur, téléchargements simultanés limités, et budget
+ *              en octets sur local_temp (fichiers source et encodés de tous les jobs du pipeline).
+ *              Un téléchargement qui dépasserait le budget attend qu'un job libère de la place.
+ * Dependencies: aucune (module pur, appelé par QueueManager.startNextDownload)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Empreinte disque de chaque job selon son étape (source seule, source + sortie encodée)
+ * - Fichiers d'avance: au moins un par slot d'encodage (advanced.connection.max_prefetch_files)
+ * - Budget 0 = pas de budget, seul l'espace disque libre compte
+ * - Un fichier plus gros que le budget passe seul quand le pipeline est vide (pas de blocage)
+ *
+ * Format (advanced.connection dans sharkoder.config.json):
+ * { max_concurrent_downloads: 1, max_prefetch_files: 2, prefetch_budget_gb: 100 }
+ */
+
+const GB = 1024 * 1024 * 1024;
+
+// Statuses holding only the downloaded source in local_temp
+const SOURCE_STATUSES = ["downloading", "ready_encode"];
+// Statuses holding the source and the encoded output until cleanup
+const ENCODED_STATUSES = ["encoding", "awaiting_approval", "ready_upload", "uploading"];
+
+/**
+ * Bytes a job holds (or will hold) in local_temp at its current stage
+ * @param {object} job - Row of the jobs table
+ * @returns {number}
+ */
+const jobFootprint = (job) => {
+  const size = job.size || 0;
+  if (SOURCE_STATUSES.includes(job.status)) return size;
+  // Running encodes are counted at their final size: the output grows up to the source size
+  if (job.status === "encoding") return size * 2;
+  if (ENCODED_STATUSES.includes(job.status)) return size + (job.size_after || size);
+  return 0;
+};
+
+/**
+ * Bytes held in local_temp by every job of the pipeline
+ * @param {Array<object>} jobs - Rows of the jobs table
+ * @returns {number}
+ */
+const pipelineFootprint = (jobs) => jobs.reduce((total, job) => total + jobFootprint(job), 0);
+
+/**
+ * Prefetch limits from the settings
+ * @param {object} [connection] - advanced.connection
+ * @param {number} [encodeSlots=1] - Encode slots of the queue
+ * @returns {{maxConcurrent: number, maxPrefetch: number, budgetBytes: number}}
+ */
+const prefetchLimits = (connection = {}, encodeSlots = 1) => ({
+  maxConcurrent: Math.min(5, Math.max(1, parseInt(connection.max_concurrent_downloads) || 1)),
+  maxPrefetch: Math.max(encodeSlots, Math.min(10, Math.max(1, parseInt(connection.max_prefetch_files) || 1))),
+  budgetBytes: Math.max(0, parseFloat(connection.prefetch_budget_gb) || 0) * GB,
+});
+
+/**
+ * Whether the next waiting job can start downloading
+ * @param {object} state
+ * @param {object|null} state.nextJob - First waiting job (queue order)
+ * @param {number} state.downloading - Downloads running
+ * @param {number} state.prefetched - Files downloaded or downloading, not encoding yet
+ * @param {number} state.footprint - pipelineFootprint() of the jobs in the pipeline
+ * @param {object} state.limits - prefetchLimits()
+ * @returns {{start: boolean, reason: string|null}} reason: "empty", "downloads", "prefetch", "budget",
+ *          or "oversized" (started alone, larger than the budget)
+ */
+const planPrefetch = ({ nextJob, downloading, prefetched, footprint, limits }) => {
+  if (!nextJob) return { start: false, reason: "empty" };
+  if (downloading >= limits.maxConcurrent) return { start: false, reason: "downloads" };
+  if (prefetched >= limits.maxPrefetch) return { start: false, reason: "prefetch" };
+
+  if (limits.budgetBytes > 0 && footprint + (nextJob.size || 0) > limits.budgetBytes) {
+    // Nothing to wait for: the file alone is larger than the budget
+    return footprint === 0 ? { start: true, reason: "oversized" } : { start: false, reason: "budget" };
+  }
+  return { start: true, reason: null };
+};
+
+module.exports = {
+  GB,
+  jobFootprint,
+  pipelineFootprint,
+  prefetchLimits,
+  planPrefetch,
+};
@@ -0,0 +1,100 @@
+/**
+ * preset-rules.js - Sharkoder Preset Rules
+ *
+ * Module: Automatic Preset Assignment
+ * Author: Sharkoder Team
+ * Description: Règles qui associent un preset local (dossier presets/) aux fichiers ajoutés
+ *              dans la file selon leur chemin serveur, leur nom ou leurs métadonnées du cache.
+ *              Le réglage ffmpeg résolu est figé sur le job à l'ajout: modifier les réglages
+ *              globaux pendant que la file tourne ne change plus les jobs déjà en attente.
+ * Dependencies: path, fs-extra, skip-rules (globToRegExp)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Glob sur le chemin complet ("/Anime/**") ou sur le nom seul quand il n'y a pas de "/" ("*grain*")
+ * - Conditions optionnelles sur la résolution ("2160p", "4K") et le HDR (données du cache)
+ * - Première règle qui correspond gagne (ordre de la liste)
+ * - Preset fusionné sur les réglages globaux (les options absentes d'un ancien preset gardent
+ *   la valeur globale)
+ *
+ * Format (preset_rules dans sharkoder.config.json):
+ * { enabled: true, rules: [{ pattern: "/Anime/**", preset: "Animation" },
+ *                          { pattern: "/4K/**", preset: "UHD", hdr: true }] }
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const { globToRegExp } = require("./skip-rules");
+
+// Local presets (same folder as the preset:*Local IPC handlers)
+const PRESETS_DIR = path.join(__dirname, "..", "presets");
+
+const resolutionKey = (resolution) => {
+  if (!resolution) return null;
+  const value = String(resolution).toLowerCase();
+  return value === "4k" ? "2160p" : value;
+};
+
+/**
+ * First rule matching a file
+ * @param {object} presetRules - preset_rules config
+ * @param {object} file - { path, resolution, hdr }
+ * @returns {object|null} Matching rule ({ pattern, preset, resolution?, hdr? })
+ */
+const matchPresetRule = (presetRules, file) => {
+  if (!presetRules || !presetRules.enabled || !file?.path) return null;
+  const filePath = `/${file.path.replace(/\\/g, "/").replace(/^\/+/, "")}`;
+  const fileName = `/${filePath.split("/").pop()}`;
+
+  return (
+    (presetRules.rules || []).find((rule) => {
+      if (!rule || !rule.pattern || !rule.preset) return false;
+      const target = rule.pattern.includes("/") ? filePath : fileName;
+      if (!globToRegExp(rule.pattern).test(target)) return false;
+      if (rule.resolution && resolutionKey(rule.resolution) !== resolutionKey(file.resolution)) return false;
+      if (rule.hdr !== undefined && rule.hdr !== null && rule.hdr !== !!file.hdr) return false;
+      return true;
+    }) || null
+  );
+};
+
+/**
+ * Read a local preset (preset_NAME.json or NAME.json)
+ * @param {string} presetName - Preset name
+ * @param {string} [presetsDir] - Presets folder
+ * @returns {Promise<object|null>} Preset content, null when missing or unreadable
+ */
+const loadLocalPreset = async (presetName, presetsDir = PRESETS_DIR) => {
+  const files = await fs.readdir(presetsDir).catch(() => []);
+  const filename = files.find((f) => f === `preset_${presetName}.json` || f === `${presetName}.json`);
+  if (!filename) return null;
+  return fs.readJson(path.join(presetsDir, filename)).catch(() => null);
+};
+
+/**
+ * ffmpeg settings a new job is frozen with
+ * @param {object} userConfig - Saved settings (ffmpeg, preset_rules)
+ * @param {object} file - { path, resolution, hdr }
+ * @param {string} [presetsDir] - Presets folder
+ * @returns {Promise<{presetName: string|null, ffmpeg: object, rule: object|null, missingPreset?: string}>}
+ */
+const resolveJobPreset = async (userConfig, file, presetsDir = PRESETS_DIR) => {
+  const globalFfmpeg = userConfig?.ffmpeg || {};
+  const rule = matchPresetRule(userConfig?.preset_rules, file);
+  if (!rule) {
+    return { presetName: null, ffmpeg: globalFfmpeg, rule: null };
+  }
+
+  const preset = await loadLocalPreset(rule.preset, presetsDir);
+  if (!preset?.ffmpeg) {
+    return { presetName: null, ffmpeg: globalFfmpeg, rule, missingPreset: rule.preset };
+  }
+  return { presetName: rule.preset, ffmpeg: { ...globalFfmpeg, ...preset.ffmpeg }, rule };
+};
+
+module.exports = {
+  PRESETS_DIR,
+  matchPresetRule,
+  loadLocalPreset,
+  resolveJobPreset,
+};
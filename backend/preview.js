@@ -0,0 +1,231 @@
+/**
+ * preview.js - Sharkoder Preview Encode
+ *
+ * Module: Preview Encode of a Source Slice
+ * Author: Sharkoder Team
+ * Description: Encode d'essai d'un court extrait (par défaut 60s au milieu du fichier) d'une
+ *              vidéo distante avec les réglages FFmpeg courants ou un preset, pour régler un
+ *              preset sans faire passer un film entier dans la file. Le résultat est projeté
+ *              sur le fichier complet (taille et temps d'encodage) et comparable dans MPV.
+ * Dependencies: path, fs-extra, VideoEncoder, utils (logger)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Lecture partielle via WebDAV (FFmpeg lit l'extrait par requêtes HTTP Range)
+ * - Repli SFTP: téléchargement complet dans local_temp/preview (cache partagé avec la lecture)
+ * - Extrait copié sans réencodage (toutes les pistes), puis encodé comme un job de la file
+ * - Projection de la taille finale et du temps d'encodage du fichier complet
+ * - Aperçus conservés dans local_temp/preview_encodes/<id> (les plus anciens sont supprimés)
+ *
+ * Pas d'analyse crop / entrelacement ni de recherche target VMAF: l'extrait est encodé
+ * avec la qualité configurée.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const { VideoEncoder } = require("./encode");
+const { logger, formatBytes, formatDuration } = require("./utils");
+
+const DEFAULT_SLICE_DURATION = 60;
+const MIN_SLICE_DURATION = 10;
+const MAX_SLICE_DURATION = 600;
+const KEEP_PREVIEWS = 3;
+
+/**
+ * Start of a slice centered in the source
+ * @param {number} duration - Source duration in seconds
+ * @param {number} sliceDuration - Slice duration in seconds
+ * @returns {number} Start time in seconds (0 when the source is shorter than the slice)
+ */
+const pickSliceStart = (duration, sliceDuration) => {
+  if (!duration || duration <= sliceDuration) return 0;
+  return Math.round((duration / 2 - sliceDuration / 2) * 100) / 100;
+};
+
+/**
+ * Scale the preview encode of a slice to the whole file
+ * @param {object} measures - { sliceDuration, sliceSize, encodedSize, encodeSeconds, sourceDuration, sourceSize }
+ * @returns {{projectedSize: number, projectedSeconds: number, sliceRatio: number|null, savedBytes: number|null, savedPercent: number|null}}
+ */
+const projectFullEncode = ({ sliceDuration, sliceSize, encodedSize, encodeSeconds, sourceDuration, sourceSize }) => {
+  const scale = sliceDuration > 0 && sourceDuration > 0 ? sourceDuration / sliceDuration : 1;
+  const projectedSize = Math.round(encodedSize * scale);
+  const savedBytes = sourceSize > 0 ? sourceSize - projectedSize : null;
+
+  return {
+    projectedSize,
+    projectedSeconds: Math.round(encodeSeconds * scale),
+    sliceRatio: sliceSize > 0 ? Math.round((encodedSize / sliceSize) * 1000) / 1000 : null,
+    savedBytes,
+    savedPercent: savedBytes !== null ? Math.round((savedBytes / sourceSize) * 1000) / 10 : null,
+  };
+};
+
+/**
+ * Runs one preview encode at a time, on its own encoder (the queue keeps encoding meanwhile)
+ */
+class PreviewEncoder {
+  constructor(config, transferManager) {
+    this.config = config;
+    this.transferManager = transferManager;
+    this.encoder = new VideoEncoder(config, transferManager);
+    this.running = false;
+  }
+
+  getLocalTemp() {
+    return this.config.storage?.local_temp || this.config.local_temp;
+  }
+
+  getPreviewDir(previewId) {
+    return path.join(this.getLocalTemp(), "preview_encodes", String(previewId));
+  }
+
+  /**
+   * Encode a slice of a remote file and project the result on the whole file
+   *
+   * @param {string} remotePath - Remote video file
+   * @param {object} [options] - { sliceDuration, ffmpegConfig (null = saved settings), presetName }
+   * @param {Function} [onProgress] - Progress callback ({ previewId, stage: "source"|"slice"|"encode", progress, ... })
+   * @returns {Promise<object>} Preview summary (also saved as preview.json in the preview folder)
+   */
+  async run(remotePath, options = {}, onProgress = null) {
+    if (this.running) {
+      throw new Error("A preview encode is already running");
+    }
+    this.running = true;
+    this.encoder.stopRequested = false;
+
+    const sliceDuration = Math.min(MAX_SLICE_DURATION, Math.max(MIN_SLICE_DURATION, parseInt(options.sliceDuration) || DEFAULT_SLICE_DURATION));
+    const previewId = String(Date.now());
+    const previewDir = this.getPreviewDir(previewId);
+    const report = (stage, progress, extra = {}) => onProgress && onProgress({ previewId, stage, progress, ...extra });
+    const checkStopped = () => {
+      if (this.encoder.stopRequested) {
+        throw new Error("Preview encode stopped");
+      }
+    };
+
+    try {
+      await this.removeOldPreviews();
+      await fs.ensureDir(previewDir);
+      logger.info(`[PREVIEW] ${remotePath}: ${sliceDuration}s slice with ${options.presetName ? `preset "${options.presetName}"` : "current settings"}`);
+
+      // WebDAV: FFmpeg reads only the slice (range requests). SFTP: the whole file has to be downloaded first.
+      report("source", 0);
+      // Credentials travel in the inputOptions header: the URL itself is safe to log
+      const streamSource = await this.transferManager.getStreamSource(remotePath).catch(() => null);
+      const method = streamSource ? "range" : "download";
+      const inputOptions = streamSource?.inputOptions || [];
+      let sourceInput = streamSource?.url;
+      if (!sourceInput) {
+        sourceInput = path.join(this.getLocalTemp(), "preview", path.basename(remotePath));
+        if (!(await fs.pathExists(sourceInput))) {
+          logger.info(`[PREVIEW] No WebDAV range access, downloading ${remotePath}`);
+          await fs.ensureDir(path.dirname(sourceInput));
+          await this.transferManager.downloadFile(remotePath, sourceInput, (progress) => report("source", progress.progress || 0, { eta: progress.eta }));
+        }
+      }
+      checkStopped();
+
+      const sourceInfo = await this.encoder.getVideoInfo(sourceInput, { inputOptions });
+      const sourceSize = sourceInfo.size || (await this.transferManager.stat(remotePath).then((stat) => stat.size, () => 0));
+      const start = pickSliceStart(sourceInfo.duration, sliceDuration);
+
+      report("slice", 0);
+      const slicePath = path.join(previewDir, `original${path.extname(remotePath) === ".mp4" ? ".mp4" : ".mkv"}`);
+      await this.encoder.extractSample(sourceInput, slicePath, start, sliceDuration, { allStreams: true, inputOptions });
+      checkStopped();
+      const sliceInfo = await this.encoder.getVideoInfo(slicePath);
+      const sliceSize = (await fs.stat(slicePath)).size;
+
+      report("encode", 0);
+      const encodedPath = path.join(previewDir, "encoded.mkv");
+      const result = await this.encoder.encodeVideo(slicePath, encodedPath, (progress) => report("encode", progress.progress, { eta: progress.eta, fps: progress.fps, encodeSpeed: progress.encodeSpeed, pass: progress.pass }), {
+        preview: true,
+        ffmpegConfig: options.ffmpegConfig || undefined,
+        sourcePath: remotePath,
+        passLogDir: path.join(previewDir, "twopass"),
+      });
+      const encodedSize = (await fs.stat(encodedPath)).size;
+
+      const projection = projectFullEncode({
+        sliceDuration: sliceInfo.duration || sliceDuration,
+        sliceSize,
+        encodedSize,
+        encodeSeconds: result.elapsedTime,
+        sourceDuration: sourceInfo.duration,
+        sourceSize,
+      });
+
+      const summary = {
+        id: previewId,
+        remote_path: remotePath,
+        preset: options.presetName || null,
+        method,
+        source: { duration: sourceInfo.duration, size: sourceSize, codec: sourceInfo.video.codec, width: sourceInfo.video.width, height: sourceInfo.video.height },
+        slice: { start, duration: sliceInfo.duration, size: sliceSize },
+        encoded: { size: encodedSize, seconds: result.elapsedTime, encoder: result.encodingParams?.encoder || null, width: result.outputInfo?.video?.width, height: result.outputInfo?.video?.height },
+        projection,
+        original_path: slicePath,
+        encoded_path: encodedPath,
+        created_at: new Date().toISOString(),
+      };
+      await fs.writeJson(path.join(previewDir, "preview.json"), summary, { spaces: 2 });
+
+      logger.info(
+        `[PREVIEW] Done: slice ${formatBytes(sliceSize)} → ${formatBytes(encodedSize)} in ${formatDuration(result.elapsedTime)}, projected ${formatBytes(projection.projectedSize)} in ${formatDuration(projection.projectedSeconds)}`
+      );
+      return summary;
+    } catch (error) {
+      logger.error(`[PREVIEW] Preview encode of ${remotePath} failed:`, error.message);
+      await fs.remove(previewDir).catch(() => {});
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Stop the running preview (slice extraction or encode)
+   */
+  async stop() {
+    if (!this.running) return;
+    const runningCommand = this.encoder.currentProcess;
+    await this.encoder.stopEncoding();
+    // stopEncoding() only stops encodes: also stop a running slice extraction
+    if (runningCommand && this.encoder.currentProcess === runningCommand) {
+      runningCommand.kill("SIGKILL");
+    }
+  }
+
+  /**
+   * Saved summary of a preview (paths used by the MPV comparison modes)
+   * @param {string} previewId - Preview id
+   * @returns {Promise<object>} Preview summary
+   */
+  async getPreview(previewId) {
+    if (!/^\d+$/.test(String(previewId))) {
+      throw new Error("Invalid preview id");
+    }
+    const summaryPath = path.join(this.getPreviewDir(previewId), "preview.json");
+    if (!(await fs.pathExists(summaryPath))) {
+      throw new Error("Preview not found (removed or never finished)");
+    }
+    return fs.readJson(summaryPath);
+  }
+
+  // Keep the most recent previews only (each holds two video files)
+  async removeOldPreviews() {
+    const rootDir = path.dirname(this.getPreviewDir("0"));
+    const previews = (await fs.readdir(rootDir).catch(() => [])).filter((name) => /^\d+$/.test(name)).sort();
+    const obsolete = previews.slice(0, Math.max(0, previews.length - (KEEP_PREVIEWS - 1)));
+    await Promise.all(obsolete.map((name) => fs.remove(path.join(rootDir, name)).catch(() => {})));
+  }
+}
+
+module.exports = {
+  DEFAULT_SLICE_DURATION,
+  pickSliceStart,
+  projectFullEncode,
+  PreviewEncoder,
+};
@@ -0,0 +1,91 @@
+/**
+ * queue-order.js - Sharkoder Queue Order
+ *
+ * Module: Job Priorities and Manual Ordering
+ * Author: Sharkoder Team
+ * Description: Ordre de traitement de la file: priorité d'abord (la plus haute passe devant),
+ *              puis position manuelle (glisser-déposer, monter / descendre, en tête de file).
+ *              getJobsByStatus() trie dans le même ordre, le prochain téléchargement et le
+ *              prochain encodage sont donc toujours le premier job de cet ordre.
+ * Dependencies: aucune (module pur, positions écrites par db.setJobPositions)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Niveaux de priorité: -1 (basse), 0 (normale), 1 (haute), 2 (urgente)
+ * - Déplacement dans un groupe de jobs (même statut): en tête, monter, descendre, en bas, ou à la place d'un autre job
+ * - Un job déplacé au-delà d'un job d'une autre priorité prend la priorité de ses voisins
+ *   (l'ordre affiché reste l'ordre de traitement)
+ * - Les positions du groupe sont redistribuées entre ses jobs: les autres statuts ne bougent pas
+ */
+
+const MIN_PRIORITY = -1;
+const MAX_PRIORITY = 2;
+
+/**
+ * Priority kept within the supported levels
+ * @param {number|string} value - Requested priority
+ * @returns {number}
+ */
+const clampPriority = (value) => Math.min(MAX_PRIORITY, Math.max(MIN_PRIORITY, parseInt(value) || 0));
+
+/**
+ * Compare two jobs in processing order (same ORDER BY as getJobsByStatus)
+ */
+const compareQueueOrder = (a, b) => (b.priority || 0) - (a.priority || 0) || (a.position ?? a.id) - (b.position ?? b.id) || a.id - b.id;
+
+/**
+ * Jobs sorted in processing order
+ * @param {Array<object>} jobs - Rows of the jobs table
+ * @returns {Array<object>} New sorted array
+ */
+const sortByQueueOrder = (jobs) => [...jobs].sort(compareQueueOrder);
+
+/**
+ * Move a job inside its group
+ * @param {Array<object>} jobs - Group of jobs reordered together (same status)
+ * @param {number} jobId - Job to move
+ * @param {string|object} move - "top", "up", "down", "bottom" or { to: targetJobId } (drag and drop)
+ * @returns {{positions: Array<{id: number, position: number}>, priority: number}|null} New positions of the group
+ *          and priority of the moved job, null when the job is not in the group
+ */
+const moveInQueue = (jobs, jobId, move) => {
+  const order = sortByQueueOrder(jobs);
+  const from = order.findIndex((job) => job.id === jobId);
+  if (from === -1) return null;
+
+  let to = from;
+  if (move === "top") to = 0;
+  else if (move === "bottom") to = order.length - 1;
+  else if (move === "up") to = Math.max(0, from - 1);
+  else if (move === "down") to = Math.min(order.length - 1, from + 1);
+  else if (move && move.to !== undefined) {
+    to = order.findIndex((job) => job.id === move.to);
+    if (to === -1) return null;
+  }
+
+  // Positions already used by the group, handed out again in the new order
+  const slots = order.map((job) => job.position ?? job.id).sort((a, b) => a - b);
+  const [moved] = order.splice(from, 1);
+  order.splice(to, 0, moved);
+
+  // Between its new neighbours: priority of the job before it at most, of the job after it at least
+  const previous = order[to - 1];
+  const next = order[to + 1];
+  let priority = moved.priority || 0;
+  if (next) priority = Math.max(priority, next.priority || 0);
+  if (previous) priority = Math.min(priority, previous.priority || 0);
+
+  return {
+    positions: order.map((job, index) => ({ id: job.id, position: slots[index] })),
+    priority,
+  };
+};
+
+module.exports = {
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  clampPriority,
+  compareQueueOrder,
+  sortByQueueOrder,
+  moveInQueue,
+};
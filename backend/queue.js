@@ -10,9 +10,26 @@
  * Created: 2024
  *
  * Fonctionnalités principales:
- * - Pipeline 3 étapes: Download → Encode → Upload (1 download + 1 encode + 1 upload simultanés)
- * - Gestion d'état des jobs (waiting, downloading, encoding, uploading, completed, failed)
- * - Retry automatique avec compteur et délais exponentiels
+ * - Pipeline 3 étapes: Download → Encode → Upload (N downloads + N encodes + 1 upload simultanés)
+ * - Préchargement: fichiers téléchargés d'avance pour l'encodeur, budget disque sur local_temp
+ *   (un téléchargement hors budget attend au lieu d'échouer, voir prefetch.js)
+ * - Slots d'encodage parallèles (advanced.parallel_encoding.slots): un VideoEncoder et un fichier
+ *   d'état de crash par slot, au moins un fichier téléchargé d'avance par slot, espace disque réservé par slot
+ * - Détection crop / entrelacement avant l'encodage (désactivable par job)
+ * - Encodage segmenté: un job arrêté ou interrompu reprend aux segments restants
+ * - Vérification du fichier encodé avant l'upload (durée, pistes, décodage complet)
+ * - Analyse qualité objective (VMAF / SSIM / PSNR) après chaque encodage
+ * - Estimation taille / durée avant ajout et ETA de toute la file (historique des jobs terminés)
+ * - Règles d'exclusion à l'ajout (données du cache) et après le probe (statut skipped + raison)
+ * - Preset par dossier / motif (preset_rules) et réglages ffmpeg figés sur chaque job à l'ajout
+ * - Réglages d'encodage modifiables par job (file d'attente, ou au rejet avant le ré-encodage)
+ * - Priorités et ordre manuel de la file (glisser-déposer, en tête, monter / descendre, voir queue-order.js)
+ * - Lots: jobs regroupés par dossier / série d'origine, progression et ETA par lot, actions sur tout le lot (voir batches.js)
+ * - Gestion d'état des jobs (waiting, downloading, encoding, uploading, completed, failed, skipped)
+ * - Retry automatique par étape: erreurs passagères (réseau, disque plein) relancées avec délais exponentiels,
+ *   erreurs FFmpeg et fichier plus gros que l'original en échec direct (voir retry-policy.js)
+ * - Après l'upload: encodé envoyé sous un nom temporaire, vérifié puis renommé; original gardé, remplacé
+ *   ou remplacé et gardé en .bak N jours (restaurable, voir upload-policy.js)
  * - Gestion des backups (local originals, local encoded, server backup)
  * - Récupération après crash (ghost file cleanup)
  * - Events pour synchronisation UI (progress, statusChange, jobComplete, etc.)
@@ -28,41 +45,156 @@ const { EventEmitter } = require("events");
 const path = require("path");
 const fs = require("fs-extra");
 const { VideoEncoder } = require("./encode");
-const { createJob, updateJob, getJobsByStatus, markJobStarted, markJobCompleted, markJobFailed, getAllJobs, deleteJob, removeFromQueue, getJobStats } = require("./db");
+const {
+  createJob,
+  updateJob,
+  getJobsByStatus,
+  markJobStarted,
+  markJobCompleted,
+  markJobFailed,
+  getAllJobs,
+  deleteJob,
+  removeFromQueue,
+  getJobStats,
+  setJobPositions,
+  findOrCreateBatch,
+  getAllBatches,
+} = require("./db");
 const { logger, ensureSpaceAvailable, calculateFileHash, createBackupPath, formatBytes, retry, sleep, safeFileMove, safeFileDelete, generateOutputFilename } = require("./utils");
+const { buildSourceFilters } = require("./analysis");
+const { buildEstimatorModel, estimateBatch, estimateFile, simulatePipeline, pipelineFinishTimes } = require("./estimate");
+const { evaluateSkipRules } = require("./skip-rules");
+const { resolveJobPreset } = require("./preset-rules");
+const { sanitizeOverrides, mergeEncodingOverrides, parseJobOverrides } = require("./job-overrides");
+const { checkOutputParity, describeDecodeErrors, formatVerificationError } = require("./verify");
+const { clampPriority, compareQueueOrder, moveInQueue } = require("./queue-order");
+const { pipelineFootprint, prefetchLimits, planPrefetch } = require("./prefetch");
+const { TRANSIENT_CLASSES, retrySettings, parseRetryHistory, planRetry, isRetryDue } = require("./retry-policy");
+const { summarizeBatch, batchActionTargets } = require("./batches");
+const { uploadPolicySettings, planServerSwap, rollbackSteps, checkUploadedSize, isBackupExpired } = require("./upload-policy");
+
+// Upper bound of advanced.parallel_encoding.slots
+const MAX_ENCODE_SLOTS = 16;
 
 class QueueManager extends EventEmitter {
   constructor(config, transferManager) {
     super();
     this.config = config;
     this.transferManager = transferManager;
-    this.encoder = new VideoEncoder(config, transferManager); // Pass transferManager
+    this.encoder = new VideoEncoder(config, transferManager); // Encoder of slot 1, also used for probes and command previews
     this.isRunning = false;
     this.isPaused = false;
     this.pauseAfterCurrent = false; // Flag to pause after current encoding completes
+    this.queueLoopActive = false; // processQueue() loop running (resume / approve calls must not start a second one)
 
     // Pipeline stages: each job can be in one of these stages simultaneously
     this.downloadingJobs = new Map(); // jobId -> { job, localPath, promise }
-    this.encodingJob = null; // Only one encoding at a time
+    this.encodeSlots = []; // [{ index, encoder, job, promise }] - one encoder and crash-state file per slot
     this.uploadingJobs = new Map(); // jobId -> { job, encodedPath, promise }
 
     // Timing tracking for each job
     this.jobTimings = new Map(); // jobId -> { downloadStart, downloadEnd, encodeStart, encodeEnd, uploadStart, uploadEnd }
 
-    // Sequential downloads for stability and speed
-    this.maxConcurrentDownloads = 1;
+    // Downloads: prefetch scheduler (advanced.connection, read again on start), sequential uploads
+    this.prefetchLimits = prefetchLimits(config.advanced?.connection);
+    this.prefetchWait = null; // Why the next download waits: { reason: "budget" | "disk", jobId, footprint, budget }
+    this.encodeWait = null; // Next encode held by free space: { reason: "disk", jobId }
     this.maxConcurrentUploads = 1;
 
     // Progress update throttling to avoid database lock conflicts
     this.lastProgressUpdate = new Map(); // jobId -> timestamp
     this.progressUpdateInterval = 1000; // Update DB max once per second per job
 
-    // Bind encoder events
-    this.encoder.on("progress", (data) => {
-      if (this.encodingJob) {
-        this.handleEncodingProgress(this.encodingJob.id, data);
-      }
-    });
+    this.configureEncodeSlots(config.advanced?.parallel_encoding?.slots);
+  }
+
+  // Create or drop encode slots (only while no encode runs: called by the constructor and start())
+  configureEncodeSlots(count) {
+    const slotCount = Math.min(MAX_ENCODE_SLOTS, Math.max(1, parseInt(count) || 1));
+    if (this.encodeSlots.some((slot) => slot.job)) {
+      logger.warn(`Encode slots can't be changed while encoding, keeping ${this.encodeSlots.length}`);
+      return;
+    }
+
+    if (this.encodeSlots.length !== slotCount) {
+      logger.info(`Encode slots: ${slotCount}`);
+    }
+
+    while (this.encodeSlots.length < slotCount) {
+      const index = this.encodeSlots.length + 1;
+      const encoder = index === 1 ? this.encoder : new VideoEncoder(this.config, this.transferManager, { slot: index });
+      const slot = { index, encoder, job: null, promise: null };
+
+      // Bind encoder events
+      encoder.on("progress", (data) => {
+        if (slot.job) {
+          this.handleEncodingProgress(slot.job.id, data);
+        }
+      });
+
+      // Segmented encoding: keep the finished segment count on the job (resume decision, UI)
+      encoder.on("segment", (summary) => {
+        if (slot.job) {
+          updateJob(slot.job.id, { encoding_segments: JSON.stringify(summary) }).catch((err) => logger.error("Failed to save segment progress:", err));
+        }
+      });
+
+      this.encodeSlots.push(slot);
+    }
+    this.encodeSlots.length = slotCount;
+  }
+
+  // Slot encoding this job, if any
+  getEncodeSlot(jobId) {
+    return this.encodeSlots.find((slot) => slot.job && slot.job.id === jobId) || null;
+  }
+
+  // Jobs being encoded, with their slot
+  getEncodingJobs() {
+    return this.encodeSlots.filter((slot) => slot.job).map((slot) => ({ ...slot.job, slot: slot.index }));
+  }
+
+  // Downloaded or downloading files that wait for an encode slot
+  async countPrefetchedJobs() {
+    const encodingIds = new Set(this.getEncodingJobs().map((job) => job.id));
+    const readyJobs = (await getJobsByStatus("ready_encode")).filter((job) => !encodingIds.has(job.id));
+    return readyJobs.length + this.downloadingJobs.size;
+  }
+
+  // Next download waiting for the budget or for free space: logged once per job and reason, shown in the queue status
+  setPrefetchWait(reason, job = null, footprint = 0, detail = "") {
+    const wait = reason === "budget" || reason === "disk" ? { reason, jobId: job.id, footprint, budget: this.prefetchLimits.budgetBytes } : null;
+    if (wait && (wait.reason !== this.prefetchWait?.reason || wait.jobId !== this.prefetchWait?.jobId)) {
+      const why =
+        reason === "budget"
+          ? `${formatBytes(footprint)} in the pipeline + ${formatBytes(job.size)} > budget ${formatBytes(wait.budget)}`
+          : detail.replace(/\s*\n\s*/g, ", ");
+      logger.info(`[PREFETCH] Job ${job.id} waits before download: ${why}`);
+    }
+    this.prefetchWait = wait;
+  }
+
+  // Next encode waiting for free space: logged once per job, like the download stage
+  setEncodeWait(job = null, detail = "") {
+    const wait = job ? { reason: "disk", jobId: job.id } : null;
+    if (wait && wait.jobId !== this.encodeWait?.jobId) {
+      logger.info(`[ENCODE] Job ${job.id} waits before encoding: ${detail.replace(/\s*\n\s*/g, ", ")}`);
+    }
+    this.encodeWait = wait;
+  }
+
+  // Bytes running stages still have to write in local_temp: whole sources being downloaded, outputs being encoded
+  getReservedSpace() {
+    const downloading = Array.from(this.downloadingJobs.values()).reduce((total, { job }) => total + (job.size || 0), 0);
+    const encoding = this.encodeSlots.reduce((total, slot) => total + (slot.job?.size || 0), 0);
+    return downloading + encoding;
+  }
+
+  // Load limit of the running encodes (the limit is shared by every slot)
+  async setLoadLimit(limit) {
+    const applied = await this.encoder.setLoadLimit(limit);
+    this.encodeSlots.slice(1).forEach((slot) => slot.encoder.throttle?.setLimit(applied));
+    return applied;
   }
 
   async start() {
@@ -74,15 +206,29 @@ class QueueManager extends EventEmitter {
     this.emit("statusChange", { isRunning: true, isPaused: false });
     logger.info("Queue manager started");
 
-    // Check for ghost files from previous crash
-    const ghostState = await this.encoder.cleanupGhostFile();
-    if (ghostState) {
-      logger.info("Cleaned up interrupted encoding, will retry");
+    // Encode slot count from the saved settings (changes apply on the next start)
+    const userConfig = await this.loadUserConfig();
+    this.configureEncodeSlots(userConfig?.advanced?.parallel_encoding?.slots ?? this.config.advanced?.parallel_encoding?.slots);
+    this.prefetchLimits = prefetchLimits(userConfig?.advanced?.connection ?? this.config.advanced?.connection, this.encodeSlots.length);
+    this.prefetchWait = null;
+    this.encodeWait = null;
+    const { maxConcurrent, maxPrefetch, budgetBytes } = this.prefetchLimits;
+    logger.info(`[PREFETCH] ${maxPrefetch} file(s) ahead, ${maxConcurrent} download(s) at a time, budget ${budgetBytes > 0 ? formatBytes(budgetBytes) : "none (free space only)"}`);
+
+    // Check for ghost files from previous crash (one state file per slot)
+    for (const slot of this.encodeSlots) {
+      const ghostState = await slot.encoder.cleanupGhostFile();
+      if (ghostState) {
+        logger.info(`Cleaned up interrupted encoding (slot ${slot.index}), will retry`);
+      }
     }
 
     // Resume any interrupted jobs
     await this.resumeInterruptedJobs();
 
+    // Server .bak files kept past their retention
+    await this.purgeExpiredServerBackups();
+
     // Start processing loop
     this.processQueue();
   }
@@ -98,13 +244,19 @@ class QueueManager extends EventEmitter {
 
     logger.info("Stopping queue manager and resetting jobs...");
 
-    // Stop current encoding
-    if (this.encoder.isCurrentlyEncoding()) {
-      await this.encoder.stopEncoding();
+    // Stop running encodes (also aborts a target VMAF search between two sample encodes)
+    for (const slot of this.encodeSlots) {
+      if (slot.encoder.isCurrentlyEncoding() || slot.job) {
+        await slot.encoder.stopEncoding();
+      }
     }
 
     // Wait for all pipeline stages to complete
-    await Promise.allSettled([...Array.from(this.downloadingJobs.values()).map((d) => d.promise), ...Array.from(this.uploadingJobs.values()).map((u) => u.promise)]);
+    await Promise.allSettled([
+      ...Array.from(this.downloadingJobs.values()).map((d) => d.promise),
+      ...this.encodeSlots.filter((slot) => slot.promise).map((slot) => slot.promise),
+      ...Array.from(this.uploadingJobs.values()).map((u) => u.promise),
+    ]);
 
     // Reset all jobs in progress back to waiting (except completed ones)
     const { getJobsByStatus, updateJob } = require("./db");
@@ -113,6 +265,12 @@ class QueueManager extends EventEmitter {
     for (const status of processingStatuses) {
       const jobs = await getJobsByStatus(status);
       for (const job of jobs) {
+        // Segmented encode: keep the download and finished segments, resume encoding on next start
+        if ((status === "encoding" || status === "ready_encode") && (await this.hasResumableSegments(job.id))) {
+          await updateJob(job.id, { status: "ready_encode", error: null });
+          logger.info(`Job ${job.id} kept in ready_encode (finished segments will be resumed)`);
+          continue;
+        }
         await updateJob(job.id, {
           status: "waiting",
           error: null,
@@ -123,14 +281,13 @@ class QueueManager extends EventEmitter {
 
     // Clear pipeline stages
     this.downloadingJobs.clear();
-    this.encodingJob = null;
     this.uploadingJobs.clear();
 
     logger.info("Queue manager stopped - All jobs reset to waiting");
   }
 
   // Generate new filename with encoding parameters and codec format
-  generateEncodedFilename(originalPath, codecAfter) {
+  generateEncodedFilename(originalPath, codecAfter, encodingParams = null) {
     // Normalize path to use forward slashes (Unix style) for server paths
     const normalizedPath = originalPath.replace(/\\/g, "/");
 
@@ -141,17 +298,24 @@ class QueueManager extends EventEmitter {
     // Get release tag from config (default: Z3D)
     const releaseTag = this.config.advanced?.behavior?.release_tag || "TaG";
 
-    // Determine codec family from config
+    // Determine codec family from the encode (job preset), else from config
     const videoCodec = this.config.ffmpeg?.video_codec || "hevc_nvenc";
-    const codecFamily = videoCodec.includes("vp9") ? "VP9" : "HEVC";
+    const codecFamily = encodingParams?.codec_family || (videoCodec.includes("av1") ? "AV1" : videoCodec.includes("vp9") ? "VP9" : "HEVC");
 
-    // Get audio codec from config
-    const audioCodec = this.config.ffmpeg?.audio_codec || "copy";
+    // Get audio codec from the encode, else from config
+    const audioCodec = encodingParams?.audio_codec || this.config.ffmpeg?.audio_codec || "copy";
+
+    // HDR sources tone-mapped to SDR get an SDR tag (never confused with the HDR original)
+    const sdr = encodingParams?.hdr?.tonemapped === true;
+    // Downscaled sources get their new resolution tag (2160p → 1080p)
+    const resolution = encodingParams?.scaling?.label || null;
 
     // Use the new generateOutputFilename utility
-    const newFilename = generateOutputFilename(filename, codecFamily, releaseTag, audioCodec);
+    const newFilename = generateOutputFilename(filename, codecFamily, releaseTag, audioCodec, { sdr, resolution });
 
-    logger.debug(`Generated filename: ${filename} → ${newFilename} (codec: ${codecFamily}, audio: ${audioCodec}, tag: ${releaseTag})`);
+    logger.debug(
+      `Generated filename: ${filename} → ${newFilename} (codec: ${codecFamily}, audio: ${audioCodec}, tag: ${releaseTag}${sdr ? ", SDR" : ""}${resolution ? `, ${resolution}` : ""})`
+    );
 
     // Always return with forward slashes for server paths
     return dir ? `${dir}/${newFilename}` : newFilename;
@@ -215,8 +379,36 @@ class QueueManager extends EventEmitter {
         audioCodec: fileInfo.audioCodec || null,
         subtitles: fileInfo.subtitles || 0,
         pause_before_upload: fileInfo.pauseBeforeUpload ? 1 : 0,
+        hdr: fileInfo.hdr || null,
       };
 
+      // Skip rules from the cache data (bitrate is the container bitrate: audio included)
+      const userConfig = (await this.loadUserConfig()) || this.config;
+
+      // Files reviewed before upload can be encoded first (advanced.behavior.review_priority)
+      jobData.priority = clampPriority(fileInfo.priority ?? (jobData.pause_before_upload ? userConfig.advanced?.behavior?.review_priority : 0));
+      const skip = evaluateSkipRules(userConfig.advanced?.skip_rules, { path: filePath, ...fileInfo });
+      if (skip) {
+        jobData.status = "skipped";
+        jobData.skip_reason = skip.reason;
+        logger.info(`[SKIP] ${filePath}: ${skip.reason}`);
+      }
+
+      // ffmpeg settings frozen on the job (preset rules, else the global settings)
+      const resolved = await resolveJobPreset(userConfig, { path: filePath, ...fileInfo });
+      if (resolved.missingPreset) {
+        logger.warn(`[PRESET] ${filePath}: preset "${resolved.missingPreset}" (rule ${resolved.rule.pattern}) not found, using global settings`);
+      } else if (resolved.presetName) {
+        logger.info(`[PRESET] ${filePath}: preset "${resolved.presetName}" (rule ${resolved.rule.pattern})`);
+      }
+      jobData.preset_name = resolved.presetName;
+      jobData.ffmpeg_snapshot = JSON.stringify(resolved.ffmpeg);
+
+      // Folder or series the file was queued from ({ name, source_path, kind })
+      if (fileInfo.batch?.source_path) {
+        jobData.batch_id = await findOrCreateBatch(fileInfo.batch);
+      }
+
       logger.info(`[QueueManager.addJob] JobData to be inserted:`, JSON.stringify(jobData, null, 2));
 
       const jobId = await createJob(jobData);
@@ -230,11 +422,32 @@ class QueueManager extends EventEmitter {
     }
   }
 
+  // Saved settings, read on each call: changes apply without restart
+  async loadUserConfig() {
+    return fs.readJSON("./sharkoder.config.json").catch(() => null);
+  }
+
+  async getSkipRules() {
+    const userConfig = await this.loadUserConfig();
+    return userConfig?.advanced?.skip_rules || this.config.advanced?.skip_rules || null;
+  }
+
+  // ffmpeg settings frozen when the job was queued (null for jobs queued before snapshots: global settings)
+  getJobFfmpegConfig(job) {
+    if (!job?.ffmpeg_snapshot) return null;
+    try {
+      return JSON.parse(job.ffmpeg_snapshot);
+    } catch (error) {
+      logger.warn(`[PRESET] Invalid ffmpeg snapshot for job ${job.id}, using global settings`);
+      return null;
+    }
+  }
+
   async removeJob(jobId) {
     try {
       // Stop job if it's in any pipeline stage
-      if (this.encodingJob && this.encodingJob.id === jobId) {
-        await this.stopCurrentJob();
+      if (this.getEncodeSlot(jobId)) {
+        await this.stopCurrentJob(jobId);
       }
 
       if (this.downloadingJobs.has(jobId)) {
@@ -265,8 +478,8 @@ class QueueManager extends EventEmitter {
   async pauseJob(jobId) {
     try {
       // Remove from pipeline if active
-      if (this.encodingJob && this.encodingJob.id === jobId) {
-        await this.stopCurrentJob();
+      if (this.getEncodeSlot(jobId)) {
+        await this.stopCurrentJob(jobId);
       }
 
       if (this.downloadingJobs.has(jobId)) {
@@ -335,7 +548,12 @@ class QueueManager extends EventEmitter {
     }
   }
 
-  async rejectEncodedFile(jobId) {
+  /**
+   * Reject an encode awaiting approval and queue it for a new encode
+   * @param {number} jobId - Job ID
+   * @param {object|null} [overrides] - New encoding overrides for the re-encode (undefined keeps the current ones)
+   */
+  async rejectEncodedFile(jobId, overrides = undefined) {
     try {
       const job = await this.getJob(jobId);
 
@@ -353,7 +571,8 @@ class QueueManager extends EventEmitter {
       const encodedPath = path.join(this.config.storage.local_temp, "encoded", `${job.id}_${path.basename(job.filepath)}`);
       await safeFileDelete(encodedPath);
 
-      // Reset to ready_encode status to try encoding again
+      // Reset to ready_encode status to try encoding again (with the overrides picked at rejection)
+      const encodingOverrides = overrides === undefined ? {} : { encoding_overrides: this.serializeOverrides(overrides) };
       await updateJob(jobId, {
         status: "ready_encode",
         codec_after: null,
@@ -361,7 +580,11 @@ class QueueManager extends EventEmitter {
         bitrate_after: null,
         duration_after: null,
         error: null,
+        ...encodingOverrides,
       });
+      if (overrides !== undefined) {
+        logger.info(`[OVERRIDES] Job ${jobId} re-encode overrides: ${encodingOverrides.encoding_overrides || "none"}`);
+      }
 
       this.emit("jobRejected", { id: jobId });
       this.processQueue();
@@ -373,6 +596,162 @@ class QueueManager extends EventEmitter {
     }
   }
 
+  // Per-job override: enable / disable the automatic crop and interlace detection
+  async setSourceAnalysis(jobId, enabled) {
+    try {
+      const job = await this.getJob(jobId);
+      if (!job) {
+        throw new Error("Job not found");
+      }
+
+      await updateJob(jobId, { source_analysis_disabled: enabled ? 0 : 1 });
+      logger.info(`Crop/interlace detection ${enabled ? "enabled" : "disabled"} for job ${jobId}`);
+      this.emit("jobUpdate", { id: jobId, status: job.status });
+
+      return { success: true };
+    } catch (error) {
+      logger.error("Failed to update source analysis setting:", error);
+      throw error;
+    }
+  }
+
+  // Per-job override: encoding settings for this job only (not while it is being encoded or uploaded)
+  async setJobOverrides(jobId, overrides) {
+    try {
+      const job = await this.getJob(jobId);
+      if (!job) {
+        throw new Error("Job not found");
+      }
+      if (["encoding", "awaiting_approval", "ready_upload", "uploading", "completed"].includes(job.status)) {
+        throw new Error(`Encoding settings cannot be changed while the job is ${job.status}`);
+      }
+
+      const encodingOverrides = this.serializeOverrides(overrides);
+      await updateJob(jobId, { encoding_overrides: encodingOverrides });
+      logger.info(`[OVERRIDES] Job ${jobId}: ${encodingOverrides || "overrides cleared"}`);
+      this.emit("jobUpdate", { id: jobId, status: job.status });
+
+      return { success: true };
+    } catch (error) {
+      logger.error("Failed to update job overrides:", error);
+      throw error;
+    }
+  }
+
+  serializeOverrides(overrides) {
+    const clean = sanitizeOverrides(overrides);
+    return clean ? JSON.stringify(clean) : null;
+  }
+
+  // Move a job among the jobs with the same status ("top", "up", "down", "bottom" or { to: jobId })
+  async moveJob(jobId, move) {
+    try {
+      const job = await this.getJob(jobId);
+      if (!job) {
+        throw new Error("Job not found");
+      }
+
+      const result = moveInQueue(await getJobsByStatus(job.status), jobId, move);
+      if (!result) {
+        throw new Error(`Job ${jobId} can't be moved there`);
+      }
+      await setJobPositions(result.positions);
+      if (result.priority !== (job.priority || 0)) {
+        await updateJob(jobId, { priority: result.priority });
+      }
+      logger.info(`[ORDER] Job ${jobId} moved ${typeof move === "string" ? move : `to the place of job ${move.to}`} (${job.status}, priority ${result.priority})`);
+      this.emit("jobUpdate", { id: jobId, status: job.status });
+
+      return { success: true, priority: result.priority };
+    } catch (error) {
+      logger.error("Failed to move job:", error);
+      throw error;
+    }
+  }
+
+  async setJobPriority(jobId, priority) {
+    try {
+      const job = await this.getJob(jobId);
+      if (!job) {
+        throw new Error("Job not found");
+      }
+
+      const applied = clampPriority(priority);
+      await updateJob(jobId, { priority: applied });
+      logger.info(`[ORDER] Job ${jobId} priority set to ${applied}`);
+      this.emit("jobUpdate", { id: jobId, status: job.status });
+
+      return { success: true, priority: applied };
+    } catch (error) {
+      logger.error("Failed to set job priority:", error);
+      throw error;
+    }
+  }
+
+  // Batches with jobs, and their aggregate state (ETA per batch: getQueueEstimate)
+  async getBatches() {
+    const [batches, jobs] = await Promise.all([getAllBatches(), getAllJobs()]);
+    return batches
+      .map((batch) => ({ ...batch, summary: summarizeBatch(jobs.filter((job) => job.batch_id === batch.id)) }))
+      .filter((batch) => batch.summary.total > 0);
+  }
+
+  /**
+   * Apply an action to every job of a batch in a compatible status
+   * @param {number} batchId - Batch ID
+   * @param {string} action - "pause", "resume", "retry", "approve" or "remove"
+   * @returns {Promise<{success: boolean, count: number}>}
+   */
+  async batchAction(batchId, action) {
+    try {
+      const jobs = (await getAllJobs()).filter((job) => job.batch_id === batchId);
+      if (jobs.length === 0) {
+        throw new Error("Batch not found");
+      }
+
+      const targets = batchActionTargets(jobs, action);
+      for (const job of targets) {
+        if (action === "pause") {
+          await this.pauseJob(job.id);
+        } else if (action === "retry") {
+          await this.retryJob(job.id);
+        } else if (action === "remove") {
+          await this.removeJob(job.id);
+        } else if (action === "resume") {
+          await this.resumeJob(job.id);
+        } else if (action === "approve") {
+          await this.approveEncodedFile(job.id);
+        }
+      }
+
+      logger.info(`[BATCH] ${action} on batch ${batchId}: ${targets.length}/${jobs.length} job(s)`);
+      return { success: true, count: targets.length };
+    } catch (error) {
+      logger.error("Failed to apply batch action:", error);
+      throw error;
+    }
+  }
+
+  // FFmpeg command the job would run with the current settings (downloaded file when available)
+  async previewJobCommand(jobId, ffmpegConfig = null) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new Error("Job not found");
+    }
+
+    const localPath = path.join(this.config.storage.local_temp, "downloaded", `${job.id}_${path.basename(job.filepath)}`);
+    const sourceAnalysis = job.source_analysis && !job.source_analysis_disabled ? JSON.parse(job.source_analysis) : null;
+    let baseConfig = ffmpegConfig || this.getJobFfmpegConfig(job);
+
+    // Job overrides apply over the base settings, as in encodeVideo()
+    const overrides = parseJobOverrides(job);
+    if (overrides) {
+      baseConfig = mergeEncodingOverrides(baseConfig || (await this.loadUserConfig())?.ffmpeg || {}, overrides);
+    }
+
+    return this.encoder.previewCommand(baseConfig, localPath, { sourcePath: job.filepath, sourceAnalysis });
+  }
+
   async retryJob(jobId) {
     try {
       const job = await this.getJob(jobId);
@@ -383,7 +762,7 @@ class QueueManager extends EventEmitter {
       // Clean up any existing files
       await this.cleanupJobFiles(job);
 
-      // Reset job status
+      // Reset job status (retrying a skipped job forces the encode)
       await updateJob(jobId, {
         status: "waiting",
         progress: 0,
@@ -391,6 +770,10 @@ class QueueManager extends EventEmitter {
         error: null,
         started_at: null,
         finished_at: null,
+        encoding_segments: null,
+        retry_history: null,
+        next_retry_at: null,
+        ...(job.status === "skipped" ? { skip_reason: null, skip_rules_disabled: 1 } : {}),
       });
 
       logger.info(`Retrying job ${jobId}`);
@@ -449,8 +832,81 @@ class QueueManager extends EventEmitter {
     return await getJobStats();
   }
 
+  // Encoder the next encodes will use (current settings, detected GPU)
+  async getCurrentEncoder() {
+    const preview = await this.encoder.previewCommand().catch(() => null);
+    return preview?.encoder || null;
+  }
+
+  /**
+   * Predict output size and encode / transfer time of files before queueing them
+   * @param {Array<object>} files - { path, size, duration, codec, resolution } in queue order
+   * @returns {Promise<object>} estimateBatch() result ({ files, totals }) plus the encoder used
+   */
+  async estimateFiles(files) {
+    const model = buildEstimatorModel(await getAllJobs());
+    const encoder = await this.getCurrentEncoder();
+    return { encoder, ...estimateBatch(model, files, encoder) };
+  }
+
+  /**
+   * Remaining time and space saved for the whole queue, from the history of completed jobs
+   * @returns {Promise<object>} { jobs, remainingSeconds, sizeBefore, sizeAfter, saved, history }
+   */
+  async getQueueEstimate() {
+    const allJobs = await getAllJobs();
+    const model = buildEstimatorModel(allJobs);
+    const encoder = await this.getCurrentEncoder();
+
+    // Jobs further down the pipeline leave it first; then queue order
+    const stageOrder = ["uploading", "ready_upload", "encoding", "ready_encode", "downloading", "waiting"];
+    const pending = allJobs
+      .filter((job) => stageOrder.includes(job.status))
+      .sort((a, b) => stageOrder.indexOf(a.status) - stageOrder.indexOf(b.status) || compareQueueOrder(a, b));
+
+    let sizeBefore = 0;
+    let sizeAfter = 0;
+    const steps = pending.map((job) => {
+      const estimate = estimateFile(model, { size: job.size, duration: job.duration, codec: job.codec_before, resolution: job.resolution }, encoder);
+      const left = 1 - Math.min(job.progress || 0, 100) / 100;
+      sizeBefore += job.size || 0;
+      sizeAfter += estimate.sizeAfter ?? job.size ?? 0;
+
+      const stageIndex = stageOrder.indexOf(job.status);
+      return {
+        download: job.status === "waiting" ? estimate.downloadSeconds : job.status === "downloading" ? estimate.downloadSeconds * left : 0,
+        encode: stageIndex >= 2 ? (job.status === "encoding" ? estimate.encodeSeconds * left : estimate.encodeSeconds) : 0,
+        upload: job.status === "uploading" ? estimate.uploadSeconds * left : estimate.uploadSeconds,
+      };
+    });
+
+    // Each batch is done when its last job leaves the pipeline
+    const finishTimes = pipelineFinishTimes(steps);
+    const batches = {};
+    pending.forEach((job, index) => {
+      if (job.batch_id) {
+        batches[job.batch_id] = Math.max(batches[job.batch_id] || 0, finishTimes[index]);
+      }
+    });
+
+    return {
+      jobs: pending.length,
+      remainingSeconds: simulatePipeline(steps),
+      batches, // batch_id -> remaining seconds
+      sizeBefore,
+      sizeAfter,
+      saved: sizeBefore - sizeAfter,
+      history: model.samples.length,
+    };
+  }
+
   // Main processing loop - manages the pipeline (optimized)
   async processQueue() {
+    if (this.queueLoopActive) {
+      return;
+    }
+    this.queueLoopActive = true;
+
     while (this.isRunning) {
       try {
         if (this.isPaused) {
@@ -460,18 +916,19 @@ class QueueManager extends EventEmitter {
 
         // Execute all stages in parallel for better throughput
         await Promise.all([
-          // Stage 1: Start downloads (parallel, up to maxConcurrentDownloads)
+          // Stage 1: Start downloads (prefetch scheduler: files ahead of the encoder, disk budget)
           (async () => {
-            while (this.downloadingJobs.size < this.maxConcurrentDownloads && this.isRunning && !this.isPaused) {
+            while (this.isRunning && !this.isPaused) {
               const started = await this.startNextDownload();
               if (!started) break;
             }
           })(),
 
-          // Stage 2: Start encoding (only if no encoding in progress)
+          // Stage 2: Start encodes (one per free encode slot)
           (async () => {
-            if (!this.encodingJob && this.isRunning && !this.isPaused) {
-              await this.startNextEncoding();
+            while (this.encodeSlots.some((slot) => !slot.job) && this.isRunning && !this.isPaused) {
+              const started = await this.startNextEncoding();
+              if (!started) break;
             }
           })(),
 
@@ -492,25 +949,43 @@ class QueueManager extends EventEmitter {
         await sleep(3000); // Shorter wait after error
       }
     }
+
+    this.queueLoopActive = false;
   }
 
   // Stage 1: Download next file
   async startNextDownload() {
     try {
-      const waitingJobs = await getJobsByStatus("waiting");
-
-      if (waitingJobs.length === 0) {
+      // Jobs waiting for an automatic retry stay in place until their retry time
+      const job = (await getJobsByStatus("waiting")).find((candidate) => isRetryDue(candidate)) || null;
+      const footprint = pipelineFootprint(await getAllJobs());
+      const plan = planPrefetch({
+        nextJob: job,
+        downloading: this.downloadingJobs.size,
+        prefetched: await this.countPrefetchedJobs(),
+        footprint,
+        limits: this.prefetchLimits,
+      });
+      if (!plan.start) {
+        this.setPrefetchWait(plan.reason, job, footprint);
         return false;
       }
+      if (plan.reason === "oversized") {
+        logger.warn(`[PREFETCH] Job ${job.id} (${formatBytes(job.size)}) is larger than the prefetch budget, downloading it alone`);
+      }
 
-      const job = waitingJobs[0];
-
-      // Check if we have enough space
-      await ensureSpaceAvailable(this.config.storage.local_temp, job.size * 3); // 3x for safety (original + encoded + buffer)
+      // Free space for the download and its encoded output, plus what running downloads and encodes still have to write
+      try {
+        await ensureSpaceAvailable(this.config.storage.local_temp, job.size * 2 + this.getReservedSpace());
+      } catch (error) {
+        this.setPrefetchWait("disk", job, footprint, error.message);
+        return false;
+      }
+      this.setPrefetchWait(null);
 
       logger.info(`[DOWNLOAD] Starting job ${job.id}: ${job.filepath}`);
       await markJobStarted(job.id);
-      await updateJob(job.id, { status: "downloading" });
+      await updateJob(job.id, { status: "downloading", ...(job.next_retry_at ? { next_retry_at: null, error: null } : {}) });
 
       // Start timing
       if (!this.jobTimings.has(job.id)) {
@@ -540,8 +1015,7 @@ class QueueManager extends EventEmitter {
           logger.error(`[DOWNLOAD] Failed job ${job.id}:`, error);
           this.downloadingJobs.delete(job.id);
           this.jobTimings.delete(job.id); // Clean up timings on failure
-          await markJobFailed(job.id, error);
-          await this.cleanupJobFiles(job);
+          await this.handleStageFailure(job, "download", error);
         });
 
       this.downloadingJobs.set(job.id, { job, localPath, promise: downloadPromise });
@@ -553,22 +1027,50 @@ class QueueManager extends EventEmitter {
     }
   }
 
-  // Stage 2: Encode next file (only one at a time)
+  // Stage 2: Encode next file in a free encode slot (the encode runs in the background)
   async startNextEncoding() {
     try {
-      const readyJobs = await getJobsByStatus("ready_encode");
+      const slot = this.encodeSlots.find((candidate) => !candidate.job);
+      if (!slot) {
+        return false;
+      }
 
-      if (readyJobs.length === 0) {
-        return;
+      const encodingIds = new Set(this.getEncodingJobs().map((job) => job.id));
+      const job = (await getJobsByStatus("ready_encode")).find((candidate) => !encodingIds.has(candidate.id) && isRetryDue(candidate));
+      if (!job) {
+        return false;
       }
 
-      const job = readyJobs[0];
-      this.encodingJob = job;
+      // Every running encode writes an output up to the size of its source
+      try {
+        await ensureSpaceAvailable(this.config.storage.local_temp, job.size + this.getReservedSpace());
+      } catch (error) {
+        this.setEncodeWait(job, error.message);
+        return false;
+      }
+      this.setEncodeWait(null);
+
+      slot.job = job;
+      slot.encoder.stopRequested = false;
+      slot.promise = this.runEncodingJob(job, slot).finally(() => {
+        slot.job = null;
+        slot.promise = null;
+      });
+      return true;
+    } catch (error) {
+      logger.error("Error starting encoding:", error);
+      return false;
+    }
+  }
 
+  // Encode one job with the encoder of its slot
+  async runEncodingJob(job, slot) {
+    const { encoder } = slot;
+    try {
       const localPath = path.join(this.config.storage.local_temp, "downloaded", `${job.id}_${path.basename(job.filepath)}`);
 
-      logger.info(`[ENCODE] Starting job ${job.id}: ${job.filepath}`);
-      await updateJob(job.id, { status: "encoding" });
+      logger.info(`[ENCODE] Starting job ${job.id} (slot ${slot.index}): ${job.filepath}`);
+      await updateJob(job.id, { status: "encoding", ...(job.next_retry_at ? { next_retry_at: null, error: null } : {}) });
 
       // Start encoding timing
       if (!this.jobTimings.has(job.id)) {
@@ -578,10 +1080,32 @@ class QueueManager extends EventEmitter {
 
       try {
         // Get video info
-        const videoInfo = await this.encoder.getVideoInfo(localPath);
+        const videoInfo = await encoder.getVideoInfo(localPath);
         const codecBefore = videoInfo.video.codec;
-        logger.info(`[ENCODE] Detected codec: ${codecBefore}, resolution: ${videoInfo.video.width}x${videoInfo.video.height}`);
-        await updateJob(job.id, { codec_before: codecBefore });
+        const hdrType = videoInfo.video.hdr?.is_hdr ? videoInfo.video.hdr.type : null;
+        logger.info(`[ENCODE] Detected codec: ${codecBefore}, resolution: ${videoInfo.video.width}x${videoInfo.video.height}${hdrType ? `, ${hdrType}` : ""}`);
+        await updateJob(job.id, { codec_before: codecBefore, hdr: hdrType });
+
+        // Skip rules again with the probed values (exact video bitrate, frame size and rate)
+        const skip = job.skip_rules_disabled
+          ? null
+          : evaluateSkipRules(await this.getSkipRules(), {
+              path: job.filepath,
+              size: videoInfo.size,
+              codec: codecBefore,
+              bitrate: videoInfo.video.bitrate || videoInfo.bitrate,
+              width: videoInfo.video.width,
+              height: videoInfo.video.height,
+              fps: videoInfo.video.fps,
+            });
+        if (skip) {
+          logger.info(`[SKIP] Job ${job.id} ${job.filepath}: ${skip.reason}`);
+          await updateJob(job.id, { status: "skipped", skip_reason: skip.reason, progress: 0, eta: null, finished_at: new Date().toISOString() });
+          await safeFileDelete(localPath);
+          this.jobTimings.delete(job.id);
+          this.emit("jobUpdate", { id: job.id, status: "skipped" });
+          return;
+        }
 
         // Check if simulation mode is enabled
         const simulationMode = this.config.advanced?.simulation_mode || false;
@@ -620,7 +1144,6 @@ class QueueManager extends EventEmitter {
               duration_after: videoInfo.duration,
             });
 
-            this.encodingJob = null;
             this.emit("jobUpdate", { id: job.id, status: "awaiting_approval" });
             logger.info(`[ENCODE] 🧪 SIMULATION: Job ${job.id} paused for manual approval`);
           } else {
@@ -634,7 +1157,6 @@ class QueueManager extends EventEmitter {
             });
 
             logger.info(`[ENCODE] 🧪 SIMULATION: Job ${job.id} completed (no encoding)`);
-            this.encodingJob = null;
             this.emit("jobUpdate", { id: job.id, status: "ready_upload" });
           }
           return;
@@ -677,7 +1199,6 @@ class QueueManager extends EventEmitter {
               duration_after: videoInfo.duration,
             });
 
-            this.encodingJob = null;
             this.emit("jobUpdate", { id: job.id, status: "awaiting_approval" });
             logger.info(`[ENCODE] Job ${job.id} (skipped) paused for manual approval`);
 
@@ -700,7 +1221,6 @@ class QueueManager extends EventEmitter {
             });
 
             logger.info(`[ENCODE] Job ${job.id} completed (skipped encoding)`);
-            this.encodingJob = null;
             this.emit("jobUpdate", { id: job.id, status: "ready_upload" });
 
             // Check if pause after current was requested
@@ -715,14 +1235,38 @@ class QueueManager extends EventEmitter {
           return;
         }
 
+        // Stopped while probing: analysis and encode would clear the stop request
+        if (encoder.stopRequested) {
+          throw new Error("Encoding stopped");
+        }
+
+        // Crop / interlace detection (skipped when disabled in settings or for this job)
+        const jobFfmpegConfig = this.getJobFfmpegConfig(job);
+        const sourceAnalysis = await this.runSourceAnalysis(job, localPath, jobFfmpegConfig, encoder);
+
         // Encode
         const encodedPath = path.join(this.config.storage.local_temp, "encoded", `${job.id}_${path.basename(job.filepath)}`);
 
         await fs.ensureDir(path.dirname(encodedPath));
+        if (encoder.stopRequested) {
+          throw new Error("Encoding stopped");
+        }
 
-        const result = await this.encoder.encodeVideo(localPath, encodedPath, (progress) => {
-          this.handleEncodingProgress(job.id, progress);
-        });
+        const result = await encoder.encodeVideo(
+          localPath,
+          encodedPath,
+          (progress) => {
+            this.handleEncodingProgress(job.id, progress);
+          },
+          {
+            sourcePath: job.filepath,
+            sourceAnalysis,
+            ffmpegConfig: jobFfmpegConfig || undefined,
+            overrides: parseJobOverrides(job) || undefined,
+            segmentDir: path.join(this.config.storage.local_temp, "segments", String(job.id)),
+            passLogDir: path.join(this.config.storage.local_temp, "twopass", String(job.id)),
+          }
+        );
 
         logger.info(`[ENCODE] Completed job ${job.id}`);
 
@@ -731,14 +1275,20 @@ class QueueManager extends EventEmitter {
         await this.createBackup(localPath, job);
         logger.info(`[ENCODE] Backup created for job ${job.id}`);
 
-        // Determine actual codec used (GPU or CPU)
-        const codecAfter = this.encoder.gpuAvailable ? "hevc_nvenc" : "hevc (libx265)";
+        // Determine actual codec used (GPU or CPU) from the encoder that really ran
+        const codecAfter = result.encodingParams?.encoder || (encoder.gpuAvailable ? "hevc_nvenc" : "hevc (libx265)");
 
         // Get encoded file metadata
         logger.info(`[ENCODE] Getting encoded file info for job ${job.id}...`);
-        const encodedInfo = await this.encoder.getVideoInfo(result.outputPath);
+        const encodedInfo = await encoder.getVideoInfo(result.outputPath);
         logger.info(`[ENCODE] Encoded file info retrieved for job ${job.id}`);
 
+        // Integrity check: a truncated or corrupt output fails the job instead of being uploaded
+        await this.verifyEncodedOutput(job, result.outputPath, videoInfo, encodedInfo, result.encodingParams, encoder);
+
+        // Objective quality scores (VMAF, SSIM/PSNR fallback) - never blocks the job
+        const qualityScores = await this.analyzeEncodedQuality(job, localPath, result.outputPath, videoInfo, result.encodingParams, encoder);
+
         // Update progress file
         logger.info(`[ENCODE] Updating progress file for job ${job.id}...`);
         await this.updateProgressFile(job, {
@@ -771,18 +1321,13 @@ class QueueManager extends EventEmitter {
           logger.warn(`[ENCODE] Job ${job.id}: Encoded file is LARGER than original!`);
           logger.warn(`[ENCODE] Original: ${formatBytes(job.size)}, Encoded: ${formatBytes(encodedInfo.size)} (+${percentIncrease}%)`);
 
-          // Mark job as failed with specific error
-          await markJobFailed(job.id, new Error(`Encoded file is ${percentIncrease}% larger than original (${formatBytes(encodedInfo.size)} vs ${formatBytes(job.size)}). Upload blocked.`));
+          // Mark job as failed with specific error (never retried: the same settings give the same size)
+          const largerError = new Error(`Encoded file is ${percentIncrease}% larger than original (${formatBytes(encodedInfo.size)} vs ${formatBytes(job.size)}). Upload blocked.`);
+          largerError.code = "LARGER_THAN_ORIGINAL";
+          await this.handleStageFailure(job, "encode", largerError, { keepFiles: true });
 
-          this.encodingJob = null;
-          this.emit("jobUpdate", {
-            id: job.id,
-            status: "failed",
-            error: `Encoded file is larger than original (+${percentIncrease}%). Upload blocked.`,
-          });
-
-          // Keep both files for inspection but don't upload
-          logger.info(`[ENCODE] Keeping files for inspection. Original: ${await this.createBackup(downloadedPath, job)}`);
+          // Keep both files for inspection but don't upload (original backed up right after the encode)
+          logger.info(`[ENCODE] Keeping files for inspection. Original: ${localPath}, encoded: ${encodedBackupPath}`);
 
           return; // Stop here, don't proceed to upload
         }
@@ -803,9 +1348,9 @@ class QueueManager extends EventEmitter {
             bitrate_after: encodedInfo.bitrate,
             duration_after: encodedInfo.duration,
             encoding_params: encodingParamsJson,
+            ...qualityScores,
           });
 
-          this.encodingJob = null;
           this.emit("jobUpdate", { id: job.id, status: "awaiting_approval" });
           logger.info(`[ENCODE] Job ${job.id} paused for manual approval`);
 
@@ -831,10 +1376,9 @@ class QueueManager extends EventEmitter {
             bitrate_after: encodedInfo.bitrate,
             duration_after: encodedInfo.duration,
             encoding_params: encodingParamsJson,
+            ...qualityScores,
           });
 
-          this.encodingJob = null;
-
           // Check if pause after current was requested
           if (this.pauseAfterCurrent) {
             logger.info(`⏸️ Pause after current encoding requested - pausing queue`);
@@ -845,30 +1389,35 @@ class QueueManager extends EventEmitter {
           }
         }
       } catch (error) {
+        // Stopped during a segmented encode: keep the source and finished segments for resume
+        if (encoder.stopRequested && (await this.hasResumableSegments(job.id))) {
+          logger.info(`[ENCODE] Job ${job.id} stopped, finished segments kept for resume`);
+          await updateJob(job.id, { status: "ready_encode", progress: 0, eta: null, error: null });
+          this.emit("jobUpdate", { id: job.id, status: "ready_encode" });
+          return;
+        }
+
+        // Stopped on purpose (queue stop, job paused or removed): the caller sets the job status
+        if (encoder.stopRequested) {
+          logger.info(`[ENCODE] Job ${job.id} stopped (slot ${slot.index})`);
+          return;
+        }
+
         logger.error(`[ENCODE] Failed job ${job.id}:`, error);
         logger.error(`[ENCODE] Error details:`, error.message || error);
-        this.encodingJob = null;
-
-        // Update UI with error
-        this.emit("jobUpdate", {
-          id: job.id,
-          status: "failed",
-          error: error.message || "Encoding failed",
-        });
 
-        await markJobFailed(job.id, error);
-        await this.cleanupJobFiles(job);
+        // Retried later (the downloaded source is kept) or failed
+        await this.handleStageFailure(job, "encode", error);
       }
     } catch (error) {
-      logger.error("Error starting encoding:", error);
-      this.encodingJob = null;
+      logger.error(`[ENCODE] Error running job ${job.id}:`, error);
     }
   }
 
   // Stage 3: Upload next file
   async startNextUpload() {
     try {
-      const readyJobs = await getJobsByStatus("ready_upload");
+      const readyJobs = (await getJobsByStatus("ready_upload")).filter((candidate) => isRetryDue(candidate));
 
       if (readyJobs.length === 0) {
         return false;
@@ -879,7 +1428,7 @@ class QueueManager extends EventEmitter {
       const encodedPath = path.join(this.config.storage.local_temp, "encoded", `${job.id}_${path.basename(job.filepath)}`);
 
       logger.info(`[UPLOAD] Starting job ${job.id}: ${job.filepath}`);
-      await updateJob(job.id, { status: "uploading" });
+      await updateJob(job.id, { status: "uploading", ...(job.next_retry_at ? { next_retry_at: null, error: null } : {}) });
 
       // Start upload timing
       if (!this.jobTimings.has(job.id)) {
@@ -889,17 +1438,31 @@ class QueueManager extends EventEmitter {
 
       // Generate new filename with x265 codec and release tag
       const codecAfter = job.codec_after || (this.encoder.gpuAvailable ? "hevc_nvenc" : "hevc (libx265)");
-      const newServerPath = this.generateEncodedFilename(job.filepath, codecAfter);
+      let jobEncodingParams = null;
+      try {
+        jobEncodingParams = job.encoding_params ? JSON.parse(job.encoding_params) : null;
+      } catch (e) {
+        logger.warn(`[UPLOAD] Invalid encoding_params for job ${job.id}, ignoring`);
+      }
+      const newServerPath = this.generateEncodedFilename(job.filepath, codecAfter, jobEncodingParams);
+
+      // What happens to the original once the encoded file is in place (keep both, replace, replace + .bak)
+      const policy = uploadPolicySettings((await this.loadUserConfig())?.advanced?.upload_policy || this.config.advanced?.upload_policy);
+      const swap = planServerSwap({ originalPath: job.filepath, finalPath: newServerPath, mode: policy.mode });
 
-      logger.info(`[UPLOAD] Uploading to: ${newServerPath}`);
+      logger.info(`[UPLOAD] Uploading to: ${swap.tempPath} (final: ${newServerPath}, policy: ${swap.mode})`);
       logger.info(`[UPLOAD] Original path: ${job.filepath}`);
 
-      // Start upload asynchronously - upload to new path with x265 tag
-      const uploadPromise = this.transferManager
-        .uploadFile(encodedPath, newServerPath, (progress) => {
-          this.handleUploadProgress(job.id, progress);
-        })
-        .then(async () => {
+      // Start upload asynchronously - upload under a temporary name, checked, then renamed to the x265 name
+      const uploadPromise = this.removeServerFile(swap.tempPath) // Partial upload left by an earlier attempt
+        .then(() =>
+          this.transferManager.uploadFile(encodedPath, swap.tempPath, (progress) => {
+            this.handleUploadProgress(job.id, progress);
+          })
+        )
+        .then(() => this.verifyUploadedFile(job, encodedPath, swap.tempPath))
+        .then(() => this.swapUploadedFile(job, swap))
+        .then(async (serverBackup) => {
           // End upload timing
           if (this.jobTimings.has(job.id)) {
             this.jobTimings.get(job.id).uploadEnd = Date.now();
@@ -908,8 +1471,11 @@ class QueueManager extends EventEmitter {
           logger.info(`[UPLOAD] Completed job ${job.id}`);
           this.uploadingJobs.delete(job.id);
 
-          // The original file remains unchanged on server
-          logger.info(`[UPLOAD] Original file remains at: ${job.filepath}`);
+          if (swap.mode === "keep_both") {
+            logger.info(`[UPLOAD] Original file remains at: ${job.filepath}`);
+          } else {
+            logger.info(`[UPLOAD] Original file replaced${serverBackup ? `, backup kept at: ${serverBackup}` : ""}`);
+          }
           logger.info(`[UPLOAD] New encoded file uploaded to: ${newServerPath}`);
 
           // Calculate local backup paths
@@ -940,6 +1506,7 @@ class QueueManager extends EventEmitter {
             localEncoded: localEncodedPath,
             serverOriginal: job.filepath,
             serverEncoded: newServerPath,
+            serverBackup,
             timingData: JSON.stringify(timingData),
           });
 
@@ -949,17 +1516,22 @@ class QueueManager extends EventEmitter {
           await this.cleanupJobFiles(job);
 
           this.emit("jobComplete", job);
+
+          await this.purgeExpiredServerBackups();
         })
         .catch(async (error) => {
           logger.error(`[UPLOAD] Failed job ${job.id}:`, error);
           this.uploadingJobs.delete(job.id);
           this.jobTimings.delete(job.id); // Clean up timings on failure
 
-          // No backup to restore since we upload to a new filename
+          // Renames already undone by swapUploadedFile: only the temporary upload is left
           logger.info(`[UPLOAD] Upload failed, original file unchanged at: ${job.filepath}`);
+          await this.removeServerFile(swap.tempPath).catch((cleanupError) => {
+            logger.warn(`[SWAP] Could not delete temporary upload ${swap.tempPath}: ${cleanupError.message}`);
+          });
 
-          await markJobFailed(job.id, error);
-          await this.cleanupJobFiles(job);
+          // Retried later (the encoded file is kept) or failed
+          await this.handleStageFailure(job, "upload", error);
         });
 
       this.uploadingJobs.set(job.id, { job, encodedPath, promise: uploadPromise });
@@ -970,6 +1542,137 @@ class QueueManager extends EventEmitter {
     }
   }
 
+  // Delete a server file if it exists
+  async removeServerFile(remotePath) {
+    if (!(await this.transferManager.fileExists(remotePath))) {
+      return false;
+    }
+    await this.transferManager.deleteFile(remotePath);
+    return true;
+  }
+
+  // Uploaded temp file must have the size of the local encoded file before it replaces anything
+  async verifyUploadedFile(job, localPath, remotePath) {
+    const { size } = await fs.stat(localPath);
+    const problem = checkUploadedSize(size, await this.transferManager.getFileSize(remotePath));
+    if (problem) {
+      throw new Error(problem);
+    }
+    logger.info(`[SWAP] Job ${job.id} upload verified (${formatBytes(size)})`);
+  }
+
+  // Put the uploaded temp file in place (see planServerSwap), finished renames are undone on failure
+  async swapUploadedFile(job, swap) {
+    const done = [];
+    let serverBackup = swap.serverBackup;
+
+    try {
+      for (const step of swap.steps) {
+        if (step.action === "rename") {
+          // WebDAV answers false instead of throwing when the source is missing
+          if ((await this.transferManager.renameFile(step.from, step.to)) === false) {
+            throw new Error(`Rename failed, file not found on server: ${step.from}`);
+          }
+          done.push(step);
+          continue;
+        }
+
+        try {
+          await this.removeServerFile(step.path);
+        } catch (error) {
+          if (!step.optional) {
+            throw error;
+          }
+          logger.warn(`[SWAP] Job ${job.id} could not delete ${step.path}: ${error.message}`);
+          // Backup left on the server: tracked so it can be restored and purged later
+          if (step.path === swap.backupPath) {
+            serverBackup = swap.backupPath;
+          }
+        }
+      }
+    } catch (error) {
+      for (const step of rollbackSteps(done)) {
+        try {
+          await this.transferManager.renameFile(step.from, step.to);
+          logger.warn(`[SWAP] Job ${job.id} rolled back: ${step.from} -> ${step.to}`);
+        } catch (rollbackError) {
+          logger.error(`[SWAP] Job ${job.id} rollback failed (${step.from} -> ${step.to}):`, rollbackError.message);
+        }
+      }
+      throw error;
+    }
+
+    logger.info(`[SWAP] Job ${job.id} ${swap.mode}: ${swap.tempPath} renamed${swap.backupPath ? `, original moved to ${swap.backupPath}` : ""}`);
+    return serverBackup;
+  }
+
+  // Delete server .bak files kept longer than advanced.upload_policy.backup_days
+  async purgeExpiredServerBackups() {
+    try {
+      const { backupDays } = uploadPolicySettings((await this.loadUserConfig())?.advanced?.upload_policy || this.config.advanced?.upload_policy);
+      if (!backupDays) {
+        return 0;
+      }
+
+      const expired = (await getJobsByStatus("completed")).filter((job) => isBackupExpired(job, backupDays));
+      let purged = 0;
+      for (const job of expired) {
+        try {
+          await this.removeServerFile(job.server_backup_path);
+          await updateJob(job.id, { server_backup_path: null });
+          logger.info(`[SWAP] Job ${job.id} backup kept ${backupDays} day(s), deleted: ${job.server_backup_path}`);
+          purged++;
+        } catch (error) {
+          logger.warn(`[SWAP] Could not delete expired backup ${job.server_backup_path}: ${error.message}`);
+        }
+      }
+      return purged;
+    } catch (error) {
+      logger.error("[SWAP] Error purging expired server backups:", error);
+      return 0;
+    }
+  }
+
+  // Failed stage: scheduled for an automatic retry when the error is transient, failed otherwise
+  async handleStageFailure(job, stage, error, { keepFiles = false } = {}) {
+    const latest = (await this.getJob(job.id)) || job;
+    const history = parseRetryHistory(latest);
+    const settings = retrySettings((await this.loadUserConfig())?.advanced?.retry_policy || this.config.advanced?.retry_policy);
+    const plan = planRetry({ stage, error, history, settings });
+    const message = (error?.message || String(error)).split("\n")[0];
+    const attempt = { stage, class: plan.errorClass, error: message, at: new Date().toISOString(), retry_at: plan.retryAt };
+
+    // Paused or removed while the stage was running: nothing to retry
+    const stillRunning = latest.status === { download: "downloading", encode: "encoding", upload: "uploading" }[stage];
+
+    if (plan.retry && stillRunning) {
+      logger.warn(`[RETRY] Job ${job.id} ${stage} failed (${plan.errorClass}), retry ${plan.attempt}/${plan.maxRetries} in ${plan.delay}s: ${message}`);
+      await updateJob(job.id, {
+        status: plan.status,
+        progress: 0,
+        eta: null,
+        error: `${message} (${plan.errorClass}, retry ${plan.attempt}/${plan.maxRetries})`,
+        retry_count: (latest.retry_count || 0) + 1,
+        retry_history: JSON.stringify([...history, attempt]),
+        next_retry_at: plan.retryAt,
+      });
+      this.emit("jobUpdate", { id: job.id, status: plan.status, error: message, next_retry_at: plan.retryAt });
+      return;
+    }
+
+    if (stillRunning && plan.maxRetries > 0 && plan.attempt >= plan.maxRetries && TRANSIENT_CLASSES.includes(plan.errorClass)) {
+      logger.warn(`[RETRY] Job ${job.id} ${stage} failed (${plan.errorClass}) after ${plan.attempt} retries, giving up`);
+    } else {
+      logger.info(`[RETRY] Job ${job.id} ${stage} failed (${plan.errorClass}), not retried`);
+    }
+    await updateJob(job.id, { retry_history: JSON.stringify([...history, { ...attempt, retry_at: null }]) });
+    this.emit("jobUpdate", { id: job.id, status: "failed", error: message });
+    await markJobFailed(job.id, error);
+    if (!keepFiles) {
+      await this.cleanupJobFiles(job);
+    }
+  }
+
   async createBackup(originalPath, job) {
     // Save original file to backups/originals/ directory with full directory structure
     // Remove leading slash and normalize path
@@ -983,6 +1686,144 @@ class QueueManager extends EventEmitter {
     return backupPath;
   }
 
+  // Crop / interlace detection before the encode; the result is stored on the job and never blocks it
+  async runSourceAnalysis(job, localPath, ffmpegConfig = null, encoder = this.encoder) {
+    await encoder.reloadConfig();
+    const analysisConfig = (ffmpegConfig || encoder.userConfig?.ffmpeg)?.source_analysis || {};
+
+    // Resuming a segmented encode: the segments were encoded with the stored analysis
+    if (job.source_analysis && (await this.hasResumableSegments(job.id))) {
+      logger.info(`[ANALYSIS] Reusing crop/interlace detection of job ${job.id} (segmented encode resume)`);
+      return JSON.parse(job.source_analysis);
+    }
+
+    if (job.source_analysis_disabled) {
+      logger.info(`[ANALYSIS] Crop/interlace detection disabled for job ${job.id}`);
+      await updateJob(job.id, { source_analysis: null });
+      return null;
+    }
+    if (analysisConfig.auto_crop === false && analysisConfig.auto_deinterlace === false) {
+      return null;
+    }
+
+    try {
+      const analysis = await encoder.analyzeSource(localPath, (progress) => this.handleEncodingProgress(job.id, progress), ffmpegConfig);
+      await updateJob(job.id, { source_analysis: JSON.stringify(analysis) });
+      this.emit("jobUpdate", { id: job.id, status: "encoding" });
+      return analysis;
+    } catch (error) {
+      if (encoder.stopRequested) {
+        throw error;
+      }
+      logger.warn(`[ANALYSIS] Crop/interlace detection failed for job ${job.id}, encoding without it:`, error.message || error);
+      return null;
+    }
+  }
+
+  // A job can resume its segmented encode when segments are finished and the download is still there
+  async hasResumableSegments(jobId) {
+    try {
+      const job = await this.getJob(jobId);
+      const summary = job?.encoding_segments ? JSON.parse(job.encoding_segments) : null;
+      if (!summary || !summary.completed) {
+        return false;
+      }
+
+      const downloadedPath = path.join(this.config.storage.local_temp, "downloaded", `${job.id}_${path.basename(job.filepath)}`);
+      const manifestPath = path.join(this.config.storage.local_temp, "segments", String(job.id), "segments.json");
+      return (await fs.pathExists(downloadedPath)) && (await fs.pathExists(manifestPath));
+    } catch (error) {
+      logger.warn(`Failed to check segments of job ${jobId}:`, error.message || error);
+      return false;
+    }
+  }
+
+  async analyzeEncodedQuality(job, originalPath, encodedPath, videoInfo, encodingParams = {}, encoder = this.encoder) {
+    // Settings come from the user config reloaded by the encoder at the start of this encode
+    const analysisConfig = encoder.userConfig?.advanced?.quality_analysis || {};
+    if (analysisConfig.enabled === false) {
+      logger.info(`[QUALITY] Quality analysis disabled, skipping job ${job.id}`);
+      return {};
+    }
+    if (encodingParams?.hdr?.tonemapped) {
+      logger.info(`[QUALITY] Job ${job.id} was tone-mapped to SDR: scores against the HDR source would be meaningless, skipping`);
+      return {};
+    }
+
+    // The reference gets the same deinterlace / crop as the encode, at the cropped size
+    const sourceFilters = encodingParams?.source_filters;
+    const [width, height] = sourceFilters?.crop ? sourceFilters.crop.to.split("x").map(Number) : [videoInfo.video.width, videoInfo.video.height];
+
+    try {
+      logger.info(`[QUALITY] Analyzing quality for job ${job.id}...`);
+      const scores = await encoder.analyzeQuality(originalPath, encodedPath, {
+        width,
+        height,
+        referenceFilter: buildSourceFilters(sourceFilters).join(","),
+        duration: videoInfo.duration,
+        subsample: analysisConfig.subsample,
+        onProgress: (progress) => this.emit("progress", { jobId: job.id, ...progress }),
+      });
+
+      logger.info(`[QUALITY] Job ${job.id} (${scores.method}): VMAF=${scores.vmaf ?? "n/a"}, SSIM=${scores.ssim ?? "n/a"}, PSNR=${scores.psnr ?? "n/a"}`);
+      return {
+        quality_vmaf: scores.vmaf,
+        quality_ssim: scores.ssim,
+        quality_psnr: scores.psnr,
+        quality_method: scores.method,
+      };
+    } catch (error) {
+      logger.warn(`[QUALITY] Quality analysis failed for job ${job.id}:`, error.message || error);
+      return {};
+    }
+  }
+
+  /**
+   * Verify the encoded file before it can be uploaded (duration, track counts, full decode)
+   * @param {object} job - Job
+   * @param {string} encodedPath - Encoded file
+   * @param {object} sourceInfo - getVideoInfo() of the source
+   * @param {object} encodedInfo - getVideoInfo() of the encoded file
+   * @param {object} [encodingParams] - Encoding parameters of the encode
+   * @param {VideoEncoder} [encoder] - Encoder of the job's encode slot
+   * @throws {Error} "Verification failed: ..." with every problem found
+   */
+  async verifyEncodedOutput(job, encodedPath, sourceInfo, encodedInfo, encodingParams = {}, encoder = this.encoder) {
+    // Settings come from the user config reloaded by the encoder at the start of this encode
+    const verifyConfig = encoder.userConfig?.advanced?.verification || this.config.advanced?.verification || {};
+    if (verifyConfig.enabled === false) {
+      logger.info(`[VERIFY] Output verification disabled, skipping job ${job.id}`);
+      return;
+    }
+
+    const problems = checkOutputParity(sourceInfo, encodedInfo, encodingParams, verifyConfig);
+
+    // No full decode of a file that already failed the cheap checks
+    if (problems.length === 0 && verifyConfig.full_decode !== false) {
+      logger.info(`[VERIFY] Decoding ${path.basename(encodedPath)} for job ${job.id}...`);
+      try {
+        const decode = await encoder.verifyDecode(encodedPath, {
+          duration: encodedInfo.duration,
+          onProgress: (progress) => this.emit("progress", { jobId: job.id, ...progress }),
+        });
+        if (decode.errors > 0) {
+          problems.push(describeDecodeErrors(decode.errors, decode.samples));
+        }
+      } catch (error) {
+        if (encoder.stopRequested) {
+          throw error;
+        }
+        problems.push(`decode aborted (${(error.message || String(error)).split("\n")[0]})`);
+      }
+    }
+
+    if (problems.length > 0) {
+      logger.error(`[VERIFY] Job ${job.id} failed verification: ${problems.join("; ")}`);
+      throw new Error(formatVerificationError(problems));
+    }
+    logger.info(`[VERIFY] Job ${job.id} passed verification`);
+  }
+
   async updateProgressFile(job, encodingData) {
     // This would update the remote progress file
     // Implementation depends on ProgressFileManager
@@ -1036,6 +1877,14 @@ class QueueManager extends EventEmitter {
       logger.warn(`Failed to cleanup ${downloadedPath}:`, error);
     }
 
+    // Segmented encoding leftovers (never useful once the job is cleaned up)
+    const segmentDir = path.join(this.config.storage.local_temp, "segments", String(job.id));
+    await fs.remove(segmentDir).catch((error) => logger.warn(`Failed to cleanup ${segmentDir}:`, error));
+
+    // Two-pass stats files (normally removed after the final pass, left behind by a crash)
+    const passLogDir = path.join(this.config.storage.local_temp, "twopass", String(job.id));
+    await fs.remove(passLogDir).catch((error) => logger.warn(`Failed to cleanup ${passLogDir}:`, error));
+
     // Handle encoded file
     try {
       if (await fs.pathExists(encodedPath)) {
@@ -1059,21 +1908,28 @@ class QueueManager extends EventEmitter {
     }
   }
 
-  async stopCurrentJob() {
-    // Stop encoding job
-    if (this.encodingJob) {
-      logger.info(`Stopping encoding job: ${this.encodingJob.id}`);
-
-      if (this.encoder.isCurrentlyEncoding()) {
-        await this.encoder.stopEncoding();
+  // Stop the encode of one job (jobId), or every encode, download and upload
+  async stopCurrentJob(jobId = null) {
+    // Stop encoding jobs
+    for (const slot of this.encodeSlots) {
+      const { job, promise } = slot;
+      if (!job || (jobId !== null && job.id !== jobId)) {
+        continue;
       }
+      logger.info(`Stopping encoding job: ${job.id} (slot ${slot.index})`);
+
+      // Always notify the encoder: between two target VMAF sample encodes no process is running
+      await slot.encoder.stopEncoding();
+      await promise;
 
-      await updateJob(this.encodingJob.id, {
+      await updateJob(job.id, {
         status: "paused",
         error: "Manually stopped",
       });
+    }
 
-      this.encodingJob = null;
+    if (jobId !== null) {
+      return;
     }
 
     // Pause all downloading jobs
@@ -1121,6 +1977,14 @@ class QueueManager extends EventEmitter {
             progress: 0,
             error: null,
           });
+        } else if (job.status === "encoding" && (await this.hasResumableSegments(job.id))) {
+          // Segmented encode: skip the finished segments instead of starting over
+          logger.info(`Job ${job.id} has finished segments, resuming encoding`);
+          await updateJob(job.id, {
+            status: "ready_encode",
+            progress: 0,
+            error: null,
+          });
         } else {
           // Otherwise, clean up and restart from beginning
           await this.cleanupJobFiles(job);
@@ -1171,16 +2035,23 @@ class QueueManager extends EventEmitter {
   handleEncodingProgress(jobId, progress) {
     const progressData = {
       jobId,
-      type: "encoding",
+      type: progress.type || "encoding", // "quality_search" while target VMAF samples are encoded, "source_analysis" during crop/interlace detection
       progress: progress.progress,
       fps: progress.fps || 0,
       speed: progress.speed || 0,
+      encodeSpeed: progress.encodeSpeed || null, // x real time
+      bitrate: progress.bitrate || null, // kbit/s
+      outputSize: progress.outputSize || null,
+      estimatedSize: progress.estimatedSize || null,
       eta: progress.eta,
       currentTime: progress.currentTime,
       totalDuration: progress.totalDuration,
       elapsedTime: progress.elapsedTime,
       frames: progress.frames,
       totalFrames: progress.totalFrames,
+      segment: progress.segment, // { index, total } in segmented mode
+      pass: progress.pass, // { number, total } for two-pass encodes
+      slot: this.getEncodeSlot(jobId)?.index || null, // Encode slot running the job
     };
 
     // Throttle database updates to avoid SQLITE_BUSY errors
@@ -0,0 +1,103 @@
+/**
+ * resolution.js - Sharkoder Resolution Ceiling Policy
+ *
+ * Module: Automatic Downscaling
+ * Author: Sharkoder Team
+ * Description: Politique de résolution maximale: calcule la taille cible (ratio conservé,
+ *              dimensions paires) quand la source dépasse le plafond, gère les exceptions
+ *              par chemin et fournit le libellé de résolution pour le nom de fichier.
+ * Dependencies: aucune (module pur)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Plafond max_width / max_height (ex: tout ce qui dépasse 1080p devient 1080p)
+ * - Exceptions par chemin serveur (ex: "/4K" garde la résolution d'origine)
+ * - Filtre scale FFmpeg avec algorithme configurable (lanczos, bicubic, spline...)
+ * - Libellés de résolution (2160p, 1080p, ...) pour generateOutputFilename
+ *
+ * Format de la politique (ffmpeg.resolution dans sharkoder.config.json):
+ * { enabled: true, max_width: 1920, max_height: 1080, scaler: "lanczos", exceptions: ["/4K"] }
+ */
+
+// swscale algorithms exposed in the settings
+const SCALERS = ["lanczos", "bicubic", "spline", "bilinear", "area", "neighbor"];
+
+/**
+ * Check whether a path matches one of the exceptions.
+ * An exception matches when it appears in the path as a whole folder or file name segment
+ * ("/4K" matches "/Movies/4K/Film.mkv" but not "/Movies/4K-Remaster/Film.mkv"), case-insensitive.
+ * @param {string} filePath - Server path of the source (job.filepath)
+ * @param {Array<string>} exceptions - Path fragments
+ * @returns {string|null} Matched exception or null
+ */
+const matchPathException = (filePath, exceptions = []) => {
+  if (!filePath) return null;
+  const normalizedPath = `/${filePath.replace(/\\/g, "/").replace(/^\/+/, "")}/`.toLowerCase();
+
+  return (
+    exceptions.find((exception) => {
+      const fragment = (exception || "").replace(/\\/g, "/").replace(/^\/+|\/+$/g, "").toLowerCase();
+      return fragment && normalizedPath.includes(`/${fragment}/`);
+    }) || null
+  );
+};
+
+/**
+ * Common label of a resolution (width-aware: 1920x800 scope is still "1080p")
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {string} "2160p", "1440p", "1080p", "720p", "576p", "480p" or "<height>p"
+ */
+const resolutionLabel = (width, height) => {
+  if (width >= 3800 || height >= 2100) return "2160p";
+  if (width >= 2500 || height >= 1400) return "1440p";
+  if (width >= 1900 || height >= 1060) return "1080p";
+  if (width >= 1260 || height >= 700) return "720p";
+  if (height >= 560) return "576p";
+  if (height >= 470) return "480p";
+  return `${height}p`;
+};
+
+/**
+ * Compute the output size for a source under the resolution policy
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {object} [policy] - ffmpeg.resolution config
+ * @param {string} [sourcePath] - Server path, checked against policy.exceptions
+ * @returns {{scale: boolean, width: number, height: number, reason: string, filter?: string, label?: string}}
+ */
+const computeTargetResolution = (width, height, policy = {}, sourcePath = null) => {
+  const unchanged = (reason) => ({ scale: false, width, height, reason });
+
+  if (!policy || !policy.enabled) return unchanged("policy disabled");
+  if (!width || !height) return unchanged("unknown source size");
+
+  const exception = matchPathException(sourcePath, policy.exceptions);
+  if (exception) return unchanged(`path exception "${exception}"`);
+
+  const maxWidth = parseInt(policy.max_width) || Infinity;
+  const maxHeight = parseInt(policy.max_height) || Infinity;
+  const ratio = Math.min(maxWidth / width, maxHeight / height);
+  if (ratio >= 1) return unchanged(`${width}x${height} within ${policy.max_width || "∞"}x${policy.max_height || "∞"}`);
+
+  // Keep aspect ratio, round down to even sizes (4:2:0 chroma subsampling)
+  const targetWidth = Math.max(2, Math.floor((width * ratio) / 2) * 2);
+  const targetHeight = Math.max(2, Math.floor((height * ratio) / 2) * 2);
+  const scaler = SCALERS.includes(policy.scaler) ? policy.scaler : "lanczos";
+
+  return {
+    scale: true,
+    width: targetWidth,
+    height: targetHeight,
+    reason: `${width}x${height} exceeds ${policy.max_width || "∞"}x${policy.max_height || "∞"}`,
+    filter: `scale=${targetWidth}:${targetHeight}:flags=${scaler}`,
+    label: resolutionLabel(targetWidth, targetHeight),
+  };
+};
+
+module.exports = {
+  SCALERS,
+  matchPathException,
+  resolutionLabel,
+  computeTargetResolution,
+};
@@ -0,0 +1,147 @@
+/**
+ * retry-policy.js - Sharkoder Automatic Retry Policy
+ *
+ * Module: Stage Failure Classification and Backoff
+ * Author: Sharkoder Team
+ * Description: Décide si un échec de téléchargement, d'encodage ou d'upload est relancé
+ *              automatiquement. L'erreur est classée (réseau, disque plein, FFmpeg fatal, fichier
+ *              encodé plus gros que l'original), seules les erreurs passagères sont relancées, avec
+ *              un délai qui double à chaque tentative. Chaque tentative est gardée dans retry_history.
+ * Dependencies: utils (isNetworkError), appelé par QueueManager.handleStageFailure
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Classes d'erreur: network, disk_full, ffmpeg_fatal, larger_than_original, unknown
+ * - Relance seulement des classes passagères (network, disk_full), nombre d'essais par étape
+ * - Backoff exponentiel: base_delay, 2 × base_delay, 4 × base_delay... plafonné à max_delay
+ * - Un job en attente de relance reste dans son statut d'étape, ignoré jusqu'à next_retry_at
+ *
+ * Format (advanced.retry_policy dans sharkoder.config.json):
+ * { enabled: true, base_delay: 30, max_delay: 1800, max_retries: { download: 3, encode: 1, upload: 5 } }
+ */
+
+const { isNetworkError } = require("./utils");
+
+const STAGES = ["download", "encode", "upload"];
+
+// Failures that can go away by themselves (connection back, space freed by other jobs)
+const TRANSIENT_CLASSES = ["network", "disk_full"];
+
+// Status a job goes back to while it waits for its retry
+const RETRY_STATUS = {
+  download: "waiting",
+  encode: "ready_encode",
+  upload: "ready_upload",
+};
+
+const DEFAULT_MAX_RETRIES = { download: 3, encode: 1, upload: 5 };
+
+/**
+ * Class of a stage failure
+ * @param {Error|string} error - Error of the download, encode or upload
+ * @returns {string} "network", "disk_full", "ffmpeg_fatal", "larger_than_original" or "unknown"
+ */
+const classifyError = (error) => {
+  const err = error instanceof Error ? error : new Error(String(error || ""));
+  const message = err.message || "";
+
+  if (err.code === "LARGER_THAN_ORIGINAL" || /larger than original/i.test(message)) return "larger_than_original";
+  if (err.code === "ENOSPC" || /ENOSPC|no space left|disk full|Espace disque insuffisant/i.test(message)) return "disk_full";
+  if (/ffmpeg|ffprobe|Invalid data found|Conversion failed|Verification failed|decode error/i.test(message)) return "ffmpeg_fatal";
+  if (isNetworkError(err) || /timed out|ECONNABORTED|EPIPE|EHOSTUNREACH|ENETUNREACH/i.test(`${err.code || ""} ${message}`)) return "network";
+  return "unknown";
+};
+
+/**
+ * Retry settings with their defaults
+ * @param {object} [config] - advanced.retry_policy
+ * @returns {{enabled: boolean, baseDelay: number, maxDelay: number, maxRetries: object}} Delays in seconds
+ */
+const retrySettings = (config = {}) => {
+  const baseDelay = Math.max(1, parseFloat(config.base_delay) || 30);
+  const maxRetries = {};
+  for (const stage of STAGES) {
+    maxRetries[stage] = Math.max(0, parseInt(config.max_retries?.[stage] ?? DEFAULT_MAX_RETRIES[stage]) || 0);
+  }
+  return {
+    enabled: config.enabled !== false,
+    baseDelay,
+    maxDelay: Math.max(baseDelay, parseFloat(config.max_delay) || 1800),
+    maxRetries,
+  };
+};
+
+/**
+ * Delay before a retry: doubles at each attempt, capped
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @param {object} settings - retrySettings()
+ * @returns {number} Seconds
+ */
+const retryDelay = (attempt, settings) => Math.min(settings.maxDelay, settings.baseDelay * 2 ** Math.max(0, attempt - 1));
+
+/**
+ * Attempts recorded on a job
+ * @param {object} job - Row of the jobs table
+ * @returns {Array<{stage: string, class: string, error: string, at: string, retry_at: string|null}>}
+ */
+const parseRetryHistory = (job) => {
+  if (!job?.retry_history) return [];
+  try {
+    const history = JSON.parse(job.retry_history);
+    return Array.isArray(history) ? history : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Whether a failed stage is retried, and when
+ * @param {object} state
+ * @param {string} state.stage - "download", "encode" or "upload"
+ * @param {Error|string} state.error - Failure of the stage
+ * @param {Array<object>} state.history - parseRetryHistory() of the job
+ * @param {object} state.settings - retrySettings()
+ * @param {number} [state.now=Date.now()] - Time of the failure (ms)
+ * @returns {{retry: boolean, errorClass: string, attempt: number, maxRetries: number, delay: number, retryAt: string|null, status: string|null}}
+ *          attempt: retry number when retried, retries already done otherwise
+ */
+const planRetry = ({ stage, error, history, settings, now = Date.now() }) => {
+  const errorClass = classifyError(error);
+  const maxRetries = settings.maxRetries[stage] || 0;
+  const done = history.filter((entry) => entry.stage === stage && entry.retry_at).length;
+  const retry = settings.enabled && TRANSIENT_CLASSES.includes(errorClass) && done < maxRetries;
+
+  if (!retry) {
+    return { retry: false, errorClass, attempt: done, maxRetries, delay: 0, retryAt: null, status: null };
+  }
+  const delay = retryDelay(done + 1, settings);
+  return {
+    retry: true,
+    errorClass,
+    attempt: done + 1,
+    maxRetries,
+    delay,
+    retryAt: new Date(now + delay * 1000).toISOString(),
+    status: RETRY_STATUS[stage],
+  };
+};
+
+/**
+ * Whether a job can be picked by its stage (no retry pending, or retry time reached)
+ * @param {object} job - Row of the jobs table
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+const isRetryDue = (job, now = Date.now()) => !job.next_retry_at || new Date(job.next_retry_at).getTime() <= now;
+
+module.exports = {
+  STAGES,
+  TRANSIENT_CLASSES,
+  RETRY_STATUS,
+  classifyError,
+  retrySettings,
+  retryDelay,
+  parseRetryHistory,
+  planRetry,
+  isRetryDue,
+};
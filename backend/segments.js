@@ -0,0 +1,141 @@
+/**
+ * segments.js - Sharkoder Segmented Encoding
+ *
+ * Module: Chunked Encoding Plan
+ * Author: Sharkoder Team
+ * Description: Découpage de la source en segments alignés sur les keyframes pour l'encodage
+ *              segmenté (reprise après crash ou arrêt), suivi des segments terminés et
+ *              génération de la liste de concaténation finale.
+ * Dependencies: crypto (module pur, aucune E/S)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Lecture des keyframes depuis la sortie ffprobe (paquets vidéo, flag K)
+ * - Plan de segments d'environ segment_duration secondes, bornés par des keyframes
+ * - Clé de paramètres: un segment encodé avec d'autres réglages n'est jamais réutilisé
+ * - Liste pour le demuxer concat de FFmpeg
+ *
+ * Format de la config (ffmpeg.segmented_encoding dans sharkoder.config.json):
+ * { enabled: false, segment_duration: 300 }
+ *
+ * Manifeste (segments.json dans le dossier du job):
+ * { version, source: {size, duration}, settings_key, quality_override, target_quality,
+ *   segment_duration, segments: [{index, start, end, file, done}] }
+ */
+
+const crypto = require("crypto");
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Parse keyframe timestamps from `ffprobe -show_entries packet=pts_time,flags -of csv=p=0`
+ * @param {string} output - ffprobe stdout ("12.345000,K__" per packet)
+ * @returns {Array<number>} Sorted keyframe timestamps in seconds
+ */
+const parseKeyframes = (output) => {
+  const keyframes = new Set();
+  (output || "").split(/\r?\n/).forEach((line) => {
+    const [pts, flags] = line.trim().split(",");
+    const time = parseFloat(pts);
+    if (flags && flags.includes("K") && !isNaN(time)) {
+      keyframes.add(Math.round(time * 1000000) / 1000000);
+    }
+  });
+  return [...keyframes].sort((a, b) => a - b);
+};
+
+/**
+ * Plan keyframe-aligned segments of roughly segmentDuration seconds.
+ * Every segment starts on a keyframe so it can be encoded on its own and concatenated
+ * without re-encoding; the last segment runs to the end of the file.
+ * @param {Array<number>} keyframes - Keyframe timestamps (parseKeyframes)
+ * @param {number} duration - Source duration in seconds
+ * @param {number} segmentDuration - Target segment length in seconds
+ * @returns {Array<{index: number, start: number, end: number}>}
+ */
+const planSegments = (keyframes, duration, segmentDuration) => {
+  const length = Math.max(10, parseFloat(segmentDuration) || 300);
+  const starts = [0];
+
+  (keyframes || []).forEach((time) => {
+    // Avoid a tiny last segment: a boundary needs at least half a segment after it
+    if (time - starts[starts.length - 1] >= length && duration - time >= length / 2) {
+      starts.push(time);
+    }
+  });
+
+  return starts.map((start, index) => ({
+    index,
+    start,
+    end: index < starts.length - 1 ? starts[index + 1] : duration,
+  }));
+};
+
+/**
+ * Fingerprint of the settings a segment was encoded with.
+ * Segments are only reused when the encode settings and source filters are unchanged.
+ * @param {object} ffmpegConfig - ffmpeg section of the user config
+ * @param {object} [extra] - Per-job inputs (source filters, quality override, resolution exceptions path)
+ * @returns {string} Short hash
+ */
+const computeSettingsKey = (ffmpegConfig, extra = {}) => {
+  const { segmented_encoding, ...settings } = ffmpegConfig || {};
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ settings, extra }))
+    .digest("hex")
+    .slice(0, 16);
+};
+
+/**
+ * Check whether a saved manifest can be resumed for this source and settings
+ * @param {object} manifest - Saved manifest
+ * @param {{size: number, duration: number}} source - Current source
+ * @param {string} settingsKey - computeSettingsKey() of the current run
+ * @returns {{resumable: boolean, reason: string}}
+ */
+const checkResumable = (manifest, source, settingsKey) => {
+  if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.segments)) {
+    return { resumable: false, reason: "no previous segments" };
+  }
+  if (manifest.source?.size !== source.size || Math.abs((manifest.source?.duration || 0) - source.duration) > 0.5) {
+    return { resumable: false, reason: "source file changed" };
+  }
+  if (manifest.settings_key !== settingsKey) {
+    return { resumable: false, reason: "encoding settings changed" };
+  }
+  const done = manifest.segments.filter((segment) => segment.done).length;
+  return { resumable: true, reason: `${done}/${manifest.segments.length} segments already encoded` };
+};
+
+/**
+ * Build the concat demuxer list for the encoded segments
+ * @param {Array<string>} files - Segment files in order (absolute paths)
+ * @returns {string} File content for `-f concat -safe 0 -i list.txt`
+ */
+const buildConcatList = (files) => files.map((file) => `file '${file.replace(/\\/g, "/").replace(/'/g, "'\\''")}'`).join("\n") + "\n";
+
+/**
+ * Short progress summary stored on the job (jobs.encoding_segments)
+ * @param {object} manifest - Current manifest
+ * @returns {{total: number, completed: number, segment_duration: number, encoded_duration: number}}
+ */
+const summarizeSegments = (manifest) => {
+  const completed = manifest.segments.filter((segment) => segment.done);
+  return {
+    total: manifest.segments.length,
+    completed: completed.length,
+    segment_duration: manifest.segment_duration,
+    encoded_duration: Math.round(completed.reduce((sum, segment) => sum + (segment.end - segment.start), 0)),
+  };
+};
+
+module.exports = {
+  MANIFEST_VERSION,
+  parseKeyframes,
+  planSegments,
+  computeSettingsKey,
+  checkResumable,
+  buildConcatList,
+  summarizeSegments,
+};
@@ -0,0 +1,132 @@
+/**
+ * skip-rules.js - Sharkoder Skip Rules
+ *
+ * Module: Skip Policy
+ * Author: Sharkoder Team
+ * Description: Règles configurables pour ne pas encoder les fichiers qui n'y gagneraient rien.
+ *              Évaluées à l'ajout dans la file (données du cache: codec, débit, résolution,
+ *              taille) puis après le probe du fichier téléchargé (valeurs exactes). Un fichier
+ *              écarté reste dans la table jobs avec le statut "skipped" et la raison.
+ * Dependencies: aucune (module pur)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Taille minimale (fichiers trop petits pour valoir un encodage)
+ * - Bits par pixel (débit vidéo / (largeur x hauteur x fps)) sous un seuil: déjà compressé
+ * - Codecs source à ignorer (hevc, av1...)
+ * - Tags dans le nom de fichier (x265, HEVC, AV1...) comparés mot par mot
+ * - Globs de chemins serveur (* = un segment, ** = n'importe quelle profondeur)
+ * - Une règle sans donnée disponible (ex: pas de débit dans le cache) est ignorée
+ *
+ * Format (advanced.skip_rules dans sharkoder.config.json):
+ * { enabled: true, min_size_mb: 200, max_bits_per_pixel: 0.05, codecs: ["av1"],
+ *   filename_tags: ["x265", "HEVC", "AV1"], path_globs: ["/Kids/**"] }
+ */
+
+// Frame rate assumed when the cache has none (film)
+const DEFAULT_FPS = 24;
+
+/**
+ * Convert a path glob to a regular expression (case-insensitive, "/" separated)
+ * @param {string} glob - "*" matches inside one segment, "**" across segments, "?" one character
+ * @returns {RegExp} Anchored expression
+ */
+const globToRegExp = (glob) => {
+  let pattern = "";
+  const normalized = `/${String(glob).replace(/\\/g, "/").replace(/^\/+/, "")}`;
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === "*" && normalized[i + 1] === "*") {
+      // "/**/" also matches a single "/"
+      if (normalized[i + 2] === "/") {
+        pattern += "(?:.*/)?";
+        i += 2;
+      } else {
+        pattern += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      pattern += "[^/]*";
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${pattern}$`, "i");
+};
+
+/**
+ * Frame size from a resolution label ("1080p", "4K") when only the cache is available (16:9 assumed)
+ * @param {string} resolution - Resolution label
+ * @returns {{width: number, height: number}|null}
+ */
+const frameSizeFromLabel = (resolution) => {
+  if (!resolution) return null;
+  const value = String(resolution).toLowerCase();
+  const height = value === "4k" ? 2160 : parseInt(value);
+  return height > 0 ? { width: Math.round((height * 16) / 9), height } : null;
+};
+
+/**
+ * Bits spent per pixel and per frame
+ * @param {object} file - { bitrate (bit/s), width, height, resolution, fps }
+ * @returns {number|null} Bits per pixel, null when the bitrate or the frame size is unknown
+ */
+const bitsPerPixel = (file) => {
+  const frame = file.width > 0 && file.height > 0 ? { width: file.width, height: file.height } : frameSizeFromLabel(file.resolution);
+  if (!(file.bitrate > 0) || !frame) return null;
+  return file.bitrate / (frame.width * frame.height * (file.fps > 0 ? file.fps : DEFAULT_FPS));
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Evaluate the skip rules for a file
+ * @param {object} rules - advanced.skip_rules
+ * @param {object} file - { path, size, codec, bitrate, width, height, resolution, fps }
+ * @returns {{rule: string, reason: string}|null} First matching rule, null when the file should be encoded
+ */
+const evaluateSkipRules = (rules, file) => {
+  if (!rules || !rules.enabled || !file) return null;
+  const filePath = (file.path || "").replace(/\\/g, "/");
+  const fileName = filePath.split("/").pop();
+
+  const glob = (rules.path_globs || []).find((pattern) => pattern && globToRegExp(pattern).test(`/${filePath.replace(/^\/+/, "")}`));
+  if (glob) {
+    return { rule: "path_glob", reason: `Path matches "${glob}"` };
+  }
+
+  // Tags match whole words of the name: "x265" matches "Film.x265.mkv", not "Film.x2650.mkv"
+  const tag = (rules.filename_tags || []).find((value) => value && new RegExp(`(^|[^a-z0-9])${escapeRegExp(value)}([^a-z0-9]|$)`, "i").test(fileName));
+  if (tag) {
+    return { rule: "filename_tag", reason: `Filename tagged "${tag}"` };
+  }
+
+  const minSize = parseFloat(rules.min_size_mb) || 0;
+  if (minSize > 0 && file.size > 0 && file.size < minSize * 1024 * 1024) {
+    return { rule: "min_size", reason: `Smaller than ${minSize} MB (${Math.round(file.size / 1024 / 1024)} MB)` };
+  }
+
+  const codec = (file.codec || "").toLowerCase();
+  const skippedCodec = codec && (rules.codecs || []).find((value) => value && value.toLowerCase() === codec);
+  if (skippedCodec) {
+    return { rule: "codec", reason: `Source already ${codec}` };
+  }
+
+  const maxBpp = parseFloat(rules.max_bits_per_pixel) || 0;
+  const bpp = maxBpp > 0 ? bitsPerPixel(file) : null;
+  if (bpp !== null && bpp < maxBpp) {
+    return { rule: "bits_per_pixel", reason: `${bpp.toFixed(3)} bits/pixel, below ${maxBpp}` };
+  }
+
+  return null;
+};
+
+module.exports = {
+  globToRegExp,
+  bitsPerPixel,
+  evaluateSkipRules,
+};
@@ -0,0 +1,201 @@
+/**
+ * throttle.js - Sharkoder Encoding Load Limiter
+ *
+ * Module: FFmpeg Process Throttle
+ * Author: Sharkoder Team
+ * Description: Limitation réelle de la charge GPU/CPU d'un encodage: le processus FFmpeg est
+ *              suspendu puis repris en cycle (duty cycle) pour viser un taux d'utilisation,
+ *              sans toucher aux arguments FFmpeg (le fichier produit est identique).
+ * Dependencies: child_process, os
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Duty cycle: FFmpeg tourne limit% du temps sur une période d'une seconde
+ * - Suspension POSIX (SIGSTOP / SIGCONT) ou Windows (NtSuspendProcess via un seul processus PowerShell)
+ * - Priorité du processus abaissée pour les encodages CPU (nice / classe de priorité Windows)
+ * - Limite modifiable à chaud pendant l'encodage (setLimit)
+ *
+ * Format de la config (ffmpeg.gpu_limit dans sharkoder.config.json):
+ * 100 = aucune limite, 10-95 = pourcentage du temps où FFmpeg encode
+ */
+
+const os = require("os");
+const { spawn } = require("child_process");
+const { logger } = require("./utils");
+
+const MIN_LOAD_LIMIT = 10;
+const DEFAULT_PERIOD_MS = 1000;
+
+// Suspend/resume helper for Windows: one long-lived PowerShell reading "s"/"r" lines on stdin
+const windowsSuspendScript = (pid) => `
+Add-Type -Name Nt -Namespace Sharkoder -MemberDefinition '[DllImport("ntdll.dll")] public static extern int NtSuspendProcess(IntPtr h); [DllImport("ntdll.dll")] public static extern int NtResumeProcess(IntPtr h);'
+$p = [System.Diagnostics.Process]::GetProcessById(${parseInt(pid)})
+while (($line = [Console]::In.ReadLine()) -ne $null) {
+  if ($line -eq "s") { [void][Sharkoder.Nt]::NtSuspendProcess($p.Handle) } else { [void][Sharkoder.Nt]::NtResumeProcess($p.Handle) }
+}
+[void][Sharkoder.Nt]::NtResumeProcess($p.Handle)
+`;
+
+/**
+ * Normalize a load limit setting (100 = unlimited)
+ * @param {number} value - Limit in percent
+ * @returns {number} Integer between MIN_LOAD_LIMIT and 100
+ */
+const clampLoadLimit = (value) => {
+  const limit = parseInt(value);
+  if (isNaN(limit) || limit >= 100) return 100;
+  return Math.max(MIN_LOAD_LIMIT, limit);
+};
+
+/**
+ * Run/pause durations for a load limit
+ * @param {number} limit - Limit in percent
+ * @param {number} [periodMs] - Cycle length
+ * @returns {{runMs: number, pauseMs: number}|null} null when unlimited
+ */
+const computeDutyCycle = (limit, periodMs = DEFAULT_PERIOD_MS) => {
+  const effective = clampLoadLimit(limit);
+  if (effective >= 100) return null;
+  const runMs = Math.round((periodMs * effective) / 100);
+  return { runMs, pauseMs: periodMs - runMs };
+};
+
+/**
+ * Process priority for a CPU encode (os.setPriority scale: 0 normal, 19 lowest)
+ * @param {number} limit - Limit in percent
+ * @returns {number} Priority value
+ */
+const cpuPriorityForLimit = (limit) => {
+  const effective = clampLoadLimit(limit);
+  if (effective >= 100) return os.constants.priority.PRIORITY_NORMAL;
+  if (effective >= 50) return os.constants.priority.PRIORITY_BELOW_NORMAL;
+  return os.constants.priority.PRIORITY_LOW;
+};
+
+/**
+ * Duty-cycles a running process to limit its load.
+ * The process is always resumed when the throttle stops, so a stopped encode never stays frozen.
+ */
+class ProcessThrottle {
+  /**
+   * @param {number} pid - Process to throttle (FFmpeg)
+   * @param {object} [options] - { cpu: lower the process priority too, platform, periodMs }
+   */
+  constructor(pid, options = {}) {
+    this.pid = pid;
+    this.cpu = options.cpu === true;
+    this.platform = options.platform || process.platform;
+    this.periodMs = options.periodMs || DEFAULT_PERIOD_MS;
+    this.limit = 100;
+    this.timer = null;
+    this.suspended = false;
+    this.helper = null; // Windows PowerShell helper
+    this.stopped = false;
+  }
+
+  /**
+   * Apply a new limit (takes effect at the next cycle)
+   * @param {number} limit - Limit in percent (100 = unlimited)
+   */
+  setLimit(limit) {
+    if (this.stopped) return;
+    this.limit = clampLoadLimit(limit);
+
+    if (this.cpu) {
+      try {
+        os.setPriority(this.pid, cpuPriorityForLimit(this.limit));
+      } catch (error) {
+        logger.warn(`[THROTTLE] Failed to change process priority: ${error.message}`);
+      }
+    }
+
+    if (this.limit >= 100) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.resume();
+    } else if (!this.timer) {
+      this.cycle();
+    }
+  }
+
+  // Run for runMs, then pause for pauseMs, until unlimited or stopped
+  cycle() {
+    const dutyCycle = computeDutyCycle(this.limit, this.periodMs);
+    if (this.stopped || !dutyCycle) {
+      this.timer = null;
+      return;
+    }
+
+    this.resume();
+    this.timer = setTimeout(() => {
+      if (this.stopped) return;
+      this.suspend();
+      this.timer = setTimeout(() => this.cycle(), dutyCycle.pauseMs);
+    }, dutyCycle.runMs);
+  }
+
+  suspend() {
+    if (this.suspended) return;
+    this.signal("s");
+    this.suspended = true;
+  }
+
+  resume() {
+    if (!this.suspended) return;
+    this.signal("r");
+    this.suspended = false;
+  }
+
+  signal(action) {
+    try {
+      if (this.platform === "win32") {
+        this.getWindowsHelper().stdin.write(`${action}\n`);
+      } else {
+        process.kill(this.pid, action === "s" ? "SIGSTOP" : "SIGCONT");
+      }
+    } catch (error) {
+      // Process already gone: nothing left to throttle
+      logger.warn(`[THROTTLE] ${action === "s" ? "Suspend" : "Resume"} failed for PID ${this.pid}: ${error.message}`);
+      this.stop();
+    }
+  }
+
+  getWindowsHelper() {
+    if (!this.helper) {
+      // -EncodedCommand (UTF-16LE base64) avoids any command line quoting issue
+      const encoded = Buffer.from(windowsSuspendScript(this.pid), "utf16le").toString("base64");
+      this.helper = spawn("powershell.exe", ["-NoProfile", "-NonInteractive", "-EncodedCommand", encoded], {
+        stdio: ["pipe", "ignore", "ignore"],
+        windowsHide: true,
+      });
+      this.helper.on("error", (error) => logger.warn(`[THROTTLE] Suspend helper failed: ${error.message}`));
+      this.helper.stdin.on("error", () => {});
+    }
+    return this.helper;
+  }
+
+  /**
+   * Stop throttling and leave the process running
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.resume();
+
+    if (this.helper) {
+      // The helper resumes the process once more when its stdin closes
+      this.helper.stdin.end();
+      this.helper = null;
+    }
+  }
+}
+
+module.exports = {
+  MIN_LOAD_LIMIT,
+  clampLoadLimit,
+  computeDutyCycle,
+  cpuPriorityForLimit,
+  ProcessThrottle,
+};
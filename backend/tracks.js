@@ -0,0 +1,243 @@
+/**
+ * tracks.js - Sharkoder Track Selection Rules
+ *
+ * Module: Audio / Subtitle Track Selection
+ * Author: Sharkoder Team
+ * Description: Moteur de règles pour choisir les pistes audio et sous-titres à conserver
+ *              lors de l'encodage (langue, codec, titre, flags forced/commentary).
+ *              Transforme les décisions en arguments -map explicites pour FFmpeg.
+ * Dependencies: utils (logger)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Normalisation des codes langue ISO 639-2 (fre/fra, ger/deu, ...)
+ * - Conservation par langue, de la piste originale, des sous-titres forcés
+ * - Suppression des commentaires (flag ou titre) et des codecs indésirables (ex: PGS)
+ * - Repli sur la première piste audio si aucune ne correspond (jamais de fichier muet)
+ * - Décision motivée par piste (keep + reason) pour les logs et la base de données
+ *
+ * Format des règles (ffmpeg.track_selection dans sharkoder.config.json):
+ * {
+ *   enabled: true,
+ *   audio: { keep_languages: ["fre", "eng"], keep_original: true, drop_commentary: true, drop_codecs: [], drop_title_patterns: ["commentary"] },
+ *   subtitles: { keep_languages: ["fre"], keep_forced: true, drop_hearing_impaired: false, drop_codecs: ["hdmv_pgs_subtitle"], drop_title_patterns: [] }
+ * }
+ */
+
+const { logger } = require("./utils");
+
+// ISO 639-2 bibliographic/terminologic variants and common ISO 639-1 codes
+const LANGUAGE_ALIASES = {
+  fr: "fre",
+  fra: "fre",
+  en: "eng",
+  de: "ger",
+  deu: "ger",
+  es: "spa",
+  it: "ita",
+  ja: "jpn",
+  nl: "dut",
+  nld: "dut",
+  pt: "por",
+  zh: "chi",
+  zho: "chi",
+  ko: "kor",
+  ru: "rus",
+};
+
+const COMMENTARY_PATTERN = /comment(ary|aire|aires)?/i;
+
+/**
+ * Normalize a language code to its ISO 639-2/B form
+ * @param {string} language - Language code (e.g., "fra", "fr", "FRE")
+ * @returns {string} Normalized code (e.g., "fre"), "und" if empty
+ */
+const normalizeLanguage = (language) => {
+  const code = (language || "und").toLowerCase().trim();
+  return LANGUAGE_ALIASES[code] || code;
+};
+
+/**
+ * Check whether a track title matches one of the configured patterns (case-insensitive substring)
+ * @param {string} title - Track title
+ * @param {Array<string>} patterns - Substrings to look for
+ * @returns {string|null} Matched pattern or null
+ */
+const matchTitle = (title, patterns = []) => {
+  const lowerTitle = (title || "").toLowerCase();
+  return patterns.find((pattern) => pattern && lowerTitle.includes(pattern.toLowerCase())) || null;
+};
+
+/**
+ * Decide which audio tracks to keep
+ * @param {Array} audioTracks - videoInfo.audio
+ * @param {object} rules - track_selection.audio rules
+ * @returns {Array} Decisions: { index, language, codec, title, keep, reason }
+ */
+const selectAudioTracks = (audioTracks, rules = {}) => {
+  const keepLanguages = (rules.keep_languages || []).map(normalizeLanguage);
+  const dropCodecs = (rules.drop_codecs || []).map((codec) => codec.toLowerCase());
+  const hasOriginalFlag = audioTracks.some((track) => track.original);
+
+  const decisions = audioTracks.map((track, position) => {
+    const decision = { index: track.index, language: track.language, codec: track.codec, title: track.title };
+    const language = normalizeLanguage(track.language);
+    const isOriginal = hasOriginalFlag ? track.original : position === 0;
+
+    if (rules.drop_commentary !== false && (track.commentary || COMMENTARY_PATTERN.test(track.title || ""))) {
+      return { ...decision, keep: false, reason: "commentary" };
+    }
+    const titleMatch = matchTitle(track.title, rules.drop_title_patterns);
+    if (titleMatch) {
+      return { ...decision, keep: false, reason: `title matches "${titleMatch}"` };
+    }
+    if (dropCodecs.includes((track.codec || "").toLowerCase())) {
+      return { ...decision, keep: false, reason: `codec ${track.codec} dropped` };
+    }
+    if (keepLanguages.length === 0) {
+      return { ...decision, keep: true, reason: "no language filter" };
+    }
+    if (keepLanguages.includes(language)) {
+      return { ...decision, keep: true, reason: `language ${language}` };
+    }
+    if (rules.keep_original !== false && isOriginal) {
+      return { ...decision, keep: true, reason: "original language" };
+    }
+    return { ...decision, keep: false, reason: `language ${language} not kept` };
+  });
+
+  // Never produce a file without audio: fall back to the first track
+  if (decisions.length > 0 && !decisions.some((decision) => decision.keep)) {
+    decisions[0] = { ...decisions[0], keep: true, reason: `fallback (no track matched, was: ${decisions[0].reason})` };
+  }
+
+  return decisions;
+};
+
+/**
+ * Decide which subtitle tracks to keep
+ * @param {Array} subtitleTracks - videoInfo.subtitles
+ * @param {object} rules - track_selection.subtitles rules
+ * @returns {Array} Decisions: { index, language, codec, title, keep, reason }
+ */
+const selectSubtitleTracks = (subtitleTracks, rules = {}) => {
+  const keepLanguages = (rules.keep_languages || []).map(normalizeLanguage);
+  const dropCodecs = (rules.drop_codecs || []).map((codec) => codec.toLowerCase());
+
+  return subtitleTracks.map((track) => {
+    const decision = { index: track.index, language: track.language, codec: track.codec, title: track.title };
+    const language = normalizeLanguage(track.language);
+    const isForced = track.forced || /forc(ed|é)/i.test(track.title || "");
+
+    if (dropCodecs.includes((track.codec || "").toLowerCase())) {
+      return { ...decision, keep: false, reason: `codec ${track.codec} dropped` };
+    }
+    const titleMatch = matchTitle(track.title, rules.drop_title_patterns);
+    if (titleMatch) {
+      return { ...decision, keep: false, reason: `title matches "${titleMatch}"` };
+    }
+    if (rules.keep_forced !== false && isForced) {
+      return { ...decision, keep: true, reason: "forced" };
+    }
+    if (rules.drop_hearing_impaired && track.hearing_impaired) {
+      return { ...decision, keep: false, reason: "hearing impaired" };
+    }
+    if (keepLanguages.length === 0) {
+      return { ...decision, keep: true, reason: "no language filter" };
+    }
+    if (keepLanguages.includes(language)) {
+      return { ...decision, keep: true, reason: `language ${language}` };
+    }
+    return { ...decision, keep: false, reason: `language ${language} not kept` };
+  });
+};
+
+/**
+ * Apply track selection rules to a probed file and build the FFmpeg -map arguments
+ * @param {object} videoInfo - Result of VideoEncoder.getVideoInfo()
+ * @param {object} [selectionConfig] - ffmpeg.track_selection config
+ * @returns {{enabled: boolean, audio: Array, subtitles: Array, ffmpegArgs: Array<string>}}
+ */
+const selectTracks = (videoInfo, selectionConfig = {}) => {
+  const audioTracks = videoInfo.audio || [];
+  const subtitleTracks = videoInfo.subtitles || [];
+
+  // Disabled: keep everything (same as the historical "-map 0")
+  if (!selectionConfig || !selectionConfig.enabled) {
+    return {
+      enabled: false,
+      audio: audioTracks.map((track) => ({ index: track.index, language: track.language, codec: track.codec, title: track.title, keep: true, reason: "selection disabled" })),
+      subtitles: subtitleTracks.map((track) => ({ index: track.index, language: track.language, codec: track.codec, title: track.title, keep: true, reason: "selection disabled" })),
+      ffmpegArgs: ["-map", "0"],
+    };
+  }
+
+  const audio = selectAudioTracks(audioTracks, selectionConfig.audio);
+  const subtitles = selectSubtitleTracks(subtitleTracks, selectionConfig.subtitles);
+
+  // Video, kept audio/subtitles by type-relative index, then attachments (fonts for ASS subtitles)
+  const ffmpegArgs = ["-map", "0:v"];
+  const keptAudio = audio.filter((decision) => decision.keep);
+  keptAudio.forEach((decision) => ffmpegArgs.push("-map", `0:a:${decision.index}`));
+  subtitles.filter((decision) => decision.keep).forEach((decision) => ffmpegArgs.push("-map", `0:s:${decision.index}`));
+  ffmpegArgs.push("-map", "0:t?");
+
+  // The default audio track may have been dropped: make the first kept track the default
+  const keptDefault = keptAudio.some((decision) => audioTracks.find((track) => track.index === decision.index)?.default);
+  if (keptAudio.length > 0 && !keptDefault) {
+    ffmpegArgs.push("-disposition:a:0", "default");
+  }
+
+  return { enabled: true, audio, subtitles, ffmpegArgs };
+};
+
+/**
+ * Non-video -map arguments of a selection for another input index.
+ * Used by segmented encoding: the video comes from the concatenated segments (input 0)
+ * while audio, subtitles and attachments are taken from the source.
+ * @param {object} selection - Result of selectTracks()
+ * @param {number} inputIndex - FFmpeg input index of the source
+ * @returns {Array<string>} FFmpeg arguments
+ */
+const buildMuxMapArgs = (selection, inputIndex) => {
+  if (!selection.enabled) {
+    return ["-map", `${inputIndex}:a?`, "-map", `${inputIndex}:s?`, "-map", `${inputIndex}:t?`];
+  }
+
+  const args = [];
+  for (let i = 0; i < selection.ffmpegArgs.length; i += 2) {
+    const [option, value] = [selection.ffmpegArgs[i], selection.ffmpegArgs[i + 1]];
+    if (option === "-map" && value.startsWith("0:v")) continue;
+    args.push(option, option === "-map" ? value.replace(/^0:/, `${inputIndex}:`) : value);
+  }
+  return args;
+};
+
+/**
+ * Log every track decision
+ * @param {object} selection - Result of selectTracks()
+ */
+const logTrackDecisions = (selection) => {
+  if (!selection.enabled) {
+    logger.info(`[TRACKS] Selection disabled: keeping all ${selection.audio.length} audio and ${selection.subtitles.length} subtitle tracks`);
+    return;
+  }
+
+  selection.audio.forEach((decision) => {
+    logger.info(`[TRACKS] Audio #${decision.index} [${decision.language}] ${decision.codec}${decision.title ? ` "${decision.title}"` : ""}: ${decision.keep ? "KEEP" : "DROP"} (${decision.reason})`);
+  });
+  selection.subtitles.forEach((decision) => {
+    logger.info(`[TRACKS] Subtitle #${decision.index} [${decision.language}] ${decision.codec}${decision.title ? ` "${decision.title}"` : ""}: ${decision.keep ? "KEEP" : "DROP"} (${decision.reason})`);
+  });
+
+  const keptAudio = selection.audio.filter((decision) => decision.keep).length;
+  const keptSubtitles = selection.subtitles.filter((decision) => decision.keep).length;
+  logger.info(`[TRACKS] Keeping ${keptAudio}/${selection.audio.length} audio, ${keptSubtitles}/${selection.subtitles.length} subtitle tracks`);
+};
+
+module.exports = {
+  normalizeLanguage,
+  selectTracks,
+  buildMuxMapArgs,
+  logTrackDecisions,
+};
@@ -293,6 +293,19 @@ class TransferManager {
     }
   }
 
+  /**
+   * Source FFmpeg can read a slice from without downloading the whole file (WebDAV range requests)
+   * @param {string} remotePath - Remote file path
+   * @returns {Promise<{url: string, inputOptions: Array<string>}|null>} null when WebDAV is not used for downloads (SFTP only)
+   */
+  async getStreamSource(remotePath) {
+    await this.ensureConnection();
+    if (this._chooseDownloadMethod() !== "webdav") {
+      return null;
+    }
+    return this.webdavManager.getFileSource(remotePath);
+  }
+
   /**
    * Check if file exists
    */
@@ -363,6 +376,36 @@ class TransferManager {
     return false;
   }
 
+  /**
+   * Check if a file exists on the server (path relative to the library root)
+   */
+  async fileExists(remotePath) {
+    await this.ensureConnection();
+
+    if (this.sftpManager.connected) {
+      return await this.sftpManager.fileExists(remotePath);
+    }
+    if (this.webdavManager.connected) {
+      return await this.webdavManager.exists(remotePath);
+    }
+    throw new Error("No transfer method connected");
+  }
+
+  /**
+   * Size of a file on the server in bytes (path relative to the library root)
+   */
+  async getFileSize(remotePath) {
+    await this.ensureConnection();
+
+    if (this.sftpManager.connected) {
+      return await this.sftpManager.getFileSize(remotePath);
+    }
+    if (this.webdavManager.connected) {
+      return (await this.webdavManager.stat(remotePath)).size;
+    }
+    throw new Error("No transfer method connected");
+  }
+
   /**
    * Rename a file on the server
    */
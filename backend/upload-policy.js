@@ -0,0 +1,154 @@
+/**
+ * upload-policy.js - Sharkoder Post-Upload Policy
+ *
+ * Module: Server File Swap After Upload
+ * Author: Sharkoder Team
+ * Description: Décide ce que devient l'original sur le serveur une fois le fichier encodé envoyé.
+ *              L'encodé est toujours envoyé sous un nom temporaire, vérifié (taille), puis renommé
+ *              sous son nom final: le fichier final n'est jamais visible à moitié écrit. Selon la
+ *              politique, l'original est gardé, remplacé, ou remplacé et gardé en .bak quelques jours.
+ * Dependencies: utils (getBackupPath), plan exécuté par QueueManager.swapUploadedFile
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - keep_both: l'original reste en place, l'encodé arrive à côté (comportement historique)
+ * - replace: original renommé en .bak, encodé mis en place, puis .bak supprimé
+ * - replace_keep_backup: original renommé en .bak (server_backup_path, restaurable), supprimé après backup_days jours
+ * - Retour arrière: en cas d'échec, les renommages déjà faits sont annulés dans l'ordre inverse
+ * - Un encodé qui garde le nom de l'original n'écrase jamais l'original sans .bak
+ *
+ * Format (advanced.upload_policy dans sharkoder.config.json):
+ * { mode: "keep_both", backup_days: 7 }  (backup_days: 0 = .bak gardé sans limite)
+ */
+
+const path = require("path");
+const { getBackupPath } = require("./utils");
+
+const UPLOAD_MODES = ["keep_both", "replace", "replace_keep_backup"];
+
+// Suffix of the encoded file while it is being uploaded
+const TEMP_SUFFIX = ".part";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalized post-upload settings
+ * @param {object} config - advanced.upload_policy
+ * @returns {{mode: string, backupDays: number}}
+ */
+const uploadPolicySettings = (config = {}) => ({
+  mode: UPLOAD_MODES.includes(config.mode) ? config.mode : "keep_both",
+  backupDays: Math.max(0, parseFloat(config.backup_days ?? 7) || 0),
+});
+
+/**
+ * Server path the encoded file is uploaded to before the swap
+ * @param {string} finalPath - Final server path of the encoded file
+ * @returns {string}
+ */
+const tempUploadPath = (finalPath) => `${finalPath}${TEMP_SUFFIX}`;
+
+const normalizeServerPath = (serverPath) => path.posix.normalize(serverPath.replace(/\\/g, "/"));
+
+/**
+ * Server operations putting the uploaded file in place
+ * @param {object} params
+ * @param {string} params.originalPath - Server path of the source file (job.filepath)
+ * @param {string} params.finalPath - Server path of the encoded file (generateEncodedFilename)
+ * @param {string} params.mode - Upload mode (see UPLOAD_MODES)
+ * @returns {{mode: string, tempPath: string, backupPath: string|null, serverBackup: string|null,
+ *            steps: Array<{action: string, from?: string, to?: string, path?: string, optional?: boolean}>}}
+ *          steps: "rename" (undone on failure) or "delete" (optional = failure only logged),
+ *          serverBackup: path to save as server_backup_path
+ */
+const planServerSwap = ({ originalPath, finalPath, mode }) => {
+  const sameName = normalizeServerPath(originalPath) === normalizeServerPath(finalPath);
+  // Same name as the original: keeping both is impossible, the original goes to .bak instead of being overwritten
+  const effectiveMode = sameName && mode === "keep_both" ? "replace_keep_backup" : mode;
+  const tempPath = tempUploadPath(finalPath);
+  const steps = [];
+
+  if (effectiveMode === "keep_both") {
+    // An earlier encode of the same file is overwritten, as a direct upload would do
+    steps.push({ action: "delete", path: finalPath, optional: true });
+    steps.push({ action: "rename", from: tempPath, to: finalPath });
+    return { mode: effectiveMode, tempPath, backupPath: null, serverBackup: null, steps };
+  }
+
+  const backupPath = getBackupPath(originalPath);
+  if (!sameName) {
+    steps.push({ action: "delete", path: finalPath, optional: true });
+  }
+  steps.push({ action: "rename", from: originalPath, to: backupPath });
+  steps.push({ action: "rename", from: tempPath, to: finalPath });
+
+  if (effectiveMode === "replace") {
+    steps.push({ action: "delete", path: backupPath, optional: true });
+    return { mode: effectiveMode, tempPath, backupPath, serverBackup: null, steps };
+  }
+
+  return { mode: effectiveMode, tempPath, backupPath, serverBackup: backupPath, steps };
+};
+
+/**
+ * Renames undoing the ones already done, last first
+ * @param {Array<object>} doneSteps - "rename" steps that succeeded
+ * @returns {Array<{action: string, from: string, to: string}>}
+ */
+const rollbackSteps = (doneSteps) =>
+  doneSteps
+    .filter((step) => step.action === "rename")
+    .reverse()
+    .map((step) => ({ action: "rename", from: step.to, to: step.from }));
+
+/**
+ * Checks the uploaded temp file against the local encoded file
+ * @param {number} localSize - Size of the local encoded file (bytes)
+ * @param {number} remoteSize - Size of the uploaded temp file (bytes)
+ * @returns {string|null} Error message, null when the sizes match
+ */
+const checkUploadedSize = (localSize, remoteSize) => {
+  if (!Number.isFinite(remoteSize)) {
+    return "Uploaded file not found on server";
+  }
+  if (remoteSize !== localSize) {
+    return `Uploaded file size mismatch: ${remoteSize} bytes on server, ${localSize} bytes local`;
+  }
+  return null;
+};
+
+/**
+ * Date after which the .bak of a completed job is deleted
+ * @param {object} job - Row of the jobs table (finished_at)
+ * @param {number} backupDays - uploadPolicySettings().backupDays
+ * @returns {string|null} ISO date, null when kept forever
+ */
+const backupExpiresAt = (job, backupDays) => {
+  const finishedAt = Date.parse(job.finished_at);
+  if (!backupDays || Number.isNaN(finishedAt)) return null;
+  return new Date(finishedAt + backupDays * DAY_MS).toISOString();
+};
+
+/**
+ * Whether the server backup of a job can be deleted
+ * @param {object} job - Row of the jobs table
+ * @param {number} backupDays - uploadPolicySettings().backupDays
+ * @param {number} now - Timestamp (ms)
+ * @returns {boolean}
+ */
+const isBackupExpired = (job, backupDays, now = Date.now()) => {
+  if (!job.server_backup_path) return false;
+  const expiresAt = backupExpiresAt(job, backupDays);
+  return expiresAt !== null && Date.parse(expiresAt) <= now;
+};
+
+module.exports = {
+  UPLOAD_MODES,
+  uploadPolicySettings,
+  tempUploadPath,
+  planServerSwap,
+  rollbackSteps,
+  checkUploadedSize,
+  backupExpiresAt,
+  isBackupExpired,
+};
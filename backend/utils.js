@@ -448,27 +448,34 @@ class ProgressTracker {
  * Generate output filename with codec format and release tag
  * Automatically inserts codec format (h265 or vp9) and release tag if not already present
  * @param {string} originalFilename - Original filename (e.g., "Movie.Title.2024.mkv")
- * @param {string} codecFamily - Codec family: "HEVC" or "VP9"
+ * @param {string} codecFamily - Codec family: "HEVC", "VP9" or "AV1"
  * @param {string} releaseTag - Release tag to insert (e.g., "Z3D")
  * @param {string} [audioCodec] - Optional audio codec (e.g., "aac", "opus", "copy")
+ * @param {object} [options] - { sdr: true } when an HDR source was tone-mapped to SDR,
+ *                             { resolution: "1080p" } when the source was downscaled
  * @returns {string} Formatted filename (e.g., "Movie.Title.2024.h265.Z3D.mkv")
  *
  * Examples:
  * - generateOutputFilename("Movie.2024.mkv", "HEVC", "Z3D") -> "Movie.2024.h265.Z3D.mkv"
  * - generateOutputFilename("Movie [DTS][x264].mkv", "HEVC", "Z3D", "aac") -> "Movie [AAC][x265]-Z3D.mkv"
  * - generateOutputFilename("Movie [Atmos][x264]-NEO.mkv", "HEVC", "Z3D", "copy") -> "Movie [Atmos][x265]-Z3D.mkv"
+ * - generateOutputFilename("Movie [DTS][x264].mkv", "AV1", "Z3D") -> "Movie [DTS][AV1]-Z3D.mkv"
+ * - generateOutputFilename("Movie.2024.1080p.x264-NEO.mkv", "AV1", "Z3D") -> "Movie.2024.1080p.av1-Z3D.mkv"
+ * - generateOutputFilename("Movie.2160p.HDR.x265-NEO.mkv", "HEVC", "Z3D", null, { sdr: true }) -> "Movie.2160p.SDR.x265-Z3D.mkv"
+ * - generateOutputFilename("Movie [HDR10][x265].mkv", "HEVC", "Z3D", null, { sdr: true }) -> "Movie [SDR][x265]-Z3D.mkv"
+ * - generateOutputFilename("Movie.2024.2160p.x265-NEO.mkv", "HEVC", "Z3D", null, { resolution: "1080p" }) -> "Movie.2024.1080p.x265-Z3D.mkv"
  */
-const generateOutputFilename = (originalFilename, codecFamily, releaseTag, audioCodec = null) => {
+const generateOutputFilename = (originalFilename, codecFamily, releaseTag, audioCodec = null, options = {}) => {
   const parsedPath = path.parse(originalFilename);
   let basename = parsedPath.name; // Filename without extension
   const ext = parsedPath.ext; // Extension with dot (e.g., ".mkv")
 
   // Determine codec format string
-  const codecFormat = codecFamily === "VP9" ? "vp9" : "x265";
+  const codecFormat = codecFamily === "AV1" ? "AV1" : codecFamily === "VP9" ? "vp9" : "x265";
 
   // Replace ONLY video codec tags in brackets
-  // Pattern matches [x264], [h264], [h.264], [x265], [h265], [h.265], [hevc], [vp9]
-  const codecBracketPattern = /\[(x264|h264|h\.264|x265|h265|h\.265|hevc|vp9)\]/gi;
+  // Pattern matches [x264], [h264], [h.264], [x265], [h265], [h.265], [hevc], [vp9], [av1]
+  const codecBracketPattern = /\[(x264|h264|h\.264|x265|h265|h\.265|hevc|vp9|av1)\]/gi;
 
   let hasCodecBracket = false;
   basename = basename.replace(codecBracketPattern, (match, codec) => {
@@ -477,6 +484,48 @@ const generateOutputFilename = (originalFilename, codecFamily, releaseTag, audio
     return `[${codecFormat}]`;
   });
 
+  // AV1 output must always be identifiable (many players still lack AV1 decoding):
+  // without a bracket tag, replace the dotted codec token (.x264, .HEVC, ...) or append ".av1"
+  if (codecFamily === "AV1" && !hasCodecBracket) {
+    const codecDotPattern = /\.(x264|h264|h\.264|x265|h265|h\.265|hevc|vp9|av1)(?=[.-]|$)/i;
+    const releaseSuffix = basename.match(/-[A-Z0-9]{2,10}$/);
+    if (codecDotPattern.test(basename)) {
+      basename = basename.replace(codecDotPattern, ".av1");
+    } else if (releaseSuffix) {
+      basename = basename.slice(0, releaseSuffix.index) + ".av1" + releaseSuffix[0];
+    } else {
+      basename = `${basename}.av1`;
+    }
+    logger.debug(`Added AV1 codec tag: ${basename}`);
+  }
+
+  // Tone-mapped output: replace HDR tags ([HDR10], .DV., .HDR10Plus...) with SDR, or add an SDR tag
+  if (options.sdr) {
+    const hdrTokens = "HDR10\\+|HDR10Plus|HDR10|HDR|DV|DoVi|HLG";
+    const hdrBracketPattern = new RegExp(`\\[(${hdrTokens})\\]`, "gi");
+    const hdrDotPattern = new RegExp(`\\.(${hdrTokens})(?=[.\\s-]|$)`, "gi");
+    const withoutHdr = basename.replace(hdrBracketPattern, "[SDR]").replace(hdrDotPattern, ".SDR");
+    if (withoutHdr !== basename) {
+      // Several HDR tokens (e.g. ".DV.HDR10.") collapse into a single SDR tag
+      basename = withoutHdr.replace(/(\.SDR)+/g, ".SDR").replace(/(\[SDR\])+/g, "[SDR]");
+    } else if (hasCodecBracket) {
+      basename = basename.replace(`[${codecFormat}]`, `[SDR][${codecFormat}]`);
+    } else {
+      const releaseSuffix = basename.match(/-[A-Z0-9]{2,10}$/);
+      basename = releaseSuffix ? basename.slice(0, releaseSuffix.index) + ".SDR" + releaseSuffix[0] : `${basename}.SDR`;
+    }
+    logger.debug(`Added SDR tag: ${basename}`);
+  }
+
+  // Downscaled output: replace the resolution tag (2160p, 4K, UHD...) with the new one
+  if (options.resolution) {
+    const resolutionPattern = /(^|[.\s[(_-])(4320p|2160p|1440p|1080p|1080i|720p|576p|480p|8K|4K|UHD)(?=[.\s\])_-]|$)/gi;
+    basename = basename.replace(resolutionPattern, (match, separator) => `${separator}${options.resolution}`);
+    // "2160p.UHD" would become "1080p.1080p": keep a single tag
+    basename = basename.replace(new RegExp(`(${options.resolution})[.\\s_-]${options.resolution}(?=[.\\s\\])_-]|$)`, "gi"), "$1");
+    logger.debug(`Resolution tag: ${basename}`);
+  }
+
   // Replace audio codec tags if audioCodec is provided and not "copy"
   if (audioCodec && audioCodec !== "copy") {
     // Common audio formats in brackets: [DTS], [DTS 5.1], [DTS-HD], [TrueHD], [Atmos], [AAC], [AC3], [EAC3], [FLAC], [Opus]
@@ -0,0 +1,127 @@
+/**
+ * verify.js - Sharkoder Encoded Output Verification
+ *
+ * Module: Output Integrity Checks
+ * Author: Sharkoder Team
+ * Description: Vérification du fichier encodé avant qu'il puisse partir en upload: durée
+ *              identique à la source (à une tolérance près), mêmes nombres de pistes audio et
+ *              sous-titres que l'encodage devait produire, et décodage complet sans erreur
+ *              (flux tronqué ou corrompu). Un échec met le job en "failed" avec la raison exacte.
+ * Dependencies: aucune (module pur, le décodage est lancé par VideoEncoder.verifyDecode)
+ * Created: 2025
+ *
+ * Fonctionnalités principales:
+ * - Tolérance de durée: la plus grande entre N secondes et N % de la source
+ * - Pistes attendues: celles gardées par la sélection de pistes, sinon toutes celles de la source
+ * - Lignes d'erreur du décodeur (FFmpeg -v error) reconnues et résumées dans l'erreur du job
+ *
+ * Format (advanced.verification dans sharkoder.config.json):
+ * { enabled: true, duration_tolerance: 2, duration_tolerance_percent: 0.5, full_decode: true }
+ */
+
+// Decoder error lines quoted in the job error
+const MAX_ERROR_SAMPLES = 3;
+
+/**
+ * Duration difference allowed between the source and the encoded file
+ * @param {number} sourceDuration - Source duration (seconds)
+ * @param {object} [config] - advanced.verification
+ * @returns {number} Tolerance in seconds
+ */
+const durationTolerance = (sourceDuration, config = {}) => {
+  const seconds = parseFloat(config.duration_tolerance ?? 2) || 0;
+  const percent = parseFloat(config.duration_tolerance_percent ?? 0.5) || 0;
+  return Math.max(seconds, ((sourceDuration || 0) * percent) / 100);
+};
+
+/**
+ * Audio / subtitle tracks the encoded file must contain
+ * @param {object} sourceInfo - getVideoInfo() of the source
+ * @param {object} [encodingParams] - encoding_params of the encode (track_selection when rules were applied)
+ * @returns {{audio: number, subtitles: number}}
+ */
+const expectedStreamCounts = (sourceInfo, encodingParams = {}) => {
+  const selection = encodingParams?.track_selection;
+  if (selection) {
+    return {
+      audio: (selection.audio || []).filter((track) => track.keep).length,
+      subtitles: (selection.subtitles || []).filter((track) => track.keep).length,
+    };
+  }
+  return { audio: (sourceInfo.audio || []).length, subtitles: (sourceInfo.subtitles || []).length };
+};
+
+/**
+ * Compare the probed encoded file with its source
+ * @param {object} sourceInfo - getVideoInfo() of the source
+ * @param {object} encodedInfo - getVideoInfo() of the encoded file
+ * @param {object} [encodingParams] - encoding_params of the encode
+ * @param {object} [config] - advanced.verification
+ * @returns {Array<string>} Problems found (empty when the file is consistent)
+ */
+const checkOutputParity = (sourceInfo, encodedInfo, encodingParams = {}, config = {}) => {
+  const problems = [];
+
+  if (!encodedInfo.video) {
+    problems.push("no video stream in encoded file");
+  }
+
+  const tolerance = durationTolerance(sourceInfo.duration, config);
+  const difference = Math.abs((encodedInfo.duration || 0) - (sourceInfo.duration || 0));
+  if (!(encodedInfo.duration > 0) || difference > tolerance) {
+    problems.push(`duration ${(encodedInfo.duration || 0).toFixed(1)}s vs ${(sourceInfo.duration || 0).toFixed(1)}s in source (tolerance ${tolerance.toFixed(1)}s)`);
+  }
+
+  const expected = expectedStreamCounts(sourceInfo, encodingParams);
+  const audio = (encodedInfo.audio || []).length;
+  const subtitles = (encodedInfo.subtitles || []).length;
+  if (audio !== expected.audio) {
+    problems.push(`${audio} audio track(s), expected ${expected.audio}`);
+  }
+  if (subtitles !== expected.subtitles) {
+    problems.push(`${subtitles} subtitle track(s), expected ${expected.subtitles}`);
+  }
+
+  return problems;
+};
+
+/**
+ * Whether an FFmpeg stderr line (run with -v error -stats) reports a decoding error
+ * @param {string} line - stderr line
+ * @returns {boolean}
+ */
+const isDecodeErrorLine = (line) => {
+  const text = (line || "").trim();
+  if (!text) return false;
+  // Progress lines printed by -stats
+  if (/^(frame|size)=/.test(text) || /^\s*\S+=\s*\S+.*time=/.test(text)) return false;
+  return true;
+};
+
+/**
+ * Summary of the decoder errors for the job error
+ * @param {number} count - Error lines found
+ * @param {Array<string>} samples - First error lines
+ * @returns {string}
+ */
+const describeDecodeErrors = (count, samples = []) => {
+  const quoted = samples.slice(0, MAX_ERROR_SAMPLES).map((line) => `"${line.trim()}"`);
+  return `${count} decode error(s)${quoted.length > 0 ? `: ${quoted.join(", ")}` : ""}`;
+};
+
+/**
+ * Job error message for failed checks
+ * @param {Array<string>} problems - checkOutputParity() problems and decode errors
+ * @returns {string}
+ */
+const formatVerificationError = (problems) => `Verification failed: ${problems.join("; ")}`;
+
+module.exports = {
+  MAX_ERROR_SAMPLES,
+  durationTolerance,
+  expectedStreamCounts,
+  checkOutputParity,
+  isDecodeErrorLine,
+  describeDecodeErrors,
+  formatVerificationError,
+};
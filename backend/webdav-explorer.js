@@ -1,6 +1,7 @@
 const path = require("path");
 const fs = require("fs-extra");
 const { logger, formatBytes, isVideoFile } = require("./utils");
+const { detectHdrType } = require("./hdr");
 
 // WebDAV client (lazy loaded as ES module)
 let webdavModule = null;
@@ -181,6 +182,7 @@ class WebDAVExplorer {
             resolution: resolution,
             audioCodec: audioCodec,
             container: container,
+            hdr: detectHdrType(videoStream),
           });
         });
       });
@@ -247,6 +249,7 @@ class WebDAVExplorer {
             fileItem.resolution = videoInfo.resolution;
             fileItem.audioCodec = videoInfo.audioCodec;
             fileItem.container = videoInfo.container;
+            fileItem.hdr = videoInfo.hdr;
           }
         }
 
@@ -541,6 +544,7 @@ class WebDAVExplorer {
           fileInfo.resolution = videoInfo.resolution;
           fileInfo.audioCodec = videoInfo.audioCodec;
           fileInfo.container = videoInfo.container;
+          fileInfo.hdr = videoInfo.hdr;
         }
       }
 
@@ -17,6 +17,7 @@
  * - Listing et statistiques de dossiers
  * - Scan récursif de vidéos
  * - Opérations de fichiers (rename, delete, exists, stat)
+ * - URL authentifiée d'un fichier pour lecture partielle par FFmpeg (aperçu d'encodage)
  * - Progress tracking avec speed/ETA
  * - Support des buffers volumineux pour performance
  *
@@ -35,6 +36,7 @@
 const path = require("path");
 const fs = require("fs-extra");
 const { logger, formatBytes, isVideoFile, getBackupPath } = require("./utils");
+const { detectHdrType } = require("./hdr");
 
 // WebDAV client (lazy loaded as ES module)
 let webdavModule = null;
@@ -549,6 +551,30 @@ class WebDAVManager {
     return await this.client.stat(fullRemotePath);
   }
 
+  /**
+   * HTTP source of a remote file, readable by FFmpeg/ffprobe (seeks with range requests).
+   * Credentials go in an Authorization header, never in the URL: FFmpeg errors and probe logs echo the URL.
+   * @param {string} remotePath - Path from listDirectory or relative to the WebDAV root
+   * @returns {{url: string, inputOptions: Array<string>}} URL without credentials, input options to pass before it
+   */
+  getFileSource(remotePath) {
+    const rootPath = this.config.remote.webdav.path || "/";
+    const fullPath = remotePath.startsWith(rootPath) ? remotePath : path.posix.join(rootPath, remotePath);
+    const webdavUrl = this.config.remote.webdav.url;
+    const url = new URL(/^https?:\/\//.test(webdavUrl) ? webdavUrl : `http://${webdavUrl}`);
+    // Client paths are relative to the server URL, which may have a path of its own
+    url.pathname = url.pathname.replace(/\/+$/, "") + fullPath;
+    url.username = "";
+    url.password = "";
+
+    const { username, password } = this.config.remote.webdav;
+    if (!username) {
+      return { url: url.toString(), inputOptions: [] };
+    }
+    const credentials = Buffer.from(`${username}:${password || ""}`).toString("base64");
+    return { url: url.toString(), inputOptions: ["-headers", `Authorization: Basic ${credentials}\r\n`] };
+  }
+
   async exists(remotePath) {
     try {
       await this.stat(remotePath);
@@ -624,6 +650,7 @@ class WebDAVManager {
             resolution: resolution,
             audioCodec: audioCodec,
             container: container,
+            hdr: detectHdrType(videoStream),
           };
 
           logger.debug(`[getVideoInfo] Success: ${remotePath} -> codec=${videoInfo.codec}, res=${videoInfo.resolution}`);
@@ -32,6 +32,7 @@ app.commandLine.appendSwitch("disk-cache-size", "0");
 // Backend modules
 const { initDatabase } = require("./backend/db");
 const { QueueManager } = require("./backend/queue");
+const { PreviewEncoder } = require("./backend/preview");
 const { TransferManager } = require("./backend/transfer");
 const { ProgressFileManager } = require("./backend/progressfile");
 const CacheManager = require("./backend/cache");
@@ -41,6 +42,7 @@ const configManager = require("./backend/config");
 let mainWindow;
 let tray;
 let queueManager;
+let previewEncoder; // Preview encodes of a source slice (own encoder, runs beside the queue)
 let transferManager; // Unified SFTP/WebDAV manager
 let progressFileManager;
 let cacheManager; // Server-side cache manager
@@ -204,6 +206,83 @@ const createTray = () => {
 };
 
 // IPC Handlers
+// MPV comparison modes shared by completed jobs and preview encodes
+// split: top = original, bottom = encoded (flipped) | vertical: left = original, right = encoded (flipped) | interactive: A/B switching
+const launchMpvComparison = async (mode, originalPath, encodedPath, tag) => {
+  const config = require("./sharkoder.config.json");
+
+  // Get MPV path from config or check local exe folder
+  const localMpvPath = path.join(__dirname, "exe", "mpv.exe");
+  let mpvPath = config.storage?.mpv_path || config.mpv_path;
+
+  // If no config path, try local exe folder first, then fallback to system mpv
+  if (!mpvPath) {
+    mpvPath = (await fs.pathExists(localMpvPath)) ? localMpvPath : "mpv";
+    logger.info(`[${tag}] Using MPV from: ${mpvPath}`);
+  }
+
+  let mpvArgs;
+  if (mode === "vertical") {
+    // Adds a black vertical line between the two halves
+    mpvArgs = [
+      "--lavfi-complex=[vid1]crop=iw/2:ih:0:0[left];[vid2]hflip,crop=iw/2:ih:iw/2:0[right];[left][right]hstack[stacked];[stacked]drawbox=x=iw/2-1:y=0:w=2:h=ih:color=black:t=fill[vo]",
+      `--external-file=${encodedPath}`,
+      "--no-config",
+      "--osd-level=1",
+      "--osd-msg1=Left: Original | Right: Encoded (flipped)",
+      originalPath,
+    ];
+  } else if (mode === "interactive") {
+    // Create temporary MPV input.conf for custom keybindings
+    const tmpInputConfPath = path.join(__dirname, "mpv-ab-input.conf");
+    const inputConf = `# Temporary MPV input.conf for A/B comparison
+o cycle video
+F1 set video 1
+F2 set video 2
+`;
+    await fs.writeFile(tmpInputConfPath, inputConf);
+    logger.info(`[${tag}] Created input.conf at: ${tmpInputConfPath}`);
+
+    // MPV Interactive Mode - A/B switching with keyboard shortcuts
+    // 'O' to cycle video tracks, F1/F2 to select specific track
+    mpvArgs = [
+      originalPath,
+      `--external-file=${encodedPath}`,
+      `--input-conf=${tmpInputConfPath}`,
+      "--osd-level=3",
+      "--osd-duration=2000",
+      `--osd-status-msg=\${?current-tracks/video/selected==1:🎬 ORIGINAL:🎞️ ENCODED}`,
+      "--osd-bar=no",
+      "--osd-on-seek=msg-bar",
+      "--loop-file=inf",
+      "--keep-open=yes",
+      "--hr-seek=yes",
+      "--hr-seek-framedrop=no",
+    ];
+  } else {
+    // Adds a black line between the two halves
+    mpvArgs = [
+      "--lavfi-complex=[vid1]crop=iw:ih/2:0:0[top];[vid2]vflip,crop=iw:ih/2:0:ih/2[bottom];[top][bottom]vstack[stacked];[stacked]drawbox=x=0:y=ih/2-1:w=iw:h=2:color=black:t=fill[vo]",
+      `--external-file=${encodedPath}`,
+      "--no-config",
+      "--osd-level=1",
+      "--osd-msg1=Top: Original | Bottom: Encoded (flipped)",
+      originalPath,
+    ];
+  }
+
+  logger.info(`[${tag}] Launching MPV: ${mpvPath} ${mpvArgs.join(" ")}`);
+
+  const { spawn } = require("child_process");
+  const mpvProcess = spawn(mpvPath, mpvArgs, {
+    detached: true,
+    stdio: "ignore",
+  });
+
+  mpvProcess.unref();
+  logger.info(`[${tag}] MPV launched successfully`);
+};
+
 const setupIpcHandlers = () => {
   // WebDAV operations - use TransferManager's WebDAV connection
   ipcMain.handle("webdav:connect", async () => {
@@ -1034,7 +1113,10 @@ const setupIpcHandlers = () => {
       logger.info(`[queue:addJob] Adding job for: ${filePath}`);
       logger.info(`[queue:addJob] FileInfo received:`, JSON.stringify(fileInfo, null, 2));
 
-      const jobId = await queueManager.addJob(filePath, fileInfo);
+      // Codec / bitrate / resolution from the cache when indexed (used by the skip rules)
+      const metadata = cacheManager ? await cacheManager.getFilesMetadata([filePath]).catch(() => ({})) : {};
+      const knownInfo = Object.fromEntries(Object.entries(fileInfo || {}).filter(([, value]) => value !== null && value !== undefined));
+      const jobId = await queueManager.addJob(filePath, { ...metadata[filePath], ...knownInfo });
       return { success: true, jobId };
     } catch (error) {
       logger.error("Failed to add job:", error);
@@ -1103,9 +1185,9 @@ const setupIpcHandlers = () => {
     }
   });
 
-  ipcMain.handle("queue:rejectJob", async (event, jobId) => {
+  ipcMain.handle("queue:rejectJob", async (event, jobId, overrides) => {
     try {
-      await queueManager.rejectEncodedFile(jobId);
+      await queueManager.rejectEncodedFile(jobId, overrides);
       return { success: true };
     } catch (error) {
       logger.error("Failed to reject job:", error);
@@ -1113,6 +1195,83 @@ const setupIpcHandlers = () => {
     }
   });
 
+  ipcMain.handle("queue:setSourceAnalysis", async (event, jobId, enabled) => {
+    try {
+      await queueManager.setSourceAnalysis(jobId, enabled);
+      return { success: true };
+    } catch (error) {
+      logger.error("Failed to update source analysis setting:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("queue:setJobOverrides", async (event, jobId, overrides) => {
+    try {
+      await queueManager.setJobOverrides(jobId, overrides);
+      return { success: true };
+    } catch (error) {
+      logger.error("Failed to update job overrides:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("queue:moveJob", async (event, jobId, move) => {
+    try {
+      return await queueManager.moveJob(jobId, move);
+    } catch (error) {
+      logger.error("Failed to move job:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("queue:setJobPriority", async (event, jobId, priority) => {
+    try {
+      return await queueManager.setJobPriority(jobId, priority);
+    } catch (error) {
+      logger.error("Failed to set job priority:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("queue:getBatches", async () => {
+    try {
+      const batches = await queueManager.getBatches();
+      return { success: true, batches };
+    } catch (error) {
+      logger.error("Failed to get batches:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("queue:batchAction", async (event, batchId, action) => {
+    try {
+      return await queueManager.batchAction(batchId, action);
+    } catch (error) {
+      logger.error("Failed to apply batch action:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("encoder:previewCommand", async (event, ffmpegConfig, jobId) => {
+    try {
+      const preview = jobId ? await queueManager.previewJobCommand(jobId, ffmpegConfig) : await queueManager.encoder.previewCommand(ffmpegConfig);
+      return { success: true, ...preview };
+    } catch (error) {
+      logger.error("Failed to build FFmpeg command preview:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("encoder:setLoadLimit", async (event, limit) => {
+    try {
+      const applied = await queueManager.setLoadLimit(limit);
+      return { success: true, limit: applied };
+    } catch (error) {
+      logger.error("Failed to set encoding load limit:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle("queue:updateSettings", async (event, settings) => {
     try {
       queueManager.updateSettings(settings);
@@ -1143,6 +1302,29 @@ const setupIpcHandlers = () => {
     }
   });
 
+  // Size / time prediction before queueing (codec, resolution and duration from the cache when indexed)
+  ipcMain.handle("queue:estimateFiles", async (event, files) => {
+    try {
+      const metadata = cacheManager ? await cacheManager.getFilesMetadata(files.map((file) => file.path)).catch(() => ({})) : {};
+      const enriched = files.map((file) => ({ ...metadata[file.path], ...file }));
+      const estimate = await queueManager.estimateFiles(enriched);
+      return { success: true, ...estimate };
+    } catch (error) {
+      logger.error("Failed to estimate files:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("queue:getEstimate", async () => {
+    try {
+      const estimate = await queueManager.getQueueEstimate();
+      return { success: true, estimate };
+    } catch (error) {
+      logger.error("Failed to estimate queue:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Progress file operations
   ipcMain.handle("progress:getEncodedFiles", async () => {
     try {
@@ -1269,7 +1451,9 @@ const setupIpcHandlers = () => {
         success: true,
         isRunning: queueManager.isRunning,
         isPaused: queueManager.isPaused,
-        currentJob: queueManager.currentJob,
+        currentJob: queueManager.getEncodingJobs()[0] || null,
+        encodingJobs: queueManager.getEncodingJobs(), // One per busy encode slot
+        prefetchWait: queueManager.prefetchWait, // Next download held by the disk budget or free space
       };
     } catch (error) {
       logger.error("Failed to get queue status:", error);
@@ -1446,41 +1630,7 @@ const setupIpcHandlers = () => {
         throw new Error(`Encoded file not found: ${encodedPath}`);
       }
 
-      // Get MPV path from config or check local exe folder
-      const localMpvPath = path.join(__dirname, "exe", "mpv.exe");
-      let mpvPath = config.storage?.mpv_path || config.mpv_path;
-
-      // If no config path, try local exe folder first, then fallback to system mpv
-      if (!mpvPath) {
-        mpvPath = (await fs.pathExists(localMpvPath)) ? localMpvPath : "mpv";
-        logger.info(`[compareWithMPV] Using MPV from: ${mpvPath}`);
-      }
-
-      // Launch MPV with lavfi-complex to display both videos
-      const { spawn } = require("child_process");
-
-      // MPV command: Split-screen comparison with separator line
-      // Top half = Original, Bottom half = Encoded (flipped vertically)
-      // Adds a black line between the two halves
-      const mpvArgs = [
-        "--lavfi-complex=[vid1]crop=iw:ih/2:0:0[top];[vid2]vflip,crop=iw:ih/2:0:ih/2[bottom];[top][bottom]vstack[stacked];[stacked]drawbox=x=0:y=ih/2-1:w=iw:h=2:color=black:t=fill[vo]",
-        `--external-file=${encodedPath}`,
-        "--no-config",
-        "--osd-level=1",
-        "--osd-msg1=Top: Original | Bottom: Encoded (flipped)",
-        originalPath,
-      ];
-
-      logger.info(`[compareWithMPV] Launching MPV: ${mpvPath} ${mpvArgs.join(" ")}`);
-
-      const mpvProcess = spawn(mpvPath, mpvArgs, {
-        detached: true,
-        stdio: "ignore",
-      });
-
-      mpvProcess.unref();
-
-      logger.info(`[compareWithMPV] MPV launched successfully`);
+      await launchMpvComparison("split", originalPath, encodedPath, "compareWithMPV");
       return { success: true };
     } catch (error) {
       logger.error(`Failed to compare with MPV: ${error.message}`, error);
@@ -1517,40 +1667,7 @@ const setupIpcHandlers = () => {
         throw new Error(`Encoded file not found: ${encodedPath}`);
       }
 
-      // Get MPV path from config or check local exe folder
-      const localMpvPath = path.join(__dirname, "exe", "mpv.exe");
-      let mpvPath = config.storage?.mpv_path || config.mpv_path;
-
-      if (!mpvPath) {
-        mpvPath = (await fs.pathExists(localMpvPath)) ? localMpvPath : "mpv";
-        logger.info(`[compareWithMPVVertical] Using MPV from: ${mpvPath}`);
-      }
-
-      // Launch MPV with lavfi-complex to display both videos side by side
-      const { spawn } = require("child_process");
-
-      // MPV command: Side-by-side comparison with separator line
-      // Left half = Original, Right half = Encoded (flipped horizontally)
-      // Adds a black vertical line between the two halves
-      const mpvArgs = [
-        "--lavfi-complex=[vid1]crop=iw/2:ih:0:0[left];[vid2]hflip,crop=iw/2:ih:iw/2:0[right];[left][right]hstack[stacked];[stacked]drawbox=x=iw/2-1:y=0:w=2:h=ih:color=black:t=fill[vo]",
-        `--external-file=${encodedPath}`,
-        "--no-config",
-        "--osd-level=1",
-        "--osd-msg1=Left: Original | Right: Encoded (flipped)",
-        originalPath,
-      ];
-
-      logger.info(`[compareWithMPVVertical] Launching MPV: ${mpvPath} ${mpvArgs.join(" ")}`);
-
-      const mpvProcess = spawn(mpvPath, mpvArgs, {
-        detached: true,
-        stdio: "ignore",
-      });
-
-      mpvProcess.unref();
-
-      logger.info(`[compareWithMPVVertical] MPV launched successfully`);
+      await launchMpvComparison("vertical", originalPath, encodedPath, "compareWithMPVVertical");
       return { success: true };
     } catch (error) {
       logger.error(`Failed to compare with MPV (vertical): ${error.message}`, error);
@@ -1587,59 +1704,44 @@ const setupIpcHandlers = () => {
         throw new Error(`Encoded file not found: ${encodedPath}`);
       }
 
-      // Get MPV path from config or check local exe folder
-      const localMpvPath = path.join(__dirname, "exe", "mpv.exe");
-      let mpvPath = config.storage?.mpv_path || config.mpv_path;
-
-      if (!mpvPath) {
-        mpvPath = (await fs.pathExists(localMpvPath)) ? localMpvPath : "mpv";
-        logger.info(`[compareWithMPVInteractive] Using MPV from: ${mpvPath}`);
-      }
-
-      // Launch MPV with interactive comparison using external file
-      const { spawn } = require("child_process");
-
-      // Create temporary MPV input.conf for custom keybindings
-      const tmpInputConfPath = path.join(__dirname, "mpv-ab-input.conf");
-      const inputConf = `# Temporary MPV input.conf for A/B comparison
-o cycle video
-F1 set video 1
-F2 set video 2
-`;
-      await fs.writeFile(tmpInputConfPath, inputConf);
-
-      // MPV Interactive Mode - A/B switching with keyboard shortcuts
-      // 'O' to cycle video tracks, F1/F2 to select specific track
-      const mpvArgs = [
-        originalPath,
-        `--external-file=${encodedPath}`,
-        `--input-conf=${tmpInputConfPath}`,
-        "--osd-level=3",
-        "--osd-duration=2000",
-        `--osd-status-msg=\${?current-tracks/video/selected==1:🎬 ORIGINAL:🎞️ ENCODED}`,
-        "--osd-bar=no",
-        "--osd-on-seek=msg-bar",
-        "--loop-file=inf",
-        "--keep-open=yes",
-        "--hr-seek=yes",
-        "--hr-seek-framedrop=no",
-      ];
-
-      logger.info(`[compareWithMPVInteractive] Created input.conf at: ${tmpInputConfPath}`);
-      logger.info(`[compareWithMPVInteractive] Launching MPV: ${mpvPath} ${mpvArgs.join(" ")}`);
+      await launchMpvComparison("interactive", originalPath, encodedPath, "compareWithMPVInteractive");
+      logger.info(`[compareWithMPVInteractive] Controls: Press 'O' to cycle videos, F1=Original, F2=Encoded`);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Failed to launch interactive MPV comparison: ${error.message}`, error);
+      return { success: false, error: error.message };
+    }
+  });
 
-      const mpvProcess = spawn(mpvPath, mpvArgs, {
-        detached: true,
-        stdio: "ignore",
-      });
+  // Preview encode: encode a slice of a remote file with the current settings or a preset
+  ipcMain.handle("preview:encode", async (event, remotePath, options) => {
+    try {
+      const summary = await previewEncoder.run(remotePath, options || {}, (progress) => event.sender.send("preview:progress", progress));
+      return { success: true, preview: summary };
+    } catch (error) {
+      logger.error(`Failed to encode preview of ${remotePath}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
 
-      mpvProcess.unref();
+  ipcMain.handle("preview:stop", async () => {
+    try {
+      await previewEncoder.stop();
+      return { success: true };
+    } catch (error) {
+      logger.error("Failed to stop preview encode:", error);
+      return { success: false, error: error.message };
+    }
+  });
 
-      logger.info(`[compareWithMPVInteractive] MPV launched successfully`);
-      logger.info(`[compareWithMPVInteractive] Controls: Press 'O' to cycle videos, F1=Original, F2=Encoded`);
+  // Open a preview in one of the MPV comparison modes (split, vertical, interactive)
+  ipcMain.handle("preview:compare", async (event, previewId, mode) => {
+    try {
+      const preview = await previewEncoder.getPreview(previewId);
+      await launchMpvComparison(mode, preview.original_path, preview.encoded_path, "preview:compare");
       return { success: true };
     } catch (error) {
-      logger.error(`Failed to launch interactive MPV comparison: ${error.message}`, error);
+      logger.error(`Failed to compare preview with MPV: ${error.message}`, error);
       return { success: false, error: error.message };
     }
   });
@@ -1710,9 +1812,7 @@ F2 set video 2
       }
 
       // Check if backup exists on server
-      try {
-        await transferManager.stat(serverBackupPath);
-      } catch (error) {
+      if (!(await transferManager.fileExists(serverBackupPath).catch(() => false))) {
         return { success: false, error: "Server backup not found" };
       }
 
@@ -1727,9 +1827,29 @@ F2 set video 2
         filename: path.basename(job.filepath),
       });
 
+      // Encoded file that took the original's name: removed first, the rename does not overwrite on SFTP
+      const encodedPath = job.server_encoded_path;
+      const encodedTookOriginalName = encodedPath && path.posix.normalize(encodedPath) === path.posix.normalize(job.filepath);
+      if (encodedTookOriginalName) {
+        await transferManager.deleteFile(encodedPath);
+      }
+
       // Simply rename/move the backup file back to original location
-      // This overwrites the encoded file with the backup
-      await transferManager.renameFile(serverBackupPath, job.filepath);
+      if ((await transferManager.renameFile(serverBackupPath, job.filepath)) === false) {
+        throw new Error(`Server backup not found: ${serverBackupPath}`);
+      }
+
+      // Encoded file uploaded next to the original (replace modes): removed once the original is back
+      if (encodedPath && !encodedTookOriginalName) {
+        try {
+          await transferManager.deleteFile(encodedPath);
+        } catch (error) {
+          logger.warn(`Could not delete encoded file after restore: ${encodedPath}`, error.message);
+        }
+      }
+
+      const { updateJob } = require("./backend/db");
+      await updateJob(jobId, { server_backup_path: null });
 
       // Send completion progress
       event.sender.send("restore:progress", {
@@ -1775,12 +1895,7 @@ F2 set video 2
 
       // Check server backup
       if (job.server_backup_path) {
-        try {
-          await transferManager.stat(job.server_backup_path);
-          exists.serverBackup = true;
-        } catch (error) {
-          exists.serverBackup = false;
-        }
+        exists.serverBackup = await transferManager.fileExists(job.server_backup_path).catch(() => false);
       }
 
       return { success: true, exists };
@@ -1975,6 +2090,7 @@ app.whenReady().then(async () => {
     transferManager = new TransferManager(config);
     cacheManager = new CacheManager(transferManager);
     queueManager = new QueueManager(config, transferManager);
+    previewEncoder = new PreviewEncoder(config, transferManager);
     progressFileManager = new ProgressFileManager(config, transferManager);
 
     // Initialize cache system
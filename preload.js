@@ -74,9 +74,17 @@ contextBridge.exposeInMainWorld("electronAPI", {
   queueResumeJob: (jobId) => ipcRenderer.invoke("queue:resumeJob", jobId),
   queueRetryJob: (jobId) => ipcRenderer.invoke("queue:retryJob", jobId),
   queueApproveJob: (jobId) => ipcRenderer.invoke("queue:approveJob", jobId),
-  queueRejectJob: (jobId) => ipcRenderer.invoke("queue:rejectJob", jobId),
+  queueRejectJob: (jobId, overrides) => ipcRenderer.invoke("queue:rejectJob", jobId, overrides),
+  queueSetJobOverrides: (jobId, overrides) => ipcRenderer.invoke("queue:setJobOverrides", jobId, overrides),
+  queueSetSourceAnalysis: (jobId, enabled) => ipcRenderer.invoke("queue:setSourceAnalysis", jobId, enabled),
+  queueMoveJob: (jobId, move) => ipcRenderer.invoke("queue:moveJob", jobId, move),
+  queueSetJobPriority: (jobId, priority) => ipcRenderer.invoke("queue:setJobPriority", jobId, priority),
+  queueGetBatches: () => ipcRenderer.invoke("queue:getBatches"),
+  queueBatchAction: (batchId, action) => ipcRenderer.invoke("queue:batchAction", batchId, action),
   queueGetJobs: () => ipcRenderer.invoke("queue:getJobs"),
   queueGetStats: () => ipcRenderer.invoke("queue:getStats"),
+  queueEstimateFiles: (files) => ipcRenderer.invoke("queue:estimateFiles", files),
+  queueGetEstimate: () => ipcRenderer.invoke("queue:getEstimate"),
   queueStart: () => ipcRenderer.invoke("queue:start"),
   queueStop: () => ipcRenderer.invoke("queue:stop"),
   queuePause: () => ipcRenderer.invoke("queue:pause"),
@@ -87,6 +95,10 @@ contextBridge.exposeInMainWorld("electronAPI", {
   queueGetStatus: () => ipcRenderer.invoke("queue:getStatus"),
   queueUpdateSettings: (settings) => ipcRenderer.invoke("queue:updateSettings", settings),
 
+  // Encoder operations
+  encoderPreviewCommand: (ffmpegConfig, jobId) => ipcRenderer.invoke("encoder:previewCommand", ffmpegConfig, jobId),
+  encoderSetLoadLimit: (limit) => ipcRenderer.invoke("encoder:setLoadLimit", limit),
+
   // Progress file operations
   progressGetEncodedFiles: () => ipcRenderer.invoke("progress:getEncodedFiles"),
 
@@ -128,6 +140,14 @@ contextBridge.exposeInMainWorld("electronAPI", {
   compareWithMPVVertical: (filename) => ipcRenderer.invoke("compareWithMPVVertical", filename),
   compareWithMPVInteractive: (filename) => ipcRenderer.invoke("compareWithMPVInteractive", filename),
 
+  // Preview encode of a short slice (current settings or a preset)
+  previewEncode: (remotePath, options) => ipcRenderer.invoke("preview:encode", remotePath, options),
+  previewStop: () => ipcRenderer.invoke("preview:stop"),
+  previewCompare: (previewId, mode) => ipcRenderer.invoke("preview:compare", previewId, mode),
+  onPreviewProgress: (callback) => {
+    ipcRenderer.on("preview:progress", (event, data) => callback(data));
+  },
+
   // Backup and restore operations
   restoreFromLocal: (jobId, type) => ipcRenderer.invoke("restore:fromLocal", jobId, type),
   restoreFromServer: (jobId) => ipcRenderer.invoke("restore:fromServer", jobId),
@@ -48,6 +48,7 @@ const { useState, useEffect, useRef } = React;
 const App = () => {
   // ===== Global State =====
   const [jobs, setJobs] = useState([]);
+  const [batches, setBatches] = useState([]); // Folders / series queued together, with their aggregate state
   const [stats, setStats] = useState({});
   const [progressData, setProgressData] = useState({});
   const [encodedFiles, setEncodedFiles] = useState([]);
@@ -292,14 +293,17 @@ const App = () => {
   // ===== Data Loading Functions =====
 
   /**
-   * Load current jobs from queue
+   * Load current jobs from queue (and the batches they belong to)
    */
   const loadJobs = async () => {
     try {
-      const result = await window.electronAPI.queueGetJobs();
+      const [result, batchesResult] = await Promise.all([window.electronAPI.queueGetJobs(), window.electronAPI.queueGetBatches()]);
       if (result.success) {
         setJobs(result.jobs);
       }
+      if (batchesResult.success) {
+        setBatches(batchesResult.batches);
+      }
     } catch (error) {
       console.error("Failed to load jobs:", error);
     }
@@ -345,6 +349,8 @@ const App = () => {
           isRunning: result.isRunning,
           isPaused: result.isPaused,
           currentJob: result.currentJob,
+          encodingJobs: result.encodingJobs || [],
+          prefetchWait: result.prefetchWait || null,
         }));
       }
     } catch (error) {
@@ -640,6 +646,7 @@ const App = () => {
             {activeTab === "queue" ? (
               <QueueTable
                 jobs={jobs}
+                batches={batches}
                 progressData={progressData}
                 onRemoveJob={handleRemoveJob}
                 onRetryJob={handleRetryJob}
@@ -652,7 +659,7 @@ const App = () => {
                 loadStats={loadStats}
               />
             ) : (
-              <CompletedJobs jobs={jobs} loadJobs={loadJobs} userConfig={userConfig} />
+              <CompletedJobs jobs={jobs} batches={batches} loadJobs={loadJobs} userConfig={userConfig} />
             )}
           </div>
         </div>
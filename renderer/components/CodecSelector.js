@@ -2,7 +2,7 @@
  * File: CodecSelector.js
  * Module: Renderer/Components
  * Author: Sharkoder Team
- * Description: Codec selection component for video encoding (HEVC/VP9, GPU/CPU)
+ * Description: Codec selection component for video encoding (HEVC/VP9/AV1, GPU/CPU)
  * Dependencies: React
  * Created: 2025-11-07
  */
@@ -11,7 +11,7 @@ const React = window.React;
 
 /**
  * CodecSelector Component
- * Allows selection between HEVC and VP9 codecs with GPU/CPU options
+ * Allows selection between HEVC, VP9 and AV1 codecs with GPU/CPU options
  *
  * @param {object} props - Component props
  * @param {object} props.config - Current configuration object
@@ -35,15 +35,19 @@ window.CodecSelector = ({ config, updateConfigNested }) => {
               <option value="hevc_nvenc">HEVC (H.265) - GPU</option>
               <option value="h264_nvenc">H.264 - GPU</option>
               <option value="vp9_nvenc">VP9 - GPU</option>
+              <option value="av1_nvenc">AV1 - GPU (RTX 40+)</option>
             </optgroup>
             <optgroup label="CPU (Software)">
               <option value="libx265">HEVC (H.265) - CPU</option>
               <option value="libx264">H.264 - CPU</option>
               <option value="libvpx-vp9">VP9 - CPU</option>
+              <option value="libsvtav1">AV1 (SVT-AV1) - CPU</option>
             </optgroup>
           </select>
           <p className="text-xs text-gray-400 mt-1">
             <strong>Recommandé:</strong> hevc_nvenc (HEVC GPU) pour meilleur compromis vitesse/qualité
+            <br />
+            <strong>Archivage:</strong> AV1 pour la meilleure compression (réglages dédiés dans la section AV1)
           </p>
         </div>
 
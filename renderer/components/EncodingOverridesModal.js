@@ -0,0 +1,179 @@
+/**
+ * File: EncodingOverridesModal.js
+ * Module: Renderer/Components
+ * Author: Sharkoder Team
+ * Description: Encoding settings of one queued job ("Edit encoding", or before a re-encode on rejection)
+ * Dependencies: React
+ * Created: 2025
+ *
+ * This modal:
+ * - Overrides codec, CQ/CRF, speed preset, audio and filters for this job only
+ * - Shows the job base settings (preset snapshot or global settings) for every empty field
+ * - Stores nothing itself: the parent saves the overrides (queue:setJobOverrides / queue:rejectJob)
+ */
+
+const React = window.React;
+
+const NVENC_PRESETS = ["p1", "p2", "p3", "p4", "p5", "p6", "p7"];
+const X265_PRESETS = ["ultrafast", "superfast", "veryfast", "faster", "fast", "medium", "slow", "slower", "veryslow"];
+const SVT_AV1_PRESETS = ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "10", "11", "12", "13"];
+
+/**
+ * EncodingOverridesModal Component
+ *
+ * @param {object} props - Component props
+ * @param {object} props.job - Job to edit (encoding_overrides, ffmpeg_snapshot)
+ * @param {object} props.baseConfig - ffmpeg settings the overrides apply to
+ * @param {string} [props.mode="edit"] - "edit" (waiting job) or "reject" (re-encode after review)
+ * @param {Function} props.onSave - Callback with the overrides (null = no override)
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Encoding overrides modal
+ */
+window.EncodingOverridesModal = ({ job, baseConfig, mode = "edit", onSave, onClose }) => {
+  const [overrides, setOverrides] = React.useState(() => {
+    try {
+      return job.encoding_overrides ? JSON.parse(job.encoding_overrides) : {};
+    } catch (error) {
+      return {};
+    }
+  });
+  const [saving, setSaving] = React.useState(false);
+
+  const base = baseConfig || {};
+  const videoCodec = overrides.video_codec || base.video_codec || "hevc_nvenc";
+  const isAV1 = videoCodec.includes("av1");
+  const isNvenc = videoCodec.includes("nvenc");
+  const speedPresets = isNvenc ? NVENC_PRESETS : isAV1 ? SVT_AV1_PRESETS : X265_PRESETS;
+  const baseQuality = isAV1 ? (isNvenc ? base.av1_cq ?? 32 : base.av1_crf ?? 30) : isNvenc ? base.cq ?? 24 : base.crf ?? 23;
+  const baseSpeedPreset = isAV1 ? (isNvenc ? base.av1_nvenc_preset || "p5" : base.av1_cpu_preset ?? 6) : isNvenc ? base.encode_preset || "p7" : base.cpu_preset || "medium";
+  const baseMaxHeight = base.resolution?.enabled ? `${base.resolution.max_height}p` : "source";
+
+  const set = (key, value) => setOverrides((prev) => ({ ...prev, [key]: value === "" ? undefined : value }));
+
+  const save = async (values) => {
+    setSaving(true);
+    try {
+      await onSave(values);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const fieldClass = "w-full px-3 py-2 bg-gray-900 text-white rounded border border-gray-700 text-sm";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50" onClick={() => !saving && onClose()}>
+      <div className="bg-gray-800 rounded-lg p-6 max-w-xl w-full mx-4 border-2 border-blue-500" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-xl font-bold text-blue-400">{mode === "reject" ? "🔄 Re-encoder avec..." : "✏️ Réglages d'encodage du job"}</h3>
+          <button onClick={onClose} disabled={saving} className="text-gray-400 hover:text-white text-2xl disabled:opacity-30">
+            ×
+          </button>
+        </div>
+        <p className="text-sm text-gray-300 mb-1 truncate" title={job.filepath}>
+          {job.filepath.split("/").pop()}
+        </p>
+        <p className="text-xs text-gray-500 mb-4">
+          Champs vides = réglages de base du job ({job.preset_name ? `preset ${job.preset_name}` : job.ffmpeg_snapshot ? "réglages globaux à l'ajout" : "réglages globaux"}). Les autres jobs ne changent pas.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Codec vidéo</label>
+            <select value={overrides.video_codec || ""} onChange={(e) => setOverrides((prev) => ({ ...prev, video_codec: e.target.value || undefined, speed_preset: undefined }))} className={fieldClass}>
+              <option value="">Base ({base.video_codec || "hevc_nvenc"})</option>
+              <option value="hevc_nvenc">HEVC - GPU</option>
+              <option value="av1_nvenc">AV1 - GPU</option>
+              <option value="libx265">HEVC - CPU</option>
+              <option value="libvpx-vp9">VP9 - CPU</option>
+              <option value="libsvtav1">AV1 (SVT-AV1) - CPU</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">{isNvenc ? "CQ" : "CRF"} (qualité fixe)</label>
+            <input
+              type="number"
+              min="0"
+              max="63"
+              value={overrides.quality ?? ""}
+              onChange={(e) => set("quality", e.target.value === "" ? "" : parseInt(e.target.value))}
+              placeholder={base.rate_control_mode === "target_vmaf" ? `Base: target VMAF ${base.target_vmaf || 93}` : `Base: ${baseQuality}`}
+              className={fieldClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Preset de vitesse</label>
+            <select value={overrides.speed_preset ?? ""} onChange={(e) => set("speed_preset", e.target.value)} className={fieldClass}>
+              <option value="">Base ({baseSpeedPreset})</option>
+              {speedPresets.map((preset) => (
+                <option key={preset} value={preset}>
+                  {preset}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Audio</label>
+            <div className="flex gap-2">
+              <select value={overrides.audio_codec || ""} onChange={(e) => set("audio_codec", e.target.value)} className={fieldClass}>
+                <option value="">Base ({base.audio_codec || "copy"})</option>
+                <option value="copy">Copy</option>
+                <option value="aac">AAC</option>
+                <option value="ac3">AC3</option>
+                <option value="opus">Opus</option>
+              </select>
+              <input
+                type="number"
+                min="64"
+                max="640"
+                step="32"
+                value={overrides.audio_bitrate ?? ""}
+                onChange={(e) => set("audio_bitrate", e.target.value === "" ? "" : parseInt(e.target.value))}
+                disabled={(overrides.audio_codec || base.audio_codec || "copy") === "copy"}
+                placeholder={`${base.audio_bitrate || 192}k`}
+                className={`${fieldClass} w-24 disabled:opacity-40`}
+                title="Débit audio (kbps)"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Hauteur maximale</label>
+            <select value={overrides.max_height ?? ""} onChange={(e) => set("max_height", e.target.value === "" ? "" : parseInt(e.target.value))} className={fieldClass}>
+              <option value="">Base ({baseMaxHeight})</option>
+              <option value="0">Résolution source</option>
+              <option value="2160">2160p</option>
+              <option value="1080">1080p</option>
+              <option value="720">720p</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Tone-mapping HDR → SDR</label>
+            <select
+              value={overrides.tonemap === true ? "on" : overrides.tonemap === false ? "off" : ""}
+              onChange={(e) => set("tonemap", e.target.value === "" ? "" : e.target.value === "on")}
+              className={fieldClass}
+            >
+              <option value="">Base ({base.hdr?.tonemap ? "activé" : "désactivé"})</option>
+              <option value="on">Activé</option>
+              <option value="off">Désactivé</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex justify-between">
+          <button onClick={() => save(null)} disabled={saving} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-white transition-colors text-sm">
+            {mode === "reject" ? "Re-encoder avec les réglages de base" : "Réinitialiser"}
+          </button>
+          <div className="flex space-x-3">
+            <button onClick={onClose} disabled={saving} className="px-4 py-2 bg-gray-600 hover:bg-gray-700 disabled:opacity-50 rounded text-white transition-colors">
+              Annuler
+            </button>
+            <button onClick={() => save(overrides)} disabled={saving} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded text-white transition-colors">
+              {mode === "reject" ? "🔄 Re-encoder" : "💾 Enregistrer"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -12,8 +12,9 @@
  * - Folder statistics with localStorage persistence
  * - Video file metadata extraction
  * - Smart series detection (auto-detect Season folders)
- * - Batch operations (queue entire folders)
+ * - Batch operations (queue entire folders, predicted size / time confirmation first)
  * - File/folder download
+ * - Preview encode of a short slice (PreviewEncodeModal)
  * - Delete empty folders
  * - Search and sort (by name, size, count, duration, quality)
  * - Cache synchronization with server
@@ -58,6 +59,8 @@ window.FileTree = ({ onAddToQueue, encodedFiles, userConfig, pauseBeforeUpload }
   const [sortBy, setSortBy] = useState("alpha");
   const [loadingVideoInfo, setLoadingVideoInfo] = useState({});
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [previewFile, setPreviewFile] = useState(null);
+  const [queueConfirm, setQueueConfirm] = useState(null); // { folderName, folderPath, files, isSeries, totalSeasons, estimate }
   const [downloading, setDownloading] = useState({});
   const [isRefreshing, setIsRefreshing] = useState(false);
   // REMOVED: calculatingStats state - Batch calculation no longer used
@@ -235,6 +238,7 @@ window.FileTree = ({ onAddToQueue, encodedFiles, userConfig, pauseBeforeUpload }
                 isVideo: item.isVideo || false,
                 codec: item.codec,
                 resolution: item.resolution,
+                hdr: item.hdr,
                 bitrate: item.bitrate,
                 duration: item.duration,
                 sizeFormatted: formatBytes(item.size || 0),
@@ -635,60 +639,78 @@ window.FileTree = ({ onAddToQueue, encodedFiles, userConfig, pauseBeforeUpload }
 
       console.log(`Folder: ${folderPath} | Seasons found: ${seasonFolders.length} | Is series: ${isSeries}`);
 
-      if (isSeries) {
-        let totalAdded = 0;
-        let totalSeasons = 0;
+      // Collect the files first: jobs are only created once the estimate is confirmed
+      const filesToAdd = [];
+      let totalSeasons = 0;
 
+      if (isSeries) {
         for (const seasonFolder of seasonFolders) {
           console.log(`Scanning season: ${seasonFolder.path}`);
           const result = await window.electronAPI.webdavScanFolderRecursive(seasonFolder.path);
 
           if (result.success && result.files.length > 0) {
             totalSeasons++;
-            for (const file of result.files) {
-              if (!isEncoded(file.path)) {
-                await onAddToQueue(file.path, {
-                  ...file,
-                  pauseBeforeUpload: pauseBeforeUpload,
-                });
-                totalAdded++;
-              }
-            }
+            filesToAdd.push(...result.files.filter((file) => !isEncoded(file.path)));
           }
         }
 
-        if (totalAdded > 0) {
-          alert(`Added ${totalAdded} episodes from ${totalSeasons} seasons to queue!`);
-        } else {
+        if (filesToAdd.length === 0) {
           alert("No new episodes to add (all already encoded)");
+          return;
         }
       } else {
         console.log(`Scanning folder (non-series): ${folderPath}`);
         const result = await window.electronAPI.webdavScanFolderRecursive(folderPath);
 
         if (result.success && result.files.length > 0) {
-          let addedCount = 0;
-          for (const file of result.files) {
-            if (!isEncoded(file.path)) {
-              await onAddToQueue(file.path, {
-                ...file,
-                pauseBeforeUpload: pauseBeforeUpload,
-              });
-              addedCount++;
-            }
-          }
-          if (addedCount > 0) {
-            alert(`Added ${addedCount} files to queue!`);
-          } else {
+          filesToAdd.push(...result.files.filter((file) => !isEncoded(file.path)));
+          if (filesToAdd.length === 0) {
             alert("No new files to add (all already encoded)");
+            return;
           }
         } else if (result.success && result.files.length === 0) {
           alert("No video files found in this folder");
+          return;
         } else {
           console.error("Failed to scan folder:", result.error);
           alert(`Error scanning folder: ${result.error}`);
+          return;
         }
       }
+
+      const estimate = await window.electronAPI.queueEstimateFiles(filesToAdd.map((file) => ({ path: file.path, size: file.size })));
+      setQueueConfirm({
+        folderName,
+        folderPath,
+        files: filesToAdd,
+        isSeries,
+        totalSeasons,
+        estimate: estimate.success ? estimate : null,
+      });
+    } catch (error) {
+      console.error("Error adding to queue:", error);
+      alert("Error adding to queue: " + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirmAddToQueue = async () => {
+    const { folderName, folderPath, files: filesToAdd, isSeries, totalSeasons } = queueConfirm;
+    setQueueConfirm(null);
+
+    try {
+      setLoading(true);
+      // Jobs of the folder / series are grouped in one batch in the queue
+      const batch = { name: folderName, source_path: folderPath, kind: isSeries ? "series" : "folder" };
+      for (const file of filesToAdd) {
+        await onAddToQueue(file.path, {
+          ...file,
+          pauseBeforeUpload: pauseBeforeUpload,
+          batch,
+        });
+      }
+      alert(isSeries ? `Added ${filesToAdd.length} episodes from ${totalSeasons} seasons to queue!` : `Added ${filesToAdd.length} files to queue!`);
     } catch (error) {
       console.error("Error adding to queue:", error);
       alert("Error adding to queue: " + error.message);
@@ -969,6 +991,9 @@ window.FileTree = ({ onAddToQueue, encodedFiles, userConfig, pauseBeforeUpload }
                                 {file.container && <span className="bg-indigo-900/40 px-2 py-0.5 rounded text-xs">📦 {file.container.toUpperCase()}</span>}
                                 {file.codec && <span className="bg-blue-900/40 px-2 py-0.5 rounded text-xs">🎞️ {file.codec.toUpperCase()}</span>}
                                 {file.resolution && <span className="bg-cyan-900/40 px-2 py-0.5 rounded text-xs">📺 {file.resolution}</span>}
+                                {file.hdr && (
+                                  <span className={`${file.hdr === "DV" ? "bg-fuchsia-900/40 text-fuchsia-300" : "bg-amber-900/40 text-amber-300"} px-2 py-0.5 rounded text-xs`}>🌈 {file.hdr}</span>
+                                )}
                                 {file.duration && (
                                   <span className="bg-purple-900/40 px-2 py-0.5 rounded text-xs">
                                     ⏱️ {Math.floor(file.duration / 60)}:{String(Math.floor(file.duration % 60)).padStart(2, "0")}
@@ -1048,6 +1073,9 @@ window.FileTree = ({ onAddToQueue, encodedFiles, userConfig, pauseBeforeUpload }
                               📥
                             </button>
                           )}
+                          <button onClick={() => setPreviewFile(file)} className="bg-teal-600 hover:bg-teal-500 text-white px-3 py-2 rounded" title="Preview encode: encode a short slice with the current settings or a preset">
+                            🧪
+                          </button>
                           <button onClick={() => setDeleteConfirm({ file, type: "file" })} className="bg-red-600 hover:bg-red-500 text-white px-3 py-2 rounded" title="Delete this video file">
                             🗑️
                           </button>
@@ -1091,6 +1119,60 @@ window.FileTree = ({ onAddToQueue, encodedFiles, userConfig, pauseBeforeUpload }
         </div>
       )}
 
+      {queueConfirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={() => setQueueConfirm(null)}>
+          <div className="bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4 border-2 border-blue-500" onClick={(e) => e.stopPropagation()}>
+            <h3 className="text-xl font-bold mb-4 text-blue-400">➕ Add to queue</h3>
+            <p className="text-sm text-gray-300 mb-3">
+              <span className="text-lg">📁</span> <span className="font-mono text-blue-400">{queueConfirm.folderName}</span>:{" "}
+              {queueConfirm.isSeries ? `${queueConfirm.files.length} episodes from ${queueConfirm.totalSeasons} seasons` : `${queueConfirm.files.length} files`}
+            </p>
+            {queueConfirm.estimate?.totals.estimated > 0 ? (
+              <div className="mb-4 p-3 bg-gray-900 rounded border border-gray-700 text-sm space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Estimated size</span>
+                  <span className="text-white">
+                    {formatSize(queueConfirm.estimate.totals.sizeBefore)} → ~{formatSize(queueConfirm.estimate.totals.sizeAfter)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Space saved</span>
+                  <span className={queueConfirm.estimate.totals.saved > 0 ? "text-green-400 font-medium" : "text-red-400 font-medium"}>~{formatSize(Math.abs(queueConfirm.estimate.totals.saved))}{queueConfirm.estimate.totals.saved < 0 && " (larger)"}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Encoding / transfers</span>
+                  <span className="text-white">
+                    ~{formatETA(queueConfirm.estimate.totals.encodeSeconds)} / ~{formatETA(queueConfirm.estimate.totals.transferSeconds)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Total time (pipeline)</span>
+                  <span className="text-white font-medium">~{formatETA(queueConfirm.estimate.totals.pipelineSeconds)}</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  Based on {queueConfirm.estimate.totals.history} completed jobs{queueConfirm.estimate.encoder && ` · ${queueConfirm.estimate.encoder}`}
+                  {queueConfirm.estimate.totals.estimated < queueConfirm.estimate.totals.count && ` · ${queueConfirm.estimate.totals.estimated}/${queueConfirm.estimate.totals.count} files estimated`}
+                </div>
+              </div>
+            ) : (
+              <p className="mb-4 text-sm text-gray-400">
+                {formatSize(queueConfirm.files.reduce((total, file) => total + (file.size || 0), 0))} · no history yet to estimate size and duration
+              </p>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button onClick={() => setQueueConfirm(null)} className="px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded text-white transition-colors">
+                Cancel
+              </button>
+              <button onClick={confirmAddToQueue} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white transition-colors">
+                Add {queueConfirm.files.length} to queue
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {previewFile && <PreviewEncodeModal remotePath={previewFile.path} currentFfmpegConfig={null} onClose={() => setPreviewFile(null)} />}
+
       {/* Global Search Modal */}
       {showGlobalSearch && (
         <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50" onClick={() => setShowGlobalSearch(false)}>
@@ -3,18 +3,19 @@
  * Module: Renderer/Components
  * Author: Sharkoder Team
  * Description: Detailed before/after comparison modal for completed encoding jobs
- * Dependencies: React, formatters (formatSize - loaded globally)
+ * Dependencies: React, formatters (formatSize, formatQualityScore - loaded globally)
  * Created: 2025-11-07
  *
  * This modal displays:
  * - Before/After file statistics (size, codec, bitrate, etc.)
  * - Encoding parameters used during conversion
  * - Space savings calculations
- * - Quality assessment
+ * - Quality assessment (VMAF / SSIM / PSNR scores)
+ * - Crop / interlace detection result, with a per-job toggle
  */
 
 const React = window.React;
-// formatSize is loaded globally from formatters.js
+// formatSize and formatQualityScore are loaded globally from formatters.js
 
 /**
  * JobDetailsModal Component
@@ -27,6 +28,9 @@ const React = window.React;
  * @returns {JSX.Element} Job details modal
  */
 window.JobDetailsModal = ({ job, userConfig, onClose }) => {
+  const [sourceAnalysisEnabled, setSourceAnalysisEnabled] = React.useState(!job?.source_analysis_disabled);
+  const [commandPreview, setCommandPreview] = React.useState(null);
+
   if (!job) return null;
 
   // Calculate savings
@@ -84,6 +88,32 @@ window.JobDetailsModal = ({ job, userConfig, onClose }) => {
   // If no saved params, fall back to current config (for old jobs)
   const useCurrentConfig = !params && userConfig?.ffmpeg;
 
+  // Crop / interlace detection (run just before the encode)
+  let sourceAnalysis = null;
+  try {
+    sourceAnalysis = job.source_analysis ? JSON.parse(job.source_analysis) : null;
+  } catch (e) {
+    console.error("Failed to parse source_analysis:", e);
+  }
+  // The toggle only matters while the job has not been encoded yet (or will be re-encoded)
+  const canToggleSourceAnalysis = ["waiting", "downloading", "ready_encode", "awaiting_approval", "failed", "paused"].includes(job.status);
+
+  const toggleSourceAnalysis = async (enabled) => {
+    setSourceAnalysisEnabled(enabled);
+    const result = await window.electronAPI.queueSetSourceAnalysis(job.id, enabled);
+    if (!result?.success) {
+      setSourceAnalysisEnabled(!enabled);
+      console.error("Failed to update source analysis setting:", result?.error);
+    }
+  };
+
+  // Command this job would run with the saved settings (probes the downloaded file when present)
+  const showCommandPreview = async () => {
+    setCommandPreview({ loading: true });
+    const result = await window.electronAPI.encoderPreviewCommand(null, job.id);
+    setCommandPreview(result?.success ? result : { error: result?.error || "Unknown error" });
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-2" onClick={onClose}>
       <div className="bg-gray-800 rounded-lg max-w-5xl w-full max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
@@ -129,6 +159,78 @@ window.JobDetailsModal = ({ job, userConfig, onClose }) => {
             </div>
           </div>
 
+          {/* Crop / Interlace Detection */}
+          <div className="bg-gray-900 rounded-lg p-2 border border-gray-700">
+            <div className="text-xs text-cyan-400 font-semibold mb-1.5 flex items-center justify-between">
+              <span className="flex items-center gap-1">
+                <span>✂️</span>
+                <span>Crop / Interlace Detection</span>
+              </span>
+              <label className={`flex items-center gap-1 font-normal ${canToggleSourceAnalysis ? "cursor-pointer text-gray-300" : "text-gray-500"}`}>
+                <input type="checkbox" checked={sourceAnalysisEnabled} disabled={!canToggleSourceAnalysis} onChange={(e) => toggleSourceAnalysis(e.target.checked)} />
+                <span>Auto-detect for this job</span>
+              </label>
+            </div>
+            {sourceAnalysis ? (
+              <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Crop:</span>
+                  <span className={`font-mono ${sourceAnalysis.crop ? "text-cyan-300" : "text-gray-400"}`}>
+                    {sourceAnalysis.crop ? `${sourceAnalysis.source} → ${sourceAnalysis.crop.width}x${sourceAnalysis.crop.height} (+${sourceAnalysis.crop.x}+${sourceAnalysis.crop.y})` : "none"}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Interlacing:</span>
+                  <span className={`font-mono ${sourceAnalysis.deinterlace ? "text-cyan-300" : "text-gray-400"}`}>
+                    {sourceAnalysis.deinterlace
+                      ? `${sourceAnalysis.deinterlace.field_order.toUpperCase()} ${Math.round(sourceAnalysis.deinterlace.ratio * 100)}% → ${sourceAnalysis.deinterlace.deinterlacer}`
+                      : "progressive"}
+                  </span>
+                </div>
+                <div className="col-span-2 text-gray-500">
+                  {sourceAnalysis.segments} segment(s) × {sourceAnalysis.segment_duration}s — idet TFF {sourceAnalysis.idet?.tff ?? 0} / BFF {sourceAnalysis.idet?.bff ?? 0} / Progressive{" "}
+                  {sourceAnalysis.idet?.progressive ?? 0} / Undetermined {sourceAnalysis.idet?.undetermined ?? 0}
+                </div>
+              </div>
+            ) : (
+              <div className="text-xs text-gray-500">{sourceAnalysisEnabled ? "Not analyzed yet (runs just before encoding)" : "Disabled for this job"}</div>
+            )}
+          </div>
+
+          {/* FFmpeg Command Preview */}
+          <div className="bg-gray-900 rounded-lg p-2 border border-gray-700">
+            <div className="text-xs text-blue-400 font-semibold mb-1.5 flex items-center justify-between">
+              <span className="flex items-center gap-1">
+                <span>🎬</span>
+                <span>FFmpeg Command</span>
+              </span>
+              <button
+                onClick={showCommandPreview}
+                disabled={commandPreview?.loading}
+                className="px-2 py-0.5 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded text-white font-normal"
+              >
+                {commandPreview?.loading ? "⏳ ..." : "🔍 Show FFmpeg command"}
+              </button>
+            </div>
+            {!commandPreview && <div className="text-xs text-gray-500">Command built from the current settings (not the one used for a finished encode)</div>}
+            {commandPreview?.error && <div className="text-xs text-red-400">❌ {commandPreview.error}</div>}
+            {commandPreview?.commandLine && (
+              <div className="space-y-1 text-xs">
+                <div className="text-green-400 font-mono break-all whitespace-pre-wrap select-text">{commandPreview.commandLine}</div>
+                {commandPreview.warnings.map((warning, index) => (
+                  <div key={`w${index}`} className="text-yellow-400">
+                    ⚠️ {warning}
+                  </div>
+                ))}
+                {commandPreview.notes.map((note, index) => (
+                  <div key={`n${index}`} className="text-gray-400">
+                    ℹ️ {note}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Before/After/Savings Grid */}
           <div className="grid grid-cols-3 gap-2">
             {/* BEFORE */}
@@ -258,6 +360,35 @@ window.JobDetailsModal = ({ job, userConfig, onClose }) => {
             </div>
           </div>
 
+          {/* Objective Quality Scores */}
+          <div className="bg-teal-900 bg-opacity-20 border border-teal-700 rounded-lg p-2">
+            <div className="text-teal-400 font-semibold mb-1.5 flex items-center gap-1 text-xs">
+              <span>📏</span>
+              <span>Quality Analysis</span>
+              {job.quality_method && <span className="text-gray-500 font-normal">({job.quality_method === "vmaf" ? "VMAF" : "SSIM/PSNR fallback"})</span>}
+            </div>
+            {job.quality_method ? (
+              <div className="grid grid-cols-3 gap-x-4 gap-y-1 text-xs">
+                <div className="flex justify-between">
+                  <span className="text-gray-400">VMAF:</span>
+                  <span className={`font-mono font-bold ${job.quality_vmaf != null ? formatQualityScore(job).colorClass : "text-gray-500"}`}>
+                    {job.quality_vmaf != null ? job.quality_vmaf.toFixed(2) : "N/A"}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">SSIM:</span>
+                  <span className="text-white font-mono">{job.quality_ssim != null ? job.quality_ssim.toFixed(4) : "N/A"}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">PSNR:</span>
+                  <span className="text-white font-mono">{job.quality_psnr != null ? `${job.quality_psnr.toFixed(2)} dB` : "N/A"}</span>
+                </div>
+              </div>
+            ) : (
+              <div className="text-gray-400 text-xs">⚠️ No quality analysis for this job (disabled or failed)</div>
+            )}
+          </div>
+
           {/* Encoding Settings Used */}
           {!params && !useCurrentConfig ? (
             <div className="bg-gray-800 rounded-lg p-2 border border-gray-700">
@@ -273,7 +404,7 @@ window.JobDetailsModal = ({ job, userConfig, onClose }) => {
                 <div className="flex justify-between">
                   <span className="text-gray-400">Encoder:</span>
                   <span className="text-white font-medium">
-                    {params ? (params.gpu_used ? "🎮 NVENC (GPU)" : "💻 x265 (CPU)") : userConfig.ffmpeg.force_gpu || userConfig.ffmpeg.gpu_enabled ? "🎮 NVENC (GPU)" : "💻 x265 (CPU)"}
+                    {params ? (params.gpu_used ? `🎮 ${params.encoder || "NVENC"} (GPU)` : `💻 ${params.encoder || "x265"} (CPU)`) : userConfig.ffmpeg.force_gpu || userConfig.ffmpeg.gpu_enabled ? "🎮 NVENC (GPU)" : "💻 x265 (CPU)"}
                   </span>
                 </div>
                 <div className="flex justify-between">
@@ -306,6 +437,51 @@ window.JobDetailsModal = ({ job, userConfig, onClose }) => {
                     {params ? (params.audio_bitrate ? params.audio_bitrate + "k" : "original") : userConfig.ffmpeg.audio_codec !== "copy" ? (userConfig.ffmpeg.audio_bitrate || 128) + "k" : "original"}
                   </span>
                 </div>
+                {params?.codec_family === "AV1" && params.denoise === undefined && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Film Grain:</span>
+                    <span className="text-white font-mono">{params.film_grain || "off"}</span>
+                  </div>
+                )}
+                {params?.denoise !== undefined && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Denoise:</span>
+                    <span className="text-white font-mono">{params.denoise ? `hqdn3d ${params.denoise}` : "off"}</span>
+                  </div>
+                )}
+                {params?.scaling && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Resolution:</span>
+                    <span className="text-white font-mono">
+                      📐 {params.scaling.from} → {params.scaling.to} ({params.scaling.scaler})
+                    </span>
+                  </div>
+                )}
+                {params?.segmented && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Segmented:</span>
+                    <span className="text-white font-mono">
+                      🧩 {params.segmented.segments} × ~{Math.round(params.segmented.segment_duration / 60)} min
+                      {params.segmented.resumed_duration > 0 && <span className="text-green-400"> (resumed, {formatDuration(params.segmented.resumed_duration)} reused)</span>}
+                    </span>
+                  </div>
+                )}
+                {params?.hdr && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">HDR:</span>
+                    <span className={`font-mono ${params.hdr.passthrough ? "text-amber-300" : "text-gray-400"}`} title={params.hdr.dolby_vision_note || ""}>
+                      🌈 {params.hdr.type}{" "}
+                      {params.hdr.tonemapped
+                        ? `→ SDR (${params.hdr.tonemap_algorithm})`
+                        : params.hdr.passthrough
+                        ? params.hdr.metadata === "full"
+                          ? "(full metadata)"
+                          : "(colour tags)"
+                        : "(not preserved)"}
+                      {params.hdr.dolby_vision_dropped && " ⚠️ DV RPU dropped"}
+                    </span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="text-gray-400">Two-Pass:</span>
                   <span className={`font-medium ${(params ? params.two_pass : userConfig.ffmpeg.two_pass) ? "text-green-400" : "text-gray-400"}`}>
@@ -363,6 +539,55 @@ window.JobDetailsModal = ({ job, userConfig, onClose }) => {
                   </>
                 )}
               </div>
+
+              {/* Target VMAF search trace (only in target_vmaf rate control mode) */}
+              {params?.target_quality && (
+                <div className="mt-2 pt-2 border-t border-blue-900 text-xs">
+                  <div className="flex justify-between mb-1">
+                    <span className="text-gray-400">🎯 Target VMAF:</span>
+                    <span className={`font-mono font-bold ${params.target_quality.met_target ? "text-green-400" : "text-yellow-400"}`}>
+                      {params.target_quality.target} → {params.quality_type} {params.target_quality.chosen}
+                      {!params.target_quality.met_target && " (target not reached)"}
+                    </span>
+                  </div>
+                  <div className="text-gray-500 mb-1">
+                    {params.target_quality.samples} sample(s) × {Math.round(params.target_quality.sample_duration)}s, range {params.target_quality.range?.join("-")}
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {(params.target_quality.trace || []).map((step, index) => (
+                      <span
+                        key={index}
+                        className={`px-2 py-0.5 rounded font-mono ${step.meets_target ? "bg-green-900/40 text-green-300" : "bg-red-900/40 text-red-300"}`}
+                        title={`Samples: ${(step.sample_scores || []).join(", ")}`}
+                      >
+                        {step.quality}: {step.vmaf}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Track selection decisions (only when track_selection rules are enabled) */}
+              {params?.track_selection && (
+                <div className="mt-2 pt-2 border-t border-blue-900 text-xs">
+                  <div className="text-gray-400 mb-1">🎚️ Track Selection:</div>
+                  <div className="space-y-0.5">
+                    {[...(params.track_selection.audio || []).map((track) => ({ ...track, type: "🔊" })), ...(params.track_selection.subtitles || []).map((track) => ({ ...track, type: "💬" }))].map(
+                      (track, index) => (
+                        <div key={index} className="flex justify-between">
+                          <span className="text-gray-300 font-mono">
+                            {track.type} #{track.index} [{track.language || "und"}] {track.codec}
+                            {track.title && <span className="text-gray-500"> "{track.title}"</span>}
+                          </span>
+                          <span className={`font-mono ${track.keep ? "text-green-400" : "text-red-400"}`}>
+                            {track.keep ? "KEEP" : "DROP"} <span className="text-gray-500">({track.reason})</span>
+                          </span>
+                        </div>
+                      )
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -0,0 +1,123 @@
+/**
+ * File: PresetRules.js
+ * Module: Renderer/Components
+ * Author: Sharkoder Team
+ * Description: Editor of the rules assigning a local preset to queued files (preset_rules)
+ * Dependencies: React, window.electronAPI
+ * Created: 2025
+ *
+ * This editor:
+ * - Maps a server path glob ("/Anime/**") or a filename glob ("*grain*") to a local preset
+ * - Optionally restricts a rule to a resolution and/or HDR / SDR sources (cache data)
+ * - Keeps the rules ordered: the first matching rule wins
+ */
+
+const React = window.React;
+
+/**
+ * PresetRules Component
+ *
+ * @param {object} props - Component props
+ * @param {object} props.presetRules - preset_rules config ({ enabled, rules })
+ * @param {Function} props.onChange - Callback with the updated preset_rules
+ * @returns {JSX.Element} Preset rules editor
+ */
+window.PresetRules = ({ presetRules, onChange }) => {
+  const [presets, setPresets] = React.useState([]);
+  const rules = presetRules?.rules || [];
+  const enabled = presetRules?.enabled || false;
+
+  React.useEffect(() => {
+    window.electronAPI.presetListLocal().then((response) => setPresets(response.presets || []));
+  }, []);
+
+  const update = (changes) => onChange({ enabled, rules, ...changes });
+  const updateRule = (index, changes) => update({ rules: rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)) });
+  const moveRule = (index, offset) => {
+    const reordered = [...rules];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    update({ rules: reordered });
+  };
+
+  return (
+    <div className="space-y-4 pt-4 border-t border-gray-700">
+      <h3 className="text-lg font-semibold text-white">🗂️ Presets automatiques</h3>
+      <p className="text-xs text-gray-400">
+        Le preset est choisi à l'ajout dans la queue et ses réglages sont figés sur le job: modifier les réglages globaux ensuite ne change pas les jobs en attente. La première règle
+        qui correspond gagne; sans règle, le job garde les réglages globaux du moment.
+      </p>
+
+      <label className="flex items-center cursor-pointer">
+        <input type="checkbox" checked={enabled} onChange={(e) => update({ enabled: e.target.checked })} className="mr-2" />
+        <span className="text-sm text-gray-300">Activer les presets automatiques</span>
+      </label>
+
+      {enabled && (
+        <div className="space-y-2">
+          {rules.map((rule, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={rule.pattern || ""}
+                onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                placeholder="/Anime/** ou *grain*"
+                className="flex-1 bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white font-mono text-sm"
+              />
+              <span className="text-gray-400">→</span>
+              <select value={rule.preset || ""} onChange={(e) => updateRule(index, { preset: e.target.value })} className="w-40 bg-gray-700 border border-gray-600 rounded px-2 py-2 text-white text-sm">
+                <option value="">Preset...</option>
+                {presets.map((preset) => (
+                  <option key={preset.name} value={preset.name}>
+                    {preset.name}
+                  </option>
+                ))}
+                {rule.preset && !presets.some((preset) => preset.name === rule.preset) && <option value={rule.preset}>{rule.preset} (introuvable)</option>}
+              </select>
+              <select
+                value={rule.resolution || ""}
+                onChange={(e) => updateRule(index, { resolution: e.target.value || undefined })}
+                className="w-24 bg-gray-700 border border-gray-600 rounded px-2 py-2 text-white text-sm"
+                title="Résolution de la source (cache)"
+              >
+                <option value="">Toutes</option>
+                <option value="2160p">2160p</option>
+                <option value="1080p">1080p</option>
+                <option value="720p">720p</option>
+              </select>
+              <select
+                value={rule.hdr === true ? "hdr" : rule.hdr === false ? "sdr" : ""}
+                onChange={(e) => updateRule(index, { hdr: e.target.value === "" ? undefined : e.target.value === "hdr" })}
+                className="w-24 bg-gray-700 border border-gray-600 rounded px-2 py-2 text-white text-sm"
+                title="HDR de la source (cache)"
+              >
+                <option value="">HDR/SDR</option>
+                <option value="hdr">HDR</option>
+                <option value="sdr">SDR</option>
+              </select>
+              <button onClick={() => moveRule(index, -1)} disabled={index === 0} className="px-2 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white text-sm disabled:opacity-30" title="Monter">
+                ↑
+              </button>
+              <button
+                onClick={() => moveRule(index, 1)}
+                disabled={index === rules.length - 1}
+                className="px-2 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white text-sm disabled:opacity-30"
+                title="Descendre"
+              >
+                ↓
+              </button>
+              <button onClick={() => update({ rules: rules.filter((_, i) => i !== index) })} className="px-2 py-2 bg-red-600 hover:bg-red-700 rounded text-white text-sm" title="Supprimer">
+                🗑️
+              </button>
+            </div>
+          ))}
+          <button onClick={() => update({ rules: [...rules, { pattern: "", preset: "" }] })} className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-white text-sm">
+            ➕ Ajouter une règle
+          </button>
+          <p className="text-xs text-gray-400">
+            <em>Motif avec "/" = chemin serveur complet, sans "/" = nom de fichier. * = un niveau de dossier, ** = n'importe quelle profondeur.</em>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
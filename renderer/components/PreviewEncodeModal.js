@@ -0,0 +1,204 @@
+/**
+ * File: PreviewEncodeModal.js
+ * Module: Renderer/Components
+ * Author: Sharkoder Team
+ * Description: Preview encode of a short slice of a remote file before queueing it
+ * Dependencies: React, window.electronAPI, formatters (formatSize, formatETA - loaded globally)
+ * Created: 2025
+ *
+ * This modal:
+ * - Encodes a slice (default 60s from the middle) with the current settings or a local preset
+ * - Shows the projected size and encode time of the whole file
+ * - Opens the result in the MPV comparison modes (horizontal, vertical, A/B)
+ */
+
+const React = window.React;
+// formatSize and formatETA are loaded globally from formatters.js
+
+/**
+ * PreviewEncodeModal Component
+ *
+ * @param {object} props - Component props
+ * @param {string} props.remotePath - Remote file to preview (editable when empty)
+ * @param {object} props.currentFfmpegConfig - Unsaved ffmpeg settings (null = saved settings)
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Preview encode modal
+ */
+window.PreviewEncodeModal = ({ remotePath, currentFfmpegConfig, onClose }) => {
+  const [filePath, setFilePath] = React.useState(remotePath || localStorage.getItem("previewEncode.lastPath") || "");
+  const [presets, setPresets] = React.useState([]);
+  const [presetName, setPresetName] = React.useState("");
+  const [sliceDuration, setSliceDuration] = React.useState(60);
+  const [running, setRunning] = React.useState(false);
+  const [progress, setProgress] = React.useState(null);
+  const [result, setResult] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    window.electronAPI.presetListLocal().then((response) => setPresets(response.presets || []));
+    window.electronAPI.onPreviewProgress((data) => setProgress(data));
+    return () => window.electronAPI.removeAllListeners("preview:progress");
+  }, []);
+
+  const startPreview = async () => {
+    const preset = presets.find((item) => item.name === presetName);
+    setRunning(true);
+    setResult(null);
+    setError(null);
+    setProgress(null);
+    localStorage.setItem("previewEncode.lastPath", filePath);
+
+    try {
+      const response = await window.electronAPI.previewEncode(filePath, {
+        sliceDuration,
+        ffmpegConfig: preset ? preset.ffmpeg : currentFfmpegConfig || null,
+        presetName: preset ? preset.name : null,
+      });
+      if (response.success) {
+        setResult(response.preview);
+      } else {
+        setError(response.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const compare = async (mode) => {
+    const response = await window.electronAPI.previewCompare(result.id, mode);
+    if (!response.success) {
+      alert(`❌ Erreur MPV: ${response.error}`);
+    }
+  };
+
+  const stageLabel = {
+    source: "Lecture de la source...",
+    slice: "Extraction de l'extrait...",
+    encode: "Encodage de l'extrait...",
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50" onClick={() => !running && onClose()}>
+      <div className="bg-gray-800 rounded-lg p-6 max-w-xl w-full mx-4 border-2 border-teal-500" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-teal-400">🧪 Preview encode</h3>
+          <button onClick={onClose} disabled={running} className="text-gray-400 hover:text-white text-2xl disabled:opacity-30">
+            ×
+          </button>
+        </div>
+
+        <div className="space-y-3 mb-4">
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Fichier distant</label>
+            <input
+              type="text"
+              value={filePath}
+              onChange={(e) => setFilePath(e.target.value)}
+              disabled={running || !!remotePath}
+              placeholder="/Films/Exemple (2020)/Exemple.mkv"
+              className="w-full px-3 py-2 bg-gray-900 text-white rounded border border-gray-700 font-mono text-sm disabled:opacity-70"
+            />
+          </div>
+          <div className="flex gap-3">
+            <div className="flex-1">
+              <label className="block text-xs text-gray-400 mb-1">Réglages</label>
+              <select value={presetName} onChange={(e) => setPresetName(e.target.value)} disabled={running} className="w-full px-3 py-2 bg-gray-900 text-white rounded border border-gray-700 text-sm">
+                <option value="">{currentFfmpegConfig ? "Réglages actuels (non sauvegardés inclus)" : "Réglages actuels"}</option>
+                {presets.map((preset) => (
+                  <option key={preset.name} value={preset.name}>
+                    Preset: {preset.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="w-32">
+              <label className="block text-xs text-gray-400 mb-1">Durée (s)</label>
+              <input
+                type="number"
+                min="10"
+                max="600"
+                value={sliceDuration}
+                onChange={(e) => setSliceDuration(parseInt(e.target.value) || 60)}
+                disabled={running}
+                className="w-full px-3 py-2 bg-gray-900 text-white rounded border border-gray-700 text-sm"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">Extrait pris au milieu du fichier. WebDAV: seul l'extrait est lu; SFTP: le fichier complet est téléchargé une fois.</p>
+        </div>
+
+        {running && (
+          <div className="mb-4">
+            <div className="flex justify-between text-xs text-gray-300 mb-1">
+              <span>
+                {stageLabel[progress?.stage] || "Préparation..."}
+                {progress?.pass && ` (passe ${progress.pass.number}/${progress.pass.total})`}
+              </span>
+              <span>
+                {progress?.encodeSpeed > 0 && `⚡ ${progress.encodeSpeed.toFixed(2)}x `}
+                {progress?.eta > 0 && `ETA: ${formatETA(progress.eta)}`}
+              </span>
+            </div>
+            <div className="w-full bg-gray-700 rounded-full h-2">
+              <div className="bg-teal-500 h-2 rounded-full transition-all duration-300" style={{ width: `${Math.min(progress?.progress || 0, 100)}%` }}></div>
+            </div>
+          </div>
+        )}
+
+        {error && <div className="mb-4 p-2 bg-red-900 rounded text-red-200 text-sm">❌ {error}</div>}
+
+        {result && (
+          <div className="mb-4 p-3 bg-gray-900 rounded border border-gray-700 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-gray-400">Extrait ({Math.round(result.slice.duration)}s)</span>
+              <span className="text-white">
+                {formatSize(result.slice.size)} → {formatSize(result.encoded.size)} en {formatETA(result.encoded.seconds)}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Taille projetée du fichier complet</span>
+              <span className="text-white font-medium">
+                {formatSize(result.source.size)} → ~{formatSize(result.projection.projectedSize)}
+                {result.projection.savedPercent !== null && (
+                  <span className={result.projection.savedPercent > 0 ? "text-green-400" : "text-red-400"}> ({result.projection.savedPercent > 0 ? "-" : "+"}{Math.abs(result.projection.savedPercent)}%)</span>
+                )}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Temps d'encodage projeté</span>
+              <span className="text-white font-medium">~{formatETA(result.projection.projectedSeconds)}</span>
+            </div>
+            <div className="text-xs text-gray-500">
+              {result.encoded.encoder} · {result.preset ? `preset ${result.preset}` : "réglages actuels"}
+            </div>
+            <div className="flex gap-2 pt-2">
+              <button onClick={() => compare("split")} className="px-3 py-1 bg-purple-600 hover:bg-purple-700 rounded text-white text-xs" title="Compare original (top) and encoded (bottom) with MPV">
+                🔀 Horizontal
+              </button>
+              <button onClick={() => compare("vertical")} className="px-3 py-1 bg-purple-600 hover:bg-purple-700 rounded text-white text-xs" title="Compare original (left) and encoded (right) side-by-side with MPV">
+                ⚌ Vertical
+              </button>
+              <button onClick={() => compare("interactive")} className="px-3 py-1 bg-purple-600 hover:bg-purple-700 rounded text-white text-xs" title="Interactive A/B comparison - Press O to switch | F1=Original F2=Encoded">
+                🔄 A/B
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          {running ? (
+            <button onClick={() => window.electronAPI.previewStop()} className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded text-white transition-colors">
+              ⏹️ Stop
+            </button>
+          ) : (
+            <button onClick={startPreview} disabled={!filePath} className="px-4 py-2 bg-teal-600 hover:bg-teal-700 disabled:opacity-50 rounded text-white transition-colors">
+              {result ? "🔁 Relancer" : "▶️ Lancer l'aperçu"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
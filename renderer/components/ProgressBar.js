@@ -3,12 +3,12 @@
  * Module: Renderer/Components
  * Author: Sharkoder Team
  * Description: Progress bar component with ETA, FPS, and speed indicators
- * Dependencies: React, formatters (formatETA, formatSpeed - loaded globally)
+ * Dependencies: React, formatters (formatETA, formatSpeed, formatSize - loaded globally)
  * Created: 2025-11-07
  */
 
 const React = window.React;
-// formatETA and formatSpeed are loaded globally from formatters.js
+// formatETA, formatSpeed and formatSize are loaded globally from formatters.js
 
 /**
  * ProgressBar Component
@@ -16,16 +16,19 @@ const React = window.React;
  *
  * @param {object} props - Component props
  * @param {number} props.progress - Progress percentage (0-100)
- * @param {string} props.type - Operation type (download, encoding, upload)
+ * @param {string} props.type - Operation type (download, encoding, analysis, upload)
  * @param {number} props.eta - Estimated time remaining in seconds
  * @param {number} props.fps - Frames per second (for encoding)
  * @param {number} props.speed - Transfer speed in bytes per second
  * @param {number} props.elapsedTime - Elapsed time in seconds
  * @param {number} props.currentTime - Current time position (optional)
  * @param {number} props.totalDuration - Total duration (optional)
+ * @param {number} props.encodeSpeed - Encoding speed as a multiple of real time (encoding only)
+ * @param {number} props.bitrate - Current output bitrate in kbit/s (encoding only)
+ * @param {number} props.estimatedSize - Estimated final output size in bytes (encoding only)
  * @returns {JSX.Element} Progress bar component
  */
-window.ProgressBar = ({ progress, type, eta, fps, speed, elapsedTime, currentTime, totalDuration }) => {
+window.ProgressBar = ({ progress, type, eta, fps, speed, elapsedTime, currentTime, totalDuration, encodeSpeed, bitrate, estimatedSize }) => {
   console.log("[ProgressBar] Rendering with:", { progress, type, eta, speed });
 
   /**
@@ -40,6 +43,14 @@ window.ProgressBar = ({ progress, type, eta, fps, speed, elapsedTime, currentTim
         return "bg-yellow-500";
       case "upload":
         return "bg-purple-500";
+      case "analysis":
+        return "bg-teal-500";
+      case "quality_search":
+        return "bg-orange-500";
+      case "source_analysis":
+        return "bg-cyan-500";
+      case "verification":
+        return "bg-emerald-500";
       default:
         return "bg-gray-500";
     }
@@ -52,6 +63,9 @@ window.ProgressBar = ({ progress, type, eta, fps, speed, elapsedTime, currentTim
           <span className="font-medium">{Math.round(progress)}%</span>
           {fps && fps > 0 && <span className="text-blue-400">🎬 {Math.round(fps)} FPS</span>}
           {speed && speed > 0 && <span className="text-purple-400">⚡ {formatSpeed(speed)}</span>}
+          {encodeSpeed > 0 && <span className="text-purple-400">⚡ {encodeSpeed.toFixed(2)}x</span>}
+          {bitrate > 0 && <span className="text-gray-300">📶 {bitrate >= 1000 ? `${(bitrate / 1000).toFixed(1)} Mb/s` : `${Math.round(bitrate)} kb/s`}</span>}
+          {estimatedSize > 0 && <span className="text-gray-300" title="Taille finale estimée">💾 ~{formatSize(estimatedSize)}</span>}
         </div>
         <div className="flex items-center space-x-3">
           {elapsedTime && <span className="text-gray-400">⏱️ {formatETA(elapsedTime)}</span>}
@@ -3,12 +3,62 @@
  * Module: Renderer/Components
  * Author: Sharkoder Team
  * Description: Queue management table displaying active encoding jobs with controls
- * Dependencies: React, StatusBadge, ProgressBar, formatters (all loaded globally)
+ *              (processing order shown as-is: drag and drop, top / up / down and priority per job)
+ *              Jobs queued from a folder or a series are grouped in a collapsible batch with its
+ *              aggregate progress, space saved, ETA and batch-wide actions
+ * Dependencies: React, StatusBadge, ProgressBar, EncodingOverridesModal, formatters (all loaded globally)
  * Created: 2025-11-07
  */
 
 const React = window.React;
-// formatSize, formatDuration, StatusBadge, ProgressBar are loaded globally
+// formatSize, formatDuration, formatETA, StatusBadge, ProgressBar, EncodingOverridesModal are loaded globally
+
+// Statuses where the encoding settings of a job can still be edited
+const EDITABLE_ENCODING_STATUSES = ["waiting", "downloading", "ready_encode", "paused", "failed"];
+
+// Statuses whose order decides what is processed next (drag and drop within the same status)
+const REORDERABLE_STATUSES = ["waiting", "ready_encode", "paused"];
+
+// Job priority levels (jobs.priority, see backend/queue-order.js)
+const PRIORITY_LEVELS = [
+  { value: 2, label: "🔥 Urgente", badge: "bg-red-900/50 text-red-300" },
+  { value: 1, label: "⬆️ Haute", badge: "bg-orange-900/50 text-orange-300" },
+  { value: 0, label: "Normale", badge: "" },
+  { value: -1, label: "⬇️ Basse", badge: "bg-gray-700 text-gray-400" },
+];
+
+// Error classes of the automatic retries (jobs.retry_history, see backend/retry-policy.js)
+const RETRY_CLASS_LABELS = {
+  network: "réseau",
+  disk_full: "disque plein",
+  ffmpeg_fatal: "erreur FFmpeg",
+  larger_than_original: "plus gros que l'original",
+  unknown: "erreur inconnue",
+};
+const DEFAULT_MAX_RETRIES = { download: 3, encode: 1, upload: 5 };
+
+// Aggregate status of a batch (summary.status, see backend/batches.js)
+const BATCH_STATUS_LABELS = {
+  active: { label: "En cours", className: "bg-blue-900/50 text-blue-300" },
+  awaiting_approval: { label: "À valider", className: "bg-yellow-900/50 text-yellow-300" },
+  waiting: { label: "En attente", className: "bg-gray-700 text-gray-300" },
+  paused: { label: "En pause", className: "bg-orange-900/50 text-orange-300" },
+  failed: { label: "Échecs", className: "bg-red-900/50 text-red-300" },
+  completed: { label: "Terminé", className: "bg-green-900/50 text-green-300" },
+};
+
+// Statuses the batch pause applies to
+const BATCH_PAUSABLE_STATUSES = ["waiting", "downloading", "ready_encode", "encoding", "ready_upload"];
+
+// Attempts recorded on a job (empty for jobs that never failed)
+const parseRetryHistory = (job) => {
+  try {
+    const history = job.retry_history ? JSON.parse(job.retry_history) : [];
+    return Array.isArray(history) ? history : [];
+  } catch {
+    return [];
+  }
+};
 
 /**
  * QueueTable Component
@@ -16,6 +66,7 @@ const React = window.React;
  *
  * @param {object} props - Component props
  * @param {Array} props.jobs - Array of job objects
+ * @param {Array} props.batches - Batches with their aggregate state (queue:getBatches)
  * @param {Function} props.onRemoveJob - Callback to remove a job
  * @param {Function} props.onRetryJob - Callback to retry a failed job
  * @param {object} props.progressData - Progress data for each job
@@ -28,7 +79,7 @@ const React = window.React;
  * @param {Function} props.loadStats - Function to reload statistics
  * @returns {JSX.Element} Queue table component
  */
-window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus, userConfig, setQueueStatus, loadJobs, loadQueueStatus, setJobs, loadStats }) => {
+window.QueueTable = ({ jobs, batches = [], onRemoveJob, onRetryJob, progressData, queueStatus, userConfig, setQueueStatus, loadJobs, loadQueueStatus, setJobs, loadStats }) => {
   const React = window.React;
   const { useState, useEffect } = React;
 
@@ -59,6 +110,39 @@ window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus,
     window.electronAPI.onPauseAfterCurrentChange(handlePauseAfterCurrentChange);
   }, []);
 
+  // Parallel encodes (advanced.parallel_encoding.slots): slot shown only when there are several
+  const encodingJobs = queueStatus.encodingJobs || [];
+  const encodeSlotCount = Math.max(userConfig?.advanced?.parallel_encoding?.slots || 1, encodingJobs.length);
+
+  // Encoding load limit (ffmpeg.gpu_limit), applied live to the running encode
+  const [loadLimit, setLoadLimit] = useState(userConfig?.ffmpeg?.gpu_limit || 100);
+
+  useEffect(() => {
+    setLoadLimit(userConfig?.ffmpeg?.gpu_limit || 100);
+  }, [userConfig?.ffmpeg?.gpu_limit]);
+
+  const applyLoadLimit = async (value) => {
+    try {
+      const result = await window.electronAPI.encoderSetLoadLimit(value);
+      if (result.success) {
+        setLoadLimit(result.limit);
+      }
+    } catch (error) {
+      console.error("Failed to set load limit:", error);
+    }
+  };
+
+  // Whole-queue ETA and space saved, predicted from completed jobs (reloaded when jobs change stage)
+  const [queueEstimate, setQueueEstimate] = useState(null);
+  const jobsSignature = queueJobs.map((job) => `${job.id}:${job.status}`).join(",");
+
+  useEffect(() => {
+    window.electronAPI
+      .queueGetEstimate()
+      .then((result) => setQueueEstimate(result.success ? result.estimate : null))
+      .catch((error) => console.error("Failed to get queue estimate:", error));
+  }, [jobsSignature]);
+
   const togglePauseAfterCurrent = async () => {
     try {
       const newValue = !pauseAfterCurrent;
@@ -71,6 +155,65 @@ window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus,
     }
   };
 
+  // Queue order: drag and drop within a status, top / up / down buttons, priority
+  const [draggedJob, setDraggedJob] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const moveJob = async (jobId, move) => {
+    const result = await window.electronAPI.queueMoveJob(jobId, move);
+    if (!result.success) {
+      alert(`❌ Erreur: ${result.error}`);
+    }
+    loadJobs();
+  };
+
+  const setJobPriority = async (jobId, priority) => {
+    const result = await window.electronAPI.queueSetJobPriority(jobId, priority);
+    if (!result.success) {
+      alert(`❌ Erreur: ${result.error}`);
+    }
+    loadJobs();
+  };
+
+  const canDropOn = (job) => draggedJob && draggedJob.id !== job.id && draggedJob.status === job.status;
+
+  // Batches opened in the list (collapsed by default)
+  const [expandedBatches, setExpandedBatches] = useState({});
+
+  const runBatchAction = async (batch, action) => {
+    if (action === "remove" && !window.confirm(`Supprimer les jobs du lot "${batch.name}" de la queue ?\n\nNote: Les jobs complétés seront conservés dans l'historique.`)) {
+      return;
+    }
+    const result = await window.electronAPI.queueBatchAction(batch.id, action);
+    if (!result.success) {
+      alert(`❌ Erreur: ${result.error}`);
+    }
+    loadJobs();
+    loadStats();
+  };
+
+  // Per-job encoding overrides editor ({ job, mode: "edit" | "reject" })
+  const [overridesEditor, setOverridesEditor] = useState(null);
+
+  const saveOverrides = async (overrides) => {
+    const { job, mode } = overridesEditor;
+    const result = mode === "reject" ? await window.electronAPI.queueRejectJob(job.id, overrides) : await window.electronAPI.queueSetJobOverrides(job.id, overrides);
+    if (!result.success) {
+      alert(`❌ Erreur: ${result.error}`);
+      return;
+    }
+    setOverridesEditor(null);
+    loadJobs();
+  };
+
+  const parseJobFfmpeg = (job) => {
+    try {
+      return job.ffmpeg_snapshot ? JSON.parse(job.ffmpeg_snapshot) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
   /**
    * Get progress data for a specific job
    * @param {number} jobId - Job ID
@@ -80,6 +223,477 @@ window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus,
     return progressData[jobId] || { progress: 0, type: null, eta: null };
   };
 
+  // Queue display order: stage first, then processing order (priority, then manual position)
+  const sortedJobs = [...queueJobs].sort((a, b) => {
+    // Sort by status first
+    const statusOrder = {
+      awaiting_approval: 0,
+      encoding: 1,
+      downloading: 2,
+      ready_encode: 3,
+      uploading: 4,
+      ready_upload: 5,
+      waiting: 6,
+      paused: 7,
+      completed: 8,
+      failed: 9,
+    };
+    const statusDiff = (statusOrder[a.status] || 99) - (statusOrder[b.status] || 99);
+    if (statusDiff !== 0) return statusDiff;
+
+    // Then processing order: priority, then manual position
+    return (b.priority || 0) - (a.priority || 0) || (a.position ?? a.id) - (b.position ?? b.id);
+  });
+
+  /**
+   * Card of one job (alone, or inside its batch)
+   * @param {object} job - Job to render
+   * @returns {JSX.Element}
+   */
+  const renderJob = (job) => {
+    const progress = getJobProgress(job.id);
+    // Settings frozen on the job at enqueue (older jobs: current global settings)
+    const ffmpegSettings = parseJobFfmpeg(job) || userConfig?.ffmpeg;
+    const priorityLevel = PRIORITY_LEVELS.find((level) => level.value === (job.priority || 0));
+    const reorderable = REORDERABLE_STATUSES.includes(job.status);
+    const retryHistory = parseRetryHistory(job);
+    const lastAttempt = retryHistory[retryHistory.length - 1];
+    const retryPending = job.next_retry_at && lastAttempt?.retry_at && ["waiting", "ready_encode", "ready_upload"].includes(job.status);
+    return (
+      <div
+        key={job.id}
+        draggable={reorderable}
+        onDragStart={() => setDraggedJob({ id: job.id, status: job.status })}
+        onDragEnd={() => {
+          setDraggedJob(null);
+          setDropTargetId(null);
+        }}
+        onDragOver={(e) => {
+          if (canDropOn(job)) {
+            e.preventDefault();
+            setDropTargetId(job.id);
+          }
+        }}
+        onDragLeave={() => setDropTargetId((current) => (current === job.id ? null : current))}
+        onDrop={(e) => {
+          e.preventDefault();
+          if (canDropOn(job)) {
+            moveJob(draggedJob.id, { to: job.id });
+          }
+          setDraggedJob(null);
+          setDropTargetId(null);
+        }}
+        className={`bg-gray-800 rounded-lg p-3 ${reorderable ? "cursor-grab" : ""} ${dropTargetId === job.id ? "ring-2 ring-blue-500" : ""} ${draggedJob?.id === job.id ? "opacity-50" : ""}`}
+      >
+        <div className="flex items-start justify-between mb-2">
+          <div className="flex-1">
+            <div className="font-medium text-white mb-1 flex items-center gap-2">
+              <span>{job.filepath.split("/").pop()}</span>
+              {priorityLevel && priorityLevel.value !== 0 && <span className={`text-xs px-2 py-0.5 rounded ${priorityLevel.badge}`}>{priorityLevel.label}</span>}
+              {ffmpegSettings && (
+                <span
+                  className="text-xs bg-blue-900/40 px-2 py-0.5 rounded cursor-help"
+                  title={
+                    `Encoding Settings${job.ffmpeg_snapshot ? " (figés à l'ajout)" : ""}:\n` +
+                    `Encoder: ${ffmpegSettings.force_gpu || ffmpegSettings.gpu_enabled ? "NVENC (GPU)" : "x265 (CPU)"}\n` +
+                    `Preset: ${ffmpegSettings.force_gpu || ffmpegSettings.gpu_enabled ? ffmpegSettings.encode_preset || "p7" : ffmpegSettings.cpu_preset || "medium"}\n` +
+                    `Quality: ${ffmpegSettings.force_gpu || ffmpegSettings.gpu_enabled ? "CQ " + (ffmpegSettings.cq || 18) : "CRF " + (ffmpegSettings.cpu_crf || 23)}\n` +
+                    `Bitrate: ${ffmpegSettings.bitrate || "5M"} / ${ffmpegSettings.maxrate || "10M"}`
+                  }
+                >
+                  ⚙️ {ffmpegSettings.force_gpu || ffmpegSettings.gpu_enabled ? "NVENC" : "x265"}
+                </span>
+              )}
+              {job.preset_name && (
+                <span className="text-xs bg-teal-900/40 text-teal-300 px-2 py-0.5 rounded" title="Preset choisi par les presets automatiques">
+                  🗂️ {job.preset_name}
+                </span>
+              )}
+              {job.encoding_overrides && (
+                <span className="text-xs bg-pink-900/40 text-pink-300 px-2 py-0.5 rounded cursor-help" title={`Réglages propres à ce job:\n${job.encoding_overrides}`}>
+                  ✏️ Réglages du job
+                </span>
+              )}
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <span className="bg-gray-700 px-2 py-0.5 rounded">📦 {formatSize(job.size)}</span>
+              {job.container && <span className="bg-indigo-900/40 px-2 py-0.5 rounded">📦 {job.container.toUpperCase()}</span>}
+              {job.codec_before && <span className="bg-blue-900/40 px-2 py-0.5 rounded">🎞️ {job.codec_before.toUpperCase()}</span>}
+              {job.resolution && <span className="bg-cyan-900/40 px-2 py-0.5 rounded">📺 {job.resolution}</span>}
+              {job.hdr && <span className={`${job.hdr === "DV" ? "bg-fuchsia-900/40 text-fuchsia-300" : "bg-amber-900/40 text-amber-300"} px-2 py-0.5 rounded`}>🌈 {job.hdr}</span>}
+              {job.duration && (
+                <span className="bg-purple-900/40 px-2 py-0.5 rounded">
+                  ⏱️ {Math.floor(job.duration / 60)}:{String(Math.floor(job.duration % 60)).padStart(2, "0")}
+                </span>
+              )}
+              {job.bitrate && job.bitrate > 0 && <span className="bg-green-900/40 px-2 py-0.5 rounded">📊 {(job.bitrate / 1000000).toFixed(1)} Mbps</span>}
+              {job.audio > 0 && (
+                <span className="bg-orange-900/40 px-2 py-0.5 rounded">
+                  🔊 {job.audio} {job.audioCodec ? `(${job.audioCodec.toUpperCase()})` : "audio"}
+                </span>
+              )}
+              {job.subtitles > 0 && <span className="bg-yellow-900/40 px-2 py-0.5 rounded">💬 {job.subtitles} subs</span>}
+              {job.started_at && <span className="bg-gray-700 px-2 py-0.5 rounded">🕐 {new Date(job.started_at).toLocaleTimeString()}</span>}
+              {lastAttempt && (
+                <span
+                  className={`${retryPending ? "bg-amber-900/40 text-amber-300" : "bg-gray-700 text-gray-300"} px-2 py-0.5 rounded cursor-help`}
+                  title={retryHistory
+                    .map((attempt) => `${new Date(attempt.at).toLocaleString()} • ${attempt.stage} • ${RETRY_CLASS_LABELS[attempt.class] || attempt.class}${attempt.retry_at ? "" : " (pas de relance)"}\n${attempt.error}`)
+                    .join("\n")}
+                >
+                  {retryPending
+                    ? `🔁 Nouvel essai à ${new Date(job.next_retry_at).toLocaleTimeString()} (${retryHistory.filter((attempt) => attempt.stage === lastAttempt.stage && attempt.retry_at).length}/${
+                        userConfig?.advanced?.retry_policy?.max_retries?.[lastAttempt.stage] ?? DEFAULT_MAX_RETRIES[lastAttempt.stage]
+                      }, ${RETRY_CLASS_LABELS[lastAttempt.class] || lastAttempt.class})`
+                    : `🔁 ${retryHistory.length} échec(s), dernier: ${RETRY_CLASS_LABELS[lastAttempt.class] || lastAttempt.class}`}
+                </span>
+              )}
+              {job.pause_before_upload === 1 && job.status !== "awaiting_approval" && job.status !== "completed" && (
+                <span className="bg-orange-900/40 px-2 py-0.5 rounded" title="Will pause for manual review after encoding">
+                  ⏸️ Review
+                </span>
+              )}
+            </div>
+
+            {/* Metadata Comparison for Completed Jobs */}
+            {job.status === "completed" && job.codec_after && job.size_after && (
+              <div className="mt-2 p-2 bg-gray-700/50 rounded border border-green-900/30">
+                <div className="flex items-center justify-between mb-1.5">
+                  <div className="text-xs font-semibold text-green-400">✅ Compressed</div>
+                  <div className="text-xs text-green-400 font-bold">
+                    -{((1 - job.size_after / job.size) * 100).toFixed(1)}% • {formatSize(job.size - job.size_after)} saved
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-3 text-xs">
+                  <div className="space-y-0.5">
+                    <div className="text-gray-500 font-medium">Before:</div>
+                    <div className="text-gray-300">
+                      {formatSize(job.size)} • {job.codec_before?.toUpperCase()}
+                    </div>
+                    {job.bitrate && <div className="text-gray-400">{(job.bitrate / 1000000).toFixed(1)} Mbps</div>}
+                  </div>
+                  <div className="space-y-0.5">
+                    <div className="text-gray-500 font-medium">After:</div>
+                    <div className="text-green-400 font-semibold">
+                      {formatSize(job.size_after)} • {job.codec_after?.toUpperCase()}
+                    </div>
+                    {job.bitrate_after && <div className="text-green-400">{(job.bitrate_after / 1000000).toFixed(1)} Mbps</div>}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Metadata Comparison for Awaiting Approval */}
+            {job.status === "awaiting_approval" && job.codec_after && (
+              <div className="mt-2 p-2 bg-yellow-900/20 rounded border border-yellow-600/50">
+                <div className="flex items-center justify-between mb-1.5">
+                  <div className="text-xs font-semibold text-yellow-400">⏸️ Review Required</div>
+                  <div className="text-xs text-yellow-400 font-bold">
+                    -{((1 - job.size_after / job.size) * 100).toFixed(1)}% • {formatSize(job.size - job.size_after)} saved
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-3 text-xs">
+                  <div className="space-y-0.5">
+                    <div className="text-gray-400 font-medium">Original:</div>
+                    <div className="text-white">
+                      {formatSize(job.size)} • {job.codec_before?.toUpperCase()}
+                    </div>
+                    {job.bitrate && <div className="text-gray-400">{(job.bitrate / 1000000).toFixed(1)} Mbps</div>}
+                  </div>
+                  <div className="space-y-0.5">
+                    <div className="text-gray-400 font-medium">Encoded:</div>
+                    <div className="text-green-400 font-semibold">
+                      {formatSize(job.size_after)} • {job.codec_after?.toUpperCase()}
+                    </div>
+                    {job.bitrate_after && <div className="text-green-400">{(job.bitrate_after / 1000000).toFixed(1)} Mbps</div>}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Status Badge - Only show if not in processing/awaiting state */}
+          {!(job.status === "downloading" || job.status === "encoding" || job.status === "uploading" || job.status === "awaiting_approval") && (
+            <div className="ml-3">
+              <StatusBadge status={job.status} />
+            </div>
+          )}
+        </div>
+
+        {/* Action buttons - Full width below */}
+        <div className="flex space-x-2 mt-2">
+          {/* Awaiting Approval - Play buttons THEN Approve/Reject */}
+          {job.status === "awaiting_approval" && (
+            <>
+              <button
+                onClick={async () => {
+                  console.log("Play encoded - job.filepath:", job.filepath);
+                  const result = await window.electronAPI.playEncodedFile(job.filepath);
+                  console.log("Play encoded - result:", result);
+                  if (!result.success) {
+                    alert(`Erreur: ${result.error}`);
+                  }
+                }}
+                className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
+                title="Play encoded file with MPV"
+              >
+                ▶️ Encodé
+              </button>
+              <button
+                onClick={async () => {
+                  console.log("Play original - job.filepath:", job.filepath);
+                  const result = await window.electronAPI.playOriginalFile(job.filepath);
+                  console.log("Play original - result:", result);
+                  if (!result.success) {
+                    alert(`Erreur: ${result.error}`);
+                  }
+                }}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
+                title="Play original file with MPV"
+              >
+                ▶️ Original
+              </button>
+              <div className="border-l border-gray-600 h-8 mx-1"></div>
+              <button
+                onClick={async () => {
+                  try {
+                    await window.electronAPI.queueApproveJob(job.id);
+                    loadJobs();
+                  } catch (error) {
+                    console.error("Failed to approve job:", error);
+                  }
+                }}
+                className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded text-sm transition-colors flex items-center space-x-1"
+                title="Approve and proceed to upload"
+              >
+                <span>✅</span>
+                <span>Approve</span>
+              </button>
+              <button
+                onClick={() => setOverridesEditor({ job, mode: "reject" })}
+                className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-1.5 rounded text-sm transition-colors flex items-center space-x-1"
+                title="Reject and re-encode (choose new settings for this job)"
+              >
+                <span>🔄</span>
+                <span>Re-encode</span>
+              </button>
+            </>
+          )}
+
+          {/* Completed jobs - Play buttons */}
+          {job.status === "completed" && (
+            <>
+              <button
+                onClick={async () => {
+                  console.log("Play encoded - job.filepath:", job.filepath);
+                  const result = await window.electronAPI.playEncodedFile(job.filepath);
+                  console.log("Play encoded - result:", result);
+                  if (!result.success) {
+                    alert(`Erreur: ${result.error}`);
+                  }
+                }}
+                className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
+                title="Play encoded file with MPV"
+              >
+                ▶️ Encodé
+              </button>
+              <button
+                onClick={async () => {
+                  console.log("Play original - job.filepath:", job.filepath);
+                  const result = await window.electronAPI.playOriginalFile(job.filepath);
+                  console.log("Play original - result:", result);
+                  if (!result.success) {
+                    alert(`Erreur: ${result.error}`);
+                  }
+                }}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
+                title="Play original file with MPV"
+              >
+                ▶️ Original
+              </button>
+            </>
+          )}
+
+          {/* Failed or ready jobs - Retry button */}
+          {((job.status === "failed" && job.started_at) || job.status === "ready_encode" || job.status === "ready_upload" || job.status === "paused") && (
+            <button onClick={() => onRetryJob(job.id)} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded text-sm transition-colors" title="Réessayer">
+              🔄 Réessayer
+            </button>
+          )}
+
+          {/* Skipped jobs - Encode anyway (skip rules ignored for this job) */}
+          {job.status === "skipped" && (
+            <button onClick={() => onRetryJob(job.id)} className="bg-teal-600 hover:bg-teal-700 text-white px-3 py-1.5 rounded text-sm transition-colors" title="Encoder quand même (règles d'exclusion ignorées pour ce fichier)">
+              ▶️ Encoder quand même
+            </button>
+          )}
+
+          {/* Waiting jobs - Queue order and priority */}
+          {reorderable && (
+            <div className="flex items-center gap-1">
+              <button onClick={() => moveJob(job.id, "top")} className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1.5 rounded text-sm transition-colors" title="En tête de file">
+                ⏫
+              </button>
+              <button onClick={() => moveJob(job.id, "up")} className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1.5 rounded text-sm transition-colors" title="Monter">
+                ↑
+              </button>
+              <button onClick={() => moveJob(job.id, "down")} className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1.5 rounded text-sm transition-colors" title="Descendre">
+                ↓
+              </button>
+              <select
+                value={job.priority || 0}
+                onChange={(e) => setJobPriority(job.id, parseInt(e.target.value))}
+                className="bg-gray-700 text-white px-2 py-1.5 rounded text-sm border border-gray-600"
+                title="Priorité (les jobs de priorité plus haute passent devant)"
+              >
+                {PRIORITY_LEVELS.map((level) => (
+                  <option key={level.value} value={level.value}>
+                    {level.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Jobs not encoded yet - Encoding settings of this job only */}
+          {EDITABLE_ENCODING_STATUSES.includes(job.status) && (
+            <button
+              onClick={() => setOverridesEditor({ job, mode: "edit" })}
+              className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1.5 rounded text-sm transition-colors"
+              title="Modifier les réglages d'encodage de ce job (codec, CQ/CRF, preset, audio, filtres)"
+            >
+              ✏️ Encodage
+            </button>
+          )}
+
+          {/* Processing jobs - Status indicator */}
+          {(job.status === "downloading" || job.status === "encoding" || job.status === "uploading") && (
+            <div className="bg-blue-600 text-white px-3 py-1.5 rounded text-sm flex items-center space-x-2">
+              <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-white"></div>
+              {job.status === "encoding" && encodeSlotCount > 1 && progress.slot && <span className="bg-blue-800 px-1.5 rounded text-xs">Slot {progress.slot}</span>}
+              <span>{job.status === "downloading" ? "Téléchargement..." : job.status === "encoding" ? (progress.type === "analysis" ? "Analyse qualité..." : progress.type === "quality_search" ? "Recherche CQ (VMAF)..." : progress.type === "source_analysis" ? "Détection crop / entrelacement..." : progress.type === "verification" ? "Vérification (décodage complet)..." : progress.segment || progress.pass ? `Encodage (${[progress.segment && `segment ${progress.segment.index}/${progress.segment.total}`, progress.pass && `passe ${progress.pass.number}/${progress.pass.total}`].filter(Boolean).join(", ")})...` : "Encodage...") : "Upload..."}</span>
+            </div>
+          )}
+
+          {/* Remove button - always available */}
+          <button onClick={() => onRemoveJob(job.id)} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded text-sm transition-colors ml-auto" title="Supprimer">
+            🗑️
+          </button>
+        </div>
+
+        {/* Progress Bar */}
+        {(job.status === "downloading" || job.status === "encoding" || job.status === "uploading") && (
+          <div className="mb-2">
+            {console.log(`[Queue] Job ${job.id} status=${job.status}, progressData:`, progress)}
+            <ProgressBar
+              progress={progress.progress || job.progress || 0}
+              type={progress.type}
+              eta={progress.eta}
+              fps={progress.fps}
+              speed={progress.speed}
+              elapsedTime={progress.elapsedTime}
+              currentTime={progress.currentTime}
+              totalDuration={progress.totalDuration}
+              encodeSpeed={progress.encodeSpeed}
+              bitrate={progress.bitrate}
+              estimatedSize={progress.estimatedSize}
+            />
+          </div>
+        )}
+
+        {/* Error Message */}
+        {job.error && <div className={`mt-2 p-2 rounded text-sm ${retryPending ? "bg-amber-900/60 text-amber-200" : "bg-red-900 text-red-200"}`}>{job.error}</div>}
+
+        {/* Skip reason */}
+        {job.status === "skipped" && job.skip_reason && <div className="mt-2 p-2 bg-teal-900 rounded text-teal-200 text-sm">⏭️ {job.skip_reason}</div>}
+      </div>
+    );
+  };
+
+  // Jobs without batch shown alone, the others grouped where the first job of their batch is
+  const batchById = new Map(batches.map((batch) => [batch.id, batch]));
+  const queueEntries = [];
+  sortedJobs.forEach((job) => {
+    const batch = batchById.get(job.batch_id);
+    if (!batch) {
+      queueEntries.push({ job });
+    } else if (!queueEntries.some((entry) => entry.batch?.id === batch.id)) {
+      queueEntries.push({ batch, jobs: sortedJobs.filter((other) => other.batch_id === batch.id) });
+    }
+  });
+
+  /**
+   * Collapsible batch: aggregate progress, space saved, ETA and batch-wide actions
+   * @param {{batch: object, jobs: Array}} entry - Batch and its jobs still in the queue
+   * @returns {JSX.Element}
+   */
+  const renderBatch = ({ batch, jobs: batchJobs }) => {
+    const { summary } = batch;
+    const counts = summary.counts || {};
+    const expanded = !!expandedBatches[batch.id];
+    const status = BATCH_STATUS_LABELS[summary.status] || BATCH_STATUS_LABELS.waiting;
+    const eta = queueEstimate?.history > 0 ? queueEstimate.batches?.[batch.id] : null;
+    const pausable = BATCH_PAUSABLE_STATUSES.reduce((total, jobStatus) => total + (counts[jobStatus] || 0), 0);
+
+    return (
+      <div key={`batch-${batch.id}`} className="bg-gray-900/60 rounded-lg border border-gray-700">
+        <div className="flex items-start justify-between p-3 cursor-pointer" onClick={() => setExpandedBatches((prev) => ({ ...prev, [batch.id]: !expanded }))}>
+          <div className="flex-1 min-w-0">
+            <div className="font-medium text-white flex items-center gap-2">
+              <span className="text-gray-400 text-xs">{expanded ? "▼" : "▶"}</span>
+              <span className="truncate" title={batch.source_path}>
+                {batch.kind === "series" ? "📺" : "📁"} {batch.name}
+              </span>
+              <span className={`text-xs px-2 py-0.5 rounded ${status.className}`}>{status.label}</span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-xs mt-1">
+              <span className="bg-gray-700 px-2 py-0.5 rounded" title="Jobs terminés (ou exclus) / jobs du lot">
+                ✅ {summary.finished}/{summary.total}
+              </span>
+              <span className="bg-gray-700 px-2 py-0.5 rounded">📦 {formatSize(summary.size)}</span>
+              {summary.saved > 0 && <span className="bg-green-900/40 text-green-300 px-2 py-0.5 rounded">💾 -{formatSize(summary.saved)}</span>}
+              {eta > 0 && <span className="bg-gray-700 px-2 py-0.5 rounded">⏱️ ~{formatETA(eta)}</span>}
+              {counts.awaiting_approval > 0 && <span className="bg-yellow-900/40 text-yellow-300 px-2 py-0.5 rounded">⏸️ {counts.awaiting_approval} à valider</span>}
+              {counts.failed > 0 && <span className="bg-red-900/40 text-red-300 px-2 py-0.5 rounded">❌ {counts.failed} en échec</span>}
+            </div>
+            <div className="w-full bg-gray-700 rounded-full h-2 mt-2" title={`${summary.progress}%`}>
+              <div className="bg-blue-500 h-2 rounded-full transition-all" style={{ width: `${summary.progress}%` }} />
+            </div>
+          </div>
+
+          {/* Batch actions (jobs in a compatible status only) */}
+          <div className="flex items-center gap-1 ml-3" onClick={(e) => e.stopPropagation()}>
+            {pausable > 0 && (
+              <button onClick={() => runBatchAction(batch, "pause")} className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1.5 rounded text-sm transition-colors" title="Mettre en pause les jobs du lot">
+                ⏸️
+              </button>
+            )}
+            {counts.paused > 0 && (
+              <button onClick={() => runBatchAction(batch, "resume")} className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1.5 rounded text-sm transition-colors" title="Reprendre les jobs en pause du lot">
+                ▶️
+              </button>
+            )}
+            {counts.failed > 0 && (
+              <button onClick={() => runBatchAction(batch, "retry")} className="bg-green-600 hover:bg-green-700 text-white px-2 py-1.5 rounded text-sm transition-colors" title="Réessayer les jobs en échec du lot">
+                🔄 {counts.failed}
+              </button>
+            )}
+            {counts.awaiting_approval > 0 && (
+              <button onClick={() => runBatchAction(batch, "approve")} className="bg-green-600 hover:bg-green-700 text-white px-2 py-1.5 rounded text-sm transition-colors" title="Approuver les encodages à valider du lot">
+                ✅ {counts.awaiting_approval}
+              </button>
+            )}
+            <button onClick={() => runBatchAction(batch, "remove")} className="bg-red-600 hover:bg-red-700 text-white px-2 py-1.5 rounded text-sm transition-colors" title="Supprimer le lot de la queue">
+              🗑️
+            </button>
+          </div>
+        </div>
+
+        {expanded && <div className="space-y-3 px-3 pb-3">{batchJobs.map(renderJob)}</div>}
+      </div>
+    );
+  };
+
   return (
     <div className="bg-glass rounded-lg p-4 h-full flex flex-col">
       {/* Queue Control Panel */}
@@ -144,10 +758,40 @@ window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus,
               </button>
             )}
 
+            {/* Load Limit (live) */}
+            {queueStatus.isRunning && (
+              <div className="flex items-center space-x-2 bg-gray-700 rounded-lg py-2 px-3" title="Limite de charge GPU/CPU de l'encodage en cours (FFmpeg suspendu/repris, cadence inchangée)">
+                <span className="text-sm text-gray-300">🎮</span>
+                <input
+                  type="range"
+                  min="10"
+                  max="100"
+                  step="5"
+                  value={loadLimit}
+                  onChange={(e) => setLoadLimit(parseInt(e.target.value))}
+                  onMouseUp={(e) => applyLoadLimit(parseInt(e.target.value))}
+                  onKeyUp={(e) => applyLoadLimit(parseInt(e.target.value))}
+                  className="w-24 h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                />
+                <span className="text-sm font-semibold text-blue-400 w-10 text-right">{loadLimit}%</span>
+              </div>
+            )}
+
             {/* Current Job Info */}
             {queueStatus.isRunning && queueStatus.currentJob && (
               <div className="text-sm text-gray-300">
                 <span className="text-gray-500">→</span> {queueStatus.currentJob.filepath?.split("/").pop() || "Processing..."}
+                {encodingJobs.length > 1 && <span className="text-gray-500"> (+{encodingJobs.length - 1})</span>}
+              </div>
+            )}
+
+            {/* Next download held back by the prefetch budget / free space */}
+            {queueStatus.isRunning && queueStatus.prefetchWait && (
+              <div
+                className="text-xs text-yellow-400"
+                title={queueStatus.prefetchWait.reason === "budget" ? `Fichiers du pipeline: ${formatSize(queueStatus.prefetchWait.footprint)} / budget ${formatSize(queueStatus.prefetchWait.budget)}` : "Espace libre insuffisant sur le dossier temporaire"}
+              >
+                ⏳ Téléchargement en attente ({queueStatus.prefetchWait.reason === "budget" ? "budget disque" : "espace disque"})
               </div>
             )}
           </div>
@@ -157,6 +801,14 @@ window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus,
               {queueJobs.length} fichier{queueJobs.length > 1 ? "s" : ""} dans la queue de transcode
             </span>
 
+            {/* Whole-queue estimate */}
+            {queueEstimate?.history > 0 && queueEstimate.jobs > 0 && (
+              <span className="text-sm text-gray-300" title={`Estimation d'après ${queueEstimate.history} jobs terminés (téléchargement, encodage et upload en parallèle)`}>
+                ⏱️ ~{formatETA(queueEstimate.remainingSeconds) || "0s"}
+                {queueEstimate.saved > 0 && <span className="text-green-400"> · 💾 -{formatSize(queueEstimate.saved)}</span>}
+              </span>
+            )}
+
             {/* Clear Queue Button */}
             {queueJobs.length > 0 && (
               <button
@@ -191,19 +843,22 @@ window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus,
         </div>
       </div>
 
-      {/* Queue Status Indicator */}
+      {/* Queue Status Indicator (one line per busy encode slot) */}
       {queueStatus.isRunning && queueStatus.currentJob && (
-        <div className="mb-3 p-3 bg-blue-900 bg-opacity-50 rounded-lg">
-          <div className="flex items-center justify-between">
-            <div className="flex items-center">
-              <div className={`rounded-full h-2 w-2 mr-2 ${queueStatus.isPaused ? "bg-yellow-400" : "animate-pulse bg-blue-400"}`}></div>
-              <span className="text-sm text-blue-300">
-                {queueStatus.isPaused ? "⏸️ Paused: " : "🎬 Encoding: "}
-                {queueStatus.currentJob.filepath?.split("/").pop() || "Processing..."}
-              </span>
+        <div className="mb-3 p-3 bg-blue-900 bg-opacity-50 rounded-lg space-y-1">
+          {(encodingJobs.length > 0 ? encodingJobs : [queueStatus.currentJob]).map((encodingJob) => (
+            <div key={encodingJob.id} className="flex items-center justify-between">
+              <div className="flex items-center">
+                <div className={`rounded-full h-2 w-2 mr-2 ${queueStatus.isPaused ? "bg-yellow-400" : "animate-pulse bg-blue-400"}`}></div>
+                <span className="text-sm text-blue-300">
+                  {queueStatus.isPaused ? "⏸️ Paused: " : "🎬 Encoding: "}
+                  {encodeSlotCount > 1 && encodingJob.slot && <span className="text-blue-400">[slot {encodingJob.slot}] </span>}
+                  {encodingJob.filepath?.split("/").pop() || "Processing..."}
+                </span>
+              </div>
+              {encodingJob.started_at && <span className="text-xs text-blue-400">Started: {new Date(encodingJob.started_at).toLocaleTimeString()}</span>}
             </div>
-            {queueStatus.currentJob.started_at && <span className="text-xs text-blue-400">Started: {new Date(queueStatus.currentJob.started_at).toLocaleTimeString()}</span>}
-          </div>
+          ))}
         </div>
       )}
 
@@ -212,289 +867,20 @@ window.QueueTable = ({ jobs, onRemoveJob, onRetryJob, progressData, queueStatus,
           <div className="flex items-center justify-center h-32 text-gray-400">No jobs in queue</div>
         ) : (
           <div className="space-y-3">
-            {[...queueJobs]
-              .sort((a, b) => {
-                // Sort by status first
-                const statusOrder = {
-                  awaiting_approval: 0,
-                  encoding: 1,
-                  downloading: 2,
-                  ready_encode: 3,
-                  uploading: 4,
-                  ready_upload: 5,
-                  waiting: 6,
-                  paused: 7,
-                  completed: 8,
-                  failed: 9,
-                };
-                const statusDiff = (statusOrder[a.status] || 99) - (statusOrder[b.status] || 99);
-                if (statusDiff !== 0) return statusDiff;
-
-                // Then sort alphabetically by filename
-                const nameA = a.filepath.split("/").pop().toLowerCase();
-                const nameB = b.filepath.split("/").pop().toLowerCase();
-                return nameA.localeCompare(nameB);
-              })
-              .map((job) => {
-                const progress = getJobProgress(job.id);
-                return (
-                  <div key={job.id} className="bg-gray-800 rounded-lg p-3">
-                    <div className="flex items-start justify-between mb-2">
-                      <div className="flex-1">
-                        <div className="font-medium text-white mb-1 flex items-center gap-2">
-                          <span>{job.filepath.split("/").pop()}</span>
-                          {userConfig?.ffmpeg && (
-                            <span
-                              className="text-xs bg-blue-900/40 px-2 py-0.5 rounded cursor-help"
-                              title={
-                                `Encoding Settings:\n` +
-                                `Encoder: ${userConfig.ffmpeg.force_gpu || userConfig.ffmpeg.gpu_enabled ? "NVENC (GPU)" : "x265 (CPU)"}\n` +
-                                `Preset: ${userConfig.ffmpeg.force_gpu || userConfig.ffmpeg.gpu_enabled ? userConfig.ffmpeg.encode_preset || "p7" : userConfig.ffmpeg.cpu_preset || "medium"}\n` +
-                                `Quality: ${userConfig.ffmpeg.force_gpu || userConfig.ffmpeg.gpu_enabled ? "CQ " + (userConfig.ffmpeg.cq || 18) : "CRF " + (userConfig.ffmpeg.cpu_crf || 23)}\n` +
-                                `Bitrate: ${userConfig.ffmpeg.bitrate || "5M"} / ${userConfig.ffmpeg.maxrate || "10M"}`
-                              }
-                            >
-                              ⚙️ {userConfig.ffmpeg.force_gpu || userConfig.ffmpeg.gpu_enabled ? "NVENC" : "x265"}
-                            </span>
-                          )}
-                        </div>
-                        <div className="flex flex-wrap items-center gap-2 text-xs">
-                          <span className="bg-gray-700 px-2 py-0.5 rounded">📦 {formatSize(job.size)}</span>
-                          {job.container && <span className="bg-indigo-900/40 px-2 py-0.5 rounded">📦 {job.container.toUpperCase()}</span>}
-                          {job.codec_before && <span className="bg-blue-900/40 px-2 py-0.5 rounded">🎞️ {job.codec_before.toUpperCase()}</span>}
-                          {job.resolution && <span className="bg-cyan-900/40 px-2 py-0.5 rounded">📺 {job.resolution}</span>}
-                          {job.duration && (
-                            <span className="bg-purple-900/40 px-2 py-0.5 rounded">
-                              ⏱️ {Math.floor(job.duration / 60)}:{String(Math.floor(job.duration % 60)).padStart(2, "0")}
-                            </span>
-                          )}
-                          {job.bitrate && job.bitrate > 0 && <span className="bg-green-900/40 px-2 py-0.5 rounded">📊 {(job.bitrate / 1000000).toFixed(1)} Mbps</span>}
-                          {job.audio > 0 && (
-                            <span className="bg-orange-900/40 px-2 py-0.5 rounded">
-                              🔊 {job.audio} {job.audioCodec ? `(${job.audioCodec.toUpperCase()})` : "audio"}
-                            </span>
-                          )}
-                          {job.subtitles > 0 && <span className="bg-yellow-900/40 px-2 py-0.5 rounded">💬 {job.subtitles} subs</span>}
-                          {job.started_at && <span className="bg-gray-700 px-2 py-0.5 rounded">🕐 {new Date(job.started_at).toLocaleTimeString()}</span>}
-                          {job.pause_before_upload === 1 && job.status !== "awaiting_approval" && job.status !== "completed" && (
-                            <span className="bg-orange-900/40 px-2 py-0.5 rounded" title="Will pause for manual review after encoding">
-                              ⏸️ Review
-                            </span>
-                          )}
-                        </div>
-
-                        {/* Metadata Comparison for Completed Jobs */}
-                        {job.status === "completed" && job.codec_after && job.size_after && (
-                          <div className="mt-2 p-2 bg-gray-700/50 rounded border border-green-900/30">
-                            <div className="flex items-center justify-between mb-1.5">
-                              <div className="text-xs font-semibold text-green-400">✅ Compressed</div>
-                              <div className="text-xs text-green-400 font-bold">
-                                -{((1 - job.size_after / job.size) * 100).toFixed(1)}% • {formatSize(job.size - job.size_after)} saved
-                              </div>
-                            </div>
-                            <div className="grid grid-cols-2 gap-3 text-xs">
-                              <div className="space-y-0.5">
-                                <div className="text-gray-500 font-medium">Before:</div>
-                                <div className="text-gray-300">
-                                  {formatSize(job.size)} • {job.codec_before?.toUpperCase()}
-                                </div>
-                                {job.bitrate && <div className="text-gray-400">{(job.bitrate / 1000000).toFixed(1)} Mbps</div>}
-                              </div>
-                              <div className="space-y-0.5">
-                                <div className="text-gray-500 font-medium">After:</div>
-                                <div className="text-green-400 font-semibold">
-                                  {formatSize(job.size_after)} • {job.codec_after?.toUpperCase()}
-                                </div>
-                                {job.bitrate_after && <div className="text-green-400">{(job.bitrate_after / 1000000).toFixed(1)} Mbps</div>}
-                              </div>
-                            </div>
-                          </div>
-                        )}
-
-                        {/* Metadata Comparison for Awaiting Approval */}
-                        {job.status === "awaiting_approval" && job.codec_after && (
-                          <div className="mt-2 p-2 bg-yellow-900/20 rounded border border-yellow-600/50">
-                            <div className="flex items-center justify-between mb-1.5">
-                              <div className="text-xs font-semibold text-yellow-400">⏸️ Review Required</div>
-                              <div className="text-xs text-yellow-400 font-bold">
-                                -{((1 - job.size_after / job.size) * 100).toFixed(1)}% • {formatSize(job.size - job.size_after)} saved
-                              </div>
-                            </div>
-                            <div className="grid grid-cols-2 gap-3 text-xs">
-                              <div className="space-y-0.5">
-                                <div className="text-gray-400 font-medium">Original:</div>
-                                <div className="text-white">
-                                  {formatSize(job.size)} • {job.codec_before?.toUpperCase()}
-                                </div>
-                                {job.bitrate && <div className="text-gray-400">{(job.bitrate / 1000000).toFixed(1)} Mbps</div>}
-                              </div>
-                              <div className="space-y-0.5">
-                                <div className="text-gray-400 font-medium">Encoded:</div>
-                                <div className="text-green-400 font-semibold">
-                                  {formatSize(job.size_after)} • {job.codec_after?.toUpperCase()}
-                                </div>
-                                {job.bitrate_after && <div className="text-green-400">{(job.bitrate_after / 1000000).toFixed(1)} Mbps</div>}
-                              </div>
-                            </div>
-                          </div>
-                        )}
-                      </div>
-
-                      {/* Status Badge - Only show if not in processing/awaiting state */}
-                      {!(job.status === "downloading" || job.status === "encoding" || job.status === "uploading" || job.status === "awaiting_approval") && (
-                        <div className="ml-3">
-                          <StatusBadge status={job.status} />
-                        </div>
-                      )}
-                    </div>
-
-                    {/* Action buttons - Full width below */}
-                    <div className="flex space-x-2 mt-2">
-                      {/* Awaiting Approval - Play buttons THEN Approve/Reject */}
-                      {job.status === "awaiting_approval" && (
-                        <>
-                          <button
-                            onClick={async () => {
-                              console.log("Play encoded - job.filepath:", job.filepath);
-                              const result = await window.electronAPI.playEncodedFile(job.filepath);
-                              console.log("Play encoded - result:", result);
-                              if (!result.success) {
-                                alert(`Erreur: ${result.error}`);
-                              }
-                            }}
-                            className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
-                            title="Play encoded file with MPV"
-                          >
-                            ▶️ Encodé
-                          </button>
-                          <button
-                            onClick={async () => {
-                              console.log("Play original - job.filepath:", job.filepath);
-                              const result = await window.electronAPI.playOriginalFile(job.filepath);
-                              console.log("Play original - result:", result);
-                              if (!result.success) {
-                                alert(`Erreur: ${result.error}`);
-                              }
-                            }}
-                            className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
-                            title="Play original file with MPV"
-                          >
-                            ▶️ Original
-                          </button>
-                          <div className="border-l border-gray-600 h-8 mx-1"></div>
-                          <button
-                            onClick={async () => {
-                              try {
-                                await window.electronAPI.queueApproveJob(job.id);
-                                loadJobs();
-                              } catch (error) {
-                                console.error("Failed to approve job:", error);
-                              }
-                            }}
-                            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded text-sm transition-colors flex items-center space-x-1"
-                            title="Approve and proceed to upload"
-                          >
-                            <span>✅</span>
-                            <span>Approve</span>
-                          </button>
-                          <button
-                            onClick={async () => {
-                              try {
-                                await window.electronAPI.queueRejectJob(job.id);
-                                loadJobs();
-                              } catch (error) {
-                                console.error("Failed to reject job:", error);
-                              }
-                            }}
-                            className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-1.5 rounded text-sm transition-colors flex items-center space-x-1"
-                            title="Reject and re-encode"
-                          >
-                            <span>🔄</span>
-                            <span>Re-encode</span>
-                          </button>
-                        </>
-                      )}
-
-                      {/* Completed jobs - Play buttons */}
-                      {job.status === "completed" && (
-                        <>
-                          <button
-                            onClick={async () => {
-                              console.log("Play encoded - job.filepath:", job.filepath);
-                              const result = await window.electronAPI.playEncodedFile(job.filepath);
-                              console.log("Play encoded - result:", result);
-                              if (!result.success) {
-                                alert(`Erreur: ${result.error}`);
-                              }
-                            }}
-                            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
-                            title="Play encoded file with MPV"
-                          >
-                            ▶️ Encodé
-                          </button>
-                          <button
-                            onClick={async () => {
-                              console.log("Play original - job.filepath:", job.filepath);
-                              const result = await window.electronAPI.playOriginalFile(job.filepath);
-                              console.log("Play original - result:", result);
-                              if (!result.success) {
-                                alert(`Erreur: ${result.error}`);
-                              }
-                            }}
-                            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded text-sm transition-colors"
-                            title="Play original file with MPV"
-                          >
-                            ▶️ Original
-                          </button>
-                        </>
-                      )}
-
-                      {/* Failed or ready jobs - Retry button */}
-                      {((job.status === "failed" && job.started_at) || job.status === "ready_encode" || job.status === "ready_upload" || job.status === "paused") && (
-                        <button onClick={() => onRetryJob(job.id)} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded text-sm transition-colors" title="Réessayer">
-                          🔄 Réessayer
-                        </button>
-                      )}
-
-                      {/* Processing jobs - Status indicator */}
-                      {(job.status === "downloading" || job.status === "encoding" || job.status === "uploading") && (
-                        <div className="bg-blue-600 text-white px-3 py-1.5 rounded text-sm flex items-center space-x-2">
-                          <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-white"></div>
-                          <span>{job.status === "downloading" ? "Téléchargement..." : job.status === "encoding" ? "Encodage..." : "Upload..."}</span>
-                        </div>
-                      )}
-
-                      {/* Remove button - always available */}
-                      <button onClick={() => onRemoveJob(job.id)} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded text-sm transition-colors ml-auto" title="Supprimer">
-                        🗑️
-                      </button>
-                    </div>
-
-                    {/* Progress Bar */}
-                    {(job.status === "downloading" || job.status === "encoding" || job.status === "uploading") && (
-                      <div className="mb-2">
-                        {console.log(`[Queue] Job ${job.id} status=${job.status}, progressData:`, progress)}
-                        <ProgressBar
-                          progress={progress.progress || job.progress || 0}
-                          type={progress.type}
-                          eta={progress.eta}
-                          fps={progress.fps}
-                          speed={progress.speed}
-                          elapsedTime={progress.elapsedTime}
-                          currentTime={progress.currentTime}
-                          totalDuration={progress.totalDuration}
-                        />
-                      </div>
-                    )}
-
-                    {/* Error Message */}
-                    {job.error && <div className="mt-2 p-2 bg-red-900 rounded text-red-200 text-sm">{job.error}</div>}
-                  </div>
-                );
-              })}
+            {queueEntries.map((entry) => (entry.batch ? renderBatch(entry) : renderJob(entry.job)))}
           </div>
         )}
       </div>
+
+      {overridesEditor && (
+        <EncodingOverridesModal
+          job={overridesEditor.job}
+          baseConfig={parseJobFfmpeg(overridesEditor.job) || userConfig?.ffmpeg}
+          mode={overridesEditor.mode}
+          onSave={saveOverrides}
+          onClose={() => setOverridesEditor(null)}
+        />
+      )}
     </div>
   );
 };
@@ -51,9 +51,77 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
       two_pass: true,
       tune: null,
 
+      // AV1 Settings (SVT-AV1 CPU / NVENC AV1 GPU)
+      av1_cpu_preset: 6, // SVT-AV1: 0-13 (lower = slower/better)
+      av1_crf: 30, // SVT-AV1 CRF: 0-63
+      av1_film_grain: 0, // SVT-AV1 film grain synthesis: 0-50
+      av1_nvenc_preset: "p5", // p1-p7
+      av1_cq: 32, // NVENC AV1 CQ: 0-51
+      av1_nvenc_denoise: 0, // hqdn3d denoise before NVENC: 0-10
+
+      // Rate Control Mode
+      rate_control_mode: "fixed", // fixed / target_vmaf
+      target_vmaf: 93, // VMAF target for target_vmaf mode
+      target_vmaf_samples: 3, // Samples encoded per tested value
+      target_vmaf_sample_duration: 20, // Sample length in seconds
+
       // Audio Settings
       audio_codec: "copy",
       audio_bitrate: 192,
+
+      // HDR (HDR10 / HLG / Dolby Vision)
+      hdr: {
+        passthrough: true, // Carry colour metadata over and force 10-bit
+        dolby_vision: "base_layer", // base_layer / refuse
+        tonemap: false, // HDR → SDR BT.709 8-bit
+        tonemap_algorithm: "hable", // hable/mobius/reinhard/clip/gamma/linear
+        tonemap_desat: 0,
+      },
+
+      // Resolution Ceiling
+      resolution: {
+        enabled: false,
+        max_width: 1920,
+        max_height: 1080,
+        scaler: "lanczos", // lanczos/bicubic/spline/bilinear/area/neighbor
+        exceptions: [], // Server folders kept at original resolution (e.g. "/4K")
+      },
+
+      // Crop / Interlace Detection (analysis pass before the encode)
+      source_analysis: {
+        auto_crop: true,
+        auto_deinterlace: true,
+        segments: 6,
+        segment_duration: 10,
+        deinterlacer: "bwdif", // bwdif/yadif
+        min_crop: 8,
+        interlace_threshold: 0.3,
+      },
+
+      // Segmented Encoding (resume after crash / stop)
+      segmented_encoding: {
+        enabled: false,
+        segment_duration: 300, // seconds, snapped to keyframes
+      },
+
+      // Audio / Subtitle Track Selection
+      track_selection: {
+        enabled: false,
+        audio: {
+          keep_languages: ["fre", "eng"],
+          keep_original: true,
+          drop_commentary: true,
+          drop_codecs: [],
+          drop_title_patterns: [],
+        },
+        subtitles: {
+          keep_languages: ["fre", "eng"],
+          keep_forced: true,
+          drop_hearing_impaired: false,
+          drop_codecs: [],
+          drop_title_patterns: [],
+        },
+      },
     },
     remote: {
       transfer_method: "auto",
@@ -79,9 +147,23 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
       connection: {
         max_concurrent_downloads: 1,
         max_prefetch_files: 1,
+        prefetch_budget_gb: 0,
         retry_attempts: 2,
         connection_timeout: 30000,
       },
+      parallel_encoding: {
+        slots: 1,
+      },
+      retry_policy: {
+        enabled: true,
+        base_delay: 30,
+        max_delay: 1800,
+        max_retries: { download: 3, encode: 1, upload: 5 },
+      },
+      upload_policy: {
+        mode: "keep_both",
+        backup_days: 7,
+      },
       cache: {
         concurrent_video_probes: 10,
         probe_timeout_ms: 10000,
@@ -93,10 +175,33 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
         create_backups: false,
         extract_video_duration: false,
         release_tag: "",
+        review_priority: 0,
         keep_encoded: true,
         keep_original: true,
         simulation_mode: false,
       },
+      quality_analysis: {
+        enabled: true,
+        subsample: 5,
+      },
+      verification: {
+        enabled: true,
+        duration_tolerance: 2,
+        duration_tolerance_percent: 0.5,
+        full_decode: true,
+      },
+      skip_rules: {
+        enabled: false,
+        min_size_mb: 0,
+        max_bits_per_pixel: 0,
+        codecs: [],
+        filename_tags: [],
+        path_globs: [],
+      },
+    },
+    preset_rules: {
+      enabled: false,
+      rules: [],
     },
     ui: {
       show_notifications: true,
@@ -121,6 +226,9 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
   const [selectedPreset, setSelectedPreset] = useState("");
   const [newPresetName, setNewPresetName] = useState("");
   const [loadingPresets, setLoadingPresets] = useState(false);
+  const [commandPreview, setCommandPreview] = useState(null);
+  const [loadingCommandPreview, setLoadingCommandPreview] = useState(false);
+  const [showPreviewEncode, setShowPreviewEncode] = useState(false);
 
   // Load available presets on mount
   React.useEffect(() => {
@@ -279,6 +387,20 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
     }
   };
 
+  // Build the FFmpeg command with the unsaved settings (same builder as the real encode)
+  const showCommandPreview = async () => {
+    setLoadingCommandPreview(true);
+    try {
+      const result = await window.electronAPI.encoderPreviewCommand(config.ffmpeg);
+      setCommandPreview(result.success ? result : { error: result.error });
+    } catch (error) {
+      console.error("Error building FFmpeg command preview:", error);
+      setCommandPreview({ error: error.message });
+    } finally {
+      setLoadingCommandPreview(false);
+    }
+  };
+
   const loadFFmpegPresetFromServer = async () => {
     try {
       const result = await window.electronAPI.loadFFmpegPreset();
@@ -395,6 +517,84 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
               {/* ===== CODEC SELECTION ===== */}
               <CodecSelector config={config} updateConfigNested={updateConfigNested} />
 
+              {/* ===== RATE CONTROL MODE ===== */}
+              <div className="space-y-4 bg-gray-800 bg-opacity-30 p-5 rounded-lg border border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🎯 Rate Control Mode</h3>
+                <p className="text-sm text-gray-400">CQ/CRF fixe, ou choisi automatiquement pour chaque fichier à partir d'échantillons encodés (score VMAF)</p>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">Mode</label>
+                    <select
+                      value={config.ffmpeg?.rate_control_mode || "fixed"}
+                      onChange={(e) => updateConfigNested("ffmpeg", "rate_control_mode", e.target.value)}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    >
+                      <option value="fixed">Fixed CQ/CRF (valeurs ci-dessous)</option>
+                      <option value="target_vmaf">Target VMAF (recherche automatique)</option>
+                    </select>
+                    <p className="text-xs text-gray-400 mt-1">
+                      <em>Target VMAF: les films granuleux reçoivent plus de bitrate, l'animation propre moins</em>
+                      <br />
+                      <strong>Nécessite:</strong> FFmpeg compilé avec libvmaf (sinon repli sur CQ/CRF fixe)
+                    </p>
+                  </div>
+
+                  {config.ffmpeg?.rate_control_mode === "target_vmaf" && (
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">
+                        Target VMAF
+                        <span className="ml-2 text-xs text-blue-400">(80-99)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="80"
+                        max="99"
+                        step="0.5"
+                        value={config.ffmpeg?.target_vmaf || 93}
+                        onChange={(e) => updateConfigNested("ffmpeg", "target_vmaf", parseFloat(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        <strong>Recommandé:</strong> 93-95 (transparent), 90 (économie)
+                        <br />
+                        <em>Le CQ/CRF le plus élevé qui atteint cette cible est retenu</em>
+                      </p>
+                    </div>
+                  )}
+
+                  {config.ffmpeg?.rate_control_mode === "target_vmaf" && (
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Samples</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="10"
+                        value={config.ffmpeg?.target_vmaf_samples || 3}
+                        onChange={(e) => updateConfigNested("ffmpeg", "target_vmaf_samples", parseInt(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Nombre d'extraits encodés pour chaque valeur testée</p>
+                    </div>
+                  )}
+
+                  {config.ffmpeg?.rate_control_mode === "target_vmaf" && (
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Sample Duration (s)</label>
+                      <input
+                        type="number"
+                        min="2"
+                        max="120"
+                        value={config.ffmpeg?.target_vmaf_sample_duration || 20}
+                        onChange={(e) => updateConfigNested("ffmpeg", "target_vmaf_sample_duration", parseInt(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Plus long = plus précis, mais recherche plus lente</p>
+                    </div>
+                  )}
+                </div>
+              </div>
+
               {/* ===== GPU SETTINGS ===== */}
               <div className="space-y-4 bg-gray-800 bg-opacity-30 p-5 rounded-lg border border-gray-700">
                 <h3 className="text-lg font-semibold text-white">🎮 GPU Settings (NVENC)</h3>
@@ -473,13 +673,13 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
 
                   <div>
                     <label className="block text-sm text-gray-300 mb-2">
-                      🎮 GPU Usage Limit (FPS Cap)
-                      <span className="ml-2 text-xs text-blue-400">(0-100%)</span>
+                      🎮 Encoding Load Limit
+                      <span className="ml-2 text-xs text-blue-400">(10-100%)</span>
                     </label>
                     <div className="flex items-center gap-3">
                       <input
                         type="range"
-                        min="0"
+                        min="10"
                         max="100"
                         step="5"
                         value={config.ffmpeg?.gpu_limit || 100}
@@ -489,45 +689,17 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                       <span className="text-lg font-bold text-blue-400 min-w-[60px] text-right">{config.ffmpeg?.gpu_limit || 100}%</span>
                     </div>
                     <p className="text-xs text-gray-400 mt-1">
-                      {(() => {
-                        const gpuLimit = config.ffmpeg?.gpu_limit || 100;
-                        const baseFPS = 200;
-                        const maxFPS = Math.round((baseFPS * gpuLimit) / 100);
-
-                        if (gpuLimit === 100) {
-                          return (
-                            <>
-                              <strong>Max Speed:</strong> Unlimited FPS - Full GPU power
-                              <br />
-                              <em>Maximum encoding speed | 100% quality preserved | GPU usage: ~100%</em>
-                            </>
-                          );
-                        } else if (gpuLimit > 75) {
-                          return (
-                            <>
-                              <strong>✓ Speed Cap:</strong> ~{maxFPS} FPS max encoding speed
-                              <br />
-                              <em>✅ 100% quality preserved | ⚡ Slightly slower | GPU usage: ~{gpuLimit}%</em>
-                            </>
-                          );
-                        } else if (gpuLimit > 50) {
-                          return (
-                            <>
-                              <strong>⚠️ Speed Cap:</strong> ~{maxFPS} FPS max encoding speed
-                              <br />
-                              <em>✅ 100% quality preserved | 🐢 Slower encoding | GPU usage: ~{gpuLimit}%</em>
-                            </>
-                          );
-                        } else {
-                          return (
-                            <>
-                              <strong>🔋 Low Speed:</strong> ~{maxFPS} FPS max encoding speed
-                              <br />
-                              <em>✅ 100% quality preserved | 🐌 Much slower | GPU usage: ~{gpuLimit}% | Background mode</em>
-                            </>
-                          );
-                        }
-                      })()}
+                      {(config.ffmpeg?.gpu_limit || 100) >= 100 ? (
+                        <>
+                          <strong>Max Speed:</strong> no limit - full GPU/CPU power
+                        </>
+                      ) : (
+                        <>
+                          <strong>🔋 Limited:</strong> FFmpeg runs ~{config.ffmpeg?.gpu_limit}% of the time (suspended/resumed every second), CPU encodes also run at lower priority
+                        </>
+                      )}
+                      <br />
+                      <em>✅ Output identical (frame rate and quality unchanged) | Adjustable live from the queue while a job runs</em>
                     </p>
                   </div>
 
@@ -1022,16 +1194,147 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                       <span className="text-sm text-gray-300">Two-Pass Encoding</span>
                     </label>
                     <p className="text-xs text-gray-400 mt-1">
-                      <em>Encodage en deux passes pour meilleure allocation du bitrate (CPU x265 seulement)</em>
+                      <em>Passe d'analyse (statistiques dans le dossier temporaire du job) puis passe finale - CPU x265 et VP9</em>
                       <br />
-                      <strong>Attention:</strong> 2x plus lent, meilleure allocation bitrate
+                      <strong>Attention:</strong> 2x plus lent, meilleure allocation bitrate (progression: 0-50% analyse, 50-100% encodage)
                       <br />
-                      Non supporté avec NVENC (utilise multipass à la place)
+                      Non supporté avec NVENC (utilise multipass à la place) ni SVT-AV1
                     </p>
                   </div>
                 </div>
               </div>
 
+              {/* ===== AV1 SETTINGS ===== */}
+              {(config.ffmpeg?.video_codec || "").includes("av1") && (
+                <div className="space-y-4 pt-4 border-t border-gray-700">
+                  <h3 className="text-lg font-semibold text-white">🆕 AV1 Settings (SVT-AV1 / NVENC AV1)</h3>
+                  <p className="text-sm text-gray-400">Réglages dédiés au codec AV1 - remplacent preset/CQ/CRF HEVC quand un codec AV1 est sélectionné</p>
+
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">
+                        SVT-AV1 Preset (CPU)
+                        <span className="ml-2 text-xs text-blue-400">(0-13)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="13"
+                        value={config.ffmpeg?.av1_cpu_preset ?? 6}
+                        onChange={(e) => updateConfigNested("ffmpeg", "av1_cpu_preset", parseInt(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        <em>Plus bas = plus lent et meilleure compression</em>
+                        <br />
+                        <strong>Recommandé:</strong> 4-6 (archivage), 8-10 (rapide)
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">
+                        SVT-AV1 CRF (CPU)
+                        <span className="ml-2 text-xs text-blue-400">(0-63)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="63"
+                        value={config.ffmpeg?.av1_crf ?? 30}
+                        onChange={(e) => updateConfigNested("ffmpeg", "av1_crf", parseInt(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        <em>Échelle AV1 (0-63), différente de x265 - plus bas = meilleure qualité</em>
+                        <br />
+                        <strong>Recommandé:</strong> 24-28 (haute qualité), 30-35 (équilibré)
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">
+                        SVT-AV1 Film Grain (CPU)
+                        <span className="ml-2 text-xs text-blue-400">(0-50)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="50"
+                        value={config.ffmpeg?.av1_film_grain ?? 0}
+                        onChange={(e) => updateConfigNested("ffmpeg", "av1_film_grain", parseInt(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        <em>Synthèse du grain: le grain est retiré avant encodage puis recréé à la lecture</em>
+                        <br />
+                        <strong>Recommandé:</strong> 0 (sources propres/animation), 8-15 (films granuleux)
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">
+                        NVENC AV1 Preset (GPU)
+                        <span className="ml-2 text-xs text-blue-400">(p1-p7)</span>
+                      </label>
+                      <select
+                        value={config.ffmpeg?.av1_nvenc_preset || "p5"}
+                        onChange={(e) => updateConfigNested("ffmpeg", "av1_nvenc_preset", e.target.value)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      >
+                        <option value="p1">P1 (Fastest)</option>
+                        <option value="p2">P2</option>
+                        <option value="p3">P3</option>
+                        <option value="p4">P4</option>
+                        <option value="p5">P5 (Recommandé)</option>
+                        <option value="p6">P6</option>
+                        <option value="p7">P7 (Best quality)</option>
+                      </select>
+                      <p className="text-xs text-gray-400 mt-1">
+                        <em>Nécessite un GPU RTX 40 ou plus récent - sinon repli automatique sur SVT-AV1</em>
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">
+                        NVENC AV1 CQ (GPU)
+                        <span className="ml-2 text-xs text-blue-400">(0-51)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="51"
+                        value={config.ffmpeg?.av1_cq ?? 32}
+                        onChange={(e) => updateConfigNested("ffmpeg", "av1_cq", parseInt(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        <strong>Recommandé:</strong> 28-32 (haute qualité), 33-36 (équilibré)
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">
+                        NVENC AV1 Denoise (GPU)
+                        <span className="ml-2 text-xs text-blue-400">(0-10)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="10"
+                        value={config.ffmpeg?.av1_nvenc_denoise ?? config.ffmpeg?.av1_nvenc_film_grain ?? 0}
+                        onChange={(e) => updateConfigNested("ffmpeg", "av1_nvenc_denoise", parseInt(e.target.value))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        <em>NVENC n'a pas de synthèse du grain: applique un débruitage (hqdn3d) avant encodage</em>
+                        <br />
+                        <strong>Recommandé:</strong> 0 (désactivé), 2-4 (films granuleux)
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* ===== COMMON SETTINGS ===== */}
               <div className="space-y-4 pt-4 border-t border-gray-700">
                 <h3 className="text-lg font-semibold text-white">🔧 Paramètres Communs (GPU & CPU)</h3>
@@ -1134,31 +1437,469 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                 </div>
               </div>
 
+              {/* ===== HDR ===== */}
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🌈 HDR (HDR10 / HLG / Dolby Vision)</h3>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="flex items-center cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={config.ffmpeg?.hdr?.passthrough !== false}
+                        onChange={(e) => updateConfig("ffmpeg.hdr.passthrough", e.target.checked)}
+                        className="mr-2"
+                      />
+                      <span className="text-sm text-gray-300">Conserver les métadonnées HDR</span>
+                    </label>
+                    <p className="text-xs text-gray-400 mt-1">
+                      <em>Tags BT.2020 / PQ / HLG, mastering display et MaxCLL (x265, SVT-AV1). Sortie forcée en 10-bit.</em>
+                      <br />
+                      Désactivé: les sources HDR ressortent délavées
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">Sources Dolby Vision</label>
+                    <select
+                      value={config.ffmpeg?.hdr?.dolby_vision || "base_layer"}
+                      onChange={(e) => updateConfig("ffmpeg.hdr.dolby_vision", e.target.value)}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    >
+                      <option value="base_layer">Encoder la couche HDR10/HLG (RPU Dolby Vision perdu)</option>
+                      <option value="refuse">Refuser (job en échec)</option>
+                    </select>
+                    <p className="text-xs text-gray-400 mt-1">
+                      <em>Le profil 5 (sans couche de base compatible) est toujours refusé</em>
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="flex items-center cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={config.ffmpeg?.hdr?.tonemap || false}
+                        onChange={(e) => updateConfig("ffmpeg.hdr.tonemap", e.target.checked)}
+                        className="mr-2"
+                      />
+                      <span className="text-sm text-gray-300">Tone-mapping HDR → SDR (BT.709 8-bit)</span>
+                    </label>
+                    <p className="text-xs text-gray-400 mt-1">
+                      <em>Pour les appareils sans support HDR. Appliqué uniquement aux sources HDR.</em>
+                      <br />
+                      Ajoute le tag <strong>SDR</strong> au nom de fichier. Remplace la conservation des métadonnées HDR.
+                    </p>
+                  </div>
+
+                  {config.ffmpeg?.hdr?.tonemap && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <label className="block text-sm text-gray-300 mb-2">Algorithme</label>
+                        <select
+                          value={config.ffmpeg?.hdr?.tonemap_algorithm || "hable"}
+                          onChange={(e) => updateConfig("ffmpeg.hdr.tonemap_algorithm", e.target.value)}
+                          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                        >
+                          <option value="hable">Hable (rendu film - Recommandé)</option>
+                          <option value="mobius">Mobius (préserve les couleurs)</option>
+                          <option value="reinhard">Reinhard</option>
+                          <option value="clip">Clip</option>
+                          <option value="gamma">Gamma</option>
+                          <option value="linear">Linear</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm text-gray-300 mb-2">Désaturation</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="10"
+                          step="0.5"
+                          value={config.ffmpeg?.hdr?.tonemap_desat ?? 0}
+                          onChange={(e) => updateConfig("ffmpeg.hdr.tonemap_desat", parseFloat(e.target.value) || 0)}
+                          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                        />
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* ===== RESOLUTION CEILING ===== */}
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">📐 Résolution maximale</h3>
+
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={config.ffmpeg?.resolution?.enabled || false}
+                    onChange={(e) => updateConfig("ffmpeg.resolution.enabled", e.target.checked)}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-300">Réduire les sources qui dépassent le plafond (ratio conservé)</span>
+                </label>
+
+                {config.ffmpeg?.resolution?.enabled && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <label className="block text-sm text-gray-300 mb-2">Largeur max</label>
+                        <input
+                          type="number"
+                          min="320"
+                          step="2"
+                          value={config.ffmpeg?.resolution?.max_width ?? 1920}
+                          onChange={(e) => updateConfig("ffmpeg.resolution.max_width", parseInt(e.target.value) || null)}
+                          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm text-gray-300 mb-2">Hauteur max</label>
+                        <input
+                          type="number"
+                          min="240"
+                          step="2"
+                          value={config.ffmpeg?.resolution?.max_height ?? 1080}
+                          onChange={(e) => updateConfig("ffmpeg.resolution.max_height", parseInt(e.target.value) || null)}
+                          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                        />
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Algorithme de mise à l'échelle</label>
+                      <select
+                        value={config.ffmpeg?.resolution?.scaler || "lanczos"}
+                        onChange={(e) => updateConfig("ffmpeg.resolution.scaler", e.target.value)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      >
+                        <option value="lanczos">Lanczos (le plus net - Recommandé)</option>
+                        <option value="spline">Spline</option>
+                        <option value="bicubic">Bicubic</option>
+                        <option value="bilinear">Bilinear (rapide)</option>
+                        <option value="area">Area</option>
+                        <option value="neighbor">Neighbor</option>
+                      </select>
+                    </div>
+
+                    <div className="col-span-2">
+                      <label className="block text-sm text-gray-300 mb-2">Exceptions (dossiers conservés en résolution d'origine)</label>
+                      <input
+                        type="text"
+                        defaultValue={(config.ffmpeg?.resolution?.exceptions || []).join(", ")}
+                        onBlur={(e) =>
+                          updateConfig(
+                            "ffmpeg.resolution.exceptions",
+                            e.target.value
+                              .split(",")
+                              .map((exception) => exception.trim())
+                              .filter(Boolean)
+                          )
+                        }
+                        placeholder="/4K, /Films/UHD"
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        <em>Chemins serveur séparés par des virgules. Le tag de résolution du nom de fichier est mis à jour (2160p → 1080p).</em>
+                      </p>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* ===== CROP / INTERLACE DETECTION ===== */}
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">✂️ Détection crop / entrelacement</h3>
+                <p className="text-xs text-gray-400">
+                  <em>Avant l'encodage, plusieurs segments sont analysés (cropdetect + idet). Désactivable job par job depuis les détails du job.</em>
+                </p>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <label className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={config.ffmpeg?.source_analysis?.auto_crop !== false}
+                      onChange={(e) => updateConfig("ffmpeg.source_analysis.auto_crop", e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span className="text-sm text-gray-300">Supprimer les bandes noires (crop)</span>
+                  </label>
+
+                  <label className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={config.ffmpeg?.source_analysis?.auto_deinterlace !== false}
+                      onChange={(e) => updateConfig("ffmpeg.source_analysis.auto_deinterlace", e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span className="text-sm text-gray-300">Désentrelacer les sources entrelacées</span>
+                  </label>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Segments</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={config.ffmpeg?.source_analysis?.segments ?? 6}
+                        onChange={(e) => updateConfig("ffmpeg.source_analysis.segments", parseInt(e.target.value) || 6)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Durée (s)</label>
+                      <input
+                        type="number"
+                        min="2"
+                        max="60"
+                        value={config.ffmpeg?.source_analysis?.segment_duration ?? 10}
+                        onChange={(e) => updateConfig("ffmpeg.source_analysis.segment_duration", parseInt(e.target.value) || 10)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">Désentrelaceur</label>
+                    <select
+                      value={config.ffmpeg?.source_analysis?.deinterlacer || "bwdif"}
+                      onChange={(e) => updateConfig("ffmpeg.source_analysis.deinterlacer", e.target.value)}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    >
+                      <option value="bwdif">bwdif (meilleure qualité - Recommandé)</option>
+                      <option value="yadif">yadif (plus rapide)</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">Crop minimum (pixels)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="2"
+                      value={config.ffmpeg?.source_analysis?.min_crop ?? 8}
+                      onChange={(e) => updateConfig("ffmpeg.source_analysis.min_crop", parseInt(e.target.value) || 0)}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">Seuil d'entrelacement (%)</label>
+                    <input
+                      type="number"
+                      min="5"
+                      max="100"
+                      value={Math.round((config.ffmpeg?.source_analysis?.interlace_threshold ?? 0.3) * 100)}
+                      onChange={(e) => updateConfig("ffmpeg.source_analysis.interlace_threshold", (parseInt(e.target.value) || 30) / 100)}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              {/* ===== SEGMENTED ENCODING ===== */}
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🧩 Encodage segmenté (reprise)</h3>
+
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={config.ffmpeg?.segmented_encoding?.enabled || false}
+                    onChange={(e) => updateConfig("ffmpeg.segmented_encoding.enabled", e.target.checked)}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-300">Encoder par segments alignés sur les keyframes</span>
+                </label>
+
+                {config.ffmpeg?.segmented_encoding?.enabled && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Durée d'un segment (minutes)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="60"
+                        value={Math.round((config.ffmpeg?.segmented_encoding?.segment_duration ?? 300) / 60)}
+                        onChange={(e) => updateConfig("ffmpeg.segmented_encoding.segment_duration", (parseInt(e.target.value) || 5) * 60)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                    <p className="text-xs text-gray-400 self-end">
+                      <em>Après un crash ou un arrêt, le job reprend au premier segment non terminé au lieu de tout ré-encoder. Utile pour les longs encodages 4K CPU / VP9.</em>
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              {/* ===== TRACK SELECTION ===== */}
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🎚️ Track Selection (Audio / Sous-titres)</h3>
+
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={config.ffmpeg?.track_selection?.enabled || false}
+                    onChange={(e) => updateConfig("ffmpeg.track_selection.enabled", e.target.checked)}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-300">Filtrer les pistes par règles (sinon toutes les pistes sont conservées)</span>
+                </label>
+
+                {config.ffmpeg?.track_selection?.enabled && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <label className="block text-sm text-gray-300">Audio - Langues conservées</label>
+                      <input
+                        type="text"
+                        defaultValue={(config.ffmpeg?.track_selection?.audio?.keep_languages || []).join(", ")}
+                        onBlur={(e) =>
+                          updateConfig(
+                            "ffmpeg.track_selection.audio.keep_languages",
+                            e.target.value
+                              .split(",")
+                              .map((lang) => lang.trim())
+                              .filter(Boolean)
+                          )
+                        }
+                        placeholder="fre, eng"
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <label className="flex items-center cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={config.ffmpeg?.track_selection?.audio?.keep_original !== false}
+                          onChange={(e) => updateConfig("ffmpeg.track_selection.audio.keep_original", e.target.checked)}
+                          className="mr-2"
+                        />
+                        <span className="text-sm text-gray-300">Garder la langue originale</span>
+                      </label>
+                      <label className="flex items-center cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={config.ffmpeg?.track_selection?.audio?.drop_commentary !== false}
+                          onChange={(e) => updateConfig("ffmpeg.track_selection.audio.drop_commentary", e.target.checked)}
+                          className="mr-2"
+                        />
+                        <span className="text-sm text-gray-300">Supprimer les pistes de commentaires</span>
+                      </label>
+                      <p className="text-xs text-gray-400">
+                        <em>Codes ISO 639-2 séparés par des virgules (fre = fra = fr). Vide = toutes les langues.</em>
+                        <br />
+                        Si aucune piste ne correspond, la première piste audio est conservée.
+                      </p>
+                    </div>
+
+                    <div className="space-y-2">
+                      <label className="block text-sm text-gray-300">Sous-titres - Langues conservées</label>
+                      <input
+                        type="text"
+                        defaultValue={(config.ffmpeg?.track_selection?.subtitles?.keep_languages || []).join(", ")}
+                        onBlur={(e) =>
+                          updateConfig(
+                            "ffmpeg.track_selection.subtitles.keep_languages",
+                            e.target.value
+                              .split(",")
+                              .map((lang) => lang.trim())
+                              .filter(Boolean)
+                          )
+                        }
+                        placeholder="fre, eng"
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <label className="flex items-center cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={config.ffmpeg?.track_selection?.subtitles?.keep_forced !== false}
+                          onChange={(e) => updateConfig("ffmpeg.track_selection.subtitles.keep_forced", e.target.checked)}
+                          className="mr-2"
+                        />
+                        <span className="text-sm text-gray-300">Toujours garder les sous-titres forcés</span>
+                      </label>
+                      <label className="flex items-center cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={(config.ffmpeg?.track_selection?.subtitles?.drop_codecs || []).includes("hdmv_pgs_subtitle")}
+                          onChange={(e) => {
+                            const codecs = (config.ffmpeg?.track_selection?.subtitles?.drop_codecs || []).filter((codec) => codec !== "hdmv_pgs_subtitle");
+                            updateConfig("ffmpeg.track_selection.subtitles.drop_codecs", e.target.checked ? [...codecs, "hdmv_pgs_subtitle"] : codecs);
+                          }}
+                          className="mr-2"
+                        />
+                        <span className="text-sm text-gray-300">Supprimer les sous-titres image (PGS)</span>
+                      </label>
+                      <label className="flex items-center cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={config.ffmpeg?.track_selection?.subtitles?.drop_hearing_impaired || false}
+                          onChange={(e) => updateConfig("ffmpeg.track_selection.subtitles.drop_hearing_impaired", e.target.checked)}
+                          className="mr-2"
+                        />
+                        <span className="text-sm text-gray-300">Supprimer les sous-titres SDH (malentendants)</span>
+                      </label>
+                    </div>
+                  </div>
+                )}
+              </div>
+
               {/* Command Preview */}
               <div className="mt-4 p-3 bg-gray-800 rounded border border-gray-600">
-                <div className="text-xs text-gray-400 mb-1">Commande FFmpeg (aperçu):</div>
-                <div className="text-xs text-green-400 font-mono break-all">
-                  ffmpeg -i input.mkv -c:v hevc_nvenc -preset {config.ffmpeg?.encode_preset || "p7"} -rc {config.ffmpeg?.rc_mode || "vbr_hq"} -cq {config.ffmpeg?.cq || 24} -b:v{" "}
-                  {config.ffmpeg?.bitrate || "3M"} -maxrate {config.ffmpeg?.maxrate || "6M"} -profile:v main10 -pix_fmt p010le -spatial-aq {config.ffmpeg?.spatial_aq !== false ? "1" : "0"}{" "}
-                  -temporal-aq {config.ffmpeg?.temporal_aq !== false ? "1" : "0"} -aq-strength {config.ffmpeg?.aq_strength || 8} -bf {config.ffmpeg?.bframes || 3} -b_ref_mode{" "}
-                  {config.ffmpeg?.b_ref_mode || "middle"} -rc-lookahead {config.ffmpeg?.lookahead || 32} -multipass {config.ffmpeg?.multipass || "fullres"} -c:a copy output.mkv
+                <div className="flex items-center justify-between mb-2">
+                  <div className="text-xs text-gray-400">Commande FFmpeg (source exemple 1080p SDR, réglages non sauvegardés inclus)</div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={showCommandPreview}
+                      disabled={loadingCommandPreview}
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded text-white text-xs"
+                    >
+                      {loadingCommandPreview ? "⏳ ..." : "🔍 Show FFmpeg command"}
+                    </button>
+                    <button
+                      onClick={() => setShowPreviewEncode(true)}
+                      className="px-3 py-1 bg-teal-600 hover:bg-teal-700 rounded text-white text-xs"
+                      title="Encode a short slice of a remote file with these settings"
+                    >
+                      🧪 Preview encode
+                    </button>
+                  </div>
                 </div>
+                {commandPreview?.error && <div className="text-xs text-red-400">❌ {commandPreview.error}</div>}
+                {commandPreview?.commandLine && (
+                  <>
+                    <div className="text-xs text-green-400 font-mono break-all whitespace-pre-wrap select-text">{commandPreview.commandLine}</div>
+                    {commandPreview.warnings.map((warning, index) => (
+                      <div key={`w${index}`} className="text-xs text-yellow-400 mt-1">
+                        ⚠️ {warning}
+                      </div>
+                    ))}
+                    {commandPreview.notes.map((note, index) => (
+                      <div key={`n${index}`} className="text-xs text-gray-400 mt-1">
+                        ℹ️ {note}
+                      </div>
+                    ))}
+                  </>
+                )}
               </div>
+              {showPreviewEncode && <PreviewEncodeModal remotePath={null} currentFfmpegConfig={config.ffmpeg} onClose={() => setShowPreviewEncode(false)} />}
             </>
           )}
 
           {/* ===== PRESETS TAB ===== */}
 
-          {activeTab === "presets" &&
-            React.createElement(PresetManager, {
-              currentConfig: config,
-              onApplyPreset: (preset) => {
-                // Apply preset to config
-                if (preset.ffmpeg) {
-                  setConfig({ ...config, ffmpeg: preset.ffmpeg });
-                }
-              },
-            })}
+          {activeTab === "presets" && (
+            <>
+              {React.createElement(PresetManager, {
+                currentConfig: config,
+                onApplyPreset: (preset) => {
+                  // Apply preset to config
+                  if (preset.ffmpeg) {
+                    setConfig({ ...config, ffmpeg: preset.ffmpeg });
+                  }
+                },
+              })}
+              <PresetRules presetRules={config.preset_rules} onChange={(presetRules) => setConfig({ ...config, preset_rules: presetRules })} />
+            </>
+          )}
 
           {activeTab === "remote" && (
             <>
@@ -1405,6 +2146,110 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                 </div>
               </div>
 
+              {/* ===== SKIP RULES ===== */}
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">⏭️ Règles d'exclusion</h3>
+                <p className="text-xs text-gray-400">
+                  Vérifiées à l'ajout dans la queue (codec, débit et résolution du cache) puis après le téléchargement (valeurs exactes). Les fichiers exclus restent dans la queue avec le
+                  statut Skipped et la raison, sans être encodés.
+                </p>
+
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={config.advanced?.skip_rules?.enabled || false}
+                    onChange={(e) => updateConfig("advanced.skip_rules.enabled", e.target.checked)}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-300">Activer les règles d'exclusion</span>
+                </label>
+
+                {config.advanced?.skip_rules?.enabled && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Taille minimale (MB)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={config.advanced?.skip_rules?.min_size_mb || 0}
+                        onChange={(e) => updateConfig("advanced.skip_rules.min_size_mb", parseInt(e.target.value) || 0)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">0 = désactivé</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Bits par pixel max</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={config.advanced?.skip_rules?.max_bits_per_pixel || 0}
+                        onChange={(e) => updateConfig("advanced.skip_rules.max_bits_per_pixel", parseFloat(e.target.value) || 0)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Débit / (largeur × hauteur × fps). Sous ce seuil la source est déjà très compressée (0 = désactivé)</p>
+                    </div>
+                    <div className="col-span-2">
+                      <label className="block text-sm text-gray-300 mb-2">Codecs source exclus</label>
+                      <input
+                        type="text"
+                        defaultValue={(config.advanced?.skip_rules?.codecs || []).join(", ")}
+                        onBlur={(e) =>
+                          updateConfig(
+                            "advanced.skip_rules.codecs",
+                            e.target.value
+                              .split(",")
+                              .map((value) => value.trim())
+                              .filter(Boolean)
+                          )
+                        }
+                        placeholder="hevc, av1"
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1"><em>Noms ffprobe séparés par des virgules.</em></p>
+                    </div>
+                    <div className="col-span-2">
+                      <label className="block text-sm text-gray-300 mb-2">Tags de nom de fichier</label>
+                      <input
+                        type="text"
+                        defaultValue={(config.advanced?.skip_rules?.filename_tags || []).join(", ")}
+                        onBlur={(e) =>
+                          updateConfig(
+                            "advanced.skip_rules.filename_tags",
+                            e.target.value
+                              .split(",")
+                              .map((value) => value.trim())
+                              .filter(Boolean)
+                          )
+                        }
+                        placeholder="x265, HEVC, AV1"
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1"><em>Comparés mot par mot, sans tenir compte de la casse.</em></p>
+                    </div>
+                    <div className="col-span-2">
+                      <label className="block text-sm text-gray-300 mb-2">Chemins serveur (globs)</label>
+                      <input
+                        type="text"
+                        defaultValue={(config.advanced?.skip_rules?.path_globs || []).join(", ")}
+                        onBlur={(e) =>
+                          updateConfig(
+                            "advanced.skip_rules.path_globs",
+                            e.target.value
+                              .split(",")
+                              .map((value) => value.trim())
+                              .filter(Boolean)
+                          )
+                        }
+                        placeholder="/Kids/**, /Series/*/Extras/*"
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                      <p className="text-xs text-gray-400 mt-1"><em>* = un niveau de dossier, ** = n'importe quelle profondeur.</em></p>
+                    </div>
+                  </div>
+                )}
+              </div>
+
               <div className="space-y-4 pt-4 border-t border-gray-700">
                 <h3 className="text-lg font-semibold text-white">Local Paths</h3>
 
@@ -1579,7 +2424,7 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                       type="number"
                       min="1"
                       max="5"
-                      value={config.advanced?.connection?.max_concurrent_downloads || 2}
+                      value={config.advanced?.connection?.max_concurrent_downloads || 1}
                       onChange={(e) => updateConfig("advanced.connection.max_concurrent_downloads", parseInt(e.target.value))}
                       className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
                     />
@@ -1591,10 +2436,24 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                       type="number"
                       min="1"
                       max="10"
-                      value={config.advanced?.connection?.max_prefetch_files || 3}
+                      value={config.advanced?.connection?.max_prefetch_files || 1}
                       onChange={(e) => updateConfig("advanced.connection.max_prefetch_files", parseInt(e.target.value))}
                       className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
                     />
+                    <p className="text-xs text-gray-500 mt-1">Downloaded and ready ahead of the encoder (at least one per encode slot)</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">Prefetch Budget (GB)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="10"
+                      value={config.advanced?.connection?.prefetch_budget_gb || 0}
+                      onChange={(e) => updateConfig("advanced.connection.prefetch_budget_gb", Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Max space of queued files in the temp folder (sources + encoded). A download over budget waits. 0 = free space only</p>
                   </div>
 
                   <div>
@@ -1624,6 +2483,127 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                 </div>
               </div>
 
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🧵 Parallel Encoding</h3>
+                <p className="text-sm text-gray-400">
+                  Several files encoded at the same time, each with its own FFmpeg process (useful for CPU encodes on many-core machines). One file is downloaded ahead per slot and
+                  the disk space check reserves room for every running encode. Applied when the queue starts.
+                </p>
+
+                <div>
+                  <label className="block text-sm text-gray-300 mb-2">Encode Slots</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="16"
+                    value={config.advanced?.parallel_encoding?.slots || 1}
+                    onChange={(e) => updateConfig("advanced.parallel_encoding.slots", Math.min(16, Math.max(1, parseInt(e.target.value) || 1)))}
+                    className="w-32 bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">
+                    <em>Consumer NVIDIA GPUs limit simultaneous NVENC sessions: keep 1-2 slots for GPU encodes.</em>
+                  </p>
+                </div>
+              </div>
+
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🔁 Automatic Retry</h3>
+                <p className="text-sm text-gray-400">
+                  Failed downloads, encodes and uploads are retried when the error is transient (network, disk full). FFmpeg errors and encodes larger than the original fail
+                  directly. The delay doubles at each attempt.
+                </p>
+
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={config.advanced?.retry_policy?.enabled !== false}
+                    onChange={(e) => updateConfig("advanced.retry_policy.enabled", e.target.checked)}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-300">Retry transient failures automatically</span>
+                </label>
+
+                {config.advanced?.retry_policy?.enabled !== false && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">First Retry Delay (s)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={config.advanced?.retry_policy?.base_delay || 30}
+                        onChange={(e) => updateConfig("advanced.retry_policy.base_delay", Math.max(1, parseInt(e.target.value) || 30))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm text-gray-300 mb-2">Max Delay (s)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={config.advanced?.retry_policy?.max_delay || 1800}
+                        onChange={(e) => updateConfig("advanced.retry_policy.max_delay", Math.max(1, parseInt(e.target.value) || 1800))}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                    {[
+                      ["download", "Download Retries", 3],
+                      ["encode", "Encode Retries", 1],
+                      ["upload", "Upload Retries", 5],
+                    ].map(([stage, label, fallback]) => (
+                      <div key={stage}>
+                        <label className="block text-sm text-gray-300 mb-2">{label}</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="10"
+                          value={config.advanced?.retry_policy?.max_retries?.[stage] ?? fallback}
+                          onChange={(e) => updateConfig(`advanced.retry_policy.max_retries.${stage}`, Math.min(10, Math.max(0, parseInt(e.target.value) || 0)))}
+                          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🔀 After Upload</h3>
+                <p className="text-sm text-gray-400">
+                  The encoded file is uploaded under a temporary name, its size checked, then renamed. The original on the server is only touched once the encoded file is in
+                  place.
+                </p>
+
+                <div>
+                  <label className="block text-sm text-gray-300 mb-2">Original File on Server</label>
+                  <select
+                    value={config.advanced?.upload_policy?.mode || "keep_both"}
+                    onChange={(e) => updateConfig("advanced.upload_policy.mode", e.target.value)}
+                    className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                  >
+                    <option value="keep_both">Keep both (original + encoded)</option>
+                    <option value="replace">Replace original</option>
+                    <option value="replace_keep_backup">Replace, keep original as .bak</option>
+                  </select>
+                </div>
+
+                {config.advanced?.upload_policy?.mode === "replace_keep_backup" && (
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">
+                      Keep Backup For (days)
+                      <span className="text-xs text-gray-500 ml-2">(0 = forever)</span>
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={config.advanced?.upload_policy?.backup_days ?? 7}
+                      onChange={(e) => updateConfig("advanced.upload_policy.backup_days", Math.max(0, parseInt(e.target.value) || 0))}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Le .bak reste restaurable depuis les jobs terminés ("↩️ Server Backup") jusqu'à sa suppression</p>
+                  </div>
+                )}
+              </div>
+
               <div className="space-y-4 pt-4 border-t border-gray-700">
                 <h3 className="text-lg font-semibold text-white">🚀 Cache & Indexation Performance</h3>
                 <p className="text-sm text-gray-400 mb-4">Optimize video probing speed during cache indexation. Higher parallelization = faster indexing but more network/server load.</p>
@@ -1781,6 +2761,116 @@ const SettingsPanel = ({ userConfig, onSave, onClose }) => {
                       Example: "Movie [x265]-<span className="text-cyan-400">{config.advanced?.behavior?.release_tag || "TAG"}</span>.mkv"
                     </p>
                   </div>
+
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">
+                      Review Jobs Priority
+                      <span className="text-xs text-gray-500 ml-2">("Pause before upload" files)</span>
+                    </label>
+                    <select
+                      value={config.advanced?.behavior?.review_priority || 0}
+                      onChange={(e) => updateConfig("advanced.behavior.review_priority", parseInt(e.target.value))}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    >
+                      <option value="0">Normal</option>
+                      <option value="1">High</option>
+                      <option value="2">Urgent</option>
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">Files added for manual review are encoded first, so they can be checked while the rest of the queue runs</p>
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">📏 Quality Analysis</h3>
+
+                <div className="space-y-3">
+                  <label className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={config.advanced?.quality_analysis?.enabled !== false}
+                      onChange={(e) => updateConfig("advanced.quality_analysis.enabled", e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span className="text-sm text-gray-300">Score every encode (VMAF, SSIM/PSNR fallback)</span>
+                  </label>
+                  <p className="text-xs text-gray-400 ml-6">Compare le fichier encodé à l'original après chaque encodage - SSIM/PSNR si FFmpeg n'a pas libvmaf</p>
+
+                  <div>
+                    <label className="block text-sm text-gray-300 mb-2">
+                      Frame Subsampling
+                      <span className="text-xs text-gray-500 ml-2">(1 image sur N)</span>
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="30"
+                      value={config.advanced?.quality_analysis?.subsample || 5}
+                      onChange={(e) => updateConfig("advanced.quality_analysis.subsample", parseInt(e.target.value))}
+                      className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">1 = toutes les images (précis mais lent), 5 = bon compromis</p>
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-4 pt-4 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white">🛡️ Output Verification</h3>
+
+                <div className="space-y-3">
+                  <label className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={config.advanced?.verification?.enabled !== false}
+                      onChange={(e) => updateConfig("advanced.verification.enabled", e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span className="text-sm text-gray-300">Verify every encode before upload</span>
+                  </label>
+                  <p className="text-xs text-gray-400 ml-6">Durée identique à la source, mêmes pistes audio / sous-titres: sinon le job passe en échec avec la raison, rien n'est uploadé</p>
+
+                  {config.advanced?.verification?.enabled !== false && (
+                    <>
+                      <label className="flex items-center cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={config.advanced?.verification?.full_decode !== false}
+                          onChange={(e) => updateConfig("advanced.verification.full_decode", e.target.checked)}
+                          className="mr-2"
+                        />
+                        <span className="text-sm text-gray-300">Full decode with error detection</span>
+                      </label>
+                      <p className="text-xs text-gray-400 ml-6">Décode tout le fichier encodé (flux tronqué ou corrompu) - prend le temps d'une lecture accélérée</p>
+
+                      <div className="grid grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm text-gray-300 mb-2">Duration Tolerance (s)</label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="60"
+                            step="0.5"
+                            value={config.advanced?.verification?.duration_tolerance ?? 2}
+                            onChange={(e) => updateConfig("advanced.verification.duration_tolerance", parseFloat(e.target.value) || 0)}
+                            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm text-gray-300 mb-2">Duration Tolerance (%)</label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="10"
+                            step="0.1"
+                            value={config.advanced?.verification?.duration_tolerance_percent ?? 0.5}
+                            onChange={(e) => updateConfig("advanced.verification.duration_tolerance_percent", parseFloat(e.target.value) || 0)}
+                            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+                          />
+                        </div>
+                      </div>
+                      <p className="text-xs text-gray-500">Le plus grand des deux écarts est accepté (ex: 0.5% d'un film de 2h = 36s)</p>
+                    </>
+                  )}
                 </div>
               </div>
 
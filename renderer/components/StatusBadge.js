@@ -29,6 +29,7 @@ window.StatusBadge = ({ status }) => {
     completed: { label: "Completed", className: "status-completed" },
     failed: { label: "Failed", className: "status-failed" },
     paused: { label: "Paused", className: "status-paused" },
+    skipped: { label: "⏭️ Skipped", className: "status-skipped" },
   };
 
   const config = statusConfig[status] || statusConfig.waiting;
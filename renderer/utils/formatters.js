@@ -130,3 +130,30 @@ window.formatBitrate = (bps) => {
   if (bps < k * k) return (bps / k).toFixed(1) + " kbps";
   return (bps / (k * k)).toFixed(1) + " Mbps";
 };
+
+/**
+ * Format the objective quality score of a job (VMAF, or SSIM/PSNR when VMAF was unavailable)
+ * @param {object} job - Job with quality_vmaf / quality_ssim / quality_psnr columns
+ * @returns {{label: string, text: string, colorClass: string}|null} Display info, null if not analyzed
+ */
+window.formatQualityScore = (job) => {
+  if (!job) return null;
+  if (job.quality_vmaf !== null && job.quality_vmaf !== undefined) {
+    const vmaf = job.quality_vmaf;
+    return {
+      label: "VMAF",
+      text: vmaf.toFixed(1),
+      colorClass: vmaf >= 93 ? "text-green-400" : vmaf >= 85 ? "text-yellow-400" : "text-red-400",
+    };
+  }
+  if (job.quality_ssim !== null && job.quality_ssim !== undefined) {
+    const ssim = job.quality_ssim;
+    const psnr = job.quality_psnr;
+    return {
+      label: "SSIM",
+      text: ssim.toFixed(4) + (psnr !== null && psnr !== undefined ? ` / PSNR ${psnr.toFixed(1)} dB` : ""),
+      colorClass: ssim >= 0.98 ? "text-green-400" : ssim >= 0.95 ? "text-yellow-400" : "text-red-400",
+    };
+  }
+  return null;
+};
@@ -0,0 +1,128 @@
+/**
+ * test_batches.js - Tests pour les lots de jobs (dossier / série)
+ *
+ * Valide l'état agrégé d'un lot (progression, taille gagnée, statut) et le choix
+ * des jobs touchés par une action sur tout le lot
+ * Lancer avec : node tests/test_batches.js
+ */
+
+const { jobPipelineProgress, batchStatus, summarizeBatch, batchActionTargets } = require("../backend/batches");
+
+console.log("🧪 Tests des lots de jobs\n");
+
+const GB = 1024 * 1024 * 1024;
+const job = (id, status, extra = {}) => ({ id, status, size: 2 * GB, progress: 0, ...extra });
+const ids = (list) => list.map((entry) => entry.id).join(",");
+
+// A season of six episodes at every stage of the pipeline
+const season = [
+  job(1, "completed", { size_after: 1 * GB }),
+  job(2, "completed", { size_after: 0.5 * GB }),
+  job(3, "encoding", { progress: 50 }),
+  job(4, "awaiting_approval"),
+  job(5, "failed"),
+  job(6, "waiting"),
+];
+
+const tests = [
+  {
+    description: "Progression d'un job: un tiers par étape du pipeline",
+    run: () => [job(1, "waiting"), job(2, "downloading", { progress: 30 }), job(3, "ready_encode"), job(4, "encoding", { progress: 50 }), job(5, "uploading", { progress: 100 }), job(6, "skipped")].map((entry) => jobPipelineProgress(entry).toFixed(2)).join(" "),
+    expected: "0.00 0.10 0.33 0.50 1.00 1.00",
+  },
+  {
+    description: "Jobs en pause ou en échec: pas de progression",
+    run: () => [job(1, "paused", { progress: 80 }), job(2, "failed", { progress: 80 })].map(jobPipelineProgress).join(" "),
+    expected: "0 0",
+  },
+  {
+    description: "Résumé d'une saison: terminés, progression, taille gagnée",
+    run: () => {
+      const summary = summarizeBatch(season);
+      return `${summary.finished}/${summary.total} ${summary.progress}% ${summary.size / GB}GB saved=${summary.saved / GB}GB`;
+    },
+    expected: "2/6 52.8% 12GB saved=2.5GB",
+  },
+  {
+    description: "Statut du lot: un encodage en cours prime",
+    run: () => summarizeBatch(season).status,
+    expected: "active",
+  },
+  {
+    description: "Statut du lot: du plus urgent au terminé",
+    run: () =>
+      [{ awaiting_approval: 1, waiting: 2 }, { waiting: 1, failed: 1 }, { paused: 2, failed: 1 }, { failed: 1, completed: 3 }, { completed: 2, skipped: 1 }].map(batchStatus).join(" "),
+    expected: "awaiting_approval waiting paused failed completed",
+  },
+  {
+    description: "Lot vide",
+    run: () => {
+      const summary = summarizeBatch([]);
+      return `${summary.total} ${summary.progress} ${summary.status}`;
+    },
+    expected: "0 0 completed",
+  },
+  {
+    description: "Pause du lot: jobs pas encore en upload",
+    run: () => ids(batchActionTargets([...season, job(7, "uploading"), job(8, "ready_upload")], "pause")),
+    expected: "3,6,8",
+  },
+  {
+    description: "Relance / validation / reprise: jobs du statut correspondant",
+    run: () => [ids(batchActionTargets(season, "retry")), ids(batchActionTargets(season, "approve")), ids(batchActionTargets([job(9, "paused"), job(10, "waiting")], "resume"))].join(" "),
+    expected: "5 4 9",
+  },
+  {
+    description: "Suppression du lot: les jobs terminés restent dans l'historique",
+    run: () => ids(batchActionTargets(season, "remove")),
+    expected: "3,4,5,6",
+  },
+  {
+    description: "Action inconnue refusée",
+    run: () => {
+      try {
+        batchActionTargets(season, "explode");
+        return "accepted";
+      } catch (error) {
+        return error.message;
+      }
+    },
+    expected: "Unknown batch action: explode",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Lots de jobs validés!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
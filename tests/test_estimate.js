@@ -0,0 +1,155 @@
+/**
+ * test_estimate.js - Tests pour l'estimation taille / durée avant ajout à la file
+ *
+ * Valide les échantillons tirés de l'historique, le choix du groupe (codec,
+ * résolution, encodeur), les temps d'encodage / transfert et l'ETA du pipeline
+ * Lancer avec : node tests/test_estimate.js
+ */
+
+const { normalizeResolution, buildEstimatorModel, estimateFile, estimateBatch, simulatePipeline, pipelineFinishTimes } = require("../backend/estimate");
+
+console.log("🧪 Tests de l'estimation de la file\n");
+
+const GB = 1024 * 1024 * 1024;
+
+const completedJob = (overrides) => ({
+  status: "completed",
+  size: 10 * GB,
+  size_after: 4 * GB,
+  codec_before: "h264",
+  resolution: "1080p",
+  duration: 3600,
+  encoding_params: JSON.stringify({ encoder: "hevc_nvenc", codec_family: "HEVC" }),
+  timing_data: JSON.stringify({ download_duration: 100, encode_duration: 1200, upload_duration: 40 }),
+  ...overrides,
+});
+
+// 3 x H.264 1080p on NVENC (ratio 0.4, 3x real time), 3 x H.264 4K on x265 (ratio 0.8, 0.5x real time)
+const x265Job = {
+  size: 20 * GB,
+  size_after: 16 * GB,
+  resolution: "4K",
+  encoding_params: JSON.stringify({ encoder: "libx265", codec_family: "HEVC" }),
+  timing_data: JSON.stringify({ download_duration: 200, encode_duration: 7200, upload_duration: 160 }),
+};
+const history = [
+  completedJob({}),
+  completedJob({}),
+  completedJob({}),
+  completedJob(x265Job),
+  completedJob(x265Job),
+  completedJob(x265Job),
+  completedJob({ status: "failed", size_after: 1 }),
+  completedJob({ size_after: null }),
+];
+const model = buildEstimatorModel(history);
+const movie = { size: 5 * GB, codec: "h264", resolution: "1080p", duration: 1800 };
+
+const describe = (estimate) =>
+  `${estimate.sizeAfter === null ? null : (estimate.sizeAfter / GB).toFixed(1) + "GB"} ${estimate.encodeSeconds} ${estimate.downloadSeconds} ${estimate.uploadSeconds} ${estimate.basis} ${estimate.samples}`;
+
+const tests = [
+  {
+    description: "Résolutions normalisées (4K = 2160p, WxH)",
+    run: () => `${normalizeResolution("4K")} ${normalizeResolution("1920x1080")} ${normalizeResolution("720p")} ${normalizeResolution(null)}`,
+    expected: "2160p 1080p 720p null",
+  },
+  {
+    description: "Seuls les jobs terminés avec les deux tailles sont utilisés",
+    run: () => model.samples.length,
+    expected: 6,
+  },
+  {
+    description: "Groupe exact codec + résolution + encodeur",
+    run: () => describe(estimateFile(model, movie, "hevc_nvenc")),
+    expected: "2.0GB 600 50 20 codec+resolution+encoder 3",
+  },
+  {
+    description: "Codec source sans historique: repli sur résolution + encodeur",
+    run: () => describe(estimateFile(model, { ...movie, codec: "hevc" }, "hevc_nvenc")),
+    expected: "2.0GB 600 50 20 resolution+encoder 3",
+  },
+  {
+    description: "Résolution sans historique: repli sur l'encodeur",
+    run: () => describe(estimateFile(model, { ...movie, resolution: "720p" }, "libx265")),
+    expected: "4.0GB 3600 50 40 encoder 3",
+  },
+  {
+    description: "Encodeur jamais utilisé: médiane de tout l'historique",
+    run: () => describe(estimateFile(model, movie, "libsvtav1")),
+    expected: "3.0GB 1029 50 30 all 6",
+  },
+  {
+    description: "Durée inconnue: temps d'encodage d'après la taille",
+    run: () => estimateFile(model, { size: 5 * GB, codec: "h264", resolution: "1080p" }, "hevc_nvenc").encodeSeconds,
+    expected: 600,
+  },
+  {
+    description: "Aucun historique: pas d'estimation",
+    run: () => describe(estimateFile(buildEstimatorModel([]), movie, "hevc_nvenc")),
+    expected: "null null null null none 0",
+  },
+  {
+    description: "Pipeline: téléchargements et uploads recouvrent les encodages",
+    run: () =>
+      simulatePipeline([
+        { download: 10, encode: 30, upload: 5 },
+        { download: 10, encode: 30, upload: 5 },
+      ]),
+    expected: 75,
+  },
+  {
+    description: "Pipeline: fin de chaque job (ETA d'un lot = son dernier job)",
+    run: () =>
+      pipelineFinishTimes([
+        { download: 10, encode: 30, upload: 5 },
+        { download: 10, encode: 30, upload: 5 },
+        { download: 0, encode: 0, upload: 5 },
+      ]).join(" "),
+    expected: "45 75 80",
+  },
+  {
+    description: "Totaux d'une liste de fichiers",
+    run: () => {
+      const { totals } = estimateBatch(model, [movie, movie, { size: GB }], "hevc_nvenc");
+      return `${totals.count} ${totals.estimated} ${(totals.saved / GB).toFixed(1)}GB ${totals.encodeSeconds} ${totals.transferSeconds} ${totals.pipelineSeconds}`;
+    },
+    expected: "3 3 6.6GB 1320 154 1374",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Estimation de la file validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
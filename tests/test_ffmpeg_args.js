@@ -0,0 +1,205 @@
+/**
+ * test_ffmpeg_args.js - Tests "golden" du constructeur d'arguments FFmpeg
+ *
+ * Valide la ligne de commande complète générée pour chaque mode d'encodage
+ * (NVENC VBR/CBR/constqp, x265 HDR10, tone-mapping, SVT-AV1, VP9), l'ordre des filtres
+ * (crop avant scale), le two-pass, les segments et la sélection de pistes
+ * Lancer avec : node tests/test_ffmpeg_args.js
+ */
+
+const { buildEncodeArgs, PREVIEW_VIDEO_INFO } = require("../backend/ffmpeg-args");
+const { classifyHdr } = require("../backend/hdr");
+
+console.log("🧪 Tests du constructeur d'arguments FFmpeg\n");
+
+const gpu = { gpuAvailable: true };
+const cpu = { gpuAvailable: false };
+
+const hdr10Info = {
+  ...PREVIEW_VIDEO_INFO,
+  video: {
+    ...PREVIEW_VIDEO_INFO.video,
+    codec: "hevc",
+    width: 3840,
+    height: 2160,
+    pix_fmt: "yuv420p10le",
+    hdr: classifyHdr({ codec_name: "hevc", pix_fmt: "yuv420p10le", color_primaries: "bt2020", color_transfer: "smpte2084", color_space: "bt2020nc" }, [
+      {
+        side_data_type: "Mastering display metadata",
+        red_x: "34000/50000",
+        red_y: "16000/50000",
+        green_x: "13250/50000",
+        green_y: "34500/50000",
+        blue_x: "7500/50000",
+        blue_y: "3000/50000",
+        white_point_x: "15635/50000",
+        white_point_y: "16450/50000",
+        min_luminance: "50/10000",
+        max_luminance: "10000000/10000",
+      },
+      { side_data_type: "Content light level metadata", max_content: 1000, max_average: 400 },
+    ]),
+  },
+};
+const uhdInfo = { ...PREVIEW_VIDEO_INFO, video: { ...PREVIEW_VIDEO_INFO.video, width: 3840, height: 2160 } };
+const scopeAnalysis = { crop: { width: 3840, height: 1600, x: 0, y: 280, filter: "crop=3840:1600:0:280" } };
+
+const command = (config, videoInfo, overrides, environment) => buildEncodeArgs(config, videoInfo || PREVIEW_VIDEO_INFO, overrides, environment).commandLine;
+
+const tests = [
+  {
+    description: "NVENC vbr_hq: -cq, -b:v et -maxrate",
+    run: () => command({ rc_mode: "vbr_hq", cq: 24, bitrate: 5, maxrate: 8 }, null, {}, gpu),
+    expected: "ffmpeg -i input.mkv -y -c:v hevc_nvenc -preset p7 -rc vbr_hq -cq 24 -b:v 5M -maxrate 8M -pix_fmt p010le -g 96 -refs 4 -spatial-aq 1 -temporal-aq 1 -aq-strength 8 -bf 3 -b_ref_mode middle -rc-lookahead 32 -multipass fullres -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "NVENC cbr + two_pass: ni -2pass ni -cq ni -maxrate",
+    run: () => command({ rc_mode: "cbr", two_pass: true, bitrate: 6 }, null, {}, gpu),
+    expected: "ffmpeg -i input.mkv -y -c:v hevc_nvenc -preset p7 -rc cbr -b:v 6M -pix_fmt p010le -g 96 -refs 4 -spatial-aq 1 -temporal-aq 1 -aq-strength 8 -bf 3 -b_ref_mode middle -rc-lookahead 32 -multipass fullres -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "NVENC cbr: avertissement two_pass ignoré",
+    run: () => buildEncodeArgs({ rc_mode: "cbr", two_pass: true }, PREVIEW_VIDEO_INFO, {}, gpu).warnings.join(" | "),
+    expected: "rc=cbr: -cq 24 and -maxrate ignored (constant bitrate 5M) | two_pass ignored with rc=cbr: -2pass not sent",
+  },
+  {
+    description: "NVENC constqp: qualité envoyée en -qp",
+    run: () => command({ rc_mode: "constqp", cq: 22 }, null, {}, gpu),
+    expected: "ffmpeg -i input.mkv -y -c:v hevc_nvenc -preset p7 -rc constqp -qp 22 -pix_fmt p010le -g 96 -refs 4 -spatial-aq 1 -temporal-aq 1 -aq-strength 8 -bf 3 -b_ref_mode middle -rc-lookahead 32 -multipass fullres -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "NVENC vbr + two_pass sans multipass: -2pass 1",
+    run: () => command({ rc_mode: "vbr", two_pass: true, multipass: "disabled" }, null, {}, gpu),
+    expected: "ffmpeg -i input.mkv -y -c:v hevc_nvenc -preset p7 -rc vbr -cq 24 -b:v 5M -maxrate 8M -pix_fmt p010le -g 96 -refs 4 -spatial-aq 1 -temporal-aq 1 -aq-strength 8 -bf 3 -b_ref_mode middle -rc-lookahead 32 -multipass disabled -2pass 1 -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "x265 HDR10: 10-bit, SEI master-display / max-cll et tags couleur",
+    run: () => command({ crf: 20, cpu_preset: "slow", profile: "main10" }, hdr10Info, {}, cpu),
+    expected: "ffmpeg -i input.mkv -y -c:v libx265 -preset slow -crf 20 -profile:v main10 -pix_fmt yuv420p10le -x265-params \"log-level=error:hdr10=1:hdr10-opt=1:repeat-headers=1:colorprim=bt2020:transfer=smpte2084:colormatrix=bt2020nc:master-display=G(13250,34500)B(7500,3000)R(34000,16000)WP(15635,16450)L(10000000,50):max-cll=1000,400\" -color_primaries bt2020 -color_trc smpte2084 -colorspace bt2020nc -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "x265 HDR10 tone-mappé: filtre zscale/tonemap, Main 8-bit BT.709",
+    run: () => command({ profile: "main10", hdr: { tonemap: true } }, hdr10Info, {}, cpu),
+    expected: "ffmpeg -i input.mkv -y -vf zscale=tin=smpte2084:pin=bt2020:min=bt2020nc:rin=tv:t=linear:npl=100,format=gbrpf32le,zscale=p=bt709,tonemap=tonemap=hable:desat=0,zscale=t=bt709:m=bt709:r=tv,format=yuv420p -c:v libx265 -preset medium -crf 23 -profile:v main -pix_fmt yuv420p -x265-params log-level=error -color_primaries bt709 -color_trc bt709 -colorspace bt709 -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "SVT-AV1 CPU: preset, CRF et film grain",
+    run: () => command({ video_codec: "av1", av1_cpu_preset: 6, av1_crf: 30, av1_film_grain: 8 }, null, {}, cpu),
+    expected: "ffmpeg -i input.mkv -y -c:v libsvtav1 -preset 6 -crf 30 -pix_fmt yuv420p10le -g 96 -svtav1-params film-grain=8:film-grain-denoise=0 -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "AV1 NVENC: vbr_hq (absent d'av1_nvenc) envoyé en -rc vbr avec -multipass",
+    run: () => command({ video_codec: "av1_nvenc", rc_mode: "vbr_hq", multipass: "disabled" }, null, {}, gpu),
+    expected:
+      "ffmpeg -i input.mkv -y -c:v av1_nvenc -preset p5 -rc vbr -cq 32 -b:v 5M -maxrate 8M -pix_fmt p010le -g 96 -refs 4 -spatial-aq 1 -temporal-aq 1 -aq-strength 8 -bf 3 -b_ref_mode middle -rc-lookahead 32 -multipass fullres -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "AV1 NVENC: débruitage hqdn3d enregistré à part, sans film_grain",
+    run: () => {
+      const { commandLine, encodingParams } = buildEncodeArgs({ video_codec: "av1_nvenc", av1_nvenc_denoise: 4 }, PREVIEW_VIDEO_INFO, {}, gpu);
+      const svt = buildEncodeArgs({ video_codec: "av1", av1_film_grain: 8 }, PREVIEW_VIDEO_INFO, {}, cpu).encodingParams;
+      return `${commandLine.match(/-vf (\S+)/)[1]} denoise=${encodingParams.denoise} film_grain=${encodingParams.film_grain} / svt film_grain=${svt.film_grain} denoise=${svt.denoise}`;
+    },
+    expected: "hqdn3d=4:3:6:4.5 denoise=4 film_grain=undefined / svt film_grain=8 denoise=undefined",
+  },
+  {
+    description: "AV1 NVENC: modes pris en charge gardés tels quels",
+    run: () =>
+      ["vbr", "cbr", "constqp"]
+        .map((rc_mode) => {
+          const { outputArgs } = buildEncodeArgs({ video_codec: "av1_nvenc", rc_mode }, PREVIEW_VIDEO_INFO, {}, gpu);
+          return outputArgs[outputArgs.indexOf("-rc") + 1];
+        })
+        .join(" "),
+    expected: "vbr cbr constqp",
+  },
+  {
+    description: "VP9 CPU: CRF avec -b:v 0",
+    run: () => command({ video_codec: "vp9", crf: 31 }, null, {}, cpu),
+    expected: "ffmpeg -i input.mkv -y -c:v libvpx-vp9 -crf 31 -b:v 0 -cpu-used 2 -row-mt 1 -threads 0 -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "x265 two-pass, passe 1: stats (chemin entre quotes), vidéo seule vers la sortie nulle",
+    run: () => command({ two_pass: true }, null, { pass: 1, passLogFile: "C:\\temp\\twopass\\12\\twopass", outputPath: "NUL" }, cpu),
+    expected: "ffmpeg -i input.mkv -y -c:v libx265 -preset medium -crf 23 -x265-params \"log-level=error:pass=1:stats='C:/temp/twopass/12/twopass.log'\" -map 0:v:0 -an -sn -dn -f null NUL",
+  },
+  {
+    description: "VP9 two-pass, passe 2: même fichier de stats, pistes et audio",
+    run: () => command({ video_codec: "vp9", crf: 31, two_pass: true }, null, { pass: 2, passLogFile: "/tmp/twopass/12/twopass" }, cpu),
+    expected: "ffmpeg -i input.mkv -y -c:v libvpx-vp9 -crf 31 -b:v 0 -cpu-used 2 -row-mt 1 -threads 0 -pass 2 -passlogfile /tmp/twopass/12/twopass -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "VP9 two_pass sans passe demandée (échantillon): jamais de -pass 2 seul",
+    run: () => command({ video_codec: "vp9", crf: 31, two_pass: true }, null, {}, cpu),
+    expected: "ffmpeg -i input.mkv -y -c:v libvpx-vp9 -crf 31 -b:v 0 -cpu-used 2 -row-mt 1 -threads 0 -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "SVT-AV1 two_pass: non supporté, avertissement",
+    run: () => buildEncodeArgs({ video_codec: "av1", two_pass: true }, PREVIEW_VIDEO_INFO, {}, cpu).warnings.join(" | "),
+    expected: "two_pass not supported with SVT-AV1: single pass",
+  },
+  {
+    description: "Crop puis scale: la mise à l'échelle utilise la taille recadrée",
+    run: () => command({ resolution: { enabled: true, max_width: 1920, max_height: 1080 } }, uhdInfo, { sourceAnalysis: scopeAnalysis }, cpu),
+    expected: "ffmpeg -i input.mkv -y -vf crop=3840:1600:0:280,scale=1920:800:flags=lanczos -c:v libx265 -preset medium -crf 23 -x265-params log-level=error -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "Segment: -ss en entrée, -t et vidéo seule",
+    run: () => command({}, null, { segment: { start: 300.3, duration: 299.8 }, qualityOverride: 21 }, cpu),
+    expected: "ffmpeg -ss 300.3 -i input.mkv -y -t 299.8 -c:v libx265 -preset medium -crf 21 -x265-params log-level=error -map 0:v:0 -an -sn -dn output.mkv",
+  },
+  {
+    description: "Sélection de pistes + audio réencodé",
+    run: () => command({ audio_codec: "aac", audio_bitrate: 160, track_selection: { enabled: true, audio: { keep_languages: ["fre"], keep_original: false }, subtitles: { keep_languages: [] } } }, null, {}, cpu),
+    expected: "ffmpeg -i input.mkv -y -c:v libx265 -preset medium -crf 23 -x265-params log-level=error -map 0:v -map 0:a:1 -map 0:s:0 -map \"0:t?\" -disposition:a:0 default -c:s copy -c:a aac -b:a 160k output.mkv",
+  },
+  {
+    description: "Limite de charge: aucun -r (la cadence du fichier n'est jamais modifiée)",
+    run: () => command({ gpu_limit: 50 }, null, {}, gpu),
+    expected: "ffmpeg -i input.mkv -y -c:v hevc_nvenc -preset p7 -rc vbr_hq -cq 24 -b:v 5M -maxrate 8M -pix_fmt p010le -g 96 -refs 4 -spatial-aq 1 -temporal-aq 1 -aq-strength 8 -bf 3 -b_ref_mode middle -rc-lookahead 32 -multipass fullres -map 0 -c:s copy -c:a copy output.mkv",
+  },
+  {
+    description: "Chemins avec espaces: guillemets dans la ligne, argument unique dans argv",
+    run: () => {
+      const plan = buildEncodeArgs({}, PREVIEW_VIDEO_INFO, { inputPath: "/tmp/My Movie.mkv", outputPath: "/tmp/out.mkv" }, cpu);
+      return `${plan.argv[1]} | ${plan.commandLine.split(" -y ")[0]}`;
+    },
+    expected: "/tmp/My Movie.mkv | ffmpeg -i \"/tmp/My Movie.mkv\"",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Arguments FFmpeg validés!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
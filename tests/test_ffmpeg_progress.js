@@ -0,0 +1,120 @@
+/**
+ * test_ffmpeg_progress.js - Tests pour la lecture du flux -progress de FFmpeg
+ *
+ * Valide le découpage des blocs clé=valeur (même coupés entre deux lectures),
+ * la progression basée sur le temps encodé et l'estimation de la taille finale
+ * Lancer avec : node tests/test_ffmpeg_progress.js
+ */
+
+const { parseOutTime, parseProgressBlock, computeEncodeProgress, ProgressStreamParser } = require("../backend/ffmpeg-progress");
+
+console.log("🧪 Tests de la progression FFmpeg\n");
+
+const BLOCK = ["frame=1200", "fps=48.00", "stream_0_0_q=28.0", "bitrate=2450.3kbits/s", "total_size=15314944", "out_time_us=50050000", "out_time_ms=50050000", "out_time=00:00:50.050000", "dup_frames=0", "drop_frames=0", "speed=2.01x", "progress=continue", ""].join("\n");
+
+const readBlocks = (chunks) => {
+  const blocks = [];
+  const parser = new ProgressStreamParser((block) => blocks.push(block));
+  chunks.forEach((chunk) => parser.push(Buffer.from(chunk)));
+  return blocks;
+};
+
+const tests = [
+  {
+    description: "Bloc complet: temps, taille, débit, vitesse",
+    run: () => {
+      const [block] = readBlocks([BLOCK]);
+      return `${block.outTime}s ${block.totalSize}B ${block.bitrate}kb/s ${block.speed}x frame=${block.frame} fps=${block.fps} ended=${block.ended}`;
+    },
+    expected: "50.05s 15314944B 2450.3kb/s 2.01x frame=1200 fps=48 ended=false",
+  },
+  {
+    description: "Ligne coupée entre deux lectures stdout (CRLF Windows)",
+    run: () => {
+      const text = BLOCK.replace(/\n/g, "\r\n");
+      const blocks = readBlocks([text.slice(0, 37), text.slice(37, 120), text.slice(120)]);
+      return `${blocks.length} ${blocks[0].outTime} ${blocks[0].speed}`;
+    },
+    expected: "1 50.05 2.01",
+  },
+  {
+    description: "Premier bloc: N/A et temps négatif ignorés",
+    run: () => JSON.stringify(parseProgressBlock({ bitrate: "N/A", total_size: "N/A", out_time_us: "-9223372036854775807", out_time: "-577014:32:22.775808", speed: "N/A" })),
+    expected: '{"outTime":null,"totalSize":null,"bitrate":null,"speed":null,"frame":null,"fps":null,"ended":false}',
+  },
+  {
+    description: "Repli sur out_time (HH:MM:SS.micro)",
+    run: () => parseOutTime("01:02:03.500000"),
+    expected: 3723.5,
+  },
+  {
+    description: "Progression = temps encodé / durée sondée, taille extrapolée",
+    run: () => {
+      const result = computeEncodeProgress({ outTime: 300, totalSize: 50000000, ended: false }, 1200);
+      return `${result.percent}% ${result.currentTime}s size=${result.outputSize} estimated=${result.estimatedSize}`;
+    },
+    expected: "25% 300s size=50000000 estimated=200000000",
+  },
+  {
+    description: "Source VFR: temps au-delà de la durée sondée plafonné à 100%",
+    run: () => computeEncodeProgress({ outTime: 1210, totalSize: 1000, ended: false }, 1200).percent,
+    expected: 100,
+  },
+  {
+    description: "Début d'encodage (< 1%): pas d'estimation de taille",
+    run: () => computeEncodeProgress({ outTime: 5, totalSize: 400000, ended: false }, 1200).estimatedSize,
+    expected: null,
+  },
+  {
+    description: "Passe d'analyse (sortie nulle): ni taille ni estimation",
+    run: () => {
+      const result = computeEncodeProgress({ outTime: 600, totalSize: 0, ended: false }, 1200, { sizeKnown: false });
+      return `${result.percent}% ${result.outputSize} ${result.estimatedSize}`;
+    },
+    expected: "50% null null",
+  },
+  {
+    description: "progress=end: 100% même si la durée sondée est plus longue",
+    run: () => {
+      const [block] = readBlocks([BLOCK.replace("progress=continue", "progress=end")]);
+      return computeEncodeProgress(block, 52).percent;
+    },
+    expected: 100,
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Progression FFmpeg validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
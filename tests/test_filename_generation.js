@@ -94,6 +94,41 @@ const tests = [
     expected: "Movie.2024.1080p.vp9.SHARK.mp4",
     description: "Tag personnalisé SHARK avec VP9",
   },
+  {
+    input: "Movie [DTS][x264].mkv",
+    codec: "AV1",
+    tag: "Z3D",
+    expected: "Movie [DTS][AV1]-Z3D.mkv",
+    description: "AV1 - remplacement du tag codec entre crochets par [AV1]",
+  },
+  {
+    input: "Movie.2024.1080p.x264-NEO.mkv",
+    codec: "AV1",
+    tag: "Z3D",
+    expected: "Movie.2024.1080p.av1-Z3D.mkv",
+    description: "AV1 - remplacement du codec pointé par .av1",
+  },
+  {
+    input: "Movie.2024.HEVC.HDR.mkv",
+    codec: "AV1",
+    tag: "Z3D",
+    expected: "Movie.2024.av1.HDR-Z3D.mkv",
+    description: "AV1 - remplacement HEVC par .av1, conservation HDR",
+  },
+  {
+    input: "Movie.Title.2024.mkv",
+    codec: "AV1",
+    tag: "Z3D",
+    expected: "Movie.Title.2024.av1-Z3D.mkv",
+    description: "AV1 - ajout .av1 sur fichier sans codec",
+  },
+  {
+    input: "Movie.2024.1080p.av1-Z3D.mkv",
+    codec: "AV1",
+    tag: "Z3D",
+    expected: "Movie.2024.1080p.av1-Z3D.mkv",
+    description: "AV1 - fichier déjà correct (.av1 + tag)",
+  },
 ];
 
 let passed = 0;
@@ -132,9 +167,9 @@ if (failed === 0) {
 console.log("=".repeat(60));
 
 console.log("\n📝 Résumé:");
-console.log("  - Détection formats: h265, x265, hevc, vp9");
+console.log("  - Détection formats: h265, x265, hevc, vp9, av1");
 console.log("  - Insertion codec avant tag si manquant");
-console.log("  - Remplacement codec si changement HEVC ↔ VP9");
+console.log("  - Remplacement codec si changement HEVC ↔ VP9 ↔ AV1");
 console.log("  - Préservation du nom original");
 console.log("  - Support tags personnalisés");
 
@@ -0,0 +1,168 @@
+/**
+ * test_hdr_detection.js - Tests pour la détection HDR
+ *
+ * Valide la classification HDR10 / HDR10+ / HLG / Dolby Vision, la politique Dolby Vision,
+ * les arguments FFmpeg de conservation des métadonnées et le filtre de tone-mapping SDR
+ * Lancer avec : node tests/test_hdr_detection.js
+ */
+
+const { classifyHdr, detectHdrType, checkDolbyVision, buildHdrEncoderArgs, buildTonemapFilter } = require("../backend/hdr");
+
+console.log("🧪 Tests de détection HDR\n");
+
+const sdrStream = { codec_name: "h264", pix_fmt: "yuv420p", color_primaries: "bt709", color_transfer: "bt709", color_space: "bt709" };
+const hdr10Stream = { codec_name: "hevc", pix_fmt: "yuv420p10le", color_primaries: "bt2020", color_transfer: "smpte2084", color_space: "bt2020nc" };
+const hlgStream = { codec_name: "hevc", pix_fmt: "yuv420p10le", color_primaries: "bt2020", color_transfer: "arib-std-b67", color_space: "bt2020nc" };
+// fluent-ffmpeg flattens stream side data (DOVI configuration record) on the stream object
+const dvProfile8Stream = { ...hdr10Stream, side_data_type: "DOVI configuration record", dv_profile: 8, dv_level: 6, dv_bl_signal_compatibility_id: 1 };
+const dvProfile5Stream = { ...hdr10Stream, color_primaries: "unknown", side_data_type: "DOVI configuration record", dv_profile: 5, dv_bl_signal_compatibility_id: 0 };
+
+const frameSideData = [
+  {
+    side_data_type: "Mastering display metadata",
+    red_x: "34000/50000",
+    red_y: "16000/50000",
+    green_x: "13250/50000",
+    green_y: "34500/50000",
+    blue_x: "7500/50000",
+    blue_y: "3000/50000",
+    white_point_x: "15635/50000",
+    white_point_y: "16450/50000",
+    min_luminance: "50/10000",
+    max_luminance: "10000000/10000",
+  },
+  { side_data_type: "Content light level metadata", max_content: 1000, max_average: 400 },
+];
+
+const tests = [
+  {
+    description: "SDR: aucun badge",
+    run: () => String(detectHdrType(sdrStream)),
+    expected: "null",
+  },
+  {
+    description: "HDR10 (PQ) détecté depuis color_transfer",
+    run: () => detectHdrType(hdr10Stream),
+    expected: "HDR10",
+  },
+  {
+    description: "HLG détecté depuis color_transfer",
+    run: () => detectHdrType(hlgStream),
+    expected: "HLG",
+  },
+  {
+    description: "HDR10+ détecté via les métadonnées dynamiques de la 1re frame",
+    run: () => classifyHdr(hdr10Stream, [...frameSideData, { side_data_type: "HDR Dynamic Metadata SMPTE2094-40 (HDR10+)" }]).type,
+    expected: "HDR10+",
+  },
+  {
+    description: "Dolby Vision profil 8.1: couche de base HDR10",
+    run: () => {
+      const hdr = classifyHdr(dvProfile8Stream);
+      return `${hdr.type} p${hdr.dolby_vision.profile} ${hdr.dolby_vision.base_layer}`;
+    },
+    expected: "DV p8 HDR10",
+  },
+  {
+    description: "Mastering display et MaxCLL/MaxFALL lus depuis les side data",
+    run: () => {
+      const hdr = classifyHdr(hdr10Stream, frameSideData);
+      return `${hdr.mastering_display.luminance.join(",")} ${hdr.content_light.max_cll}/${hdr.content_light.max_fall} ${hdr.bit_depth}-bit`;
+    },
+    expected: "1000,0.005 1000/400 10-bit",
+  },
+  {
+    description: "Politique DV base_layer: profil 8 accepté et signalé",
+    run: () => {
+      const check = checkDolbyVision(classifyHdr(dvProfile8Stream), "base_layer");
+      return `${check.allowed} ${check.dolby_vision_dropped}`;
+    },
+    expected: "true true",
+  },
+  {
+    description: "Politique DV: profil 5 (sans couche compatible) toujours refusé",
+    run: () => String(checkDolbyVision(classifyHdr(dvProfile5Stream), "base_layer").allowed),
+    expected: "false",
+  },
+  {
+    description: "Politique DV refuse: profil 8 refusé",
+    run: () => String(checkDolbyVision(classifyHdr(dvProfile8Stream), "refuse").allowed),
+    expected: "false",
+  },
+  {
+    description: "x265: master-display et max-cll au format x265",
+    run: () => buildHdrEncoderArgs(classifyHdr(hdr10Stream, frameSideData), "libx265").x265Params.join(":"),
+    expected:
+      "hdr10=1:hdr10-opt=1:repeat-headers=1:colorprim=bt2020:transfer=smpte2084:colormatrix=bt2020nc:master-display=G(13250,34500)B(7500,3000)R(34000,16000)WP(15635,16450)L(10000000,50):max-cll=1000,400",
+  },
+  {
+    description: "SVT-AV1: mastering-display et content-light",
+    run: () => buildHdrEncoderArgs(classifyHdr(hdr10Stream, frameSideData), "libsvtav1").svtParams.join(":"),
+    expected: "enable-hdr=1:mastering-display=G(0.2650,0.6900)B(0.1500,0.0600)R(0.6800,0.3200)WP(0.3127,0.3290)L(1000.0,0.0050):content-light=1000,400",
+  },
+  {
+    description: "NVENC HLG: tags couleur uniquement",
+    run: () => {
+      const args = buildHdrEncoderArgs(classifyHdr(hlgStream), "hevc_nvenc");
+      return `${args.colorArgs.join(" ")} [${args.metadata}]`;
+    },
+    expected: "-color_primaries bt2020 -color_trc arib-std-b67 -colorspace bt2020nc [color_tags]",
+  },
+  {
+    description: "Tone-mapping HDR10 → SDR BT.709 (hable par défaut)",
+    run: () => buildTonemapFilter(classifyHdr(hdr10Stream)).filter,
+    expected: "zscale=tin=smpte2084:pin=bt2020:min=bt2020nc:rin=tv:t=linear:npl=100,format=gbrpf32le,zscale=p=bt709,tonemap=tonemap=hable:desat=0,zscale=t=bt709:m=bt709:r=tv,format=yuv420p",
+  },
+  {
+    description: "Tone-mapping HLG: transfert d'entrée HLG, algorithme inconnu → hable",
+    run: () => {
+      const tonemap = buildTonemapFilter(classifyHdr(hlgStream), { algorithm: "unknown", desat: 2 });
+      return `${tonemap.filter.split(",")[0]} ${tonemap.algorithm} ${tonemap.filter.includes("desat=2")}`;
+    },
+    expected: "zscale=tin=arib-std-b67:pin=bt2020:min=bt2020nc:rin=tv:t=linear:npl=100 hable true",
+  },
+  {
+    description: "SDR: aucun argument ajouté",
+    run: () => {
+      const args = buildHdrEncoderArgs(classifyHdr(sdrStream), "libx265");
+      return `${args.colorArgs.length + args.x265Params.length} [${args.metadata}]`;
+    },
+    expected: "0 [none]",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Détection HDR et tone-mapping validés!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
@@ -0,0 +1,136 @@
+/**
+ * test_job_overrides.js - Tests pour les réglages d'encodage par job
+ *
+ * Valide le nettoyage des overrides (valeurs vides, types) et leur fusion sur la
+ * config de base du job (qualité, preset de vitesse, audio, filtres)
+ * Lancer avec : node tests/test_job_overrides.js
+ */
+
+const { sanitizeOverrides, mergeEncodingOverrides, parseJobOverrides } = require("../backend/job-overrides");
+const { buildEncodeArgs, PREVIEW_VIDEO_INFO } = require("../backend/ffmpeg-args");
+
+console.log("🧪 Tests des réglages d'encodage par job\n");
+
+const base = {
+  video_codec: "hevc_nvenc",
+  cq: 24,
+  crf: 23,
+  encode_preset: "p7",
+  cpu_preset: "medium",
+  rate_control_mode: "target_vmaf",
+  audio_codec: "copy",
+  resolution: { enabled: true, max_width: 3840, max_height: 2160, scaler: "lanczos", exceptions: ["/4K"] },
+  hdr: { passthrough: true, tonemap: false },
+  track_selection: { enabled: true },
+};
+
+const tests = [
+  {
+    description: "Valeurs vides et clés inconnues ignorées",
+    run: () => JSON.stringify(sanitizeOverrides({ video_codec: "", quality: "20", speed_preset: null, bogus: 1, tonemap: "true" })),
+    expected: '{"quality":20,"tonemap":true}',
+  },
+  {
+    description: "Aucun override: config de base inchangée",
+    run: () => mergeEncodingOverrides(base, { quality: "" }) === base,
+    expected: true,
+  },
+  {
+    description: "Qualité: CQ et CRF fixes, target VMAF désactivé",
+    run: () => {
+      const merged = mergeEncodingOverrides(base, { quality: 20 });
+      return `${merged.cq} ${merged.crf} ${merged.rate_control_mode}`;
+    },
+    expected: "20 20 fixed",
+  },
+  {
+    description: "Qualité AV1: échelle AV1 (av1_cq / av1_crf)",
+    run: () => {
+      const merged = mergeEncodingOverrides(base, { video_codec: "libsvtav1", quality: 35 });
+      return `${merged.video_codec} ${merged.av1_crf} ${merged.av1_cq} ${merged.cq}`;
+    },
+    expected: "libsvtav1 35 35 24",
+  },
+  {
+    description: "Preset de vitesse selon l'encodeur",
+    run: () =>
+      [
+        mergeEncodingOverrides(base, { speed_preset: "p4" }).encode_preset,
+        mergeEncodingOverrides(base, { video_codec: "libx265", speed_preset: "slow" }).cpu_preset,
+        mergeEncodingOverrides(base, { video_codec: "libsvtav1", speed_preset: "4" }).av1_cpu_preset,
+        mergeEncodingOverrides(base, { video_codec: "av1_nvenc", speed_preset: "p3" }).av1_nvenc_preset,
+      ].join(" "),
+    expected: "p4 slow 4 p3",
+  },
+  {
+    description: "Hauteur max: plafond du job, exceptions de chemin ignorées",
+    run: () => {
+      const resolution = mergeEncodingOverrides(base, { max_height: 1080 }).resolution;
+      return `${resolution.enabled} ${resolution.max_width}x${resolution.max_height} ${resolution.scaler} ${resolution.exceptions.length}`;
+    },
+    expected: "true 1920x1080 lanczos 0",
+  },
+  {
+    description: "Hauteur max 0: résolution source",
+    run: () => mergeEncodingOverrides(base, { max_height: 0 }).resolution.enabled,
+    expected: false,
+  },
+  {
+    description: "Tone-mapping et audio, le reste de la config de base conservé",
+    run: () => {
+      const merged = mergeEncodingOverrides(base, { tonemap: true, audio_codec: "aac", audio_bitrate: 160 });
+      return `${merged.hdr.tonemap} ${merged.hdr.passthrough} ${merged.audio_codec} ${merged.audio_bitrate} ${merged.track_selection.enabled} ${base.hdr.tonemap}`;
+    },
+    expected: "true true aac 160 true false",
+  },
+  {
+    description: "Commande FFmpeg: CRF et preset du job (x265)",
+    run: () => {
+      const merged = mergeEncodingOverrides(base, { video_codec: "libx265", quality: 19, speed_preset: "slow" });
+      const plan = buildEncodeArgs(merged, PREVIEW_VIDEO_INFO, {}, { gpuAvailable: false });
+      return `${plan.encoder} ${plan.argv.includes("-crf") && plan.argv[plan.argv.indexOf("-crf") + 1]} ${plan.effectivePreset}`;
+    },
+    expected: "libx265 19 slow",
+  },
+  {
+    description: "Overrides du job illisibles: ignorés",
+    run: () => `${parseJobOverrides({ encoding_overrides: "{oops" })} ${parseJobOverrides({ encoding_overrides: '{"quality":18}' }).quality}`,
+    expected: "null 18",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Réglages par job validés!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
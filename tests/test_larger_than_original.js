@@ -0,0 +1,152 @@
+/**
+ * test_larger_than_original.js - Tests pour le blocage d'un encodage plus gros que l'original
+ *
+ * Valide qu'un job dont le fichier encodé dépasse la taille de l'original passe en échec une
+ * seule fois (erreur LARGER_THAN_ORIGINAL, jamais relancée) et garde ses fichiers pour inspection
+ * Lancer avec : node tests/test_larger_than_original.js
+ */
+
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+// In-memory jobs table: the real database file (db/jobs.db) is never touched
+const db = require("../backend/db");
+const jobs = new Map();
+const failures = [];
+db.updateJob = async (jobId, updates) => {
+  jobs.set(jobId, { ...jobs.get(jobId), ...updates });
+};
+db.markJobFailed = async (jobId, error) => {
+  failures.push({ jobId, error: error.message });
+  jobs.set(jobId, { ...jobs.get(jobId), status: "failed", error: error.message });
+};
+db.getAllJobs = async () => [...jobs.values()];
+db.getJobsByStatus = async (status) => [...jobs.values()].filter((job) => job.status === status);
+
+const { QueueManager } = require("../backend/queue");
+
+console.log("🧪 Tests du blocage des encodages plus gros que l'original\n");
+
+const run = async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "sharkoder-larger-"));
+  const storage = { local_temp: path.join(root, "temp"), local_backup: path.join(root, "backup") };
+  const job = { id: 1, filepath: "/Films/Movie.2024.mkv", size: 1000, status: "waiting", started_at: new Date().toISOString() };
+  jobs.set(job.id, { ...job });
+
+  const localPath = path.join(storage.local_temp, "downloaded", `${job.id}_${path.basename(job.filepath)}`);
+  await fs.outputFile(localPath, "original");
+
+  // Encoder whose output is 20 % larger than the source
+  const encoder = {
+    stopRequested: false,
+    gpuAvailable: false,
+    getVideoInfo: async (filePath) => ({
+      size: filePath === localPath ? 1000 : 1200,
+      duration: 60,
+      bitrate: 1000,
+      video: { codec: "h264", width: 1920, height: 1080, fps: 24, bitrate: 1000 },
+    }),
+    encodeVideo: async (inputPath, outputPath) => {
+      await fs.outputFile(outputPath, "encoded");
+      return { outputPath, encodingParams: { encoder: "libx265" } };
+    },
+  };
+
+  // Queue manager without its constructor (no real encoders, transfers or timers)
+  const queue = Object.create(QueueManager.prototype);
+  const cleanups = [];
+  const events = [];
+  Object.assign(queue, {
+    config: { storage, advanced: {} },
+    jobTimings: new Map(),
+    emit: (name, data) => events.push({ name, ...data }),
+    getSkipRules: async () => null,
+    runSourceAnalysis: async () => null,
+    verifyEncodedOutput: async () => {},
+    analyzeEncodedQuality: async () => ({}),
+    cleanupJobFiles: async (cleanedJob) => cleanups.push(cleanedJob.id),
+  });
+
+  await queue.runEncodingJob(job, { index: 0, encoder });
+
+  const encodedPath = path.join(storage.local_temp, "encoded", `${job.id}_${path.basename(job.filepath)}`);
+  const result = {
+    job: jobs.get(job.id),
+    failures,
+    cleanups,
+    failedEvents: events.filter((event) => event.name === "jobUpdate" && event.status === "failed").length,
+    history: JSON.parse(jobs.get(job.id).retry_history || "[]"),
+    kept: {
+      downloaded: await fs.pathExists(localPath),
+      encoded: await fs.pathExists(encodedPath),
+      backup: await fs.pathExists(path.join(storage.local_backup, "originals", "Films", "Movie.2024.mkv")),
+    },
+  };
+
+  await fs.remove(root);
+  return result;
+};
+
+(async () => {
+  const result = await run();
+
+  const tests = [
+    {
+      description: "Échec enregistré une seule fois",
+      run: () => `${result.failures.length} ${result.failedEvents} ${result.job.status}`,
+      expected: "1 1 failed",
+    },
+    {
+      description: "Erreur d'origine conservée (pas de ReferenceError)",
+      run: () => result.failures.map((failure) => failure.error.split(" (")[0]).join(" | "),
+      expected: "Encoded file is 20.0% larger than original",
+    },
+    {
+      description: "Une seule entrée d'historique, classée larger_than_original, sans relance",
+      run: () => `${result.history.length} ${result.history[0]?.class} ${result.history[0]?.retry_at} ${result.job.next_retry_at ?? null}`,
+      expected: "1 larger_than_original null null",
+    },
+    {
+      description: "Fichiers gardés pour inspection (aucun nettoyage)",
+      run: () => `${result.cleanups.length} ${result.kept.downloaded} ${result.kept.encoded} ${result.kept.backup}`,
+      expected: "0 true true true",
+    },
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  tests.forEach((test, index) => {
+    const output = test.run();
+
+    if (output === test.expected) {
+      console.log(`✅ Test ${index + 1}: ${test.description}`);
+      console.log(`   Output:   ${output}\n`);
+      passed++;
+    } else {
+      console.log(`❌ Test ${index + 1}: ${test.description}`);
+      console.log(`   Expected: ${test.expected}`);
+      console.log(`   Got:      ${output}\n`);
+      failed++;
+    }
+  });
+
+  // Résumé
+  console.log("=".repeat(60));
+  if (failed === 0) {
+    console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+  } else {
+    console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+    console.log(`✅ ${passed} test(s) réussi(s)`);
+  }
+  console.log("=".repeat(60));
+
+  if (failed === 0) {
+    console.log("\n🎉 Blocage des encodages plus gros validé!");
+    process.exit(0);
+  } else {
+    console.log("\n⚠️  Corrections nécessaires");
+    process.exit(1);
+  }
+})();
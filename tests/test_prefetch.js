@@ -0,0 +1,122 @@
+/**
+ * test_prefetch.js - Tests pour le préchargement des téléchargements
+ *
+ * Valide l'empreinte disque des jobs du pipeline, les limites lues dans la config
+ * et la décision de lancer (ou de faire attendre) le prochain téléchargement
+ * Lancer avec : node tests/test_prefetch.js
+ */
+
+const { GB, jobFootprint, pipelineFootprint, prefetchLimits, planPrefetch } = require("../backend/prefetch");
+
+console.log("🧪 Tests du préchargement des téléchargements\n");
+
+const job = (status, size, extra = {}) => ({ id: 1, status, size: size * GB, ...extra });
+const inGB = (bytes) => `${bytes / GB}`;
+const limits = prefetchLimits({ max_concurrent_downloads: 2, max_prefetch_files: 3, prefetch_budget_gb: 50 });
+const plan = (changes = {}) => {
+  const result = planPrefetch({ nextJob: job("waiting", 10), downloading: 0, prefetched: 0, footprint: 0, limits, ...changes });
+  return `${result.start} ${result.reason}`;
+};
+
+const tests = [
+  {
+    description: "Empreinte: source seule avant l'encodage, source + sortie ensuite",
+    run: () => [job("downloading", 4), job("ready_encode", 4), job("encoding", 4), job("ready_upload", 4, { size_after: 1 * GB }), job("waiting", 4), job("completed", 4)].map((j) => inGB(jobFootprint(j))).join(" "),
+    expected: "4 4 8 5 0 0",
+  },
+  {
+    description: "Empreinte du pipeline: somme des jobs",
+    run: () => inGB(pipelineFootprint([job("ready_encode", 10), job("encoding", 5), job("failed", 20)])),
+    expected: "20",
+  },
+  {
+    description: "Limites: valeurs de la config, bornées",
+    run: () => {
+      const { maxConcurrent, maxPrefetch, budgetBytes } = prefetchLimits({ max_concurrent_downloads: 9, max_prefetch_files: 0, prefetch_budget_gb: 1.5 });
+      return `${maxConcurrent} ${maxPrefetch} ${inGB(budgetBytes)}`;
+    },
+    expected: "5 1 1.5",
+  },
+  {
+    description: "Limites: au moins un fichier d'avance par slot d'encodage, sans budget par défaut",
+    run: () => {
+      const { maxConcurrent, maxPrefetch, budgetBytes } = prefetchLimits(undefined, 4);
+      return `${maxConcurrent} ${maxPrefetch} ${budgetBytes}`;
+    },
+    expected: "1 4 0",
+  },
+  {
+    description: "Pipeline vide: le téléchargement démarre",
+    run: () => plan(),
+    expected: "true null",
+  },
+  {
+    description: "Aucun job en attente",
+    run: () => plan({ nextJob: null }),
+    expected: "false empty",
+  },
+  {
+    description: "Téléchargements simultanés atteints",
+    run: () => plan({ downloading: 2, prefetched: 2 }),
+    expected: "false downloads",
+  },
+  {
+    description: "Assez de fichiers d'avance pour l'encodeur",
+    run: () => plan({ downloading: 1, prefetched: 3 }),
+    expected: "false prefetch",
+  },
+  {
+    description: "Budget dépassé: attend au lieu d'échouer",
+    run: () => `${plan({ prefetched: 1, footprint: 45 * GB })} / ${plan({ prefetched: 1, footprint: 40 * GB })}`,
+    expected: "false budget / true null",
+  },
+  {
+    description: "Fichier plus gros que le budget: passe seul quand le pipeline est vide",
+    run: () => `${plan({ nextJob: job("waiting", 80) })} / ${plan({ nextJob: job("waiting", 80), footprint: 1 * GB, prefetched: 1 })}`,
+    expected: "true oversized / false budget",
+  },
+  {
+    description: "Budget 0: seul l'espace disque libre compte",
+    run: () => {
+      const result = planPrefetch({ nextJob: job("waiting", 80), downloading: 0, prefetched: 0, footprint: 500 * GB, limits: prefetchLimits({}) });
+      return `${result.start} ${result.reason}`;
+    },
+    expected: "true null",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Préchargement des téléchargements validé!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
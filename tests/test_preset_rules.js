@@ -0,0 +1,127 @@
+/**
+ * test_preset_rules.js - Tests pour les presets automatiques
+ *
+ * Valide le choix de la règle (glob de chemin ou de nom, résolution, HDR),
+ * la fusion du preset avec les réglages globaux et le repli sans preset
+ * Lancer avec : node tests/test_preset_rules.js
+ */
+
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const { matchPresetRule, resolveJobPreset } = require("../backend/preset-rules");
+
+console.log("🧪 Tests des presets automatiques\n");
+
+const presetsDir = fs.mkdtempSync(path.join(os.tmpdir(), "sharkoder-presets-"));
+fs.writeJsonSync(path.join(presetsDir, "preset_Animation.json"), { name: "Animation", ffmpeg: { video_codec: "libx265", crf: 20, tune: "animation" } });
+fs.writeJsonSync(path.join(presetsDir, "UHD.json"), { name: "UHD", ffmpeg: { cq: 22 } });
+
+const presetRules = {
+  enabled: true,
+  rules: [
+    { pattern: "/Anime/**", preset: "Animation" },
+    { pattern: "/4K/**", preset: "UHD", hdr: true },
+    { pattern: "*grain*", preset: "FilmGrain" },
+    { pattern: "/Films/**", preset: "UHD", resolution: "2160p" },
+    { pattern: "", preset: "Empty" },
+  ],
+};
+const userConfig = { ffmpeg: { video_codec: "hevc_nvenc", cq: 26, track_selection: { enabled: true } }, preset_rules: presetRules };
+const matched = (file, rules = presetRules) => matchPresetRule(rules, file)?.pattern ?? null;
+
+const tests = [
+  {
+    description: "Glob de chemin: /Anime/** à toute profondeur",
+    run: () => matched({ path: "/Anime/Show/Season 1/E01.mkv" }),
+    expected: "/Anime/**",
+  },
+  {
+    description: "Motif sans / : comparé au nom de fichier seulement",
+    run: () => `${matched({ path: "/Films/Old.Film.GRAIN.mkv" })} ${matched({ path: "/grainy/Film.mkv" })}`,
+    expected: "*grain* null",
+  },
+  {
+    description: "Condition HDR (données du cache)",
+    run: () => `${matched({ path: "/4K/Film.mkv", hdr: "HDR10" })} ${matched({ path: "/4K/Film.mkv", hdr: null })}`,
+    expected: "/4K/** null",
+  },
+  {
+    description: "Condition de résolution (4K = 2160p)",
+    run: () => `${matched({ path: "/Films/Film.mkv", resolution: "4K" })} ${matched({ path: "/Films/Film.mkv", resolution: "1080p" })}`,
+    expected: "/Films/** null",
+  },
+  {
+    description: "Règles désactivées: aucune règle",
+    run: () => matched({ path: "/Anime/E01.mkv" }, { ...presetRules, enabled: false }),
+    expected: null,
+  },
+  {
+    description: "Preset fusionné sur les réglages globaux",
+    run: async () => {
+      const resolved = await resolveJobPreset(userConfig, { path: "/Anime/E01.mkv" }, presetsDir);
+      return `${resolved.presetName} ${resolved.ffmpeg.video_codec} crf=${resolved.ffmpeg.crf} cq=${resolved.ffmpeg.cq} tracks=${resolved.ffmpeg.track_selection.enabled}`;
+    },
+    expected: "Animation libx265 crf=20 cq=26 tracks=true",
+  },
+  {
+    description: "Fichier NAME.json accepté comme preset_NAME.json",
+    run: async () => (await resolveJobPreset(userConfig, { path: "/4K/Film.mkv", hdr: "HLG" }, presetsDir)).ffmpeg.cq,
+    expected: 22,
+  },
+  {
+    description: "Preset introuvable: réglages globaux, signalé",
+    run: async () => {
+      const resolved = await resolveJobPreset(userConfig, { path: "/Films/Film.grain.mkv" }, presetsDir);
+      return `${resolved.presetName} ${resolved.missingPreset} ${resolved.ffmpeg === userConfig.ffmpeg}`;
+    },
+    expected: "null FilmGrain true",
+  },
+  {
+    description: "Aucune règle: snapshot des réglages globaux",
+    run: async () => {
+      const resolved = await resolveJobPreset(userConfig, { path: "/Series/E01.mkv" }, presetsDir);
+      return `${resolved.presetName} ${resolved.rule} ${resolved.ffmpeg.cq}`;
+    },
+    expected: "null null 26",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+(async () => {
+  for (const [index, test] of tests.entries()) {
+    const result = await test.run();
+
+    if (result === test.expected) {
+      console.log(`✅ Test ${index + 1}: ${test.description}`);
+      console.log(`   Output:   ${result}\n`);
+      passed++;
+    } else {
+      console.log(`❌ Test ${index + 1}: ${test.description}`);
+      console.log(`   Expected: ${test.expected}`);
+      console.log(`   Got:      ${result}\n`);
+      failed++;
+    }
+  }
+  fs.removeSync(presetsDir);
+
+  // Résumé
+  console.log("=".repeat(60));
+  if (failed === 0) {
+    console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+  } else {
+    console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+    console.log(`✅ ${passed} test(s) réussi(s)`);
+  }
+  console.log("=".repeat(60));
+
+  if (failed === 0) {
+    console.log("\n🎉 Presets automatiques validés!");
+    process.exit(0);
+  } else {
+    console.log("\n⚠️  Corrections nécessaires");
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,127 @@
+/**
+ * test_queue_order.js - Tests pour les priorités et l'ordre manuel de la file
+ *
+ * Valide l'ordre de traitement (priorité puis position), les déplacements (en tête,
+ * monter, descendre, glisser-déposer) et la priorité prise en passant un autre niveau
+ * Lancer avec : node tests/test_queue_order.js
+ */
+
+const { clampPriority, sortByQueueOrder, moveInQueue } = require("../backend/queue-order");
+
+console.log("🧪 Tests de l'ordre de la file\n");
+
+// Five waiting jobs: 4 is high priority, the others normal in insertion order
+const jobs = [
+  { id: 1, priority: 0, position: 1 },
+  { id: 2, priority: 0, position: 2 },
+  { id: 3, priority: 0, position: 5 },
+  { id: 4, priority: 1, position: 7 },
+  { id: 5, priority: 0, position: 9 },
+];
+
+const ids = (list) => list.map((job) => job.id).join(",");
+const order = (result) => (result ? result.positions.map((entry) => entry.id).join(",") : "null");
+const positions = (result) => result.positions.map((entry) => `${entry.id}@${entry.position}`).join(" ");
+
+const tests = [
+  {
+    description: "Ordre de traitement: priorité puis position",
+    run: () => ids(sortByQueueOrder(jobs)),
+    expected: "4,1,2,3,5",
+  },
+  {
+    description: "Anciens jobs sans position: ordre d'insertion (id)",
+    run: () => ids(sortByQueueOrder([{ id: 3 }, { id: 1, priority: null }, { id: 2, position: null }])),
+    expected: "1,2,3",
+  },
+  {
+    description: "Priorité bornée aux niveaux supportés",
+    run: () => [clampPriority(5), clampPriority(-3), clampPriority("1"), clampPriority(undefined)].join(" "),
+    expected: "2 -1 1 0",
+  },
+  {
+    description: "Descendre: échange avec le job suivant",
+    run: () => order(moveInQueue(jobs, 1, "down")),
+    expected: "4,2,1,3,5",
+  },
+  {
+    description: "Positions du groupe redistribuées (les autres statuts ne bougent pas)",
+    run: () => positions(moveInQueue(jobs, 5, "up")),
+    expected: "4@1 1@2 2@5 5@7 3@9",
+  },
+  {
+    description: "En tête de file: prend la priorité du premier job",
+    run: () => {
+      const result = moveInQueue(jobs, 5, "top");
+      return `${order(result)} priority=${result.priority}`;
+    },
+    expected: "5,4,1,2,3 priority=1",
+  },
+  {
+    description: "Monter au-dessus d'un job prioritaire: prend sa priorité",
+    run: () => {
+      const result = moveInQueue(jobs, 1, "up");
+      return `${order(result)} priority=${result.priority}`;
+    },
+    expected: "1,4,2,3,5 priority=1",
+  },
+  {
+    description: "Descendre sous des jobs normaux: un job prioritaire perd sa priorité",
+    run: () => {
+      const result = moveInQueue(jobs, 4, { to: 3 });
+      return `${order(result)} priority=${result.priority}`;
+    },
+    expected: "1,2,3,4,5 priority=0",
+  },
+  {
+    description: "Glisser-déposer vers le haut: à la place du job cible",
+    run: () => order(moveInQueue(jobs, 5, { to: 2 })),
+    expected: "4,1,5,2,3",
+  },
+  {
+    description: "Déjà en tête / en bas: ordre inchangé",
+    run: () => `${order(moveInQueue(jobs, 4, "up"))} ${order(moveInQueue(jobs, 5, "bottom"))}`,
+    expected: "4,1,2,3,5 4,1,2,3,5",
+  },
+  {
+    description: "Job ou cible absents du groupe: null",
+    run: () => `${order(moveInQueue(jobs, 42, "top"))} ${order(moveInQueue(jobs, 1, { to: 42 }))}`,
+    expected: "null null",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Ordre de la file validé!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
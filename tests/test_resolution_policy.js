@@ -0,0 +1,99 @@
+/**
+ * test_resolution_policy.js - Tests pour le plafond de résolution
+ *
+ * Valide le calcul de la taille cible (ratio conservé, dimensions paires),
+ * les exceptions par chemin et le tag de résolution du nom de fichier
+ * Lancer avec : node tests/test_resolution_policy.js
+ */
+
+const { computeTargetResolution, matchPathException } = require("../backend/resolution");
+const { generateOutputFilename } = require("../backend/utils");
+
+console.log("🧪 Tests du plafond de résolution\n");
+
+const policy = { enabled: true, max_width: 1920, max_height: 1080, scaler: "lanczos", exceptions: ["/4K"] };
+const size = (result) => (result.scale ? `${result.width}x${result.height} ${result.label}` : "unchanged");
+
+const tests = [
+  {
+    description: "UHD 16:9 → 1080p",
+    run: () => size(computeTargetResolution(3840, 2160, policy, "/Films/Movie.mkv")),
+    expected: "1920x1080 1080p",
+  },
+  {
+    description: "UHD scope 2.39:1 → largeur 1920, hauteur paire",
+    run: () => size(computeTargetResolution(3840, 1606, policy, "/Films/Movie.mkv")),
+    expected: "1920x802 1080p",
+  },
+  {
+    description: "Source déjà dans le plafond: pas de mise à l'échelle",
+    run: () => size(computeTargetResolution(1920, 1080, policy, "/Films/Movie.mkv")),
+    expected: "unchanged",
+  },
+  {
+    description: "Exception /4K: résolution d'origine conservée",
+    run: () => size(computeTargetResolution(3840, 2160, policy, "/Films/4K/Movie.mkv")),
+    expected: "unchanged",
+  },
+  {
+    description: "Exception sur un segment complet uniquement (/4K-Remaster ne correspond pas)",
+    run: () => String(matchPathException("/Films/4K-Remaster/Movie.mkv", ["/4K"])),
+    expected: "null",
+  },
+  {
+    description: "Politique désactivée: pas de mise à l'échelle",
+    run: () => size(computeTargetResolution(3840, 2160, { ...policy, enabled: false })),
+    expected: "unchanged",
+  },
+  {
+    description: "Filtre scale avec l'algorithme configuré",
+    run: () => computeTargetResolution(3840, 2160, { ...policy, scaler: "spline" }).filter,
+    expected: "scale=1920:1080:flags=spline",
+  },
+  {
+    description: "Nom de fichier: 2160p → 1080p",
+    run: () => generateOutputFilename("Movie.2024.2160p.UHD.BluRay.x265-NEO.mkv", "HEVC", "Z3D", null, { resolution: "1080p" }),
+    expected: "Movie.2024.1080p.BluRay.x265-Z3D.mkv",
+  },
+  {
+    description: "Nom de fichier: [4K] → [1080p]",
+    run: () => generateOutputFilename("Movie (2024) [4K][x265].mkv", "HEVC", "Z3D", null, { resolution: "1080p" }),
+    expected: "Movie (2024) [1080p][x265]-Z3D.mkv",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Plafond de résolution validé!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
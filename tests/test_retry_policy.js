@@ -0,0 +1,132 @@
+/**
+ * test_retry_policy.js - Tests pour la relance automatique des étapes en échec
+ *
+ * Valide la classification des erreurs (réseau, disque plein, FFmpeg, fichier plus gros),
+ * les délais exponentiels et la décision de relancer (ou non) un téléchargement, un encodage ou un upload
+ * Lancer avec : node tests/test_retry_policy.js
+ */
+
+const { classifyError, retrySettings, retryDelay, planRetry, parseRetryHistory, isRetryDue } = require("../backend/retry-policy");
+
+console.log("🧪 Tests de la relance automatique\n");
+
+const withCode = (message, code) => Object.assign(new Error(message), { code });
+const settings = retrySettings({ base_delay: 30, max_delay: 300, max_retries: { download: 2, encode: 1, upload: 3 } });
+const now = Date.parse("2025-01-01T12:00:00.000Z");
+const attempts = (stage, count) => Array.from({ length: count }, () => ({ stage, class: "network", retry_at: "2025-01-01T11:00:00.000Z" }));
+const plan = (stage, error, history = []) => {
+  const result = planRetry({ stage, error, history, settings, now });
+  return `${result.retry} ${result.errorClass} ${result.attempt}/${result.maxRetries}`;
+};
+
+const tests = [
+  {
+    description: "Erreurs réseau: codes système et messages SFTP",
+    run: () => [withCode("read ECONNRESET", "ECONNRESET"), withCode("getaddrinfo", "ENOTFOUND"), new Error("No SFTP connection available"), new Error("Operation timed out")].map(classifyError).join(" "),
+    expected: "network network network network",
+  },
+  {
+    description: "Disque plein: ENOSPC et contrôle d'espace avant l'étape",
+    run: () => [withCode("write failed", "ENOSPC"), new Error("Espace disque insuffisant! Requis: 10 GB")].map(classifyError).join(" "),
+    expected: "disk_full disk_full",
+  },
+  {
+    description: "Erreurs FFmpeg et vérification: fatales",
+    run: () => [new Error("ffmpeg exited with code 1: Invalid data found when processing input"), new Error("Verification failed: 2 decode error(s)")].map(classifyError).join(" "),
+    expected: "ffmpeg_fatal ffmpeg_fatal",
+  },
+  {
+    description: "Fichier encodé plus gros que l'original, erreur inconnue",
+    run: () => [withCode("Encoded file is 12.0% larger than original", "LARGER_THAN_ORIGINAL"), new Error("No such file")].map(classifyError).join(" "),
+    expected: "larger_than_original unknown",
+  },
+  {
+    description: "Délais exponentiels plafonnés",
+    run: () => [1, 2, 3, 4, 5].map((attempt) => retryDelay(attempt, settings)).join(" "),
+    expected: "30 60 120 240 300",
+  },
+  {
+    description: "Réglages par défaut",
+    run: () => {
+      const defaults = retrySettings(undefined);
+      return `${defaults.enabled} ${defaults.baseDelay} ${defaults.maxDelay} ${defaults.maxRetries.download}/${defaults.maxRetries.encode}/${defaults.maxRetries.upload}`;
+    },
+    expected: "true 30 1800 3/1/5",
+  },
+  {
+    description: "Échec réseau au téléchargement: relancé, retour en attente avec l'heure de relance",
+    run: () => {
+      const result = planRetry({ stage: "download", error: withCode("reset", "ECONNRESET"), history: [], settings, now });
+      return `${result.retry} ${result.status} ${result.delay} ${result.retryAt}`;
+    },
+    expected: "true waiting 30 2025-01-01T12:00:30.000Z",
+  },
+  {
+    description: "Essais comptés par étape: l'upload garde ses relances après celles du téléchargement",
+    run: () => `${plan("download", withCode("reset", "ECONNRESET"), attempts("download", 2))} / ${plan("upload", withCode("reset", "ECONNRESET"), attempts("download", 2))}`,
+    expected: "false network 2/2 / true network 1/3",
+  },
+  {
+    description: "Erreur FFmpeg à l'encodage: jamais relancée",
+    run: () => plan("encode", new Error("ffmpeg exited with code 1")),
+    expected: "false ffmpeg_fatal 0/1",
+  },
+  {
+    description: "Disque plein à l'encodage: relancé, retour en ready_encode",
+    run: () => {
+      const result = planRetry({ stage: "encode", error: withCode("no space", "ENOSPC"), history: [], settings, now });
+      return `${result.retry} ${result.status}`;
+    },
+    expected: "true ready_encode",
+  },
+  {
+    description: "Relance désactivée ou 0 essai: échec direct",
+    run: () => {
+      const disabled = planRetry({ stage: "upload", error: withCode("reset", "ECONNRESET"), history: [], settings: retrySettings({ enabled: false }), now });
+      const none = planRetry({ stage: "upload", error: withCode("reset", "ECONNRESET"), history: [], settings: retrySettings({ max_retries: { upload: 0 } }), now });
+      return `${disabled.retry} ${none.retry}`;
+    },
+    expected: "false false",
+  },
+  {
+    description: "Historique illisible ignoré, relance due à l'heure prévue",
+    run: () => `${parseRetryHistory({ retry_history: "{oops" }).length} ${isRetryDue({}, now)} ${isRetryDue({ next_retry_at: "2025-01-01T12:00:30.000Z" }, now)} ${isRetryDue({ next_retry_at: "2025-01-01T11:59:00.000Z" }, now)}`,
+    expected: "0 true false true",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Relance automatique validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
@@ -0,0 +1,135 @@
+/**
+ * test_segmented_encoding.js - Tests pour l'encodage segmenté
+ *
+ * Valide la lecture des keyframes, le plan de segments, la décision de reprise
+ * et les arguments de mux (pistes prises dans la source)
+ * Lancer avec : node tests/test_segmented_encoding.js
+ */
+
+const { parseKeyframes, planSegments, computeSettingsKey, checkResumable, buildConcatList, MANIFEST_VERSION } = require("../backend/segments");
+const { selectTracks, buildMuxMapArgs } = require("../backend/tracks");
+
+console.log("🧪 Tests de l'encodage segmenté\n");
+
+// Keyframe every 4s on a 30 minute file
+const keyframes = Array.from({ length: 450 }, (_, i) => i * 4);
+const describe = (segments) => segments.map((segment) => `${segment.start}-${segment.end}`).join(" ");
+
+const ffmpegConfig = { video_codec: "libx265", crf: 22, segmented_encoding: { enabled: true, segment_duration: 300 } };
+const key = computeSettingsKey(ffmpegConfig, { sourceFilters: [] });
+const manifest = {
+  version: MANIFEST_VERSION,
+  source: { size: 1000, duration: 1800 },
+  settings_key: key,
+  segments: [
+    { index: 0, start: 0, end: 900, done: true },
+    { index: 1, start: 900, end: 1800, done: false },
+  ],
+};
+
+const videoInfo = {
+  audio: [
+    { index: 0, codec: "dts", language: "eng", default: true },
+    { index: 1, codec: "ac3", language: "fre", default: false },
+  ],
+  subtitles: [{ index: 0, codec: "subrip", language: "fre", forced: false }],
+};
+
+const tests = [
+  {
+    description: "Keyframes lues depuis les paquets ffprobe (flag K uniquement)",
+    run: () => parseKeyframes("0.000000,K__\n0.041708,___\n4.004000,K_\n\n8.008000,K__\n").join(","),
+    expected: "0,4.004,8.008",
+  },
+  {
+    description: "Segments de 5 min alignés sur les keyframes",
+    run: () => describe(planSegments(keyframes, 1800, 300)),
+    expected: "0-300 300-600 600-900 900-1200 1200-1500 1500-1800",
+  },
+  {
+    description: "Keyframes irrégulières: coupe sur la première keyframe après la durée cible",
+    run: () => describe(planSegments([0, 7, 290, 310, 650, 700], 900, 300)),
+    expected: "0-310 310-650 650-900",
+  },
+  {
+    description: "Pas de dernier segment minuscule (fusionné avec le précédent)",
+    run: () => describe(planSegments([0, 300, 600, 680], 700, 300)),
+    expected: "0-300 300-700",
+  },
+  {
+    description: "Fichier plus court qu'un segment: un seul segment",
+    run: () => describe(planSegments([0, 4, 8], 120, 300)),
+    expected: "0-120",
+  },
+  {
+    description: "Clé de paramètres: la durée de segment n'invalide pas les segments",
+    run: () => String(computeSettingsKey({ ...ffmpegConfig, segmented_encoding: { segment_duration: 600 } }, { sourceFilters: [] }) === key),
+    expected: "true",
+  },
+  {
+    description: "Reprise possible: même source, mêmes réglages",
+    run: () => checkResumable(manifest, { size: 1000, duration: 1800 }, key).reason,
+    expected: "1/2 segments already encoded",
+  },
+  {
+    description: "Réglages modifiés (CRF): segments abandonnés",
+    run: () => checkResumable(manifest, { size: 1000, duration: 1800 }, computeSettingsKey({ ...ffmpegConfig, crf: 24 }, { sourceFilters: [] })).reason,
+    expected: "encoding settings changed",
+  },
+  {
+    description: "Source re-téléchargée différente: segments abandonnés",
+    run: () => checkResumable(manifest, { size: 1200, duration: 1800 }, key).reason,
+    expected: "source file changed",
+  },
+  {
+    description: "Liste concat (apostrophes échappées, séparateurs /)",
+    run: () => buildConcatList(["C:\\temp\\segments\\1\\segment_0000.mkv", "/tmp/l'été/segment_0001.mkv"]),
+    expected: "file 'C:/temp/segments/1/segment_0000.mkv'\nfile '/tmp/l'\\''été/segment_0001.mkv'\n",
+  },
+  {
+    description: "Mux sans sélection: toutes les pistes audio / sous-titres de la source",
+    run: () => buildMuxMapArgs(selectTracks(videoInfo, { enabled: false }), 1).join(" "),
+    expected: "-map 1:a? -map 1:s? -map 1:t?",
+  },
+  {
+    description: "Mux avec sélection: pistes conservées prises dans l'entrée 1, vidéo exclue",
+    run: () => buildMuxMapArgs(selectTracks(videoInfo, { enabled: true, audio: { keep_languages: ["fre"], keep_original: false }, subtitles: { keep_languages: ["fre"] } }), 1).join(" "),
+    expected: "-map 1:a:1 -map 1:s:0 -map 1:t? -disposition:a:0 default",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Encodage segmenté validé!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
@@ -0,0 +1,121 @@
+/**
+ * test_skip_rules.js - Tests pour les règles d'exclusion de la file
+ *
+ * Valide les globs de chemins, les tags de nom de fichier, la taille minimale,
+ * les codecs et le seuil de bits par pixel (cache et probe)
+ * Lancer avec : node tests/test_skip_rules.js
+ */
+
+const { globToRegExp, bitsPerPixel, evaluateSkipRules } = require("../backend/skip-rules");
+
+console.log("🧪 Tests des règles d'exclusion\n");
+
+const MB = 1024 * 1024;
+
+const rules = {
+  enabled: true,
+  min_size_mb: 200,
+  max_bits_per_pixel: 0.05,
+  codecs: ["av1"],
+  filename_tags: ["x265", "HEVC"],
+  path_globs: ["/Kids/**", "/Series/*/Extras/*"],
+};
+const movie = { path: "/Films/Film (2020)/Film.2020.1080p.BluRay.x264.mkv", size: 8000 * MB, codec: "h264", bitrate: 10000000, resolution: "1080p" };
+const reason = (file, customRules = rules) => {
+  const result = evaluateSkipRules(customRules, file);
+  return result ? `${result.rule}: ${result.reason}` : null;
+};
+
+const tests = [
+  {
+    description: "Glob ** : n'importe quelle profondeur",
+    run: () => `${globToRegExp("/Kids/**").test("/Kids/Film/Film.mkv")} ${globToRegExp("/Kids/**").test("/KidsOld/Film.mkv")}`,
+    expected: "true false",
+  },
+  {
+    description: "Glob * : un seul niveau de dossier",
+    run: () => `${globToRegExp("/Series/*/Extras/*").test("/series/Show/Extras/a.mkv")} ${globToRegExp("/Series/*/Extras/*").test("/Series/Show/S01/Extras/a.mkv")}`,
+    expected: "true false",
+  },
+  {
+    description: "Fichier ordinaire: encodé",
+    run: () => reason(movie),
+    expected: null,
+  },
+  {
+    description: "Règles désactivées: rien n'est exclu",
+    run: () => reason({ ...movie, size: MB }, { ...rules, enabled: false }),
+    expected: null,
+  },
+  {
+    description: "Chemin exclu par glob",
+    run: () => reason({ ...movie, path: "/Kids/Cartoon/Cartoon.mkv" }),
+    expected: 'path_glob: Path matches "/Kids/**"',
+  },
+  {
+    description: "Tag du nom de fichier comparé mot par mot",
+    run: () => `${reason({ ...movie, path: "/Films/Film.2020.1080p.hevc-GRP.mkv" })} | ${reason({ ...movie, path: "/Films/Film.x2650.mkv" })}`,
+    expected: 'filename_tag: Filename tagged "HEVC" | null',
+  },
+  {
+    description: "Fichier trop petit",
+    run: () => reason({ ...movie, size: 150 * MB }),
+    expected: "min_size: Smaller than 200 MB (150 MB)",
+  },
+  {
+    description: "Codec source exclu",
+    run: () => reason({ ...movie, codec: "AV1" }),
+    expected: "codec: Source already av1",
+  },
+  {
+    description: "Bits par pixel depuis le cache (libellé de résolution, 24 fps)",
+    run: () => `${bitsPerPixel({ bitrate: 2000000, resolution: "1080p" }).toFixed(4)} ${reason({ ...movie, bitrate: 2000000 })}`,
+    expected: "0.0402 bits_per_pixel: 0.040 bits/pixel, below 0.05",
+  },
+  {
+    description: "Bits par pixel après probe (taille et fps exacts)",
+    run: () => reason({ ...movie, bitrate: 3000000, width: 1920, height: 800, fps: 23.976 }),
+    expected: null,
+  },
+  {
+    description: "Débit inconnu: règle des bits par pixel ignorée",
+    run: () => `${bitsPerPixel({ resolution: "4K" })} ${reason({ ...movie, bitrate: null })}`,
+    expected: "null null",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Règles d'exclusion validées!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
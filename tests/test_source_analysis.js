@@ -0,0 +1,118 @@
+/**
+ * test_source_analysis.js - Tests pour la détection crop / entrelacement
+ *
+ * Valide le parsing des sorties cropdetect / idet, le choix d'un recadrage stable
+ * sur plusieurs segments et la décision de désentrelacement
+ * Lancer avec : node tests/test_source_analysis.js
+ */
+
+const { parseCropdetectLine, parseIdetLine, decideCrop, decideDeinterlace, pickSegmentStarts, buildSourceFilters } = require("../backend/analysis");
+
+console.log("🧪 Tests de détection crop / entrelacement\n");
+
+const cropLine = "[Parsed_cropdetect_1 @ 0x5581] x1:0 x2:1919 y1:138 y2:941 w:1920 h:800 x:0 y:140 pts:250250 t:10.427083 limit:0.094000 crop=1920:800:0:140";
+const idetLine = "[Parsed_idet_0 @ 0x5580] Multi frame detection: TFF:   212 BFF:     0 Progressive:    18 Undetermined:    20";
+
+const scope = { width: 1920, height: 800, x: 0, y: 140 };
+const darkScene = { width: 1920, height: 640, x: 0, y: 220 };
+const blackSegment = { width: -1904, height: -1064, x: 1912, y: 1072 };
+
+const tests = [
+  {
+    description: "Parsing cropdetect",
+    run: () => JSON.stringify(parseCropdetectLine(cropLine)),
+    expected: '{"width":1920,"height":800,"x":0,"y":140}',
+  },
+  {
+    description: "Parsing idet (détection multi-frames)",
+    run: () => JSON.stringify(parseIdetLine(idetLine)),
+    expected: '{"tff":212,"bff":0,"progressive":18,"undetermined":20}',
+  },
+  {
+    description: "Film scope 2.39:1: bandes noires supprimées",
+    run: () => decideCrop([scope, scope, scope], 1920, 1080).filter,
+    expected: "crop=1920:800:0:140",
+  },
+  {
+    description: "Scène sombre sur un segment: union des zones actives (crop le moins agressif)",
+    run: () => decideCrop([scope, darkScene, scope], 1920, 1080).filter,
+    expected: "crop=1920:800:0:140",
+  },
+  {
+    description: "Segment entièrement noir ignoré",
+    run: () => decideCrop([blackSegment, scope], 1920, 1080).filter,
+    expected: "crop=1920:800:0:140",
+  },
+  {
+    description: "Recadrage inférieur au minimum: pas de crop",
+    run: () => String(decideCrop([{ width: 1920, height: 1076, x: 0, y: 2 }], 1920, 1080, { min_crop: 8 })),
+    expected: "null",
+  },
+  {
+    description: "Dimensions et offsets impairs arrondis au pair",
+    run: () => decideCrop([{ width: 1437, height: 1079, x: 241, y: 1 }], 1920, 1080).filter,
+    expected: "crop=1438:1080:240:0",
+  },
+  {
+    description: "DVD entrelacé TFF → bwdif",
+    run: () => decideDeinterlace(parseIdetLine(idetLine)).filter,
+    expected: "bwdif=mode=send_frame:parity=tff:deint=all",
+  },
+  {
+    description: "Entrelacement BFF avec yadif",
+    run: () => decideDeinterlace({ tff: 3, bff: 180, progressive: 40, undetermined: 0 }, { deinterlacer: "yadif" }).filter,
+    expected: "yadif=mode=send_frame:parity=bff:deint=all",
+  },
+  {
+    description: "Source progressive (quelques faux positifs): pas de désentrelacement",
+    run: () => String(decideDeinterlace({ tff: 12, bff: 4, progressive: 1400, undetermined: 30 })),
+    expected: "null",
+  },
+  {
+    description: "Segments répartis hors générique (6 × 10s sur 1h)",
+    run: () => pickSegmentStarts(3600, 6, 10).join(","),
+    expected: "595,1075,1555,2035,2515,2995",
+  },
+  {
+    description: "Ordre des filtres: désentrelacement puis crop",
+    run: () =>
+      buildSourceFilters({ crop: decideCrop([scope], 1920, 1080), deinterlace: decideDeinterlace({ tff: 200, bff: 0, progressive: 0, undetermined: 0 }) }).join(","),
+    expected: "bwdif=mode=send_frame:parity=tff:deint=all,crop=1920:800:0:140",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Détection crop / entrelacement validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
@@ -0,0 +1,84 @@
+/**
+ * test_throttle.js - Tests pour la limitation de charge d'encodage
+ *
+ * Valide la normalisation de la limite, le cycle d'exécution/suspension
+ * et la priorité appliquée aux encodages CPU
+ * Lancer avec : node tests/test_throttle.js
+ */
+
+const os = require("os");
+const { clampLoadLimit, computeDutyCycle, cpuPriorityForLimit } = require("../backend/throttle");
+
+console.log("🧪 Tests de la limitation de charge\n");
+
+const { PRIORITY_NORMAL, PRIORITY_BELOW_NORMAL, PRIORITY_LOW } = os.constants.priority;
+const cycle = (result) => (result ? `run ${result.runMs}ms / pause ${result.pauseMs}ms` : "unlimited");
+
+const tests = [
+  {
+    description: "100%: aucune limite",
+    run: () => cycle(computeDutyCycle(100)),
+    expected: "unlimited",
+  },
+  {
+    description: "Valeur absente ou invalide: aucune limite",
+    run: () => `${clampLoadLimit(undefined)} ${clampLoadLimit("abc")}`,
+    expected: "100 100",
+  },
+  {
+    description: "60%: 600ms d'encodage par seconde",
+    run: () => cycle(computeDutyCycle(60)),
+    expected: "run 600ms / pause 400ms",
+  },
+  {
+    description: "0% (ancienne valeur possible): ramené au minimum de 10%",
+    run: () => cycle(computeDutyCycle(0)),
+    expected: "run 100ms / pause 900ms",
+  },
+  {
+    description: "Période personnalisée",
+    run: () => cycle(computeDutyCycle(25, 2000)),
+    expected: "run 500ms / pause 1500ms",
+  },
+  {
+    description: "Priorité CPU: normale à 100%, abaissée dès 95%, basse sous 50%",
+    run: () => [100, 95, 50, 30].map((limit) => cpuPriorityForLimit(limit)).join(","),
+    expected: [PRIORITY_NORMAL, PRIORITY_BELOW_NORMAL, PRIORITY_BELOW_NORMAL, PRIORITY_LOW].join(","),
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Limitation de charge validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
@@ -0,0 +1,124 @@
+/**
+ * test_track_selection.js - Tests pour selectTracks
+ *
+ * Valide les règles de sélection des pistes audio / sous-titres
+ * et les arguments -map générés pour FFmpeg
+ * Lancer avec : node tests/test_track_selection.js
+ */
+
+const { selectTracks, normalizeLanguage } = require("../backend/tracks");
+
+console.log("🧪 Tests de sélection des pistes audio / sous-titres\n");
+
+const sampleInfo = {
+  audio: [
+    { index: 0, codec: "dts", language: "eng", title: "", default: true, original: false, commentary: false },
+    { index: 1, codec: "ac3", language: "fra", title: "VFF", default: false, original: false, commentary: false },
+    { index: 2, codec: "ac3", language: "eng", title: "Director's Commentary", default: false, original: false, commentary: false },
+    { index: 3, codec: "aac", language: "ger", title: "", default: false, original: false, commentary: false },
+  ],
+  subtitles: [
+    { index: 0, codec: "subrip", language: "fre", title: "Forced", default: false, forced: true, hearing_impaired: false },
+    { index: 1, codec: "subrip", language: "fre", title: "", default: false, forced: false, hearing_impaired: false },
+    { index: 2, codec: "hdmv_pgs_subtitle", language: "eng", title: "", default: false, forced: false, hearing_impaired: false },
+    { index: 3, codec: "subrip", language: "eng", title: "SDH", default: false, forced: false, hearing_impaired: true },
+    { index: 4, codec: "subrip", language: "spa", title: "", default: false, forced: false, hearing_impaired: false },
+  ],
+};
+
+const baseRules = {
+  enabled: true,
+  audio: { keep_languages: ["fre"], keep_original: true, drop_commentary: true, drop_codecs: [], drop_title_patterns: [] },
+  subtitles: { keep_languages: ["fre", "eng"], keep_forced: true, drop_hearing_impaired: true, drop_codecs: ["hdmv_pgs_subtitle"], drop_title_patterns: [] },
+};
+
+const kept = (decisions) => decisions.filter((decision) => decision.keep).map((decision) => decision.index);
+
+const tests = [
+  {
+    description: "Normalisation des codes langue (fra/fr → fre)",
+    run: () => [normalizeLanguage("fra"), normalizeLanguage("FR"), normalizeLanguage(undefined)].join(","),
+    expected: "fre,fre,und",
+  },
+  {
+    description: "Sélection désactivée: -map 0 (comportement historique)",
+    run: () => selectTracks(sampleInfo, { ...baseRules, enabled: false }).ffmpegArgs.join(" "),
+    expected: "-map 0",
+  },
+  {
+    description: "Audio: langue fre + originale (1re piste), commentaire et ger supprimés",
+    run: () => kept(selectTracks(sampleInfo, baseRules).audio).join(","),
+    expected: "0,1",
+  },
+  {
+    description: "Audio: drop_commentary désactivé garde le commentaire anglais si eng demandé",
+    run: () => kept(selectTracks(sampleInfo, { ...baseRules, audio: { ...baseRules.audio, keep_languages: ["eng"], keep_original: false, drop_commentary: false } }).audio).join(","),
+    expected: "0,2",
+  },
+  {
+    description: "Audio: aucune piste ne correspond → repli sur la première piste",
+    run: () => kept(selectTracks(sampleInfo, { ...baseRules, audio: { keep_languages: ["jpn"], keep_original: false } }).audio).join(","),
+    expected: "0",
+  },
+  {
+    description: "Audio: drop_codecs supprime les pistes DTS",
+    run: () => kept(selectTracks(sampleInfo, { ...baseRules, audio: { keep_languages: [], drop_codecs: ["dts"] } }).audio).join(","),
+    expected: "1,3",
+  },
+  {
+    description: "Sous-titres: forcés + fre/eng, PGS et SDH supprimés, spa supprimé",
+    run: () => kept(selectTracks(sampleInfo, baseRules).subtitles).join(","),
+    expected: "0,1",
+  },
+  {
+    description: "Sous-titres: drop_title_patterns",
+    run: () => kept(selectTracks(sampleInfo, { ...baseRules, subtitles: { keep_languages: [], drop_title_patterns: ["sdh"] } }).subtitles).join(","),
+    expected: "0,1,2,4",
+  },
+  {
+    description: "Arguments -map explicites (vidéo, pistes conservées, pièces jointes)",
+    run: () => selectTracks(sampleInfo, baseRules).ffmpegArgs.join(" "),
+    expected: "-map 0:v -map 0:a:0 -map 0:a:1 -map 0:s:0 -map 0:s:1 -map 0:t?",
+  },
+  {
+    description: "Piste par défaut supprimée → première piste conservée marquée default",
+    run: () => selectTracks(sampleInfo, { ...baseRules, audio: { keep_languages: ["fre"], keep_original: false } }).ffmpegArgs.join(" "),
+    expected: "-map 0:v -map 0:a:1 -map 0:s:0 -map 0:s:1 -map 0:t? -disposition:a:0 default",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Fonction selectTracks validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
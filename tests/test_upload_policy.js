@@ -0,0 +1,122 @@
+/**
+ * test_upload_policy.js - Tests pour la politique après upload (remplacement de l'original)
+ *
+ * Valide les opérations serveur de chaque mode (garder les deux, remplacer, remplacer + .bak),
+ * le retour arrière des renommages, la vérification de taille et l'expiration des .bak
+ * Lancer avec : node tests/test_upload_policy.js
+ */
+
+const { uploadPolicySettings, tempUploadPath, planServerSwap, rollbackSteps, checkUploadedSize, backupExpiresAt, isBackupExpired } = require("../backend/upload-policy");
+
+console.log("🧪 Tests de la politique après upload\n");
+
+const originalPath = "Films/Movie (2020)/Movie.2020.1080p.x264.mkv";
+const finalPath = "Films/Movie (2020)/Movie.2020.1080p.x265-TAG.mkv";
+const describe = (steps) => steps.map((step) => (step.action === "rename" ? `mv ${step.from.split("/").pop()} > ${step.to.split("/").pop()}` : `rm${step.optional ? "?" : ""} ${step.path.split("/").pop()}`)).join(" | ");
+const now = Date.parse("2025-01-10T12:00:00.000Z");
+
+const tests = [
+  {
+    description: "Réglages par défaut et mode inconnu",
+    run: () => {
+      const defaults = uploadPolicySettings(undefined);
+      const unknown = uploadPolicySettings({ mode: "overwrite", backup_days: -3 });
+      return `${defaults.mode} ${defaults.backupDays} / ${unknown.mode} ${unknown.backupDays}`;
+    },
+    expected: "keep_both 7 / keep_both 0",
+  },
+  {
+    description: "Upload sous un nom temporaire",
+    run: () => tempUploadPath(finalPath).split("/").pop(),
+    expected: "Movie.2020.1080p.x265-TAG.mkv.part",
+  },
+  {
+    description: "Garder les deux: seul le fichier temporaire est renommé",
+    run: () => {
+      const swap = planServerSwap({ originalPath, finalPath, mode: "keep_both" });
+      return `${describe(swap.steps)} backup=${swap.serverBackup}`;
+    },
+    expected: "rm? Movie.2020.1080p.x265-TAG.mkv | mv Movie.2020.1080p.x265-TAG.mkv.part > Movie.2020.1080p.x265-TAG.mkv backup=null",
+  },
+  {
+    description: "Remplacer: original mis de côté, encodé mis en place, puis .bak supprimé",
+    run: () => describe(planServerSwap({ originalPath, finalPath, mode: "replace" }).steps),
+    expected:
+      "rm? Movie.2020.1080p.x265-TAG.mkv | mv Movie.2020.1080p.x264.mkv > Movie.2020.1080p.x264.bak.mkv | mv Movie.2020.1080p.x265-TAG.mkv.part > Movie.2020.1080p.x265-TAG.mkv | rm? Movie.2020.1080p.x264.bak.mkv",
+  },
+  {
+    description: "Remplacer en gardant le .bak: chemin du backup enregistré",
+    run: () => {
+      const swap = planServerSwap({ originalPath, finalPath, mode: "replace_keep_backup" });
+      return `${swap.steps.length} ${swap.serverBackup}`;
+    },
+    expected: "3 Films/Movie (2020)/Movie.2020.1080p.x264.bak.mkv",
+  },
+  {
+    description: "Même nom que l'original: jamais écrasé sans .bak",
+    run: () => {
+      const swap = planServerSwap({ originalPath, finalPath: originalPath, mode: "keep_both" });
+      return `${swap.mode} ${describe(swap.steps)}`;
+    },
+    expected: "replace_keep_backup mv Movie.2020.1080p.x264.mkv > Movie.2020.1080p.x264.bak.mkv | mv Movie.2020.1080p.x264.mkv.part > Movie.2020.1080p.x264.mkv",
+  },
+  {
+    description: "Retour arrière: renommages annulés du dernier au premier",
+    run: () => describe(rollbackSteps(planServerSwap({ originalPath, finalPath, mode: "replace" }).steps.slice(0, 3))),
+    expected: "mv Movie.2020.1080p.x265-TAG.mkv > Movie.2020.1080p.x265-TAG.mkv.part | mv Movie.2020.1080p.x264.bak.mkv > Movie.2020.1080p.x264.mkv",
+  },
+  {
+    description: "Vérification de taille après upload",
+    run: () => [checkUploadedSize(1000, 1000), checkUploadedSize(1000, 800), checkUploadedSize(1000, undefined)].join(" | "),
+    expected: " | Uploaded file size mismatch: 800 bytes on server, 1000 bytes local | Uploaded file not found on server",
+  },
+  {
+    description: "Expiration du .bak: N jours après la fin du job, 0 = jamais",
+    run: () => {
+      const job = { server_backup_path: "a.bak.mkv", finished_at: "2025-01-01T12:00:00.000Z" };
+      return `${backupExpiresAt(job, 7)} ${isBackupExpired(job, 7, now)} ${isBackupExpired(job, 10, now)} ${isBackupExpired(job, 0, now)}`;
+    },
+    expected: "2025-01-08T12:00:00.000Z true false false",
+  },
+  {
+    description: "Job sans backup serveur ou sans date de fin: rien à supprimer",
+    run: () => `${isBackupExpired({ finished_at: "2024-01-01T00:00:00.000Z" }, 7, now)} ${isBackupExpired({ server_backup_path: "a.bak.mkv" }, 7, now)}`,
+    expected: "false false",
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Politique après upload validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}
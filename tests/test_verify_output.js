@@ -0,0 +1,129 @@
+/**
+ * test_verify_output.js - Tests pour la vérification du fichier encodé
+ *
+ * Valide la tolérance de durée, les pistes attendues (sélection de pistes ou source),
+ * la reconnaissance des lignes d'erreur du décodeur et le message d'erreur du job
+ * Lancer avec : node tests/test_verify_output.js
+ */
+
+const { durationTolerance, expectedStreamCounts, checkOutputParity, isDecodeErrorLine, describeDecodeErrors, formatVerificationError } = require("../backend/verify");
+
+console.log("🧪 Tests de la vérification du fichier encodé\n");
+
+const track = (language) => ({ language, codec: "aac" });
+const source = {
+  duration: 5400,
+  video: { codec: "h264", width: 1920, height: 1080 },
+  audio: [track("eng"), track("fre")],
+  subtitles: [track("fre"), track("eng"), track("spa")],
+};
+const encoded = (changes = {}) => ({ ...source, video: { codec: "hevc", width: 1920, height: 1080 }, duration: 5400.4, ...changes });
+const selection = {
+  track_selection: {
+    audio: [
+      { index: 0, keep: true },
+      { index: 1, keep: false },
+    ],
+    subtitles: [
+      { index: 0, keep: true },
+      { index: 1, keep: false },
+      { index: 2, keep: false },
+    ],
+  },
+};
+
+const tests = [
+  {
+    description: "Tolérance: le plus grand de N secondes et N %",
+    run: () => `${durationTolerance(5400)} ${durationTolerance(60)} ${durationTolerance(60, { duration_tolerance: 5 })}`,
+    expected: "27 2 5",
+  },
+  {
+    description: "Fichier conforme: aucun problème",
+    run: () => checkOutputParity(source, encoded()).length,
+    expected: 0,
+  },
+  {
+    description: "Fichier tronqué: durée hors tolérance",
+    run: () => checkOutputParity(source, encoded({ duration: 3120.5 }))[0],
+    expected: "duration 3120.5s vs 5400.0s in source (tolerance 27.0s)",
+  },
+  {
+    description: "Durée absente du fichier encodé: échec",
+    run: () => checkOutputParity(source, encoded({ duration: 0 })).length,
+    expected: 1,
+  },
+  {
+    description: "Piste audio perdue",
+    run: () => checkOutputParity(source, encoded({ audio: [track("eng")] })).join("; "),
+    expected: "1 audio track(s), expected 2",
+  },
+  {
+    description: "Sélection de pistes: seules les pistes gardées sont attendues",
+    run: () => {
+      const expected = expectedStreamCounts(source, selection);
+      return `${expected.audio}/${expected.subtitles} ${checkOutputParity(source, encoded({ audio: [track("eng")], subtitles: [track("fre")] }), selection).length}`;
+    },
+    expected: "1/1 0",
+  },
+  {
+    description: "Sous-titres en trop par rapport à la sélection",
+    run: () => checkOutputParity(source, encoded({ audio: [track("eng")] }), selection).join("; "),
+    expected: "3 subtitle track(s), expected 1",
+  },
+  {
+    description: "Lignes de progression -stats ignorées, erreurs reconnues",
+    run: () =>
+      [
+        "frame= 1200 fps=310 q=-0.0 size=N/A time=00:00:50.00 bitrate=N/A speed=12.9x",
+        "size=N/A time=00:01:00.00 bitrate=N/A speed=13x",
+        "",
+        "[hevc @ 0x55d5c8] Could not find ref with POC 42",
+        "[matroska,webm @ 0x55d5] Read error at pos. 734003200 (0x2bc00000)",
+      ]
+        .map(isDecodeErrorLine)
+        .join(","),
+    expected: "false,false,false,true,true",
+  },
+  {
+    description: "Message d'erreur du job: problèmes et premières erreurs du décodeur",
+    run: () => formatVerificationError(["duration 10.0s vs 12.0s in source (tolerance 2.0s)", describeDecodeErrors(57, ["[hevc @ 0x1] error A", "[hevc @ 0x1] error B"])]),
+    expected: 'Verification failed: duration 10.0s vs 12.0s in source (tolerance 2.0s); 57 decode error(s): "[hevc @ 0x1] error A", "[hevc @ 0x1] error B"',
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach((test, index) => {
+  const result = test.run();
+
+  if (result === test.expected) {
+    console.log(`✅ Test ${index + 1}: ${test.description}`);
+    console.log(`   Output:   ${result}\n`);
+    passed++;
+  } else {
+    console.log(`❌ Test ${index + 1}: ${test.description}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got:      ${result}\n`);
+    failed++;
+  }
+});
+
+// Résumé
+console.log("=".repeat(60));
+if (failed === 0) {
+  console.log(`✅ TOUS LES TESTS SONT PASSÉS (${passed}/${tests.length})`);
+} else {
+  console.log(`❌ ${failed} TEST(S) ÉCHOUÉ(S) sur ${tests.length}`);
+  console.log(`✅ ${passed} test(s) réussi(s)`);
+}
+console.log("=".repeat(60));
+
+if (failed === 0) {
+  console.log("\n🎉 Vérification du fichier encodé validée!");
+  process.exit(0);
+} else {
+  console.log("\n⚠️  Corrections nécessaires");
+  process.exit(1);
+}